@@ -0,0 +1,175 @@
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { randomBytes } from "crypto";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+};
+
+const CONTENT_TYPES = Object.fromEntries(
+  Object.entries(EXTENSIONS).map(([contentType, extension]) => [extension, contentType]),
+);
+CONTENT_TYPES.jpeg = "image/jpeg";
+
+// The extension is part of the id so asset URLs carry a usable file name.
+const createAssetId = (contentType) =>
+  `${randomBytes(16).toString("hex")}.${EXTENSIONS[contentType] ?? "bin"}`;
+
+const isValidAssetId = (id) => typeof id === "string" && /^[a-f0-9]{32}\.[a-z0-9]{1,5}$/.test(id);
+
+const guessContentType = (url, headerValue) => {
+  const fromHeader = headerValue?.split(";")[0].trim().toLowerCase();
+  if (fromHeader && fromHeader !== "application/octet-stream") return fromHeader;
+  const extension = url.match(/^[^?#]+\.([a-z0-9]+)(?:[?#]|$)/i)?.[1]?.toLowerCase();
+  return CONTENT_TYPES[extension] ?? "application/octet-stream";
+};
+
+const createLocalBlobs = ({ dir }) => {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const blobPath = (key) => path.join(dir, key);
+
+  return {
+    async write(key, body) {
+      await ready;
+      const tempPath = `${blobPath(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, body);
+      await fs.rename(tempPath, blobPath(key));
+    },
+    async read(key, range) {
+      await ready;
+      return createReadStream(blobPath(key), range ?? {});
+    },
+    async delete(key) {
+      await fs.rm(blobPath(key), { force: true });
+    },
+  };
+};
+
+const createS3Blobs = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = "" }) => {
+  if (!bucket) {
+    throw new Error("The s3 asset driver needs a bucket (ASSET_S3_BUCKET).");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    async write(key, body, contentType) {
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: body, ContentType: contentType }),
+      );
+    },
+    async read(key, range) {
+      const result = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        }),
+      );
+      return result.Body;
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+};
+
+const DRIVERS = {
+  local: createLocalBlobs,
+  s3: createS3Blobs,
+};
+
+// Parses a single `Range: bytes=...` header. Returns null when absent or unsupported and
+// false when the range can't be satisfied.
+export const parseByteRange = (header, size) => {
+  const match = typeof header === "string" ? header.match(/^bytes=(\d*)-(\d*)$/) : null;
+  if (!match || (!match[1] && !match[2])) return null;
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return start <= end && start < size ? { start, end } : false;
+};
+
+export const assetUrl = (id) => `/api/assets/${id}`;
+
+// Pulls the asset id back out of a URL produced by assetUrl, or null for anything else.
+export const parseAssetUrl = (value) => {
+  const id = typeof value === "string" ? value.match(/^\/api\/assets\/([^/?#]+)$/)?.[1] : null;
+  return isValidAssetId(id) ? id : null;
+};
+
+// Durable storage for generated outputs. Bytes go to the blob driver ("local" disk or an
+// S3-compatible bucket); metadata lives in the `records` store collection.
+export const createAssetStore = ({ driver = "local", records, ...options }) => {
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown asset driver "${driver}". Expected one of: ${Object.keys(DRIVERS).join(", ")}.`);
+  }
+  const blobs = factory(options);
+
+  const save = async (body, { contentType, predictionId = null, user = null, source = null }) => {
+    const id = createAssetId(contentType);
+    await blobs.write(id, body, contentType);
+    return records.set({
+      id,
+      content_type: contentType,
+      size: body.length,
+      prediction_id: predictionId,
+      user,
+      source,
+      created_at: new Date().toISOString(),
+    });
+  };
+
+  return {
+    driver,
+    save,
+    async saveDataUrl(dataUrl, meta = {}) {
+      const match = dataUrl.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+      if (!match) throw new Error("Not a data URL.");
+      const [, contentType = "application/octet-stream", isBase64, data] = match;
+      const body = isBase64 ? Buffer.from(data, "base64") : Buffer.from(decodeURIComponent(data));
+      return save(body, { ...meta, contentType });
+    },
+    async saveFromUrl(url, meta = {}) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Download of ${url} failed with status ${response.status}.`);
+      }
+      const body = Buffer.from(await response.arrayBuffer());
+      const contentType = guessContentType(url, response.headers.get("content-type"));
+      return save(body, { ...meta, contentType, source: url });
+    },
+    async get(id) {
+      return isValidAssetId(id) ? records.get(id) : null;
+    },
+    // `range` is an inclusive { start, end } byte range, or omitted for the whole asset
+    async open(id, range) {
+      return blobs.read(id, range);
+    },
+    async delete(id) {
+      if (!isValidAssetId(id)) return false;
+      await blobs.delete(id);
+      return records.delete(id);
+    },
+  };
+};
@@ -0,0 +1,267 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = "meepo_session";
+const API_KEY_PREFIX = "mk";
+const SCRYPT_KEY_LENGTH = 64;
+
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt}:${derived.toString("hex")}`;
+};
+
+export const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, expected] = String(passwordHash || "").split(":");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+  const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return safeEqual(derived.toString("hex"), expected);
+};
+
+export const toPublicUser = (user) => ({
+  username: user.username,
+  role: user.role,
+});
+
+export const createUser = async (users, { username, password, role = "user" }) => {
+  const normalized = typeof username === "string" ? username.trim().toLowerCase() : "";
+  if (!/^[a-z0-9._-]{2,64}$/.test(normalized)) {
+    throw new Error("Username must be 2-64 characters of a-z, 0-9, '.', '_' or '-'.");
+  }
+  if (typeof password !== "string" || password.length < 8) {
+    throw new Error("Password must be at least 8 characters.");
+  }
+  const existing = await users.get(normalized);
+  return users.set({
+    id: normalized,
+    username: normalized,
+    role: role === "admin" ? "admin" : "user",
+    password_hash: await hashPassword(password),
+    // A new password signs out every session issued with the old one
+    session_version: existing ? (existing.session_version ?? 0) + 1 : 0,
+    created_at: existing?.created_at ?? new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  });
+};
+
+// Keys look like `mk_<id>_<secret>`; only a hash of the secret is stored.
+export const createApiKey = async (apiKeys, { username, name }) => {
+  const id = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const record = await apiKeys.set({
+    id,
+    username,
+    name: typeof name === "string" && name.trim() ? name.trim() : "default",
+    secret_hash: sha256(secret),
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+  });
+  return { key: `${API_KEY_PREFIX}_${id}_${secret}`, record };
+};
+
+export const toPublicApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  created_at: record.created_at,
+  last_used_at: record.last_used_at,
+});
+
+const parseCookies = (header) => {
+  const cookies = {};
+  if (typeof header !== "string") return cookies;
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index === -1) continue;
+    const key = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    if (key) {
+      try {
+        cookies[key] = decodeURIComponent(value);
+      } catch {
+        cookies[key] = value;
+      }
+    }
+  }
+  return cookies;
+};
+
+export const createAuth = ({
+  users,
+  apiKeys,
+  sessionSecret,
+  sessionTtlHours = 24 * 7,
+  secureCookies = false,
+  disabled = false,
+}) => {
+  const secret = sessionSecret || crypto.randomBytes(32).toString("hex");
+  const sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+
+  const sign = (payload) => crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+  // Unknown usernames are checked against this so a login takes as long whether the user exists or not
+  const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  // Tokens carry the user's session_version; bumping it (logout, a new password) revokes every
+  // token issued before.
+  const issueSessionToken = (user) => {
+    const payload = Buffer.from(
+      JSON.stringify({ u: user.username, v: user.session_version ?? 0, exp: Date.now() + sessionTtlMs }),
+    ).toString("base64url");
+    return `${payload}.${sign(payload)}`;
+  };
+
+  const readSessionToken = (token) => {
+    if (typeof token !== "string") return null;
+    const [payload, signature] = token.split(".");
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+    try {
+      const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      if (typeof data?.u !== "string" || typeof data.exp !== "number" || data.exp < Date.now()) {
+        return null;
+      }
+      return { username: data.u, version: typeof data.v === "number" ? data.v : 0 };
+    } catch {
+      return null;
+    }
+  };
+
+  // The user a session cookie belongs to, as long as its token hasn't been revoked
+  const readSessionUser = async (req) => {
+    const session = readSessionToken(parseCookies(req.get("cookie"))[SESSION_COOKIE]);
+    if (!session) return null;
+    const user = await users.get(session.username);
+    return user && (user.session_version ?? 0) === session.version ? user : null;
+  };
+
+  const sessionCookie = (value, maxAgeSeconds) =>
+    [
+      `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Lax",
+      `Max-Age=${maxAgeSeconds}`,
+      secureCookies ? "Secure" : null,
+    ]
+      .filter(Boolean)
+      .join("; ");
+
+  const setSessionCookie = (res, user) => {
+    res.append("Set-Cookie", sessionCookie(issueSessionToken(user), Math.floor(sessionTtlMs / 1000)));
+  };
+
+  // Clears the cookie and revokes the token it held, along with the user's other sessions
+  const endSession = async (req, res) => {
+    const user = await readSessionUser(req);
+    if (user) {
+      await users.update(user.id, (current) => ({ session_version: (current.session_version ?? 0) + 1 }));
+    }
+    res.append("Set-Cookie", sessionCookie("", 0));
+  };
+
+  const authenticatePassword = async (username, password) => {
+    const normalized = typeof username === "string" ? username.trim().toLowerCase() : "";
+    if (!normalized || typeof password !== "string") return null;
+    const user = await users.get(normalized);
+    if (!user) {
+      await verifyPassword(password, await dummyPasswordHash);
+      return null;
+    }
+    return (await verifyPassword(password, user.password_hash)) ? user : null;
+  };
+
+  const authenticateApiKey = async (key) => {
+    const match = /^mk_([a-f0-9]+)_([A-Za-z0-9_-]+)$/.exec(key);
+    if (!match) return null;
+    const [, id, secretPart] = match;
+    const record = await apiKeys.get(id);
+    if (!record || !safeEqual(record.secret_hash, sha256(secretPart))) return null;
+    const user = await users.get(record.username);
+    if (!user) return null;
+    apiKeys.update(id, { last_used_at: new Date().toISOString() }).catch(() => {});
+    return { user, apiKeyId: id };
+  };
+
+  // Resolves the caller from a bearer API key or the session cookie, in that order.
+  const resolveRequestUser = async (req) => {
+    const authorization = req.get("authorization");
+    if (typeof authorization === "string" && /^bearer\s+/i.test(authorization)) {
+      const result = await authenticateApiKey(authorization.replace(/^bearer\s+/i, "").trim());
+      return result ? { ...toPublicUser(result.user), via: "api_key", api_key_id: result.apiKeyId } : null;
+    }
+
+    const user = await readSessionUser(req);
+    return user ? { ...toPublicUser(user), via: "session" } : null;
+  };
+
+  const requireAuth = async (req, res, next) => {
+    if (disabled) {
+      req.user = { username: "local", role: "admin", via: "disabled" };
+      return next();
+    }
+    try {
+      const user = await resolveRequestUser(req);
+      if (!user) {
+        return res.status(401).json({ error: "Authentication required." });
+      }
+      req.user = user;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== "admin") {
+      return res.status(403).json({ error: "Administrator access required." });
+    }
+    return next();
+  };
+
+  return {
+    disabled,
+    authenticatePassword,
+    setSessionCookie,
+    endSession,
+    requireAuth,
+    requireAdmin,
+  };
+};
+
+// Fixed-window counter of failed logins per client, to slow down password guessing.
+export const createLoginThrottle = ({ maxAttempts = 10, windowMs = 15 * 60 * 1000 } = {}) => {
+  const attempts = new Map();
+
+  const current = (key) => {
+    const entry = attempts.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    isBlocked(key) {
+      const entry = current(key);
+      return Boolean(entry && entry.count >= maxAttempts);
+    },
+    recordFailure(key) {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      attempts.set(key, entry);
+    },
+    reset(key) {
+      attempts.delete(key);
+    },
+  };
+};
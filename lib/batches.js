@@ -0,0 +1,330 @@
+import { randomBytes } from "crypto";
+import { createLease, isHeldElsewhere, LEASE_RENEW_MS, PROCESS_ID } from "./leases.js";
+import { createLogger } from "./logger.js";
+
+export const BATCH_FORMATS = ["csv", "jsonl"];
+
+const TERMINAL_ITEM_STATUSES = new Set(["succeeded", "failed", "canceled", "blocked"]);
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+// Turns an uploaded file into one input object per row. CSV needs a header row naming the
+// model inputs; JSONL lines are objects, or bare strings used as the prompt.
+export const parseBatchItems = (text, format) => {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("The batch file is empty.");
+  }
+
+  if (format === "jsonl") {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        let value;
+        try {
+          value = JSON.parse(line);
+        } catch {
+          throw new Error(`Line ${number} is not valid JSON.`);
+        }
+        if (typeof value === "string") return { prompt: value };
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          throw new Error(`Line ${number} must be a JSON object or string.`);
+        }
+        return value;
+      });
+  }
+
+  if (format === "csv") {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+    const columns = header.map((column) => column.trim());
+    if (!columns.some(Boolean)) {
+      throw new Error("The CSV file needs a header row naming the inputs, e.g. prompt.");
+    }
+    return rows.map((cells) =>
+      Object.fromEntries(
+        columns
+          .map((column, index) => [column, cells[index]?.trim() ?? ""])
+          .filter(([column, value]) => column && value !== ""),
+      ),
+    );
+  }
+
+  throw new Error(`Unsupported batch format "${format}". Expected one of: ${BATCH_FORMATS.join(", ")}.`);
+};
+
+export const summarizeBatchItems = (items) => {
+  const counts = { total: items.length, queued: 0, running: 0, succeeded: 0, failed: 0, canceled: 0, blocked: 0 };
+  for (const item of items) counts[item.status] += 1;
+  return counts;
+};
+
+export const createBatchId = () => `batch-${Date.now()}-${randomBytes(4).toString("hex")}`;
+
+// Runs batch items through `runItem` with one concurrency limit shared by every batch.
+//
+// runItem({ batch, item, onPrediction }) resolves with the finished prediction. It calls
+// onPrediction(id) once the prediction exists, and should wait on `item.prediction_id`
+// instead of creating a new one when that is already set (a batch resumed after a restart).
+// cancelPrediction(id) cancels an in-flight prediction.
+//
+// Each batch is run by the process holding its lease (see lib/leases.js), renewed on every save
+// and at least every LEASE_RENEW_MS; `processId` names this process.
+export const createBatchRunner = ({
+  batches,
+  concurrency = 2,
+  runItem,
+  cancelPrediction,
+  processId = PROCESS_ID,
+  logger = createLogger(),
+}) => {
+  const states = new Map();
+  const queue = [];
+  let running = 0;
+
+  // Takes over a cancel made on the stored record by another process (see cancel): nothing else
+  // is started, and the batch finishes once the predictions still running come back canceled.
+  const adoptCancel = (state) => {
+    const { batch } = state;
+    state.canceled = true;
+    for (const item of batch.items) {
+      if (item.status === "queued") {
+        item.status = "canceled";
+        item.completed_at = new Date().toISOString();
+      }
+    }
+    if (batch.items.every((item) => TERMINAL_ITEM_STATUSES.has(item.status))) {
+      batch.status = "canceled";
+      batch.completed_at = new Date().toISOString();
+      states.delete(batch.id);
+    }
+  };
+
+  // Saved under the record's lock, and only while this process still holds the batch. A cancel
+  // stored by another process is taken over rather than written over. A batch whose lease ran out
+  // and was taken over elsewhere is dropped: nothing more is started or saved for it here.
+  const persist = (state) => {
+    state.saving = state.saving
+      .then(async () => {
+        const { batch } = state;
+        const saved = await batches.update(batch.id, (current) => {
+          if (current.owner?.id !== processId) return null;
+          if (current.status === "canceled" && !state.canceled) adoptCancel(state);
+          batch.owner = createLease(processId);
+          batch.counts = summarizeBatchItems(batch.items);
+          return structuredClone(batch);
+        });
+        if (saved?.owner?.id !== processId && !state.lost) {
+          state.lost = true;
+          if (states.get(batch.id) === state) states.delete(batch.id);
+          logger.warn("Lost the lease on a batch; another process runs it now", { batch_id: batch.id });
+        }
+      })
+      .catch((error) => logger.error("Failed to save batch", { batch_id: state.batch.id, error: error.message }));
+    return state.saving;
+  };
+
+  const heartbeat = setInterval(() => {
+    for (const state of states.values()) persist(state);
+  }, LEASE_RENEW_MS);
+  heartbeat.unref();
+
+  const finishIfDone = (state) => {
+    const { batch } = state;
+    if (batch.items.some((item) => !TERMINAL_ITEM_STATUSES.has(item.status))) return;
+    batch.status = state.canceled ? "canceled" : "completed";
+    batch.completed_at = new Date().toISOString();
+    states.delete(batch.id);
+    persist(state);
+  };
+
+  const processItem = async (state, item) => {
+    // Picks up a cancel or a takeover by another process before anything is started
+    await persist(state);
+    if (state.canceled || state.lost) return;
+    item.status = "running";
+    item.started_at = new Date().toISOString();
+    persist(state);
+
+    try {
+      const prediction = await runItem({
+        batch: state.batch,
+        item,
+        onPrediction: async (predictionId) => {
+          item.prediction_id = predictionId;
+          await persist(state);
+          // Whoever runs the batch now doesn't know about this prediction
+          if (state.canceled || state.lost) await cancelPrediction(predictionId);
+        },
+      });
+      item.status = prediction.status;
+      item.output = prediction.output ?? null;
+      item.error = prediction.error ?? null;
+    } catch (error) {
+      item.status = "failed";
+      item.error = error instanceof Error ? error.message : String(error);
+    }
+
+    item.completed_at = new Date().toISOString();
+    persist(state);
+    finishIfDone(state);
+  };
+
+  const pump = () => {
+    while (running < concurrency && queue.length) {
+      const { state, item } = queue.shift();
+      if (item.status !== "queued" || state.canceled || state.lost) continue;
+      running++;
+      processItem(state, item).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  };
+
+  const enqueue = (batch) => {
+    const state = { batch, canceled: false, lost: false, saving: Promise.resolve() };
+    states.set(batch.id, state);
+    batch.status = "running";
+    for (const item of batch.items) {
+      // A prediction was already started for this item; pick up where it left off
+      if (item.status === "running" && item.prediction_id) {
+        queue.push({ state, item: Object.assign(item, { status: "queued" }) });
+      } else if (!TERMINAL_ITEM_STATUSES.has(item.status)) {
+        queue.push({ state, item: Object.assign(item, { status: "queued", prediction_id: null }) });
+      }
+    }
+    persist(state);
+    finishIfDone(state);
+    pump();
+    return state.saving;
+  };
+
+  const cancelInFlight = (batchId, predictionIds) =>
+    Promise.all(
+      predictionIds.map((predictionId) =>
+        cancelPrediction(predictionId).catch((error) => {
+          logger.error("Failed to cancel batch prediction", {
+            batch_id: batchId,
+            prediction_id: predictionId,
+            error: error.message,
+          });
+        }),
+      ),
+    );
+
+  // Written under the record's lock, so the owner's next save takes the cancel over
+  const cancelStored = async (batchId) => {
+    const now = new Date().toISOString();
+    const inFlight = [];
+    let canceled = false;
+    await batches.update(batchId, (current) => {
+      if (current.status !== "running") return null;
+      const items = current.items.map((item) => {
+        if (TERMINAL_ITEM_STATUSES.has(item.status)) return item;
+        if (item.prediction_id) inFlight.push(item.prediction_id);
+        return { ...item, status: "canceled", completed_at: now };
+      });
+      canceled = true;
+      return { status: "canceled", completed_at: now, items, counts: summarizeBatchItems(items) };
+    });
+    if (!canceled) return false;
+    await cancelInFlight(batchId, inFlight);
+    return true;
+  };
+
+  return {
+    async start(batch) {
+      batch.owner = createLease(processId);
+      await batches.set(structuredClone(batch));
+      return enqueue(batch);
+    },
+
+    // Takes over running batches no live process holds: ones left by a process that stopped, this
+    // one included. Call it now and then, so batches of a process that died get picked up.
+    async resume() {
+      const records = await batches.list();
+      const unheld = records
+        .filter((batch) => batch.status === "running" && !states.has(batch.id) && !isHeldElsewhere(batch.owner, processId))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+      let count = 0;
+      for (const record of unheld) {
+        // Checked again under the record's lock. The file driver only locks within a process, so
+        // two processes may both claim it in the same instant; the first to find the other's lease
+        // on its next save drops the batch.
+        const batch = await batches.update(record.id, (current) =>
+          current.status === "running" && !isHeldElsewhere(current.owner, processId)
+            ? { owner: createLease(processId) }
+            : null,
+        );
+        if (batch?.status !== "running" || batch.owner?.id !== processId || states.has(batch.id)) continue;
+        enqueue(batch);
+        count++;
+      }
+      return count;
+    },
+
+    // Returns false when the batch has already finished. A batch run by another process, or one
+    // not resumed yet, is canceled in its stored record, which that process takes over at its
+    // next save.
+    async cancel(batchId) {
+      const state = states.get(batchId);
+      if (!state) return cancelStored(batchId);
+      state.canceled = true;
+      const inFlight = [];
+      for (const item of state.batch.items) {
+        if (item.status === "queued") {
+          // Resumed after a restart with its prediction still running
+          if (item.prediction_id) inFlight.push(item.prediction_id);
+          item.status = "canceled";
+          item.completed_at = new Date().toISOString();
+        } else if (item.status === "running" && item.prediction_id) {
+          inFlight.push(item.prediction_id);
+        }
+      }
+      persist(state);
+      finishIfDone(state);
+      await cancelInFlight(batchId, inFlight);
+      return true;
+    },
+  };
+};
@@ -0,0 +1,78 @@
+import { getModelAvailability } from "./models.js";
+
+// Readiness and configuration diagnostics. Whether a model is configured comes from the
+// environment (getModelAvailability); whether its provider answers comes from that provider's
+// probe: an async function that resolves when the provider is reachable with our credentials
+// and throws when it isn't. Probes are passed in, so local runs can swap in stubs for providers
+// they can't reach (PROVIDER_PROBE=stub).
+
+const PROVIDER_NAMES = { gemini: "Gemini", replicate: "Replicate" };
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms.`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Probes that answer for every provider without calling it
+export const createStubProbes = (providers = Object.keys(PROVIDER_NAMES)) =>
+  Object.fromEntries(providers.map((provider) => [provider, async () => {}]));
+
+// Runs provider probes and remembers their results for `ttlMs`, so load balancer checks every
+// few seconds don't turn into as many provider calls. Concurrent checks share one probe.
+export const createProviderChecker = ({ probes, ttlMs = 60000, timeoutMs = 5000 }) => {
+  const results = new Map();
+  const pending = new Map();
+
+  const probe = async (provider) => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      if (!probes[provider]) throw new Error(`No probe for provider "${provider}".`);
+      await withTimeout(probes[provider](), timeoutMs);
+      result = { reachable: true, latency_ms: Date.now() - startedAt, error: null };
+    } catch (error) {
+      result = { reachable: false, latency_ms: null, error: error instanceof Error ? error.message : String(error) };
+    }
+    result.checked_at = new Date(startedAt).toISOString();
+    results.set(provider, { result, expiresAt: startedAt + ttlMs });
+    return result;
+  };
+
+  return {
+    // The provider's latest result, probing again when it is older than `ttlMs` or `refresh` is set
+    check(provider, { refresh = false } = {}) {
+      const cached = results.get(provider);
+      if (!refresh && cached && cached.expiresAt > Date.now()) return Promise.resolve(cached.result);
+      if (!pending.has(provider)) {
+        pending.set(provider, probe(provider).finally(() => pending.delete(provider)));
+      }
+      return pending.get(provider);
+    },
+
+    // The latest result without probing; null before the first probe
+    latest: (provider) => results.get(provider)?.result ?? null,
+  };
+};
+
+// A model's configuration and whether it can run right now. `providerCheck` is its provider's
+// probe result, or null when the provider hasn't been probed; unprobed providers count as up.
+export const diagnoseModel = (model, providerCheck, configuration = getModelAvailability(model)) => {
+  const reachable = configuration.available ? providerCheck?.reachable ?? null : null;
+  return {
+    key: model.key,
+    label: model.label ?? model.key,
+    provider: model.provider,
+    version: model.version ?? null,
+    model: model.model ?? null,
+    configured: configuration.available,
+    reachable,
+    available: configuration.available && reachable !== false,
+    reason:
+      configuration.reason ??
+      (reachable === false ? `${PROVIDER_NAMES[model.provider] ?? model.provider} is unreachable: ${providerCheck.error}` : null),
+    checked_at: configuration.available ? providerCheck?.checked_at ?? null : null,
+  };
+};
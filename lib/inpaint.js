@@ -0,0 +1,61 @@
+import sharp from "sharp";
+
+// Mask-based inpainting for image edits. The mask is a black-and-white image over the first
+// input image: white marks what may change, black what must stay. The model is shown the mask,
+// and its result is composited back onto the original through the mask, so untouched areas
+// come out pixel-for-pixel identical whatever the model did to them.
+
+export const INPAINT_INSTRUCTION =
+  "The last image is a mask for the first image. Only change the areas that are white in the " +
+  "mask; keep everything in the black areas exactly as it is.";
+
+// Softens the mask edge (in pixels) so the edited patch blends into the original
+const FEATHER_SIGMA = 2;
+
+// "16:9" -> 16 / 9
+const ratioValue = (ratio) => {
+  const [width, height] = ratio.split(":").map(Number);
+  return width / height;
+};
+
+// The listed aspect ratio nearest to the image's own, so the model draws at the same shape
+export const closestAspectRatio = ({ width, height }, ratios) =>
+  ratios
+    .filter((ratio) => /^\d+:\d+$/.test(ratio))
+    .reduce((best, ratio) =>
+      Math.abs(Math.log(ratioValue(ratio) / (width / height))) <
+      Math.abs(Math.log(ratioValue(best) / (width / height)))
+        ? ratio
+        : best,
+    );
+
+// Size of the image as displayed, EXIF rotation applied
+export const measureImage = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+};
+
+// Pastes the masked part of `generated` onto `original` and returns a PNG at the original size.
+// The generated image is scaled to cover the original, centred, if its shape differs.
+export const compositeMasked = async ({ original, generated, mask }) => {
+  const base = await sharp(original).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = base.info;
+
+  const alpha = await sharp(mask)
+    .rotate()
+    .flatten({ background: "#000000" })
+    .resize(width, height, { fit: "fill" })
+    .extractChannel(0)
+    .blur(FEATHER_SIGMA)
+    .raw()
+    .toBuffer();
+
+  // Rendered separately: sharp applies removeAlpha after joinChannel within one pipeline
+  const colour = await sharp(generated).resize(width, height, { fit: "cover" }).removeAlpha().raw().toBuffer();
+  const patch = await sharp(colour, { raw: { width, height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return sharp(base.data).composite([{ input: patch }]).png().toBuffer();
+};
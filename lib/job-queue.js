@@ -0,0 +1,115 @@
+import { createLogger } from "./logger.js";
+
+// In-process job queue for predictions. Each provider has its own lane with a fixed number of
+// workers; jobs wait in per-user lines and lanes take turns between users, so one user queuing
+// a hundred jobs doesn't hold up everyone else's next one. A job occupies its worker until the
+// promise returned by its `run()` settles.
+//
+// `onPositions(changes)` is called with [id, position] pairs (1-based) whenever the place of
+// waiting jobs moved, and with position null for jobs that just left the queue.
+
+export const createJobQueue = ({ concurrency, maxQueued = Infinity, onPositions = () => {}, logger = createLogger() }) => {
+  const lanes = new Map();
+  const positions = new Map();
+
+  const laneFor = (provider) => {
+    if (!lanes.has(provider)) {
+      lanes.set(provider, { concurrency: concurrency[provider] ?? 1, running: 0, lines: new Map() });
+    }
+    return lanes.get(provider);
+  };
+
+  const queuedCount = (lane) => [...lane.lines.values()].reduce((total, line) => total + line.length, 0);
+
+  // The order the lane would start its jobs in: one per user per round, users in turn
+  const startOrder = (lane) => {
+    const lines = [...lane.lines.values()];
+    const order = [];
+    for (let round = 0; order.length < queuedCount(lane); round++) {
+      for (const line of lines) if (line[round]) order.push(line[round]);
+    }
+    return order;
+  };
+
+  const publishPositions = () => {
+    const changes = [];
+    const waiting = new Set();
+    for (const lane of lanes.values()) {
+      startOrder(lane).forEach((job, index) => {
+        waiting.add(job.id);
+        if (positions.get(job.id) !== index + 1) {
+          positions.set(job.id, index + 1);
+          changes.push([job.id, index + 1]);
+        }
+      });
+    }
+    for (const id of positions.keys()) {
+      if (!waiting.has(id)) {
+        positions.delete(id);
+        changes.push([id, null]);
+      }
+    }
+    if (changes.length > 0) onPositions(changes);
+  };
+
+  const pump = (lane) => {
+    while (lane.running < lane.concurrency && lane.lines.size > 0) {
+      // The user at the front takes one job and goes to the back of the rotation
+      const [user, line] = lane.lines.entries().next().value;
+      const job = line.shift();
+      lane.lines.delete(user);
+      if (line.length > 0) lane.lines.set(user, line);
+
+      lane.running++;
+      Promise.resolve()
+        .then(job.run)
+        .catch((error) => logger.error("Job failed", { prediction_id: job.id, error }))
+        .finally(() => {
+          lane.running--;
+          pump(lane);
+          publishPositions();
+        });
+    }
+  };
+
+  return {
+    hasRoom: (provider) => queuedCount(laneFor(provider)) < maxQueued,
+
+    // Queues `run` and returns the job's position, 0 when a worker picked it up straight away.
+    enqueue({ id, user, provider, run }) {
+      const lane = laneFor(provider);
+      const key = user ?? "";
+      lane.lines.set(key, [...(lane.lines.get(key) ?? []), { id, run }]);
+      pump(lane);
+      publishPositions();
+      return positions.get(id) ?? 0;
+    },
+
+    // The job's 1-based place in its lane's line, or null once it isn't waiting
+    position: (id) => positions.get(id) ?? null,
+
+    // Takes a job out of the queue before it starts. False when it isn't waiting.
+    remove(id) {
+      for (const lane of lanes.values()) {
+        for (const [user, line] of lane.lines) {
+          const index = line.findIndex((job) => job.id === id);
+          if (index === -1) continue;
+          line.splice(index, 1);
+          if (line.length === 0) lane.lines.delete(user);
+          publishPositions();
+          return true;
+        }
+      }
+      return false;
+    },
+
+    // Running and waiting jobs per provider, including configured ones nothing was queued for yet
+    stats: () =>
+      Object.fromEntries(
+        [...new Set([...Object.keys(concurrency), ...lanes.keys()])].map((provider) => {
+          const lane = laneFor(provider);
+          return [provider, { concurrency: lane.concurrency, running: lane.running, queued: queuedCount(lane) }];
+        }),
+      ),
+  };
+};
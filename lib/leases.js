@@ -0,0 +1,20 @@
+import os from "os";
+import { randomBytes } from "crypto";
+
+// Several server processes may share one store. Whatever runs inside a process (batches,
+// pipeline runs, Gemini predictions and Replicate ones not created there yet) is worked on by
+// the process that holds its lease: the record's `owner`, { id, renewed_at }. The holder renews
+// it every LEASE_RENEW_MS; once it is LEASE_TTL_MS old its process is taken to be gone, and
+// another one may take the record over.
+
+export const PROCESS_ID = `${os.hostname()}:${process.pid}:${randomBytes(3).toString("hex")}`;
+
+export const LEASE_TTL_MS = 60 * 1000;
+export const LEASE_RENEW_MS = 20 * 1000;
+
+export const createLease = (processId = PROCESS_ID) => ({ id: processId, renewed_at: new Date().toISOString() });
+
+// Whether a process other than `processId` holds `owner` right now. Records without an owner
+// (written before leases existed, or never picked up) are free.
+export const isHeldElsewhere = (owner, processId = PROCESS_ID, { ttlMs = LEASE_TTL_MS, now = Date.now() } = {}) =>
+  Boolean(owner?.id) && owner.id !== processId && now - Date.parse(owner.renewed_at) < ttlMs;
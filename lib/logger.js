@@ -0,0 +1,54 @@
+// Structured logging: one JSON object per line, { time, level, msg, ...fields }, so log
+// collectors can filter on fields such as prediction_id instead of parsing text. LOG_FORMAT=text
+// prints the same lines in a readable form for local runs, and LOG_LEVEL drops anything below
+// it ("debug", "info", "warn" or "error"; "info" by default).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify, so they are logged as their message, code and stack
+const toLoggable = (value) => {
+  if (!(value instanceof Error)) return value;
+  const serialized = { name: value.name, message: value.message };
+  if (value.status !== undefined) serialized.status = value.status;
+  if (value.code !== undefined) serialized.code = value.code;
+  if (value.stack) serialized.stack = value.stack;
+  if (value.cause !== undefined) serialized.cause = toLoggable(value.cause);
+  return serialized;
+};
+
+const formatText = ({ time, level, msg, ...fields }) => {
+  const details = Object.entries(fields).map(([key, value]) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...details].join(" ");
+};
+
+// `write(line, level)` defaults to stdout, with warnings and errors on stderr.
+export const createLogger = ({
+  level = process.env.LOG_LEVEL,
+  format = process.env.LOG_FORMAT,
+  fields = {},
+  write = (line, lineLevel) => (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+} = {}) => {
+  const threshold = LEVELS[level?.toLowerCase()] ?? LEVELS.info;
+  const render = format?.toLowerCase() === "text" ? formatText : JSON.stringify;
+
+  const log = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg };
+    for (const [key, value] of Object.entries({ ...fields, ...extra })) {
+      if (value !== undefined) entry[key] = toLoggable(value);
+    }
+    write(render(entry), lineLevel);
+  };
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    // A logger that adds `extra` to every line, e.g. the prediction a job is working on
+    child: (extra) => createLogger({ level, format, fields: { ...fields, ...extra }, write }),
+  };
+};
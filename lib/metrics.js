@@ -0,0 +1,154 @@
+import { monitorEventLoopDelay } from "perf_hooks";
+
+// A small Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format for GET /metrics. Gauges read values that live elsewhere, such as the
+// job queue: their `collect()` is called on every scrape and returns [labels, value] pairs.
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds, from a fast image edit to a long video
+export const DEFAULT_LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const escapeHelp = (value) => value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) =>
+  Number.isNaN(value) ? "NaN" : value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value);
+
+// Label values in the order the metric declared its label names, so equal sets share a series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+export const createMetricsRegistry = () => {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered.`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  const header = ({ name, help, type }) => [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`];
+
+  return {
+    counter(name, help, { labels: labelNames = [] } = {}) {
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "counter",
+        render: () =>
+          [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+      });
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          const entry = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+          entry.value += amount;
+          series.set(key, entry);
+        },
+      };
+    },
+
+    gauge(name, help, { labels: labelNames = [], collect }) {
+      register({
+        name,
+        help,
+        type: "gauge",
+        render: () =>
+          collect().map(([labels, value]) => `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatValue(value)}`),
+      });
+    },
+
+    histogram(name, help, { labels: labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS } = {}) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "histogram",
+        render: () =>
+          [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map(
+              (bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`,
+            ),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+          ]),
+      });
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          const entry = series.get(key) ?? {
+            labels: pickLabels(labelNames, labels),
+            counts: bounds.map(() => 0),
+            sum: 0,
+            count: 0,
+          };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+          series.set(key, entry);
+        },
+      };
+    },
+
+    render() {
+      return `${metrics.flatMap((metric) => [...header(metric), ...metric.render()]).join("\n")}\n`;
+    },
+  };
+};
+
+// Heap, resident memory and event loop delay of this process. Event loop delay is sampled
+// continuously and reported for the time since the previous scrape.
+export const registerProcessMetrics = (registry) => {
+  const resolutionMs = 20;
+  const loopDelay = monitorEventLoopDelay({ resolution: resolutionMs });
+  loopDelay.enable();
+  let loopStats = null;
+
+  // Every gauge below reads the same sample, taken by the first one on each scrape. The monitor
+  // measures its own timer, so the timer's interval is taken off to leave the lag.
+  const sampleLoopDelay = () => {
+    const toLag = (nanoseconds) => Math.max(0, nanoseconds / 1e6 - resolutionMs) / 1000;
+    loopStats = loopDelay.count > 0
+      ? { mean: toLag(loopDelay.mean), p99: toLag(loopDelay.percentile(99)), max: toLag(loopDelay.max) }
+      : { mean: 0, p99: 0, max: 0 };
+    loopDelay.reset();
+  };
+
+  registry.gauge("nodejs_heap_used_bytes", "V8 heap in use.", {
+    collect: () => [[{}, process.memoryUsage().heapUsed]],
+  });
+  registry.gauge("nodejs_heap_total_bytes", "V8 heap allocated.", {
+    collect: () => [[{}, process.memoryUsage().heapTotal]],
+  });
+  registry.gauge("process_resident_memory_bytes", "Resident memory of the process.", {
+    collect: () => [[{}, process.memoryUsage().rss]],
+  });
+  registry.gauge("nodejs_eventloop_lag_mean_seconds", "Mean event loop delay since the previous scrape.", {
+    collect: () => {
+      sampleLoopDelay();
+      return [[{}, loopStats.mean]];
+    },
+  });
+  registry.gauge("nodejs_eventloop_lag_p99_seconds", "99th percentile event loop delay since the previous scrape.", {
+    collect: () => [[{}, loopStats.p99]],
+  });
+  registry.gauge("nodejs_eventloop_lag_max_seconds", "Longest event loop delay since the previous scrape.", {
+    collect: () => [[{}, loopStats.max]],
+  });
+};
@@ -0,0 +1,498 @@
+import { isUploadId } from "./uploads.js";
+
+// Declarative model registry. Each entry says which provider runs the model, what it
+// outputs and which inputs it takes; the server builds provider payloads from these
+// schemas and the UI renders its forms from them (via GET /api/models).
+//
+// `cost` weighs a run in quota credits (see lib/quotas.js): `credits` per run, scaled by
+// `multipliers` for particular input values and by each numeric input named in `per`.
+//
+// `failover` lists Replicate models that can serve the same request when the model's own
+// provider keeps failing (enabled per model key with MODEL_FAILOVER). Each route has a
+// `model` or `version` and `toInput(input)`, which maps the validated input to that model's
+// input, or returns null when the request can't be served there.
+//
+// Input field options:
+//   type        "string" | "integer" | "boolean" | "image" | "image[]"; images are data URLs,
+//               http(s) URLs or upload ids from POST /api/uploads
+//   required    reject the request when the value is missing or empty
+//   default     used when the value is missing
+//   enum        allowed values, matched exactly
+//   min / max   numeric bounds
+//   max_length  longest allowed string
+//   max_items   upper bound for "image[]" fields
+//   aliases     other request body keys accepted for this field
+//   when        the field only applies when other inputs match, e.g. { size: "custom" }
+//   requires    other inputs that must be given along with this one, e.g. ["image_input"]
+//   ui          presentation hints for the form renderer: widget ("textarea"), rows, refine
+//               (adds a Refine button; "image" or "video" picks the refine mode, and image
+//               prompts switch to "edit" while images are attached), templates (adds the
+//               prompt template picker),
+//               preview_aspect (drives the preview frame), compress (shrink large uploads),
+//               url_input (also accept a pasted URL), label, hint, preview_dimension
+//               ("width" / "height" of a custom size, drives the preview), mask_painter
+//               (paint the mask over the first image of the named field)
+//
+// Requests are validated strictly: wrong types, values outside enum or bounds, fields that
+// don't apply and unknown fields are all reported, never coerced or dropped. CSV batch cells
+// are the one exception: they arrive as text and are parsed by field type first.
+
+const DIMENSION_LIMITS = { min: 1024, max: 4096 };
+const MAX_IMAGES_LIMITS = { min: 1, max: 15 };
+const CANDIDATE_COUNT_LIMITS = { min: 1, max: 4 };
+
+const ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+
+export const createModelRegistry = (env = process.env) => {
+  const models = [
+    {
+      key: "nano-banana",
+      label: "Create",
+      description: "Generate a brand new scene",
+      display_name: "google/nano-banana-pro",
+      provider: "gemini",
+      model: env.GEMINI_IMAGE_MODEL || "gemini-3-pro-image-preview",
+      output: "image",
+      cost: { credits: 1, multipliers: { image_size: { "4K": 2 } }, per: ["candidateCount"] },
+      failover: [
+        {
+          provider: "replicate",
+          model: env.REPLICATE_NANO_BANANA_MODEL || "google/nano-banana-pro",
+          // One image per run there, and masked edits need our own compositing
+          toInput: ({ prompt, image_input: imageInput, aspect_ratio: aspectRatio, image_size: imageSize, candidateCount, mask }) =>
+            candidateCount > 1 || mask
+              ? null
+              : {
+                  prompt,
+                  ...(imageInput?.length && { image_input: imageInput }),
+                  aspect_ratio: aspectRatio,
+                  resolution: imageSize,
+                  output_format: "png",
+                },
+        },
+      ],
+      inputs: {
+        prompt: {
+          type: "string",
+          required: true,
+          default: "How engineers see the San Francisco Bridge",
+          ui: { widget: "textarea", rows: 6, refine: "image", templates: true, hint: "Shift + Return to add a new line" },
+        },
+        image_input: {
+          type: "image[]",
+          description: "Reference images to edit or draw from",
+          ui: { compress: true },
+        },
+        mask: {
+          type: "image",
+          requires: ["image_input"],
+          description: "Mask over the first reference image: white areas are edited, black areas stay untouched",
+          ui: { mask_painter: "image_input" },
+        },
+        aspect_ratio: {
+          type: "string",
+          enum: ["match_input_image", ...ASPECT_RATIOS],
+          default: "4:3",
+          description: "Aspect ratio of the generated image",
+          ui: { preview_aspect: true },
+        },
+        image_size: {
+          type: "string",
+          enum: ["1K", "2K", "4K"],
+          default: "2K",
+          description: "Size of the generated image",
+        },
+        candidateCount: {
+          type: "integer",
+          ...CANDIDATE_COUNT_LIMITS,
+          default: 1,
+          description: "Number of output images to generate (1-4)",
+        },
+      },
+    },
+    {
+      key: "video",
+      label: "Video",
+      description: "Generate a video",
+      display_name: "google/veo-3.1",
+      provider: "replicate",
+      model: env.REPLICATE_VIDEO_MODEL || "google/veo-3.1",
+      output: "video",
+      cost: { credits: 1, multipliers: { resolution: { "1080p": 1.5 } }, per: ["duration"] },
+      inputs: {
+        prompt: {
+          type: "string",
+          required: true,
+          description: "Text prompt for video generation",
+          ui: { widget: "textarea", rows: 3, refine: "video", templates: true },
+        },
+        aspect_ratio: {
+          type: "string",
+          enum: ["16:9", "9:16"],
+          default: "16:9",
+          description: "Video aspect ratio",
+          ui: { preview_aspect: true },
+        },
+        duration: {
+          type: "integer",
+          enum: [4, 6, 8],
+          default: 8,
+          description: "Video duration in seconds",
+        },
+        image: {
+          type: "image",
+          description: "Input image to start generating from.",
+        },
+        last_frame: {
+          type: "image",
+          description: "Ending image for interpolation.",
+        },
+        reference_images: {
+          type: "image[]",
+          max_items: 3,
+          description: "1 to 3 reference images for subject-consistent generation.",
+        },
+        negative_prompt: {
+          type: "string",
+          description: "Description of what to exclude from the generated video",
+          ui: { widget: "textarea", rows: 2 },
+        },
+        resolution: {
+          type: "string",
+          enum: ["720p", "1080p"],
+          default: "1080p",
+          description: "Resolution of the generated video",
+        },
+        generate_audio: {
+          type: "boolean",
+          default: true,
+          description: "Generate audio with the video",
+        },
+        seed: {
+          type: "integer",
+          description: "Random seed. Omit for random generations",
+        },
+      },
+    },
+    {
+      key: "remove-bg",
+      label: "Remove BG",
+      description: "Remove background from image",
+      display_name: "cjwbw/rembg",
+      provider: "replicate",
+      version:
+        env.REPLICATE_REMOVE_BG_VERSION ||
+        "cjwbw/rembg:fb8af171cfa1616ddcf1242c093f9c46bcada5ad4cf6f2fbe8b81b330ec5c003",
+      output: "image",
+      cost: { credits: 0.1 },
+      inputs: {
+        image: {
+          type: "image",
+          required: true,
+          aliases: ["image_url"],
+          description: "Image to remove the background from",
+          ui: { label: "Upload an image", url_input: true },
+        },
+        content_moderation: {
+          type: "boolean",
+          default: false,
+          description: "Enable content moderation",
+        },
+        preserve_partial_alpha: {
+          type: "boolean",
+          default: true,
+          description: "Preserve partially transparent pixels",
+        },
+      },
+    },
+    {
+      key: "seedream",
+      label: "Seedream",
+      description: "Generate with ByteDance Seedream",
+      display_name: "bytedance/seedream-4",
+      provider: "replicate",
+      version: env.REPLICATE_SEEDREAM_VERSION || env.REPLICATE_MODEL_VERSION,
+      model: "bytedance/seedream-4",
+      output: "image",
+      cost: { credits: 0.5, multipliers: { size: { "4K": 2, custom: 2 } }, per: ["max_images"] },
+      inputs: {
+        prompt: {
+          type: "string",
+          required: true,
+          ui: { widget: "textarea", rows: 6, refine: "image" },
+        },
+        image_input: {
+          type: "image[]",
+          description: "Input images for image-to-image generation",
+          ui: { compress: true },
+        },
+        size: {
+          type: "string",
+          enum: ["1K", "2K", "4K", "custom"],
+          default: "2K",
+          description: "Output resolution, or custom to set width and height",
+        },
+        width: {
+          type: "integer",
+          ...DIMENSION_LIMITS,
+          default: 2048,
+          when: { size: "custom" },
+          description: "Custom image width (1024-4096)",
+          ui: { preview_dimension: "width" },
+        },
+        height: {
+          type: "integer",
+          ...DIMENSION_LIMITS,
+          default: 2048,
+          when: { size: "custom" },
+          description: "Custom image height (1024-4096)",
+          ui: { preview_dimension: "height" },
+        },
+        aspect_ratio: {
+          type: "string",
+          enum: ["match_input_image", ...ASPECT_RATIOS],
+          default: "match_input_image",
+          description: "Aspect ratio of the generated image",
+          ui: { preview_aspect: true },
+        },
+        sequential_image_generation: {
+          type: "string",
+          enum: ["disabled", "auto"],
+          default: "disabled",
+          description: "auto lets the model return a set of related images, e.g. story frames or variations",
+        },
+        max_images: {
+          type: "integer",
+          ...MAX_IMAGES_LIMITS,
+          default: 1,
+          when: { sequential_image_generation: "auto" },
+          description: "Maximum number of images in sequential mode (1-15)",
+        },
+      },
+    },
+  ];
+
+  const byKey = new Map(models.map((model) => [model.key, model]));
+
+  return {
+    list: () => models,
+    get: (key) => (typeof key === "string" ? byKey.get(key.toLowerCase()) ?? null : null),
+  };
+};
+
+// Whether the model can run with the current environment, and why not.
+export const getModelAvailability = (model, env = process.env) => {
+  if (model.provider === "gemini") {
+    return env.GEMINI_API_KEY
+      ? { available: true }
+      : { available: false, reason: "Missing GEMINI_API_KEY in environment." };
+  }
+  if (!env.REPLICATE_API_TOKEN) {
+    return { available: false, reason: "Missing REPLICATE_API_TOKEN in environment." };
+  }
+  if (!model.version && !model.model) {
+    return { available: false, reason: `No Replicate version configured for "${model.key}".` };
+  }
+  return { available: true };
+};
+
+// `availability` is { available, reason }, from getModelAvailability unless the caller knows more
+export const toPublicModel = (model, availability = getModelAvailability(model)) => ({
+  key: model.key,
+  label: model.label,
+  description: model.description,
+  display_name: model.display_name,
+  provider: model.provider,
+  version: model.version ?? null,
+  model: model.model ?? null,
+  output: model.output,
+  hidden: model.hidden === true,
+  available: availability.available,
+  unavailable_reason: availability.available ? null : availability.reason ?? null,
+  inputs: model.inputs,
+});
+
+// Inputs of POST /api/refine, validated like a model's inputs
+export const REFINE_INPUTS = {
+  prompt: {
+    type: "string",
+    required: true,
+    max_length: 4000,
+    description: "Prompt to refine",
+  },
+  mode: {
+    type: "string",
+    enum: ["image", "video", "edit"],
+    default: "image",
+    description: "What the prompt is for: a still image, a video or edit instructions",
+  },
+  variants: {
+    type: "integer",
+    min: 1,
+    max: 4,
+    default: 1,
+    description: "Number of alternative rewrites (1-4)",
+  },
+  negative_prompt: {
+    type: "boolean",
+    default: false,
+    when: { mode: "video" },
+    description: "Also suggest a negative prompt",
+  },
+  stream: {
+    type: "boolean",
+    default: false,
+    description: "Stream the reply as server-sent events",
+  },
+};
+
+// Whether POST /api/refine can run with the current environment, and why not.
+export const getRefineAvailability = (env = process.env) => {
+  if (!env.REPLICATE_API_TOKEN) {
+    return { available: false, reason: "Missing REPLICATE_API_TOKEN in environment." };
+  }
+  if (!env.REPLICATE_REFINE_MODEL_VERSION) {
+    return {
+      available: false,
+      reason:
+        "Missing REPLICATE_REFINE_MODEL_VERSION in environment. Set it to the latest version id for openai/gpt-5-mini.",
+    };
+  }
+  return { available: true };
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+const isImageSource = (value) =>
+  typeof value === "string" && (/^(data:[^,]*,|https?:\/\/)/.test(value.trim()) || isUploadId(value.trim()));
+
+// CSV cells arrive as text, so batch rows are converted to the field's type before checking
+const fromString = (field, value) => {
+  const trimmed = value.trim();
+  if (field.type === "integer" && /^-?\d+$/.test(trimmed)) return Number(trimmed);
+  if (field.type === "boolean" && (trimmed === "true" || trimmed === "false")) return trimmed === "true";
+  if (field.type === "image[]") return trimmed.split(/\s+/);
+  return value;
+};
+
+// Returns { value } when the value is acceptable, otherwise { message }.
+const checkField = (name, field, raw) => {
+  let value = raw;
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string") return { message: `Field "${name}" must be a string.` };
+      value = value.trim();
+      if (field.max_length && value.length > field.max_length) {
+        return { message: `Field "${name}" must be at most ${field.max_length} characters.` };
+      }
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return { message: `Field "${name}" must be an integer.` };
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return { message: `Field "${name}" must be true or false.` };
+      break;
+    case "image":
+      if (!isImageSource(value)) return { message: `Field "${name}" must be a data URL, an http(s) URL or an upload id.` };
+      value = value.trim();
+      break;
+    case "image[]": {
+      if (!Array.isArray(value)) return { message: `Field "${name}" must be a list of images.` };
+      if (field.max_items && value.length > field.max_items) {
+        return { message: `Field "${name}" accepts at most ${field.max_items} image(s).` };
+      }
+      const invalid = value.findIndex((item) => !isImageSource(item));
+      if (invalid !== -1) {
+        return { message: `Field "${name}[${invalid}]" must be a data URL, an http(s) URL or an upload id.` };
+      }
+      value = value.map((item) => item.trim());
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return { message: `Field "${name}" must be one of: ${field.enum.join(", ")}.` };
+  }
+  if (field.min !== undefined && value < field.min) {
+    return { message: `Field "${name}" must be at least ${field.min}.` };
+  }
+  if (field.max !== undefined && value > field.max) {
+    return { message: `Field "${name}" must be at most ${field.max}.` };
+  }
+  return { value };
+};
+
+const matchesCondition = (condition, input) =>
+  !condition || Object.entries(condition).every(([key, expected]) => input[key] === expected);
+
+const describeCondition = (condition) =>
+  Object.entries(condition)
+    .map(([key, expected]) => `${key} is ${JSON.stringify(expected)}`)
+    .join(" and ");
+
+// Validates a request body against an input schema and fills in defaults. Returns the input
+// and a list of { field, message } errors. `allowedKeys` are extra body keys the caller handles
+// itself (e.g. model_key); `coerceStrings` converts text values first (CSV batch rows).
+export const validateInput = (inputs, body = {}, { allowedKeys = [], coerceStrings = false } = {}) => {
+  const input = {};
+  const errors = [];
+  const provided = new Set();
+
+  const known = new Set(allowedKeys);
+  for (const [name, field] of Object.entries(inputs)) {
+    [name, ...(field.aliases ?? [])].forEach((key) => known.add(key));
+  }
+  for (const key of Object.keys(body)) {
+    if (!known.has(key)) errors.push({ field: key, message: `Unknown field "${key}".` });
+  }
+
+  for (const [name, field] of Object.entries(inputs)) {
+    let raw = [name, ...(field.aliases ?? [])]
+      .map((key) => body[key])
+      .find((value) => !isEmpty(value));
+    if (raw === undefined) {
+      if (field.required) {
+        errors.push({ field: name, message: `Field "${name}" is required.` });
+      } else if (field.default !== undefined) {
+        input[name] = field.default;
+      }
+      continue;
+    }
+
+    if (coerceStrings && typeof raw === "string") raw = fromString(field, raw);
+    const { value, message } = checkField(name, field, raw);
+    if (message) {
+      errors.push({ field: name, message });
+    } else {
+      input[name] = value;
+      provided.add(name);
+    }
+  }
+
+  // Conditional fields are resolved last so they can depend on any other input
+  for (const [name, field] of Object.entries(inputs)) {
+    if (matchesCondition(field.when, input)) continue;
+    if (provided.has(name)) {
+      errors.push({ field: name, message: `Field "${name}" only applies when ${describeCondition(field.when)}.` });
+    }
+    delete input[name];
+  }
+
+  for (const [name, field] of Object.entries(inputs)) {
+    const missing = (field.requires ?? []).filter((key) => input[key] === undefined);
+    if (provided.has(name) && name in input && missing.length > 0) {
+      errors.push({ field: name, message: `Field "${name}" needs ${missing.join(" and ")}.` });
+    }
+  }
+
+  return { input, errors };
+};
+
+// Builds the provider input for a model from a request body; see validateInput.
+export const buildModelInput = (model, body = {}, options = {}) => validateInput(model.inputs, body, options);
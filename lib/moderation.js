@@ -0,0 +1,188 @@
+import fs from "fs";
+import { createLogger } from "./logger.js";
+
+// Prompt moderation, read from a JSON file (MODERATION_CONFIG). Inputs are checked against its
+// rules before credits are reserved or a provider is called.
+//
+//   {
+//     "rules": [
+//       { "id": "weapons", "terms": ["assault rifle", "handgun"], "message": "Weapons aren't allowed." },
+//       { "id": "public-figures", "pattern": "\\b(president|prime minister)\\b", "flags": "i", "action": "flag" },
+//       { "id": "video-gore", "terms": ["gore"], "models": ["video"], "fields": ["prompt"] }
+//     ]
+//   }
+//
+// `terms` match whole words or phrases regardless of case; `pattern` is a regular expression.
+// A rule checks every free-text input of a model (prompt, negative_prompt, ...) unless it lists
+// `fields`, on every model key ("refine" included) unless it lists `models`. "block", the
+// default action, rejects the request; "flag" lets it through and logs a warning.
+//
+// Providers refuse prompts of their own too; findGeminiBlock and findReplicateBlock below tell
+// those refusals apart from other outcomes so predictions can end up `blocked`.
+
+export const MODERATION_ACTIONS = ["block", "flag"];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Word boundaries only where the term starts or ends with a word character, so "c++" still matches
+const termPattern = (term) => {
+  const trimmed = term.trim();
+  const source = escapeRegExp(trimmed).replace(/\s+/g, "\\s+");
+  return `${/^\w/.test(trimmed) ? "\\b" : ""}${source}${/\w$/.test(trimmed) ? "\\b" : ""}`;
+};
+
+const compileRule = (rule, index) => {
+  const where = `rules[${index}]`;
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error(`Moderation rule ${where} must be an object.`);
+  }
+  const id = rule.id ?? `rule-${index + 1}`;
+  const action = rule.action ?? "block";
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new Error(`Moderation rule ${where}.action must be one of: ${MODERATION_ACTIONS.join(", ")}.`);
+  }
+  for (const list of ["terms", "models", "fields"]) {
+    const valid = Array.isArray(rule[list]) && rule[list].every((item) => typeof item === "string" && item.trim());
+    if (rule[list] !== undefined && !valid) {
+      throw new Error(`Moderation rule ${where}.${list} must be a list of non-empty strings.`);
+    }
+  }
+  if (!rule.terms?.length && typeof rule.pattern !== "string") {
+    throw new Error(`Moderation rule ${where} needs "terms" or a "pattern".`);
+  }
+
+  const sources = [...(rule.terms ?? []).map(termPattern), ...(typeof rule.pattern === "string" ? [rule.pattern] : [])];
+  // Rules test one input at a time, so the stateful flags are left out
+  const flags = typeof rule.flags === "string" ? rule.flags.replace(/[gy]/g, "") : "i";
+  let expression;
+  try {
+    expression = new RegExp(sources.map((source) => `(?:${source})`).join("|"), flags);
+  } catch (error) {
+    throw new Error(`Moderation rule ${where}.pattern is not a valid regular expression: ${error.message}`);
+  }
+
+  return {
+    id: String(id),
+    action,
+    expression,
+    models: rule.models ?? null,
+    fields: rule.fields ?? null,
+    message: typeof rule.message === "string" ? rule.message : null,
+  };
+};
+
+// Reads and checks the moderation file. Without a path nothing is moderated.
+export const loadModerationConfig = (filePath) => {
+  if (!filePath) return { rules: [] };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read moderation config ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(config.rules)) {
+    throw new Error(`Moderation config ${filePath} needs a "rules" list.`);
+  }
+  return { rules: config.rules.map(compileRule) };
+};
+
+// Free-text inputs: strings that aren't picked from a list
+const textFieldsOf = (inputs) =>
+  Object.entries(inputs)
+    .filter(([, field]) => field.type === "string" && !field.enum)
+    .map(([name]) => name);
+
+// `onMatch({ rule, action, model_key, field, ...context })` is called for every rule an input
+// breaks, flags included, e.g. to count them.
+export const createModerator = ({ rules = [], logger = createLogger(), onMatch = () => {} } = {}) => ({
+  enabled: rules.length > 0,
+
+  // The problems that block `input` for `target` (a model, or { key, inputs } for refine), as
+  // validation errors with the rule that caught them. Flagged inputs are only logged.
+  check(target, input, context = {}) {
+    const errors = [];
+    const textFields = textFieldsOf(target.inputs);
+    for (const rule of rules) {
+      if (rule.models && !rule.models.includes(target.key)) continue;
+      for (const field of rule.fields ?? textFields) {
+        const value = input[field];
+        if (typeof value !== "string" || !rule.expression.test(value)) continue;
+
+        onMatch({ rule: rule.id, action: rule.action, model_key: target.key, field, ...context });
+        if (rule.action === "flag") {
+          logger.warn("Input flagged by moderation", { rule: rule.id, model_key: target.key, field, ...context });
+          continue;
+        }
+        logger.info("Input blocked by moderation", { rule: rule.id, model_key: target.key, field, ...context });
+        errors.push({
+          field,
+          message: rule.message ?? `Field "${field}" was blocked by content moderation.`,
+          rule: rule.id,
+        });
+      }
+    }
+    return errors;
+  },
+});
+
+// Finish reasons for output Gemini withheld, as opposed to STOP or running out of tokens
+const GEMINI_BLOCK_REASONS = new Set([
+  "SAFETY",
+  "RECITATION",
+  "LANGUAGE",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "IMAGE_SAFETY",
+  "IMAGE_PROHIBITED_CONTENT",
+  "IMAGE_RECITATION",
+  "IMAGE_OTHER",
+  "NO_IMAGE",
+]);
+
+const blockedCategories = (ratings) => (ratings ?? []).filter((rating) => rating.blocked).map((rating) => rating.category);
+
+// Why Gemini refused in one stream chunk: the whole prompt (promptFeedback) or a candidate, by
+// its finish reason or a safety rating marked as blocked. Null when nothing in it was blocked.
+export const findGeminiBlock = (chunk) => {
+  const feedback = chunk?.promptFeedback;
+  if (feedback?.blockReason) {
+    return {
+      source: "gemini",
+      reason: feedback.blockReason,
+      categories: blockedCategories(feedback.safetyRatings),
+      message: feedback.blockReasonMessage ?? null,
+    };
+  }
+  for (const candidate of chunk?.candidates ?? []) {
+    const categories = blockedCategories(candidate.safetyRatings);
+    if (GEMINI_BLOCK_REASONS.has(candidate.finishReason) || categories.length > 0) {
+      return {
+        source: "gemini",
+        reason: GEMINI_BLOCK_REASONS.has(candidate.finishReason) ? candidate.finishReason : "SAFETY",
+        categories,
+        message: candidate.finishMessage ?? null,
+      };
+    }
+  }
+  return null;
+};
+
+// Replicate reports refusals as failures; these are the wordings its image and video models use
+const REPLICATE_BLOCK_PATTERN =
+  /\bE005\b|\bnsfw\b|flagged as sensitive|sensitive content|safety (?:filter|check|system)|content (?:policy|moderation)|responsible ai/i;
+
+// A failed Replicate prediction that was refused for its content, or null
+export const findReplicateBlock = (prediction) => {
+  if (prediction?.status !== "failed" || typeof prediction.error !== "string") return null;
+  if (!REPLICATE_BLOCK_PATTERN.test(prediction.error)) return null;
+  return { source: "replicate", reason: "SAFETY", categories: [], message: prediction.error };
+};
+
+// What a blocked prediction reports as its error. Replicate's own wording already says why.
+export const describeBlock = (block) => {
+  if (block.source === "replicate") return `Blocked by Replicate: ${block.message}`;
+  const categories = block.categories.length ? ` (${block.categories.join(", ")})` : "";
+  return `Blocked by Gemini: ${block.reason}${categories}${block.message ? `. ${block.message}` : ""}`;
+};
@@ -0,0 +1,973 @@
+import { SESSION_COOKIE } from "./auth.js";
+import { PIPELINE_MAX_STEPS } from "./pipelines.js";
+
+// Builds the OpenAPI 3.1 document served at GET /api/openapi.json. Request bodies come from the
+// same input schemas the server validates with (lib/models.js), so the document can't drift
+// from what is actually accepted.
+
+const IMAGE_DESCRIPTION = "Data URL, http(s) URL or upload id from POST /api/uploads";
+
+// JSON Schema for one input field of a model (see the field options in lib/models.js)
+const toFieldSchema = (field) => {
+  let schema;
+  switch (field.type) {
+    case "integer":
+      schema = { type: "integer" };
+      break;
+    case "boolean":
+      schema = { type: "boolean" };
+      break;
+    case "image":
+      schema = { type: "string", description: IMAGE_DESCRIPTION };
+      break;
+    case "image[]":
+      schema = { type: "array", items: { type: "string", description: IMAGE_DESCRIPTION } };
+      if (field.max_items) schema.maxItems = field.max_items;
+      break;
+    default:
+      schema = { type: "string" };
+      if (field.max_length) schema.maxLength = field.max_length;
+      break;
+  }
+
+  if (field.enum) schema.enum = field.enum;
+  if (field.min !== undefined) schema.minimum = field.min;
+  if (field.max !== undefined) schema.maximum = field.max;
+  if (field.default !== undefined) schema.default = field.default;
+
+  const notes = [field.description ?? schema.description];
+  if (field.aliases?.length) notes.push(`Also accepted as ${field.aliases.join(", ")}.`);
+  if (field.when) {
+    const condition = Object.entries(field.when)
+      .map(([key, expected]) => `${key} is ${JSON.stringify(expected)}`)
+      .join(" and ");
+    notes.push(`Only applies when ${condition}.`);
+  }
+  if (field.requires?.length) notes.push(`Needs ${field.requires.join(" and ")}.`);
+  const description = notes.filter(Boolean).join(" ");
+  if (description) schema.description = description;
+  return schema;
+};
+
+const toObjectSchema = (inputs, extraProperties = {}) => ({
+  type: "object",
+  additionalProperties: false,
+  required: Object.entries(inputs)
+    .filter(([, field]) => field.required)
+    .map(([name]) => name),
+  properties: {
+    ...extraProperties,
+    ...Object.fromEntries(Object.entries(inputs).map(([name, field]) => [name, toFieldSchema(field)])),
+  },
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description) => ({ description, content: { "application/json": { schema } } });
+
+const errorResponse = (description) => json(ref("Error"), description);
+
+const STANDARD_ERRORS = {
+  401: errorResponse("Not signed in and no valid API key"),
+  500: errorResponse("Unexpected server error"),
+};
+
+const idParameter = (description) => ({
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+  description,
+});
+
+const queryParameter = (name, schema, description) => ({ name, in: "query", schema, description });
+
+const userParameter = queryParameter(
+  "user",
+  { type: "string" },
+  "Admins only: another user's records, or * for everyone",
+);
+
+const openPrediction = (summary, extra = {}) => ({
+  summary,
+  parameters: [idParameter("Prediction id")],
+  ...extra,
+});
+
+export const buildOpenApiDocument = ({ models, refineInputs, version = "1.0.0" }) => {
+  const modelSchemas = Object.fromEntries(
+    models.map((model) => [
+      `${model.key}Request`,
+      {
+        ...toObjectSchema(model.inputs, {
+          model_key: { type: "string", const: model.key },
+          webhook: {
+            type: "string",
+            format: "uri",
+            description: "https URL notified with the finished prediction; internal hosts are refused",
+          },
+        }),
+        title: model.display_name,
+        description: model.description,
+      },
+    ]),
+  );
+  for (const schema of Object.values(modelSchemas)) schema.required.unshift("model_key");
+
+  const predictionRequest = {
+    oneOf: models.map((model) => ref(`${model.key}Request`)),
+    discriminator: {
+      propertyName: "model_key",
+      mapping: Object.fromEntries(models.map((model) => [model.key, `#/components/schemas/${model.key}Request`])),
+    },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Meepo Replicate API",
+      version,
+      description:
+        "Image and video generation through Gemini and Replicate. Request bodies are validated " +
+        "strictly; a 400 response lists every problem in `errors`.",
+    },
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "API key created under /api/auth/api-keys" },
+        sessionCookie: { type: "apiKey", in: "cookie", name: SESSION_COOKIE },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["error"],
+          properties: { error: { type: "string" }, details: {} },
+        },
+        ValidationError: {
+          type: "object",
+          required: ["error", "errors"],
+          properties: {
+            error: { type: "string", description: "The first problem, for display" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["field", "message"],
+                properties: {
+                  field: { type: "string", description: "Body field, e.g. duration or items[3].prompt" },
+                  message: { type: "string" },
+                  rule: { type: "string", description: "The moderation rule that blocked the field, if one did" },
+                },
+              },
+            },
+          },
+        },
+        QuotaError: {
+          type: "object",
+          required: ["error", "quota"],
+          properties: {
+            error: { type: "string" },
+            quota: {
+              type: "object",
+              properties: {
+                type: { type: "string" },
+                scope: { type: ["string", "null"] },
+                limit: { type: "number" },
+                used: { type: "number" },
+                remaining: { type: "number" },
+                resets_at: { type: ["string", "null"], format: "date-time" },
+                cost: { type: "number" },
+              },
+            },
+          },
+        },
+        Prediction: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            model_key: { type: "string", enum: models.map((model) => model.key) },
+            provider: { type: "string", enum: ["gemini", "replicate"], description: "The provider running it now" },
+            served_by: {
+              type: ["object", "null"],
+              description: "Provider and model that ran it, after any failover",
+              properties: { provider: { type: "string" }, model: { type: ["string", "null"] } },
+            },
+            retries: { type: "integer", description: "Attempts repeated after transient provider errors" },
+            failovers: {
+              type: "array",
+              description: "Providers given up on before the one that ran it",
+              items: {
+                type: "object",
+                properties: {
+                  provider: { type: "string" },
+                  model: { type: ["string", "null"] },
+                  error: { type: "string" },
+                  failed_at: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            status: {
+              type: "string",
+              enum: ["queued", "starting", "processing", "succeeded", "failed", "canceled", "blocked"],
+              description: "blocked: the provider refused the prompt or its output; credits are refunded",
+            },
+            queue_position: {
+              type: ["integer", "null"],
+              minimum: 1,
+              description: "Place in line while queued: 1 starts next",
+            },
+            input: { type: "object" },
+            output: {},
+            error: { type: ["string", "null"] },
+            block: {
+              type: ["object", "null"],
+              description: "Why the prediction was blocked",
+              properties: {
+                source: { type: "string", enum: ["gemini", "replicate"] },
+                reason: { type: "string", description: "e.g. SAFETY, PROHIBITED_CONTENT, IMAGE_SAFETY or NO_IMAGE" },
+                categories: { type: "array", items: { type: "string" }, description: "Safety categories that blocked it" },
+                message: { type: ["string", "null"], description: "The provider's own explanation" },
+              },
+            },
+            created_at: { type: "string", format: "date-time" },
+            completed_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+        Upload: {
+          type: "object",
+          properties: {
+            id: { type: "string", pattern: "^upl_[a-f0-9]{24}$" },
+            filename: { type: ["string", "null"] },
+            content_type: { type: "string" },
+            size: { type: "integer" },
+            url: { type: "string", description: "Where the file can be fetched, signed in" },
+            created_at: { type: "string", format: "date-time" },
+            expires_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+        TemplateRequest: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            name: { type: "string", maxLength: 100 },
+            description: { type: "string", maxLength: 500 },
+            model_key: { type: "string", enum: models.map((model) => model.key) },
+            prompt: { type: "string", maxLength: 4000, description: "May hold {{variable}} placeholders" },
+            params: { type: "object", description: "Preset values for the model's other non-image inputs" },
+          },
+        },
+        Template: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            user: { type: "string" },
+            name: { type: "string" },
+            description: { type: "string" },
+            model_key: { type: "string" },
+            prompt: { type: "string" },
+            variables: { type: "array", items: { type: "string" } },
+            params: { type: "object" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        Session: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            user: { type: "string" },
+            model_key: { type: "string" },
+            title: { type: ["string", "null"] },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+            turns: { type: "array", items: ref("SessionTurn"), description: "Oldest first; only when fetched by id" },
+          },
+        },
+        SessionTurn: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "The turn's prediction id" },
+            parent: { ...ref("SessionParent"), description: "The version this turn edited; null for a new branch" },
+            prompt: { type: "string" },
+            input: { type: "object" },
+            status: { type: "string" },
+            output: { type: "array", items: { type: "string" } },
+            error: { type: ["string", "null"] },
+            created_at: { type: "string", format: "date-time" },
+            completed_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+        SessionParent: {
+          type: ["object", "null"],
+          properties: {
+            id: { type: "string", description: "Turn id" },
+            output: { type: "integer", minimum: 0, default: 0, description: "Which of the turn's images" },
+          },
+        },
+        SessionTurnRequest: {
+          type: "object",
+          description:
+            "Inputs of the session's model, as in its <model>Request without model_key and webhook, plus parent. " +
+            "Without parent the turn edits the first output of the latest finished turn; null starts a new branch.",
+          properties: { prompt: { type: "string" }, parent: ref("SessionParent") },
+          required: ["prompt"],
+        },
+        PipelineRequest: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            name: { type: "string", maxLength: 100 },
+            description: { type: "string", maxLength: 500 },
+            steps: { type: "array", minItems: 1, maxItems: PIPELINE_MAX_STEPS, items: ref("PipelineStep") },
+          },
+        },
+        PipelineStep: {
+          type: "object",
+          additionalProperties: false,
+          required: ["model_key"],
+          properties: {
+            model_key: { type: "string", enum: models.map((model) => model.key) },
+            input: { type: "object", description: "Fixed inputs of the step's model" },
+            inputs_from: {
+              type: "object",
+              description: "Image inputs fed by an earlier step's output, e.g. { \"image\": { \"step\": 0, \"output\": 0 } }",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  step: { type: "integer", minimum: 0, description: "Defaults to the previous step" },
+                  output: { type: "integer", minimum: 0, default: 0 },
+                },
+              },
+            },
+          },
+        },
+        Pipeline: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            user: { type: "string" },
+            name: { type: "string" },
+            description: { type: "string" },
+            steps: { type: "array", items: ref("PipelineStep") },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        PipelineRun: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            pipeline_id: { type: "string" },
+            name: { type: "string" },
+            status: { type: "string", enum: ["running", "succeeded", "failed", "canceled", "blocked"] },
+            steps: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  index: { type: "integer" },
+                  model_key: { type: "string" },
+                  status: {
+                    type: "string",
+                    enum: ["pending", "running", "succeeded", "failed", "canceled", "blocked", "skipped"],
+                  },
+                  prediction_id: { type: ["string", "null"] },
+                  input: { type: ["object", "null"] },
+                  output: {},
+                  error: { type: ["string", "null"] },
+                  started_at: { type: ["string", "null"], format: "date-time" },
+                  completed_at: { type: ["string", "null"], format: "date-time" },
+                },
+              },
+            },
+            output: { description: "The last step's output once the run succeeded" },
+            created_at: { type: "string", format: "date-time" },
+            completed_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+        Batch: { type: "object", properties: { id: { type: "string" }, status: { type: "string" } } },
+        Model: {
+          type: "object",
+          properties: {
+            key: { type: "string" },
+            available: { type: "boolean", description: "False while the model is not configured or its provider is unreachable" },
+            unavailable_reason: { type: ["string", "null"] },
+            inputs: { type: "object" },
+          },
+        },
+        ModelDiagnostics: {
+          type: "object",
+          properties: {
+            key: { type: "string", description: "A model key, or refine for the prompt refiner" },
+            label: { type: "string" },
+            provider: { type: "string", enum: ["gemini", "replicate"] },
+            version: { type: ["string", "null"] },
+            model: { type: ["string", "null"] },
+            configured: { type: "boolean" },
+            reachable: { type: ["boolean", "null"], description: "Null when the provider wasn't checked" },
+            available: { type: "boolean" },
+            reason: { type: ["string", "null"] },
+            checked_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+        RefineRequest: toObjectSchema(refineInputs),
+        RefineResult: {
+          type: "object",
+          properties: {
+            mode: { type: "string" },
+            refined_prompt: { type: "string", description: "The first variant" },
+            variants: { type: "array", items: { type: "string" } },
+            negative_prompt: { type: ["string", "null"] },
+            elapsed_seconds: { type: "number" },
+          },
+        },
+        PredictionRequest: predictionRequest,
+        ...modelSchemas,
+      },
+    },
+    paths: {
+      "/health": {
+        get: { summary: "Health check", security: [], responses: { 200: json({ type: "object" }, "Server is up") } },
+      },
+      "/ready": {
+        get: {
+          summary: "Readiness check: the required models (or at least one) are configured and their providers answer",
+          security: [],
+          responses: {
+            200: json({ type: "object" }, "Ready; problems lists any other model key that can't run and why"),
+            503: json({ type: "object" }, "Not ready; problems lists each model key that can't run and why"),
+          },
+        },
+      },
+      "/api/openapi.json": {
+        get: { summary: "This document", security: [], responses: { 200: json({ type: "object" }, "OpenAPI document") } },
+      },
+      "/api/auth/login": {
+        post: {
+          summary: "Sign in and receive a session cookie",
+          security: [],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["username", "password"],
+                  properties: { username: { type: "string" }, password: { type: "string" } },
+                },
+              },
+            },
+          },
+          responses: {
+            200: json({ type: "object" }, "Signed in"),
+            401: errorResponse("Wrong username or password"),
+            429: errorResponse("Too many failed attempts"),
+          },
+        },
+      },
+      "/api/auth/logout": {
+        post: { summary: "Clear the session cookie", security: [], responses: { 204: { description: "Signed out" } } },
+      },
+      "/api/auth/session": {
+        get: { summary: "Current user", responses: { 200: json({ type: "object" }, "Signed-in user"), ...STANDARD_ERRORS } },
+      },
+      "/api/auth/api-keys": {
+        get: { summary: "List your API keys", responses: { 200: json({ type: "object" }, "API keys"), ...STANDARD_ERRORS } },
+        post: {
+          summary: "Create an API key; the raw key is only returned once",
+          requestBody: {
+            content: { "application/json": { schema: { type: "object", properties: { name: { type: "string" } } } } },
+          },
+          responses: { 201: json({ type: "object" }, "Created key"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/auth/api-keys/{id}": {
+        delete: {
+          summary: "Revoke an API key",
+          parameters: [idParameter("API key id")],
+          responses: { 204: { description: "Revoked" }, 404: errorResponse("No such key"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/models": {
+        get: {
+          summary: "Model catalogue with input schemas",
+          security: [],
+          responses: {
+            200: json(
+              { type: "object", properties: { default_model_key: { type: "string" }, models: { type: "array", items: ref("Model") } } },
+              "Models",
+            ),
+          },
+        },
+      },
+      "/api/predictions": {
+        get: {
+          summary: "Prediction history, newest first",
+          parameters: [
+            queryParameter("model_key", { type: "string" }, "Only this model"),
+            queryParameter("status", { type: "string" }, "Only this status"),
+            queryParameter("from", { type: "string", format: "date" }, "Created on or after"),
+            queryParameter("to", { type: "string", format: "date" }, "Created on or before"),
+            queryParameter("limit", { type: "integer" }, "Page size"),
+            queryParameter("offset", { type: "integer" }, "Page start"),
+            userParameter,
+          ],
+          responses: { 200: json({ type: "object" }, "A page of predictions"), 400: errorResponse("Bad filter"), ...STANDARD_ERRORS },
+        },
+        post: {
+          summary: "Start a prediction",
+          requestBody: { required: true, content: { "application/json": { schema: ref("PredictionRequest") } } },
+          responses: {
+            201: json({ type: "object", properties: { prediction: ref("Prediction") } }, "Prediction started"),
+            400: json(ref("ValidationError"), "Invalid request body, or a prompt blocked by moderation"),
+            402: json(ref("QuotaError"), "Credit budget used up"),
+            429: json(ref("QuotaError"), "Rate or concurrency limit reached"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/predictions/{id}": {
+        get: openPrediction("Fetch a prediction", {
+          responses: {
+            200: json({ type: "object", properties: { prediction: ref("Prediction") } }, "Prediction"),
+            404: errorResponse("No such prediction"),
+            ...STANDARD_ERRORS,
+          },
+        }),
+      },
+      "/api/predictions/{id}/cancel": {
+        post: openPrediction("Cancel a running prediction", {
+          responses: {
+            200: json({ type: "object", properties: { prediction: ref("Prediction") } }, "Canceled prediction"),
+            404: errorResponse("No such prediction"),
+            ...STANDARD_ERRORS,
+          },
+        }),
+      },
+      "/api/predictions/{id}/events": {
+        get: openPrediction("Server-sent events with prediction updates", {
+          responses: { 200: { description: "text/event-stream" }, 404: errorResponse("No such prediction"), ...STANDARD_ERRORS },
+        }),
+      },
+      "/api/predictions/{id}/outputs/{index}": {
+        get: openPrediction("Download one output of a prediction", {
+          parameters: [
+            idParameter("Prediction id"),
+            { name: "index", in: "path", required: true, schema: { type: "integer", minimum: 0 } },
+          ],
+          responses: { 200: { description: "The output file" }, 404: errorResponse("No such output"), ...STANDARD_ERRORS },
+        }),
+      },
+      "/api/assets/{id}": {
+        get: {
+          summary: "Stored output file; supports Range requests",
+          parameters: [idParameter("Asset id")],
+          responses: {
+            200: { description: "The file" },
+            206: { description: "Part of the file" },
+            404: errorResponse("No such asset"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/uploads": {
+        post: {
+          summary: "Store an image to reference by id from image inputs",
+          requestBody: {
+            required: true,
+            content: {
+              "multipart/form-data": {
+                schema: {
+                  type: "object",
+                  required: ["file"],
+                  properties: { file: { type: "string", format: "binary", description: "PNG, JPEG, WebP or GIF" } },
+                },
+              },
+            },
+          },
+          responses: {
+            201: json({ type: "object", properties: { upload: ref("Upload") } }, "Stored upload"),
+            400: json(ref("ValidationError"), "No file or an unsupported type"),
+            413: errorResponse("File too large"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/uploads/{id}": {
+        get: {
+          summary: "Upload metadata",
+          parameters: [idParameter("Upload id")],
+          responses: {
+            200: json({ type: "object", properties: { upload: ref("Upload") } }, "Upload"),
+            404: errorResponse("No such upload"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        delete: {
+          summary: "Delete an upload",
+          parameters: [idParameter("Upload id")],
+          responses: { 204: { description: "Deleted" }, 404: errorResponse("No such upload"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/batches": {
+        get: { summary: "Your batches", responses: { 200: json({ type: "object" }, "Batches"), ...STANDARD_ERRORS } },
+        post: {
+          summary: "Run many predictions from a CSV or JSONL file",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["model_key", "format", "data"],
+                  properties: {
+                    model_key: { type: "string", enum: models.map((model) => model.key) },
+                    format: { type: "string", enum: ["csv", "jsonl"] },
+                    data: { type: "string", description: "File contents; one prediction per row or line" },
+                    params: { type: "object", description: "Inputs shared by every item; rows override them" },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            201: json({ type: "object", properties: { batch: ref("Batch") } }, "Batch started"),
+            400: json(ref("ValidationError"), "Invalid file or items, or a prompt blocked by moderation"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/batches/{id}": {
+        get: {
+          summary: "Batch with its items",
+          parameters: [idParameter("Batch id")],
+          responses: { 200: json({ type: "object", properties: { batch: ref("Batch") } }, "Batch"), 404: errorResponse("No such batch"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/batches/{id}/cancel": {
+        post: {
+          summary: "Cancel a batch",
+          parameters: [idParameter("Batch id")],
+          responses: { 200: json({ type: "object", properties: { batch: ref("Batch") } }, "Batch"), 404: errorResponse("No such batch"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/batches/{id}/download": {
+        get: {
+          summary: "ZIP of a batch's outputs with a manifest",
+          parameters: [idParameter("Batch id")],
+          responses: { 200: { description: "application/zip" }, 404: errorResponse("No such batch"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/templates": {
+        get: {
+          summary: "Your prompt templates, by name",
+          parameters: [queryParameter("model_key", { type: "string" }, "Only this model"), userParameter],
+          responses: {
+            200: json({ type: "object", properties: { templates: { type: "array", items: ref("Template") } } }, "Templates"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        post: {
+          summary: "Save a prompt template",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": { schema: { ...ref("TemplateRequest"), required: ["name", "model_key", "prompt"] } },
+            },
+          },
+          responses: {
+            201: json({ type: "object", properties: { template: ref("Template") } }, "Saved template"),
+            400: json(ref("ValidationError"), "Invalid template"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/templates/{id}": {
+        get: {
+          summary: "Fetch a template",
+          parameters: [idParameter("Template id")],
+          responses: {
+            200: json({ type: "object", properties: { template: ref("Template") } }, "Template"),
+            404: errorResponse("No such template"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        patch: {
+          summary: "Change some fields of a template",
+          parameters: [idParameter("Template id")],
+          requestBody: { required: true, content: { "application/json": { schema: ref("TemplateRequest") } } },
+          responses: {
+            200: json({ type: "object", properties: { template: ref("Template") } }, "Updated template"),
+            400: json(ref("ValidationError"), "Invalid template"),
+            404: errorResponse("No such template"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        delete: {
+          summary: "Delete a template",
+          parameters: [idParameter("Template id")],
+          responses: { 204: { description: "Deleted" }, 404: errorResponse("No such template"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/templates/{id}/render": {
+        post: {
+          summary: "Fill in a template's variables",
+          parameters: [idParameter("Template id")],
+          requestBody: {
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { variables: { type: "object", additionalProperties: { type: "string" } } },
+                },
+              },
+            },
+          },
+          responses: {
+            200: json({ type: "object", properties: { input: ref("PredictionRequest") } }, "Body for POST /api/predictions"),
+            400: json(ref("ValidationError"), "Variables without a value"),
+            404: errorResponse("No such template"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/sessions": {
+        get: {
+          summary: "Your edit sessions, most recently used first",
+          parameters: [userParameter],
+          responses: {
+            200: json({ type: "object", properties: { sessions: { type: "array", items: ref("Session") } } }, "Sessions"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        post: {
+          summary: "Start a multi-turn edit session with a Gemini image model",
+          requestBody: {
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: { model_key: { type: "string" }, title: { type: "string", maxLength: 200 } },
+                },
+              },
+            },
+          },
+          responses: {
+            201: json({ type: "object", properties: { session: ref("Session") } }, "New session"),
+            400: json(ref("ValidationError"), "Invalid session"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/sessions/{id}": {
+        get: {
+          summary: "A session with every turn",
+          parameters: [idParameter("Session id")],
+          responses: {
+            200: json({ type: "object", properties: { session: ref("Session") } }, "Session"),
+            404: errorResponse("No such session"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        delete: {
+          summary: "Delete a session and all its turns",
+          parameters: [idParameter("Session id")],
+          responses: { 204: { description: "Deleted" }, 404: errorResponse("No such session"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/sessions/{id}/turns": {
+        post: {
+          summary: "Run the next prompt of a session, with the conversation so far as context",
+          parameters: [idParameter("Session id")],
+          requestBody: { required: true, content: { "application/json": { schema: ref("SessionTurnRequest") } } },
+          responses: {
+            201: json({ type: "object", properties: { prediction: ref("Prediction") } }, "Turn started"),
+            400: json(ref("ValidationError"), "Invalid input or parent, or a prompt blocked by moderation"),
+            404: errorResponse("No such session"),
+            409: errorResponse("An image in the history is no longer available"),
+            402: json(ref("QuotaError"), "Credit budget used up"),
+            429: json(ref("QuotaError"), "Rate or concurrency limit reached"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/pipelines": {
+        get: {
+          summary: "Your pipelines, by name",
+          parameters: [userParameter],
+          responses: {
+            200: json({ type: "object", properties: { pipelines: { type: "array", items: ref("Pipeline") } } }, "Pipelines"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        post: {
+          summary: "Save a chain of model runs",
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { ...ref("PipelineRequest"), required: ["name", "steps"] } } },
+          },
+          responses: {
+            201: json({ type: "object", properties: { pipeline: ref("Pipeline") } }, "Saved pipeline"),
+            400: json(ref("ValidationError"), "Invalid pipeline"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/pipelines/{id}": {
+        get: {
+          summary: "Fetch a pipeline",
+          parameters: [idParameter("Pipeline id")],
+          responses: {
+            200: json({ type: "object", properties: { pipeline: ref("Pipeline") } }, "Pipeline"),
+            404: errorResponse("No such pipeline"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        patch: {
+          summary: "Change some fields of a pipeline",
+          parameters: [idParameter("Pipeline id")],
+          requestBody: { required: true, content: { "application/json": { schema: ref("PipelineRequest") } } },
+          responses: {
+            200: json({ type: "object", properties: { pipeline: ref("Pipeline") } }, "Updated pipeline"),
+            400: json(ref("ValidationError"), "Invalid pipeline"),
+            404: errorResponse("No such pipeline"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        delete: {
+          summary: "Delete a pipeline; its runs are kept",
+          parameters: [idParameter("Pipeline id")],
+          responses: { 204: { description: "Deleted" }, 404: errorResponse("No such pipeline"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/pipelines/{id}/runs": {
+        get: {
+          summary: "Runs of a pipeline, newest first",
+          parameters: [idParameter("Pipeline id")],
+          responses: {
+            200: json({ type: "object", properties: { runs: { type: "array", items: ref("PipelineRun") } } }, "Runs"),
+            404: errorResponse("No such pipeline"),
+            ...STANDARD_ERRORS,
+          },
+        },
+        post: {
+          summary: "Run a pipeline",
+          parameters: [idParameter("Pipeline id")],
+          requestBody: {
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: {
+                    overrides: {
+                      type: "array",
+                      maxItems: PIPELINE_MAX_STEPS,
+                      items: { type: ["object", "null"] },
+                      description: "Inputs to change for this run, one object per step",
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            201: json({ type: "object", properties: { run: ref("PipelineRun") } }, "Run started"),
+            400: json(ref("ValidationError"), "Invalid overrides, or a prompt blocked by moderation"),
+            404: errorResponse("No such pipeline"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/pipeline-runs/{id}": {
+        get: {
+          summary: "A pipeline run with the status of each step",
+          parameters: [idParameter("Run id")],
+          responses: {
+            200: json({ type: "object", properties: { run: ref("PipelineRun") } }, "Run"),
+            404: errorResponse("No such run"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/pipeline-runs/{id}/cancel": {
+        post: {
+          summary: "Cancel a pipeline run",
+          parameters: [idParameter("Run id")],
+          responses: {
+            200: json({ type: "object", properties: { run: ref("PipelineRun") } }, "Run"),
+            404: errorResponse("No such run"),
+            409: errorResponse("The run already finished"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/quota": {
+        get: {
+          summary: "Your limits and remaining allowance",
+          responses: { 200: json({ type: "object" }, "Quota status"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/usage": {
+        get: {
+          summary: "Usage report",
+          parameters: [
+            queryParameter("group_by", { type: "string" }, "Comma list of day, model and user, or none for raw entries"),
+            queryParameter("from", { type: "string", format: "date" }, "Created on or after"),
+            queryParameter("to", { type: "string", format: "date" }, "Created on or before"),
+            queryParameter("model_key", { type: "string" }, "Only this model"),
+            queryParameter("format", { type: "string", enum: ["json", "csv"] }, "csv downloads the rows"),
+            userParameter,
+          ],
+          responses: { 200: json({ type: "object" }, "Usage rows and totals"), 400: errorResponse("Bad filter"), ...STANDARD_ERRORS },
+        },
+      },
+      "/api/admin/diagnostics": {
+        get: {
+          summary: "Configuration and provider reachability of every model (administrators only)",
+          parameters: [queryParameter("refresh", { type: "boolean" }, "Probe the providers again instead of using recent results")],
+          responses: {
+            200: json(
+              {
+                type: "object",
+                properties: {
+                  probe: { type: "string", enum: ["live", "stub"] },
+                  providers: { type: "object" },
+                  models: { type: "array", items: ref("ModelDiagnostics") },
+                },
+              },
+              "Diagnostics",
+            ),
+            403: errorResponse("Not an administrator"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/refine": {
+        post: {
+          summary: "Rewrite a prompt for an image, video or edit, optionally streamed",
+          requestBody: { required: true, content: { "application/json": { schema: ref("RefineRequest") } } },
+          responses: {
+            200: {
+              description: "Rewrites, or with stream: true server-sent delta events followed by done",
+              content: {
+                "application/json": { schema: ref("RefineResult") },
+                "text/event-stream": { schema: { type: "string" } },
+              },
+            },
+            400: json(ref("ValidationError"), "Invalid request body, or a prompt blocked by moderation"),
+            ...STANDARD_ERRORS,
+          },
+        },
+      },
+      "/api/webhooks/replicate": {
+        post: {
+          summary: "Replicate prediction updates, signed with the Replicate webhook secret",
+          security: [],
+          responses: { 204: { description: "Accepted" }, 401: { description: "Bad signature" } },
+        },
+      },
+    },
+  };
+};
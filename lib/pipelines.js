@@ -0,0 +1,368 @@
+import { randomBytes } from "crypto";
+import { createLease, isHeldElsewhere, LEASE_RENEW_MS, PROCESS_ID } from "./leases.js";
+import { createLogger } from "./logger.js";
+import { validateInput } from "./models.js";
+
+// Saved chains of model runs, e.g. generate a product shot, remove its background, then use it
+// as the first frame of a video. Each step names a model, its fixed `input` and `inputs_from`:
+// which earlier step's output feeds which of its image inputs, as { image: { step: 0, output: 0 } }
+// (step defaults to the previous one, output to the first). A run executes the steps in order
+// and records each step's prediction and status; a step that doesn't succeed skips the rest.
+
+export const PIPELINE_MAX_STEPS = 8;
+
+const PIPELINE_INPUTS = {
+  name: { type: "string", required: true, max_length: 100 },
+  description: { type: "string", max_length: 500 },
+};
+
+const STEP_KEYS = ["model_key", "input", "inputs_from"];
+
+const TERMINAL_STEP_STATUSES = new Set(["succeeded", "failed", "canceled", "blocked", "skipped"]);
+
+// Stands in for a linked output while inputs are checked before the run; any image URL will do
+const LINKED_OUTPUT = "https://pipeline.invalid/output";
+
+export const createPipelineId = () => `pipe-${Date.now()}-${randomBytes(4).toString("hex")}`;
+
+export const createPipelineRunId = () => `prun-${Date.now()}-${randomBytes(4).toString("hex")}`;
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isImageField = (field) => field?.type === "image" || field?.type === "image[]";
+
+// The request body for one step: fixed inputs, then the run's overrides, then linked outputs
+// (`linked` maps input names to the value to use; list inputs get a one-item list).
+export const buildStepBody = (step, model, { overrides = {}, linked = {} } = {}) => ({
+  ...step.input,
+  ...overrides,
+  ...Object.fromEntries(
+    Object.entries(linked).map(([name, value]) => [name, model.inputs[name].type === "image[]" ? [value] : value]),
+  ),
+});
+
+const placeholderLinks = (step) =>
+  Object.fromEntries(Object.keys(step.inputs_from).map((name) => [name, LINKED_OUTPUT]));
+
+// Checks one step and returns it normalized, or null. Errors are pushed with `steps[i]` paths.
+const checkStep = (raw, index, steps, registry, errors) => {
+  const prefix = `steps[${index}]`;
+  if (!isObject(raw)) {
+    errors.push({ field: prefix, message: `Step ${index + 1} must be an object.` });
+    return null;
+  }
+  for (const key of Object.keys(raw)) {
+    if (!STEP_KEYS.includes(key)) errors.push({ field: `${prefix}.${key}`, message: `Unknown field "${key}".` });
+  }
+
+  const model = typeof raw.model_key === "string" ? registry.get(raw.model_key) : null;
+  if (!model) {
+    errors.push({
+      field: `${prefix}.model_key`,
+      message: typeof raw.model_key === "string" ? `Unsupported model key "${raw.model_key}".` : `Field "model_key" is required.`,
+    });
+  }
+  const input = raw.input ?? {};
+  if (!isObject(input)) {
+    errors.push({ field: `${prefix}.input`, message: 'Field "input" must be an object.' });
+  }
+  const links = raw.inputs_from ?? {};
+  if (!isObject(links)) {
+    errors.push({ field: `${prefix}.inputs_from`, message: 'Field "inputs_from" must be an object.' });
+  }
+  if (!model || !isObject(input) || !isObject(links)) return null;
+
+  const step = { model_key: model.key, input, inputs_from: {} };
+  let linksValid = true;
+  for (const [name, rawSource] of Object.entries(links)) {
+    const field = `${prefix}.inputs_from.${name}`;
+    const source = { step: index - 1, output: 0, ...(isObject(rawSource) ? rawSource : {}) };
+    const sourceModel = registry.get(steps[source.step]?.model_key);
+    let message = null;
+    if (!isImageField(model.inputs[name])) {
+      message = `Input "${name}" of ${model.key} doesn't take an image.`;
+    } else if (name in input) {
+      message = `Input "${name}" is fed by an earlier step, so it can't also be set in "input".`;
+    } else if (!isObject(rawSource)) {
+      message = `Field "${field}" must be an object like { "step": 0, "output": 0 }.`;
+    } else if (!Number.isInteger(source.step) || source.step < 0 || source.step >= index) {
+      message = `Input "${name}" must come from an earlier step.`;
+    } else if (!Number.isInteger(source.output) || source.output < 0) {
+      message = `Field "${field}.output" must be an output index (0 or more).`;
+    } else if (sourceModel && sourceModel.output !== "image") {
+      message = `Step ${source.step + 1} doesn't make an image, so it can't feed "${name}".`;
+    }
+    if (message) {
+      errors.push({ field, message });
+      linksValid = false;
+    } else {
+      step.inputs_from[name] = { step: source.step, output: source.output };
+    }
+  }
+  if (!linksValid) return null;
+
+  const checked = validateInput(model.inputs, buildStepBody(step, model, { linked: placeholderLinks(step) }));
+  checked.errors.forEach(({ field, message }) => errors.push({ field: `${prefix}.input.${field}`, message }));
+  return checked.errors.length ? null : step;
+};
+
+// Checks a complete pipeline body against the model registry. Returns the pipeline fields and
+// a list of { field, message } errors.
+export const validatePipeline = (body, registry) => {
+  const { input, errors } = validateInput(PIPELINE_INPUTS, body, { allowedKeys: ["steps"] });
+  const pipeline = { ...input, steps: [] };
+
+  const steps = body.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push({ field: "steps", message: 'Field "steps" must be a list with at least one step.' });
+  } else if (steps.length > PIPELINE_MAX_STEPS) {
+    errors.push({ field: "steps", message: `A pipeline has at most ${PIPELINE_MAX_STEPS} steps.` });
+  } else {
+    steps.forEach((raw, index) => {
+      const step = checkStep(raw, index, steps, registry, errors);
+      if (step) pipeline.steps.push(step);
+    });
+  }
+  return { pipeline, errors };
+};
+
+// Checks per-step input overrides for a run ([{ prompt: "..." }, null, ...]). Returns the
+// overrides padded to one object per step and a list of errors.
+export const validatePipelineOverrides = (pipeline, overrides, registry) => {
+  const errors = [];
+  if (overrides === undefined || overrides === null) {
+    return { overrides: pipeline.steps.map(() => ({})), errors };
+  }
+  if (!Array.isArray(overrides) || overrides.length > pipeline.steps.length) {
+    errors.push({ field: "overrides", message: 'Field "overrides" must be a list with at most one object per step.' });
+    return { overrides: [], errors };
+  }
+
+  const padded = pipeline.steps.map((step, index) => {
+    const override = overrides[index] ?? {};
+    if (!isObject(override)) {
+      errors.push({ field: `overrides[${index}]`, message: `Overrides for step ${index + 1} must be an object.` });
+      return {};
+    }
+    const model = registry.get(step.model_key);
+    const linked = placeholderLinks(step);
+    for (const name of Object.keys(override).filter((key) => key in linked)) {
+      errors.push({ field: `overrides[${index}].${name}`, message: `Input "${name}" comes from an earlier step.` });
+    }
+    const checked = validateInput(model.inputs, buildStepBody(step, model, { overrides: override, linked }));
+    checked.errors.forEach(({ field, message }) => errors.push({ field: `overrides[${index}].${field}`, message }));
+    return override;
+  });
+  return { overrides: padded, errors };
+};
+
+export const createPipelineRun = (pipeline, { user, apiKeyId = null, overrides }) => ({
+  id: createPipelineRunId(),
+  pipeline_id: pipeline.id,
+  name: pipeline.name,
+  user,
+  api_key_id: apiKeyId,
+  status: "running",
+  // The definition as it was when the run started, so later edits don't change it midway
+  definition: pipeline.steps,
+  overrides,
+  steps: pipeline.steps.map((step, index) => ({
+    index,
+    model_key: step.model_key,
+    status: "pending",
+    prediction_id: null,
+    input: null,
+    output: null,
+    error: null,
+    started_at: null,
+    completed_at: null,
+  })),
+  output: null,
+  created_at: new Date().toISOString(),
+  completed_at: null,
+});
+
+// Runs pipelines one step after another, any number of runs side by side.
+//
+// runStep({ run, step, onPrediction }) resolves with the finished prediction of one step. It
+// calls onPrediction(id) once the prediction exists, and should wait on `step.prediction_id`
+// instead of creating a new one when that is already set (a run resumed after a restart).
+// cancelPrediction(id) cancels an in-flight prediction.
+//
+// Each run is executed by the process holding its lease (see lib/leases.js), renewed on every
+// save and at least every LEASE_RENEW_MS; `processId` names this process.
+export const createPipelineRunner = ({ runs, runStep, cancelPrediction, processId = PROCESS_ID, logger = createLogger() }) => {
+  const states = new Map();
+
+  // Saved under the record's lock, and only while this process still holds the run. A run
+  // canceled in its stored record by another process (see cancel) is left as stored: it stops
+  // after its current step, whose prediction that process already canceled. A run whose lease
+  // ran out and was taken over elsewhere is dropped here.
+  const persist = (state) => {
+    state.saving = state.saving
+      .then(async () => {
+        const { run } = state;
+        const saved = await runs.update(run.id, (current) => {
+          if (current.owner?.id !== processId) return null;
+          if (current.status === "canceled") {
+            state.canceled = true;
+            return null;
+          }
+          run.owner = createLease(processId);
+          return structuredClone(run);
+        });
+        if (saved?.owner?.id !== processId && !state.lost) {
+          state.lost = true;
+          if (states.get(run.id) === state) states.delete(run.id);
+          logger.warn("Lost the lease on a pipeline run; another process runs it now", { run_id: run.id });
+        }
+      })
+      .catch((error) => logger.error("Failed to save pipeline run", { run_id: state.run.id, error: error.message }));
+    return state.saving;
+  };
+
+  const heartbeat = setInterval(() => {
+    for (const state of states.values()) persist(state);
+  }, LEASE_RENEW_MS);
+  heartbeat.unref();
+
+  const execute = async (state) => {
+    const { run } = state;
+    for (const step of run.steps) {
+      if (TERMINAL_STEP_STATUSES.has(step.status)) {
+        if (step.status === "succeeded") continue;
+        break;
+      }
+      // Picks up a cancel or a takeover by another process before the step starts
+      await persist(state);
+      if (state.canceled || state.lost) break;
+
+      step.status = "running";
+      step.started_at ??= new Date().toISOString();
+      persist(state);
+
+      try {
+        const prediction = await runStep({
+          run,
+          step,
+          onPrediction: async (predictionId) => {
+            step.prediction_id = predictionId;
+            await persist(state);
+            // Whoever runs it now doesn't know about this prediction
+            if (state.canceled || state.lost) await cancelPrediction(predictionId);
+          },
+        });
+        step.status = prediction.status;
+        step.output = prediction.output ?? null;
+        step.error = prediction.error ?? null;
+      } catch (error) {
+        step.status = "failed";
+        step.error = error instanceof Error ? error.message : String(error);
+      }
+      step.completed_at = new Date().toISOString();
+      persist(state);
+      if (step.status !== "succeeded") break;
+    }
+
+    await state.saving;
+    if (state.lost) return;
+    for (const step of run.steps) {
+      if (step.status === "pending") step.status = state.canceled ? "canceled" : "skipped";
+    }
+    // A run ends the way the step that stopped it did; a blocked step blocks the run
+    const last = run.steps.at(-1);
+    const stopped = run.steps.find((step) => step.status === "failed" || step.status === "blocked");
+    run.status =
+      last.status === "succeeded" ? "succeeded" : state.canceled && !stopped ? "canceled" : stopped?.status ?? "failed";
+    run.output = last.status === "succeeded" ? last.output : null;
+    run.completed_at = new Date().toISOString();
+    states.delete(run.id);
+    return persist(state);
+  };
+
+  const enqueue = (run) => {
+    const state = { run, canceled: false, lost: false, saving: Promise.resolve() };
+    states.set(run.id, state);
+    run.status = "running";
+    persist(state);
+    execute(state).catch((error) => logger.error("Pipeline run failed", { run_id: run.id, error }));
+    return state.saving;
+  };
+
+  // Written under the record's lock, so the owner's next save sees the cancel
+  const cancelStored = async (runId) => {
+    const now = new Date().toISOString();
+    let current = null;
+    let canceled = false;
+    await runs.update(runId, (run) => {
+      if (run.status !== "running") return null;
+      current = run.steps.find((step) => step.status === "running");
+      canceled = true;
+      const steps = run.steps.map((step) =>
+        step.status === "pending" || step.status === "running" ? { ...step, status: "canceled", completed_at: now } : step,
+      );
+      return { status: "canceled", steps, output: null, completed_at: now };
+    });
+    if (!canceled) return false;
+    if (current?.prediction_id) {
+      await cancelPrediction(current.prediction_id).catch((error) => {
+        logger.error("Failed to cancel pipeline step", {
+          run_id: runId,
+          prediction_id: current.prediction_id,
+          error: error.message,
+        });
+      });
+    }
+    return true;
+  };
+
+  return {
+    async start(run) {
+      run.owner = createLease(processId);
+      await runs.set(structuredClone(run));
+      return enqueue(run);
+    },
+
+    // Takes over running runs no live process holds: ones left by a process that stopped, this
+    // one included. Call it now and then, so runs of a process that died get picked up.
+    async resume() {
+      const records = await runs.list();
+      const unheld = records
+        .filter((run) => run.status === "running" && !states.has(run.id) && !isHeldElsewhere(run.owner, processId))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+      let count = 0;
+      for (const record of unheld) {
+        // Checked again under the record's lock; as with batches, two processes claiming it in the
+        // same instant is settled by the first save that finds the other's lease
+        const run = await runs.update(record.id, (current) =>
+          current.status === "running" && !isHeldElsewhere(current.owner, processId)
+            ? { owner: createLease(processId) }
+            : null,
+        );
+        if (run?.status !== "running" || run.owner?.id !== processId || states.has(run.id)) continue;
+        enqueue(run);
+        count++;
+      }
+      return count;
+    },
+
+    // Returns false when the run has already finished. A run going in another process, or one
+    // not resumed yet, is canceled in its stored record, which that process sees at its next save.
+    async cancel(runId) {
+      const state = states.get(runId);
+      if (!state) return cancelStored(runId);
+      state.canceled = true;
+      const current = state.run.steps.find((step) => step.status === "running");
+      if (current?.prediction_id) {
+        await cancelPrediction(current.prediction_id).catch((error) => {
+          logger.error("Failed to cancel pipeline step", {
+            run_id: runId,
+            prediction_id: current.prediction_id,
+            error: error.message,
+          });
+        });
+      }
+      return true;
+    },
+  };
+};
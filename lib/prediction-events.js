@@ -0,0 +1,46 @@
+import { EventEmitter } from "events";
+
+// Every write and delete, whatever the record id
+const CHANGED = Symbol("changed");
+
+// Wraps a store collection so every write is published to subscribers of that record id.
+export const createObservedCollection = (collection) => {
+  const emitter = new EventEmitter();
+  // One listener per open SSE connection, so the default cap of 10 is far too low.
+  emitter.setMaxListeners(0);
+
+  const publish = (record) => {
+    if (record) {
+      emitter.emit(record.id, record);
+      emitter.emit(CHANGED, record.id, record);
+    }
+    return record;
+  };
+
+  return {
+    ...collection,
+    async set(record) {
+      return publish(await collection.set(record));
+    },
+    async update(id, patch) {
+      return publish(await collection.update(id, patch));
+    },
+    async delete(id) {
+      const deleted = await collection.delete(id);
+      if (deleted) emitter.emit(CHANGED, id, null);
+      return deleted;
+    },
+    subscribe(id, listener) {
+      emitter.on(id, listener);
+      return () => emitter.off(id, listener);
+    },
+    subscriberCount(id) {
+      return emitter.listenerCount(id);
+    },
+    // `listener(id, record)` hears about every record; `record` is null once it was deleted
+    onChange(listener) {
+      emitter.on(CHANGED, listener);
+      return () => emitter.off(CHANGED, listener);
+    },
+  };
+};
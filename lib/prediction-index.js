@@ -0,0 +1,64 @@
+// What quota checks, the history and session listings need to know about every stored
+// prediction, kept in memory so those requests don't read the whole store. The index is filled
+// by one scan at startup and kept current from the observed collection's changes (see
+// lib/prediction-events.js), so it only sees writes made by this process.
+
+const toEntry = (record) => ({
+  id: record.id,
+  user: record.user ?? null,
+  api_key_id: record.api_key_id ?? null,
+  model_key: record.model_key ?? null,
+  provider: record.provider ?? null,
+  provider_prediction_id: record.provider_prediction_id ?? null,
+  status: record.status,
+  session_id: record.session?.id ?? null,
+  created_at: record.created_at,
+});
+
+// `isActive(status)` tells unfinished predictions apart, which are also indexed on their own.
+export const createPredictionIndex = (predictions, { isActive }) => {
+  const entries = new Map();
+  const active = new Map();
+  // Ids written while the startup scan runs; what the scan read of them may already be stale
+  let changedDuringScan = new Set();
+
+  const apply = (id, record) => {
+    if (!record) {
+      entries.delete(id);
+      active.delete(id);
+      return;
+    }
+    const entry = toEntry(record);
+    entries.set(id, entry);
+    if (isActive(entry.status)) active.set(id, entry);
+    else active.delete(id);
+  };
+
+  predictions.onChange((id, record) => {
+    changedDuringScan?.add(id);
+    apply(id, record);
+  });
+
+  const ready = predictions.list().then((records) => {
+    for (const record of records) {
+      if (!changedDuringScan.has(record.id)) apply(record.id, record);
+    }
+    changedDuringScan = null;
+  });
+
+  return {
+    ready,
+
+    // Entries matching `predicate`, newest first
+    async find(predicate = () => true) {
+      await ready;
+      return [...entries.values()].filter(predicate).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    },
+
+    // Unfinished predictions only
+    async active(predicate = () => true) {
+      await ready;
+      return [...active.values()].filter(predicate);
+    },
+  };
+};
@@ -0,0 +1,284 @@
+import fs from "fs";
+import { randomBytes } from "crypto";
+
+// Usage limits, read from a JSON file (QUOTA_CONFIG). Every limit is optional; null or absent
+// means unlimited.
+//
+//   {
+//     "defaults": { "requests_per_minute": 20, "concurrent_jobs": 4, "daily_credits": 100, "monthly_credits": 1500 },
+//     "models":   { "video": { "concurrent_jobs": 1, "daily_credits": 60 } },
+//     "users":    { "alice": { "daily_credits": 300, "models": { "video": { "daily_credits": null } } } },
+//     "api_keys": { "<api key id>": { "requests_per_minute": 120 } },
+//     "costs":    { "video": { "credits": 2, "per": ["duration"], "multipliers": { "resolution": { "1080p": 1.5 } } } }
+//   }
+//
+// `defaults`, `users` and `api_keys` limit everything a caller runs; `models` (and a user's or
+// key's own `models`) add limits counted on that model alone. A key listed under `api_keys` is
+// counted on its own; any other key shares its owner's allowance. `costs` overrides the
+// credit weights declared in lib/models.js.
+
+export const QUOTA_LIMITS = ["requests_per_minute", "concurrent_jobs", "daily_credits", "monthly_credits"];
+
+const MINUTE_MS = 60 * 1000;
+
+const LIMIT_MESSAGES = {
+  requests_per_minute: (limit) => `Rate limit of ${limit} request(s) per minute reached.`,
+  concurrent_jobs: (limit) => `Limit of ${limit} concurrent job(s) reached. Wait for one to finish.`,
+  daily_credits: (limit) => `Daily budget of ${limit} credit(s) used up.`,
+  monthly_credits: (limit) => `Monthly budget of ${limit} credit(s) used up.`,
+};
+
+const validateLimits = (limits, where, { allowModels = false } = {}) => {
+  for (const [name, value] of Object.entries(limits ?? {})) {
+    if (name === "models" && allowModels) continue;
+    if (!QUOTA_LIMITS.includes(name)) {
+      throw new Error(`Unknown quota limit "${name}" in ${where}. Expected one of: ${QUOTA_LIMITS.join(", ")}.`);
+    }
+    if (value !== null && !(typeof value === "number" && value >= 0)) {
+      throw new Error(`Quota limit ${where}.${name} must be a non-negative number or null.`);
+    }
+  }
+};
+
+// Reads and checks the quota file. Without a path nothing is limited.
+export const loadQuotaConfig = (filePath) => {
+  if (!filePath) return {};
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read quota config ${filePath}: ${error.message}`);
+  }
+
+  validateLimits(config.defaults, "defaults");
+  for (const section of ["models", "users", "api_keys"]) {
+    for (const [key, limits] of Object.entries(config[section] ?? {})) {
+      validateLimits(limits, `${section}.${key}`, { allowModels: section !== "models" });
+      for (const [modelKey, modelLimits] of Object.entries(limits?.models ?? {})) {
+        validateLimits(modelLimits, `${section}.${key}.models.${modelKey}`);
+      }
+    }
+  }
+  return config;
+};
+
+// Credits for one run: `credits` times the multiplier of every matching input value, times
+// each numeric input listed in `per` (e.g. images requested or seconds of video).
+export const estimateCost = (cost, input = {}) => {
+  if (!cost) return 0;
+  let credits = cost.credits ?? 1;
+  for (const [field, values] of Object.entries(cost.multipliers ?? {})) {
+    credits *= values[String(input[field])] ?? 1;
+  }
+  for (const field of cost.per ?? []) {
+    const amount = Number(input[field]);
+    if (Number.isFinite(amount) && amount > 0) credits *= amount;
+  }
+  return Math.round(credits * 100) / 100;
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+const nextDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).toISOString();
+const nextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+
+const pickLimits = (...layers) => {
+  const limits = {};
+  for (const layer of layers) {
+    for (const name of QUOTA_LIMITS) {
+      if (layer && name in layer) limits[name] = layer[name];
+    }
+  }
+  return limits;
+};
+
+// Checks and records usage. `ledger` is a store collection holding credits spent per caller per
+// day and month; `countActiveJobs(subject, modelKey)` counts unfinished predictions (all models
+// when modelKey is null).
+//
+// A reservation counts as a job from the moment it is granted until release(), which the caller
+// does once the prediction it paid for is stored and counted by countActiveJobs (refund() releases
+// it too). Otherwise parallel requests could all pass the concurrent_jobs check before any of
+// their predictions exists.
+export const createQuotaManager = ({ config = {}, ledger, countActiveJobs, now = () => new Date() }) => {
+  const recentRequests = new Map();
+  const locks = new Map();
+  // Granted reservations whose prediction isn't stored yet, by reservation id
+  const unreleased = new Map();
+
+  const subjectOf = ({ username, apiKeyId }) =>
+    apiKeyId && config.api_keys?.[apiKeyId] ? `key:${apiKeyId}` : `user:${username}`;
+
+  const limitsFor = ({ username, apiKeyId }, modelKey) => {
+    const user = config.users?.[username];
+    const key = apiKeyId ? config.api_keys?.[apiKeyId] : null;
+    return {
+      all: pickLimits(config.defaults, user, key),
+      model: pickLimits(config.models?.[modelKey], user?.models?.[modelKey], key?.models?.[modelKey]),
+    };
+  };
+
+  const costFor = (model, input) => estimateCost(config.costs?.[model.key] ?? model.cost, input);
+
+  // One check-and-charge at a time per caller, so parallel requests can't overspend together
+  const withLock = (subject, task) => {
+    const previous = locks.get(subject) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+    locks.set(subject, settled);
+    settled.then(() => {
+      if (locks.get(subject) === settled) locks.delete(subject);
+    });
+    return next;
+  };
+
+  const recentCount = (windowKey, time) => {
+    const stamps = (recentRequests.get(windowKey) ?? []).filter((stamp) => time - stamp < MINUTE_MS);
+    if (stamps.length) recentRequests.set(windowKey, stamps);
+    else recentRequests.delete(windowKey);
+    return stamps;
+  };
+
+  const readSpend = async (subject, period, modelKey) => {
+    const record = await ledger.get(`${subject}:${period}`);
+    if (!record) return 0;
+    return modelKey ? record.models?.[modelKey] ?? 0 : record.credits;
+  };
+
+  const addSpend = async (subject, period, modelKey, credits) => {
+    const id = `${subject}:${period}`;
+    const record = (await ledger.get(id)) ?? { id, subject, period, credits: 0, models: {} };
+    record.credits = Math.max(0, Math.round((record.credits + credits) * 100) / 100);
+    record.models[modelKey] = Math.max(0, Math.round(((record.models[modelKey] ?? 0) + credits) * 100) / 100);
+    await ledger.set(record);
+  };
+
+  // Current usage against every configured limit, for one scope (all models or one model)
+  const describeScope = async (subject, limits, modelKey, date) => {
+    const usage = {};
+    const time = date.getTime();
+    for (const name of QUOTA_LIMITS) {
+      const limit = limits[name];
+      if (limit === undefined || limit === null) continue;
+      let used;
+      let resetsAt = null;
+      if (name === "requests_per_minute") {
+        const stamps = recentCount(`${subject}|${modelKey ?? "*"}`, time);
+        used = stamps.length;
+        if (stamps.length) resetsAt = new Date(stamps[0] + MINUTE_MS).toISOString();
+      } else if (name === "concurrent_jobs") {
+        const pending = [...unreleased.values()].filter(
+          (reservation) => reservation.subject === subject && (!modelKey || reservation.model_key === modelKey),
+        );
+        used = (await countActiveJobs(subject, modelKey)) + pending.length;
+      } else if (name === "daily_credits") {
+        used = await readSpend(subject, dayOf(date), modelKey);
+        resetsAt = nextDay(date);
+      } else {
+        used = await readSpend(subject, monthOf(date), modelKey);
+        resetsAt = nextMonth(date);
+      }
+      usage[name] = { limit, used, remaining: Math.max(0, Math.round((limit - used) * 100) / 100), resets_at: resetsAt };
+    }
+    return usage;
+  };
+
+  const findViolation = (usage, cost, scope) => {
+    for (const name of QUOTA_LIMITS) {
+      const entry = usage[name];
+      if (!entry) continue;
+      const needed = name.endsWith("_credits") ? cost : 1;
+      if (entry.used + needed > entry.limit) {
+        return {
+          status: name.endsWith("_credits") ? 402 : 429,
+          error: scope ? `${LIMIT_MESSAGES[name](entry.limit)} (${scope})` : LIMIT_MESSAGES[name](entry.limit),
+          quota: { type: name, scope, ...entry, cost },
+        };
+      }
+    }
+    return null;
+  };
+
+  return {
+    subjectOf,
+    costFor,
+
+    // Resolves with { allowed: true, reservation } and records the usage, or with
+    // { allowed: false, status, error, quota } and records nothing. With `rate: false` only
+    // credits are checked (for batch items, which the batch runner already paces).
+    reserve(caller, model, input, { rate = true } = {}) {
+      const subject = subjectOf(caller);
+      return withLock(subject, async () => {
+        const date = now();
+        const cost = costFor(model, input);
+        const { all, model: modelLimits } = limitsFor(caller, model.key);
+        const scopes = [
+          [null, all],
+          [model.key, modelLimits],
+        ];
+
+        for (const [scope, limits] of scopes) {
+          const checked = rate
+            ? limits
+            : { daily_credits: limits.daily_credits, monthly_credits: limits.monthly_credits };
+          const violation = findViolation(await describeScope(subject, checked, scope, date), cost, scope);
+          if (violation) return { allowed: false, ...violation };
+        }
+
+        const time = date.getTime();
+        for (const windowKey of [`${subject}|*`, `${subject}|${model.key}`]) {
+          recentRequests.set(windowKey, [...recentCount(windowKey, time), time]);
+        }
+        if (cost > 0) {
+          await addSpend(subject, dayOf(date), model.key, cost);
+          await addSpend(subject, monthOf(date), model.key, cost);
+        }
+
+        const reservation = {
+          id: randomBytes(8).toString("hex"),
+          subject,
+          model_key: model.key,
+          credits: cost,
+          charged_at: date.toISOString(),
+        };
+        unreleased.set(reservation.id, reservation);
+        return { allowed: true, reservation };
+      });
+    },
+
+    // Stops counting a reservation as a job of its own: its prediction is stored now.
+    release(reservation) {
+      if (reservation?.id) unreleased.delete(reservation.id);
+    },
+
+    // Gives back the credits of a reservation, e.g. when the prediction failed.
+    refund({ id, subject, model_key: modelKey, credits, charged_at: chargedAt }) {
+      unreleased.delete(id);
+      if (!credits) return Promise.resolve();
+      const date = new Date(chargedAt);
+      return withLock(subject, async () => {
+        await addSpend(subject, dayOf(date), modelKey, -credits);
+        await addSpend(subject, monthOf(date), modelKey, -credits);
+      });
+    },
+
+    // Limits and remaining allowance for the caller, overall and for every model with its own limits.
+    async status(caller, modelKeys = []) {
+      const subject = subjectOf(caller);
+      const date = now();
+      const models = {};
+      for (const modelKey of modelKeys) {
+        const usage = await describeScope(subject, limitsFor(caller, modelKey).model, modelKey, date);
+        if (Object.keys(usage).length) models[modelKey] = usage;
+      }
+      return {
+        subject,
+        limits: await describeScope(subject, limitsFor(caller, null).all, null, date),
+        models,
+      };
+    },
+  };
+};
@@ -0,0 +1,58 @@
+// Prompt refinement for POST /api/refine. Each mode has its own instruction for the language
+// model; the reply is plain text so it can be streamed to the UI as it is written, with
+// variants separated by "---" lines and an optional "NEGATIVE:" line at the end.
+
+export const REFINE_MODES = {
+  image: [
+    "You are an expert prompt engineer for text-to-image models.",
+    "Refine the prompt for clarity, vivid detail and photo-realism: subject, setting, composition,",
+    "lighting, lens and mood. Preserve the original intent.",
+  ].join(" "),
+  video: [
+    "You are an expert prompt engineer for text-to-video models such as Veo.",
+    "Refine the prompt into a single continuous shot: describe the subject's action over time,",
+    "camera movement (dolly, pan, tracking, crane, handheld), framing, pacing, lighting and",
+    "ambient sound. Keep it achievable in a few seconds and preserve the original intent.",
+  ].join(" "),
+  edit: [
+    "You are an expert prompt engineer for instruction-based image editing models.",
+    "Rewrite the request as precise edit instructions for the attached image(s): say what to",
+    "change, where, and what must stay untouched. Do not describe the whole scene again.",
+  ].join(" "),
+};
+
+const VARIANT_SEPARATOR = "---";
+const NEGATIVE_LABEL = "NEGATIVE:";
+
+// The system instruction for one refine request
+export const buildRefineInstruction = ({ mode, variants = 1, negativePrompt = false }) => {
+  const format =
+    variants > 1
+      ? `Write ${variants} distinct alternative rewrites. Put a line containing only ${VARIANT_SEPARATOR} between them.`
+      : "Write one rewrite.";
+  const negative = negativePrompt
+    ? ` After the last rewrite add one line starting with ${NEGATIVE_LABEL} followed by a short comma-separated list of things the video should avoid.`
+    : "";
+  return `${REFINE_MODES[mode]} ${format}${negative} Respond with the rewritten prompt text only: no numbering, titles or commentary.`;
+};
+
+const collapse = (text) => text.replace(/\s+/g, " ").trim();
+
+// Models sometimes number their answers despite being asked not to
+const stripNumbering = (text) => text.replace(/^(?:(?:variant|option|rewrite)\s*)?\d+\s*[.):]\s+/i, "");
+
+// Splits the full reply into { variants, negative_prompt }. Anything missing comes back empty
+// rather than failing, so a reply that ignored the format still yields one variant.
+export const parseRefineOutput = (text) => {
+  const negativeAt = text.search(new RegExp(`^\\s*${NEGATIVE_LABEL}`, "im"));
+  const body = negativeAt === -1 ? text : text.slice(0, negativeAt);
+  const negative =
+    negativeAt === -1 ? null : collapse(text.slice(negativeAt).replace(new RegExp(`^\\s*${NEGATIVE_LABEL}`, "i"), ""));
+
+  const variants = body
+    .split(/^\s*-{3,}\s*$/m)
+    .map((variant) => stripNumbering(collapse(variant)))
+    .filter(Boolean);
+
+  return { variants, negative_prompt: negative || null };
+};
@@ -0,0 +1,108 @@
+// Retries for provider calls that fail for reasons unrelated to the request: rate limits
+// (429), server errors (5xx) and connections or streams cut off midway. Anything else, such as
+// a rejected input, fails straight away. Waits grow exponentially from `baseDelayMs`, capped at
+// `maxDelayMs`, with random jitter so parallel jobs don't retry in lockstep.
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+// Network failures that happen before a request is sent: the connection was never made
+const UNSENT_NETWORK_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"]);
+
+// Messages of fetch and stream failures that carry no code
+const RETRYABLE_MESSAGE = /fetch failed|terminated|socket hang up|other side closed|stream (?:reset|ended|closed)|premature close/i;
+
+const parseNonNegative = (value, fallback) => {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(0, parsed);
+};
+
+export const loadRetryConfig = (env = process.env) => ({
+  maxAttempts: Math.max(1, parseNonNegative(env.RETRY_MAX_ATTEMPTS, 3)),
+  baseDelayMs: parseNonNegative(env.RETRY_BASE_DELAY_MS, 1000),
+  maxDelayMs: parseNonNegative(env.RETRY_MAX_DELAY_MS, 20000),
+});
+
+// HTTP status of a provider error: Gemini errors carry `status`, Replicate errors the response
+const errorStatus = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  return Number.isInteger(status) ? status : null;
+};
+
+// Errors marked `retryable: false` are final whatever caused them
+export const isRetryableError = (error) => {
+  if (!error || error.name === "AbortError" || error.retryable === false) return false;
+  const status = errorStatus(error);
+  if (status !== null) return status === 429 || status >= 500;
+  for (let cause = error; cause; cause = cause.cause) {
+    if (RETRYABLE_NETWORK_CODES.has(cause.code) || RETRYABLE_MESSAGE.test(cause.message ?? "")) return true;
+  }
+  return false;
+};
+
+// Whether a failed request provably never reached the provider, so sending it again can't do
+// anything twice: no connection was made, or the provider turned it away with a 429.
+export const isUnsentError = (error) => {
+  const status = errorStatus(error);
+  if (status !== null) return status === 429;
+  for (let cause = error; cause; cause = cause.cause) {
+    if (UNSENT_NETWORK_CODES.has(cause.code)) return true;
+  }
+  return false;
+};
+
+// Wait before attempt `attempt + 1`: full jitter over base * 2^(attempt - 1)
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) =>
+  Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Runs `task(attempt)` until it succeeds, fails with an error that isn't retryable or has used
+// `config.maxAttempts`. `onRetry({ attempt, error, delayMs })` is awaited before each wait, and
+// `signal` ends the wait early. The last error is rethrown with `attempts` set on it.
+export const withRetry = async (task, { config, signal = null, onRetry = null } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= config.maxAttempts || !isRetryableError(error)) {
+        if (error && typeof error === "object") error.attempts = attempt;
+        throw error;
+      }
+      const delayMs = backoffDelay(attempt, config);
+      await onRetry?.({ attempt, error, delayMs });
+      await wait(delayMs, signal);
+    }
+  }
+};
+
+// Model keys whose `failover` routes (see lib/models.js) are used, from MODEL_FAILOVER:
+// a comma-separated list of model keys, or "*" for every model that has any.
+export const loadFailoverModels = (value = process.env.MODEL_FAILOVER) => {
+  const keys = (value ?? "")
+    .split(",")
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  return { has: (modelKey) => keys.includes("*") || keys.includes(modelKey) };
+};
@@ -0,0 +1,67 @@
+import { randomBytes } from "crypto";
+import { parseAssetUrl } from "./assets.js";
+
+// Multi-turn edit sessions. A session is a named conversation with one Gemini image model;
+// every turn is a prediction whose `session` field points at the session and at the output it
+// continues from, so the turns form a tree and any earlier version can be branched from.
+// Before a turn runs, the path from the root to its parent is replayed to the model as
+// conversation history: each turn's prompt and attached images, then the output it chose.
+
+export const SESSION_INPUTS = {
+  model_key: { type: "string", required: true },
+  title: { type: "string", max_length: 200 },
+};
+
+export const createSessionId = () => `ses-${Date.now()}-${randomBytes(4).toString("hex")}`;
+
+// Only models that keep a conversation with us can hold one
+export const supportsSessions = (model) => model.provider === "gemini" && model.output === "image";
+
+// Turns from the root to `turnId`, or null when the turn isn't part of the session
+export const findTurnPath = (turns, turnId) => {
+  const byId = new Map(turns.map((turn) => [turn.id, turn]));
+  const path = [];
+  for (let turn = byId.get(turnId); turn; turn = byId.get(turn.session.parent?.id)) {
+    path.unshift(turn);
+    if (path.length > turns.length) return null;
+  }
+  return path.length > 0 ? path : null;
+};
+
+// The Gemini contents replaying `path`. `output` is the index of the last turn's output the
+// next prompt continues from; earlier turns continue from whichever output their child picked.
+// `readAsset(id)` resolves with the asset's { data (Buffer), mimeType }.
+export const buildSessionHistory = async (path, output, readAsset) => {
+  const inlinePart = async (assetId, thoughtSignature = null) => {
+    const { data, mimeType } = await readAsset(assetId);
+    const part = { inlineData: { mimeType, data: data.toString("base64") } };
+    if (thoughtSignature) part.thoughtSignature = thoughtSignature;
+    return part;
+  };
+
+  const contents = [];
+  for (const [index, turn] of path.entries()) {
+    const userParts = [{ text: turn.input.prompt }];
+    for (const image of turn.session.images ?? []) userParts.push(await inlinePart(image.asset_id));
+    contents.push({ role: "user", parts: userParts });
+
+    const chosen = index === path.length - 1 ? output : path[index + 1].session.parent.output;
+    const assetId = parseAssetUrl(turn.output?.[chosen]);
+    if (!assetId) throw new Error(`Output ${chosen} of turn ${turn.id} is no longer available.`);
+    contents.push({ role: "model", parts: [await inlinePart(assetId, turn.session.signatures?.[chosen])] });
+  }
+  return contents;
+};
+
+// A prediction as one turn of its session
+export const toSessionTurn = (prediction) => ({
+  id: prediction.id,
+  parent: prediction.session.parent,
+  prompt: prediction.input?.prompt ?? null,
+  input: prediction.input ?? null,
+  status: prediction.status,
+  output: prediction.status === "succeeded" && Array.isArray(prediction.output) ? prediction.output : [],
+  error: prediction.error ?? null,
+  created_at: prediction.created_at,
+  completed_at: prediction.completed_at ?? null,
+});
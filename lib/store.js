@@ -0,0 +1,144 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Record ids end up as file names, so anything outside this set is replaced.
+const toFileName = (id) => `${String(id).replace(/[^A-Za-z0-9._-]/g, "_")}.json`;
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+// `patch` may be a function of the current record, for changes that depend on it. It runs while
+// the record is locked and returns the fields to change, or null to leave the record as it is.
+const resolvePatch = (patch, existing) => (typeof patch === "function" ? patch(clone(existing)) : patch);
+
+const createMemoryCollection = () => {
+  const records = new Map();
+
+  return {
+    async get(id) {
+      return clone(records.get(id)) ?? null;
+    },
+    async set(record) {
+      records.set(record.id, clone(record));
+      return clone(record);
+    },
+    async update(id, patch) {
+      const existing = records.get(id);
+      if (!existing) return null;
+      const changes = resolvePatch(patch, existing);
+      if (!changes) return clone(existing);
+      const updated = { ...existing, ...clone(changes) };
+      records.set(id, updated);
+      return clone(updated);
+    },
+    async delete(id) {
+      return records.delete(id);
+    },
+    async list() {
+      return Array.from(records.values(), clone);
+    },
+  };
+};
+
+const createFileCollection = (dir) => {
+  const ready = fs.mkdir(dir, { recursive: true });
+  // Serialize read-modify-write cycles per record so concurrent updates don't clobber each other.
+  const locks = new Map();
+
+  const withLock = (id, task) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+    locks.set(id, settled);
+    settled.then(() => {
+      if (locks.get(id) === settled) locks.delete(id);
+    });
+    return next;
+  };
+
+  const readRecord = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const writeRecord = async (record) => {
+    const filePath = path.join(dir, toFileName(record.id));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return {
+    async get(id) {
+      await ready;
+      return readRecord(path.join(dir, toFileName(id)));
+    },
+    async set(record) {
+      await ready;
+      return withLock(record.id, async () => {
+        await writeRecord(record);
+        return clone(record);
+      });
+    },
+    async update(id, patch) {
+      await ready;
+      return withLock(id, async () => {
+        const existing = await readRecord(path.join(dir, toFileName(id)));
+        if (!existing) return null;
+        const changes = resolvePatch(patch, existing);
+        if (!changes) return existing;
+        const updated = { ...existing, ...changes };
+        await writeRecord(updated);
+        return updated;
+      });
+    },
+    async delete(id) {
+      await ready;
+      return withLock(id, async () => {
+        try {
+          await fs.unlink(path.join(dir, toFileName(id)));
+          return true;
+        } catch (error) {
+          if (error.code === "ENOENT") return false;
+          throw error;
+        }
+      });
+    },
+    async list() {
+      await ready;
+      const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".json"));
+      const records = await Promise.all(files.map((file) => readRecord(path.join(dir, file))));
+      return records.filter(Boolean);
+    },
+  };
+};
+
+const DRIVERS = {
+  memory: () => createMemoryCollection(),
+  file: (name, { dir }) => createFileCollection(path.join(dir, name)),
+};
+
+// `driver` is either a built-in driver name or a factory `(name, options) => collection`
+// returning an object with the same async get/set/update/delete/list methods, where update
+// also takes a function patch (see resolvePatch).
+export const createStore = ({ driver = "file", dir = "data" } = {}) => {
+  const factory = typeof driver === "function" ? driver : DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown store driver "${driver}". Expected one of: ${Object.keys(DRIVERS).join(", ")}.`);
+  }
+
+  const collections = new Map();
+
+  return {
+    driver: typeof driver === "function" ? driver.name || "custom" : driver,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, factory(name, { dir }));
+      }
+      return collections.get(name);
+    },
+  };
+};
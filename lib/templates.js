@@ -0,0 +1,71 @@
+import { randomBytes } from "crypto";
+import { validateInput } from "./models.js";
+
+// Saved prompts with {{variable}} placeholders, kept per user and model key. A template may
+// preset other inputs of its model (aspect ratio, size, duration, ...) that are applied with it.
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const TEMPLATE_INPUTS = {
+  name: { type: "string", required: true, max_length: 100 },
+  model_key: { type: "string", required: true },
+  prompt: { type: "string", required: true, max_length: 4000 },
+  description: { type: "string", max_length: 500 },
+};
+
+export const createTemplateId = () => `tpl-${Date.now()}-${randomBytes(4).toString("hex")}`;
+
+// Variable names in order of first appearance
+export const extractVariables = (prompt) => [
+  ...new Set(Array.from(prompt.matchAll(VARIABLE_PATTERN), (match) => match[1])),
+];
+
+// Fills the placeholders from `values`. Variables without a value stay as placeholders and are
+// listed in `missing`.
+export const renderTemplate = (prompt, values = {}) => {
+  const missing = new Set();
+  const rendered = prompt.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || !String(value).trim()) {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value).trim();
+  });
+  return { prompt: rendered, missing: [...missing] };
+};
+
+// Inputs a template may preset: everything but the prompt and images. Nothing is required and
+// conditions are left for the prediction request to check, as a preset may be combined with
+// other values in the form.
+const presetInputs = (model) =>
+  Object.fromEntries(
+    Object.entries(model.inputs)
+      .filter(([name, field]) => name !== "prompt" && field.type !== "image" && field.type !== "image[]")
+      .map(([name, field]) => [name, { ...field, required: false, default: undefined, when: undefined }]),
+  );
+
+// Checks a complete template body against the model registry. Returns the template fields and
+// a list of { field, message } errors.
+export const validateTemplate = (body, registry) => {
+  const { input, errors } = validateInput(TEMPLATE_INPUTS, body, { allowedKeys: ["params"] });
+  const template = { ...input, params: {} };
+
+  const model = input.model_key ? registry.get(input.model_key) : null;
+  if (input.model_key && !model) {
+    errors.push({ field: "model_key", message: `Unsupported model key "${input.model_key}".` });
+  }
+  if (model) template.model_key = model.key;
+
+  const params = body.params ?? {};
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    errors.push({ field: "params", message: 'Field "params" must be an object.' });
+  } else if (model) {
+    const checked = validateInput(presetInputs(model), params);
+    checked.errors.forEach(({ field, message }) => errors.push({ field: `params.${field}`, message }));
+    template.params = checked.input;
+  }
+
+  if (input.prompt) template.variables = extractVariables(input.prompt);
+  return { template, errors };
+};
@@ -0,0 +1,81 @@
+import { randomBytes } from "crypto";
+
+// Files uploaded once with POST /api/uploads and then referenced by id from image inputs, so
+// large reference images don't travel as base64 inside JSON bodies (or again on every retry).
+// The bytes live in the asset store; `records` holds who uploaded what and until when.
+
+export const UPLOAD_CONTENT_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+
+export const isUploadId = (value) => typeof value === "string" && /^upl_[a-f0-9]{24}$/.test(value);
+
+const createUploadId = () => `upl_${randomBytes(12).toString("hex")}`;
+
+export const toPublicUpload = (record) => ({
+  id: record.id,
+  filename: record.filename,
+  content_type: record.content_type,
+  size: record.size,
+  url: record.url,
+  created_at: record.created_at,
+  expires_at: record.expires_at,
+});
+
+// `retentionMs` of 0 keeps uploads until they are deleted.
+export const createUploadStore = ({ records, assets, assetUrl, retentionMs = 0, now = () => Date.now() }) => {
+  const get = async (id) => (isUploadId(id) ? records.get(id) : null);
+
+  return {
+    get,
+
+    async save(body, { contentType, filename = null, user }) {
+      const asset = await assets.save(body, { contentType, user, source: "upload" });
+      const createdAt = now();
+      return records.set({
+        id: createUploadId(),
+        asset_id: asset.id,
+        url: assetUrl(asset.id),
+        filename,
+        content_type: contentType,
+        size: body.length,
+        user,
+        created_at: new Date(createdAt).toISOString(),
+        expires_at: retentionMs > 0 ? new Date(createdAt + retentionMs).toISOString() : null,
+      });
+    },
+
+    // The upload if `user` may use it, otherwise null; expired uploads count as gone
+    async find(id, user) {
+      const record = await get(id);
+      if (!record || record.user !== user) return null;
+      if (record.expires_at && new Date(record.expires_at).getTime() <= now()) return null;
+      return record;
+    },
+
+    async read(record) {
+      const chunks = [];
+      for await (const chunk of await assets.open(record.asset_id)) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+
+    async delete(id) {
+      const record = await get(id);
+      if (!record) return false;
+      await assets.delete(record.asset_id);
+      return records.delete(id);
+    },
+
+    // Removes expired uploads and returns how many went
+    async sweep() {
+      const time = now();
+      let removed = 0;
+      for (const record of await records.list()) {
+        if (record.expires_at && new Date(record.expires_at).getTime() <= time) {
+          await assets.delete(record.asset_id);
+          await records.delete(record.id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+};
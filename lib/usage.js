@@ -0,0 +1,170 @@
+import { randomBytes } from "crypto";
+
+// One usage entry per finished prediction or refine call. Entries outlive the predictions
+// they describe, so reports can cover any period.
+
+export const USAGE_GROUPS = ["day", "model", "user"];
+
+const pickNumber = (...values) => values.find((value) => typeof value === "number" && Number.isFinite(value)) ?? null;
+
+// The output size a run asked for, whatever the model calls it
+const describeResolution = (input = {}) => {
+  if (input.size === "custom" && input.width && input.height) return `${input.width}x${input.height}`;
+  return input.resolution ?? input.image_size ?? input.size ?? null;
+};
+
+export const toUsageEntry = (prediction) => ({
+  id: prediction.id,
+  kind: "prediction",
+  model_key: prediction.model_key ?? null,
+  provider: prediction.provider ?? null,
+  user: prediction.user ?? null,
+  api_key_id: prediction.api_key_id ?? null,
+  status: prediction.status,
+  resolution: describeResolution(prediction.input ?? {}),
+  duration: pickNumber(prediction.input?.duration),
+  candidate_count: pickNumber(prediction.input?.candidateCount, prediction.input?.max_images) ?? 1,
+  output_count: Array.isArray(prediction.output) ? prediction.output.length : prediction.output ? 1 : 0,
+  elapsed_seconds: pickNumber(prediction.elapsed_seconds),
+  credits: prediction.quota?.refunded_at ? 0 : prediction.quota?.credits ?? 0,
+  created_at: prediction.created_at,
+  completed_at: prediction.completed_at ?? null,
+});
+
+const GROUP_KEYS = {
+  day: (entry) => entry.created_at.slice(0, 10),
+  model: (entry) => entry.model_key ?? "",
+  user: (entry) => entry.user ?? "",
+};
+
+const GROUP_COLUMNS = { day: "day", model: "model_key", user: "user" };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyTotals = () => ({
+  count: 0,
+  succeeded: 0,
+  failed: 0,
+  canceled: 0,
+  blocked: 0,
+  outputs: 0,
+  video_seconds: 0,
+  elapsed_seconds: 0,
+  credits: 0,
+});
+
+// Sums entries per combination of the requested groups. Without groups there is always
+// exactly one row, the grand total.
+export const summarizeUsage = (entries, groupBy = []) => {
+  const groups = new Map();
+  if (!groupBy.length) groups.set("", emptyTotals());
+  for (const entry of entries) {
+    const keys = groupBy.map((group) => GROUP_KEYS[group](entry));
+    const id = keys.join("\u0000");
+    if (!groups.has(id)) {
+      groups.set(id, {
+        ...Object.fromEntries(groupBy.map((group, index) => [GROUP_COLUMNS[group], keys[index]])),
+        ...emptyTotals(),
+      });
+    }
+    const row = groups.get(id);
+    row.count += 1;
+    if (entry.status in row) row[entry.status] += 1;
+    if (entry.status === "succeeded" && entry.kind === "prediction") {
+      row.outputs += entry.output_count ?? 0;
+      row.video_seconds += entry.duration ?? 0;
+    }
+    row.elapsed_seconds = round(row.elapsed_seconds + (entry.elapsed_seconds ?? 0));
+    row.credits = round(row.credits + (entry.credits ?? 0));
+  }
+  const columns = groupBy.map((group) => GROUP_COLUMNS[group]);
+  return [...groups.values()].sort((a, b) =>
+    columns.reduce((order, column) => order || String(a[column]).localeCompare(String(b[column])), 0),
+  );
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => {
+  if (!rows.length) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+};
+
+const dayOf = (entry) => entry.created_at.slice(0, 10);
+
+// Entries are stored in one collection per UTC day ("usage/2026-10-19"), with the days that have
+// any listed in "usage/days", so a report only reads the days in its range.
+export const createUsageLog = (store) => {
+  const days = store.collection("usage/days");
+  const entriesOn = (day) => store.collection(`usage/${day}`);
+  const knownDays = new Set();
+
+  const write = async (entry) => {
+    const day = dayOf(entry);
+    if (!knownDays.has(day)) {
+      await days.set({ id: day });
+      knownDays.add(day);
+    }
+    return entriesOn(day).set(entry);
+  };
+
+  return {
+    async recordPrediction(prediction) {
+      return write(toUsageEntry(prediction));
+    },
+
+    // Whether `prediction` already has its entry
+    async has(prediction) {
+      return Boolean(await entriesOn(dayOf(prediction)).get(prediction.id));
+    },
+
+    async recordRefine({ user, apiKeyId = null, model, status, elapsedSeconds, startedAt }) {
+      return write({
+        id: `refine-${Date.now()}-${randomBytes(4).toString("hex")}`,
+        kind: "refine",
+        model_key: "refine",
+        provider: "replicate",
+        model,
+        user,
+        api_key_id: apiKeyId,
+        status,
+        resolution: null,
+        duration: null,
+        candidate_count: null,
+        output_count: 0,
+        elapsed_seconds: elapsedSeconds,
+        credits: 0,
+        created_at: new Date(startedAt).toISOString(),
+        completed_at: new Date().toISOString(),
+      });
+    },
+
+    // `from` / `to` are epoch milliseconds or null; `user` "*" matches everyone.
+    async query({ from = null, to = null, user = null, modelKey = null } = {}) {
+      const first = from === null ? null : new Date(from).toISOString().slice(0, 10);
+      const last = to === null ? null : new Date(to).toISOString().slice(0, 10);
+      const inRange = (await days.list())
+        .map((day) => day.id)
+        .filter((day) => (first === null || day >= first) && (last === null || day <= last));
+
+      const records = (await Promise.all(inRange.map((day) => entriesOn(day).list()))).flat();
+      return records
+        .filter((entry) => {
+          if (user !== "*" && entry.user !== user) return false;
+          if (modelKey && entry.model_key !== modelKey) return false;
+          const created = new Date(entry.created_at).getTime();
+          if (from !== null && created < from) return false;
+          if (to !== null && created > to) return false;
+          return true;
+        })
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+  };
+};
@@ -0,0 +1,200 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { Agent, fetch } from "undici";
+
+// Webhooks in both directions use the Standard Webhooks scheme that Replicate signs with:
+// `webhook-id`, `webhook-timestamp` and `webhook-signature: v1,<base64 HMAC-SHA256>` over
+// "<id>.<timestamp>.<raw body>". Secrets look like "whsec_<base64 key>".
+
+const secretKey = (secret) => Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+
+export const signWebhook = ({ id, timestamp, body }, secret) =>
+  `v1,${createHmac("sha256", secretKey(secret)).update(`${id}.${timestamp}.${body}`).digest("base64")}`;
+
+// `body` must be the raw request body; re-serialized JSON won't match the signature.
+export const verifyWebhook = (
+  { id, timestamp, signature, body },
+  secret,
+  { toleranceSeconds = 300, now = Date.now() } = {},
+) => {
+  if (!id || !timestamp || !signature || typeof body !== "string" || !secret) return false;
+
+  // Old deliveries are rejected so a captured request can't be replayed later
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook({ id, timestamp, body }, secret));
+  return signature.split(" ").some((candidate) => {
+    const actual = Buffer.from(candidate);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  });
+};
+
+const isWebhookUrl = (value) => {
+  if (typeof value !== "string") return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+};
+
+// Addresses a caller's webhook must not reach: this host, the cloud metadata endpoint and
+// private, shared, multicast and reserved networks
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+  // NAT64, which reaches any IPv4 address, internal ones included
+  ["64:ff9b::", 96],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 subnets too
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// "example.com" matches that host only, "*.example.com" its subdomains
+const matchesHost = (hostname, pattern) =>
+  pattern.startsWith("*.") ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+
+// Decides whether a webhook URL may be called. Hosts on `allowedHosts` are the only ones allowed
+// when the list isn't empty, and may be internal; any other host has to resolve to public
+// addresses only. `check(url)` resolves with the reason a URL is refused, or null.
+//
+// A host can resolve to a public address for the check and to an internal one a moment later,
+// so deliveries connect through `connectLookup`, which resolves once and refuses the connection
+// unless every address is public; the address connected to is the one that was checked.
+export const createWebhookGuard = ({ allowedHosts = [], requireHttps = false, lookup = dns.lookup } = {}) => {
+  const isAllowedHost = (hostname) => allowedHosts.some((pattern) => matchesHost(hostname, pattern));
+
+  // Resolves with the host's addresses, or rejects when any of them is internal
+  const resolvePublic = async (hostname) => {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIPv6(hostname) ? 6 : 4 }]
+      : await lookup(hostname, { all: true });
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw Object.assign(new Error(`Webhook host "${hostname}" points at a private or local address.`), {
+        code: "EWEBHOOKBLOCKED",
+      });
+    }
+    return addresses;
+  };
+
+  return {
+    async check(value) {
+      if (!isWebhookUrl(value)) return 'Field "webhook" must be an http(s) URL.';
+      const url = new URL(value);
+      if (requireHttps && url.protocol !== "https:") return 'Field "webhook" must be an https URL.';
+
+      const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+      if (allowedHosts.length) {
+        return isAllowedHost(hostname) ? null : `Webhook host "${hostname}" is not on the allowed list.`;
+      }
+
+      try {
+        await resolvePublic(hostname);
+        return null;
+      } catch (error) {
+        if (error.code === "EWEBHOOKBLOCKED") return error.message;
+        return `Webhook host "${hostname}" could not be resolved (${error.code ?? error.message}).`;
+      }
+    },
+
+    // A `lookup` for net.connect, in both its single-address and `all` forms
+    connectLookup(hostname, options, callback) {
+      resolvePublic(hostname.toLowerCase()).then(
+        (addresses) =>
+          options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family),
+        (error) => callback(error),
+      );
+    },
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delivers JSON events to caller-supplied URLs. Network errors, 429s and 5xx responses are
+// retried with exponential backoff; other responses are final. Deliveries are signed when a
+// secret is configured. `guard` checks the URL again before every attempt, and connections only
+// go to addresses it accepted (see createWebhookGuard).
+export const createWebhookSender = ({
+  secret,
+  guard = createWebhookGuard(),
+  attempts = 3,
+  timeoutMs = 10000,
+  retryDelayMs = 1000,
+} = {}) => {
+  const dispatcher = new Agent({ connect: { lookup: guard.connectLookup } });
+
+  return {
+    // Resolves with a delivery report instead of throwing
+    async send(url, payload) {
+      const body = JSON.stringify(payload);
+      const id = `msg_${randomBytes(12).toString("hex")}`;
+      let lastError = null;
+      let attempt = 0;
+
+      while (attempt < attempts) {
+        attempt++;
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+          "Content-Type": "application/json",
+          "webhook-id": id,
+          "webhook-timestamp": timestamp,
+        };
+        if (secret) headers["webhook-signature"] = signWebhook({ id, timestamp, body }, secret);
+
+        const refusal = await guard.check(url);
+        if (refusal) {
+          lastError = refusal;
+          break;
+        }
+
+        try {
+          const response = await fetch(url, {
+            method: "POST",
+            headers,
+            body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeoutMs),
+            dispatcher,
+          });
+          await response.body?.cancel();
+          if (response.ok) {
+            return { delivered_at: new Date().toISOString(), attempts: attempt, status_code: response.status };
+          }
+          lastError = `Receiver responded with status ${response.status}.`;
+          if (response.status < 500 && response.status !== 429) break;
+        } catch (error) {
+          // fetch reports "fetch failed"; the cause says why, e.g. a refused address
+          lastError = error instanceof Error ? (error.cause?.message ?? error.message) : String(error);
+        }
+
+        if (attempt < attempts) await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+
+      return { delivered_at: null, failed_at: new Date().toISOString(), attempts: attempt, error: lastError };
+    },
+  };
+};
@@ -1,48 +1,122 @@
 
 const loginOverlay = document.getElementById("login-overlay");
 const loginForm = document.getElementById("login-form");
+const loginUsername = document.getElementById("login-username");
 const loginPassword = document.getElementById("login-password");
 const loginError = document.getElementById("login-error");
+const sessionUser = document.getElementById("session-user");
+const logoutButton = document.getElementById("logout-button");
+const diagnosticsLink = document.getElementById("diagnostics-link");
+
+const showLoginError = (message) => {
+  if (message) loginError.textContent = message;
+  loginError.classList.add("visible");
+  // Reset animation
+  loginError.style.animation = 'none';
+  loginError.offsetHeight; /* trigger reflow */
+  loginError.style.animation = null;
+
+  // Hide error after 3 seconds
+  setTimeout(() => {
+    loginError.classList.remove("visible");
+  }, 3000);
+};
+
+const setSignedInUser = (user) => {
+  if (user) {
+    loginOverlay.classList.add("hidden");
+    if (sessionUser) sessionUser.textContent = user.username;
+    diagnosticsLink?.classList.toggle("hidden", user.role !== "admin");
+    refreshQuota();
+    modelConfigs[activeModelKey]?.refreshTemplates();
+  } else {
+    loginOverlay.classList.remove("hidden");
+    if (sessionUser) sessionUser.textContent = "";
+    diagnosticsLink?.classList.add("hidden");
+  }
+};
+
+// fetch() wrapper for /api calls: re-opens the login overlay when the session has expired.
+async function apiFetch(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401 && !url.startsWith("/api/auth/")) {
+    setSignedInUser(null);
+    throw new Error("Your session has expired. Please sign in again.");
+  }
+  return response;
+}
+
+// Validation failures list every problem; show them all rather than only the first
+const describeApiError = (result, fallback) => {
+  if (Array.isArray(result?.errors) && result.errors.length > 1) {
+    return result.errors.map((entry) => entry.message).join(" ");
+  }
+  return result?.error || fallback;
+};
 
 if (loginForm) {
-  loginForm.addEventListener("submit", (e) => {
+  loginForm.addEventListener("submit", async (e) => {
     e.preventDefault();
-    const password = loginPassword.value;
 
-    if (password === "meepo123") {
-      loginOverlay.classList.add("hidden");
-      // Optional: Clear password field for security
-      loginPassword.value = "";
-    } else {
-      loginError.classList.add("visible");
-      // Reset animation
-      loginError.style.animation = 'none';
-      loginError.offsetHeight; /* trigger reflow */
-      loginError.style.animation = null;
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          username: loginUsername.value,
+          password: loginPassword.value,
+        }),
+      });
+      const result = await response.json();
 
-      // Hide error after 3 seconds
-      setTimeout(() => {
-        loginError.classList.remove("visible");
-      }, 3000);
+      if (!response.ok) {
+        showLoginError(result?.error || "Incorrect username or password");
+        return;
+      }
+
+      setSignedInUser(result.user);
+      // Clear password field for security
+      loginPassword.value = "";
+    } catch (error) {
+      console.error("Login failed", error);
+      showLoginError("Unable to reach the server");
     }
   });
 }
 
+logoutButton?.addEventListener("click", async () => {
+  try {
+    await fetch("/api/auth/logout", { method: "POST" });
+  } finally {
+    setSignedInUser(null);
+  }
+});
+
+fetch("/api/auth/session")
+  .then((response) => (response.ok ? response.json() : null))
+  .then((result) => setSignedInUser(result?.user ?? null))
+  .catch(() => setSignedInUser(null));
+
 const outputPreview = document.getElementById("output-preview");
 const outputJson = document.getElementById("output-json");
 const generatedTime = document.getElementById("generated-time");
 const toast = document.getElementById("toast");
-const seedreamRefineButton = document.getElementById("seedream-refine-button");
 const loadingOverlay = document.getElementById("loading-overlay");
 const loadingText = document.getElementById("loading-text");
 const downloadButton = document.getElementById("download-button");
+const downloadAllButton = document.getElementById("download-all-button");
+const cancelButton = document.getElementById("cancel-button");
 
-const modelButtons = document.querySelectorAll("[data-model-button]");
 const outputTabs = document.querySelectorAll("[data-output-tab]");
 
 let activeModelKey = "nano-banana";
 let activeOutputTab = "preview";
 
+// The run the loading overlay's Cancel button applies to
+let currentRun = null;
+
 const defaultPreviewAspect = Object.freeze({ width: 16, height: 9 });
 let currentPreviewAspect = { ...defaultPreviewAspect };
 
@@ -50,6 +124,8 @@ const expectedAspectResolvers = {};
 
 const createInitialState = (downloadExtension = "png") => ({
   imageUrl: null,
+  imageUrls: [],
+  selectedIndex: 0,
   prediction: null,
   elapsedSeconds: null,
   downloadExtension,
@@ -59,13 +135,8 @@ const createInitialState = (downloadExtension = "png") => ({
   isLoading: false,
 });
 
-// trigger
-
-const modelStates = {
-  "nano-banana": createInitialState("png"),
-  "remove-bg": createInitialState("png"),
-  "video": createInitialState("mp4"),
-};
+// Filled in per model once the registry has loaded
+const modelStates = {};
 
 const normalizePositiveNumber = (value) => {
   const parsed = Number(value);
@@ -139,6 +210,8 @@ const resetModelState = (modelKey, { preserveDownloadExtension = true } = {}) =>
   const state = modelStates[modelKey];
   if (!state) return;
   state.imageUrl = null;
+  state.imageUrls = [];
+  state.selectedIndex = 0;
   state.prediction = null;
   state.elapsedSeconds = null;
   state.aspect = { ...defaultPreviewAspect };
@@ -183,6 +256,9 @@ const applyStateToPreview = (modelKey, { fallbackAspect } = {}) => {
       imageElement.src = state.imageUrl;
       outputPreview.appendChild(imageElement);
     }
+    if (state.imageUrls.length > 1) {
+      outputPreview.appendChild(renderGalleryStrip(modelKey, state));
+    }
   } else {
     outputPreview.innerHTML = `
       <div class="preview-placeholder">
@@ -203,12 +279,7 @@ const applyStateToPreview = (modelKey, { fallbackAspect } = {}) => {
     if (downloadButton) {
       downloadButton.classList.remove("hidden");
       downloadButton.onclick = () => {
-        const link = document.createElement("a");
-        link.href = state.imageUrl;
-        link.download = `generated-image.${state.downloadExtension || "png"}`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        downloadFile(state.imageUrl, getDownloadName(state, state.selectedIndex));
       };
     }
   } else {
@@ -217,9 +288,86 @@ const applyStateToPreview = (modelKey, { fallbackAspect } = {}) => {
       downloadButton.onclick = null;
     }
   }
+
+  if (downloadAllButton) {
+    const hasGallery = state.imageUrls.length > 1;
+    downloadAllButton.classList.toggle("hidden", !hasGallery);
+    downloadAllButton.onclick = hasGallery ? () => downloadAll(state) : null;
+  }
+};
+
+function downloadFile(url, filename) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+const getDownloadName = (state, index) => {
+  // Prefer the extension the provider actually served (Seedream returns JPEGs, for instance)
+  const urlExtension = state.imageUrls[index]?.match(/^[^?#]+\.(png|jpe?g|webp|gif|mp4)(?:[?#]|$)/i)?.[1];
+  const extension = urlExtension?.toLowerCase() || state.downloadExtension || "png";
+  return state.imageUrls.length > 1
+    ? `generated-image-${index + 1}.${extension}`
+    : `generated-image.${extension}`;
 };
 
-const updateStateWithImage = (modelKey, imageUrl, downloadExtension) => {
+async function downloadAll(state) {
+  const urls = [...state.imageUrls];
+  for (const [index, url] of urls.entries()) {
+    downloadFile(url, getDownloadName(state, index));
+    // Browsers drop rapid-fire downloads, so space them out
+    await new Promise((resolve) => setTimeout(resolve, 300));
+  }
+}
+
+function renderGalleryStrip(modelKey, state) {
+  const strip = document.createElement("div");
+  strip.className = "gallery-strip";
+
+  state.imageUrls.forEach((url, index) => {
+    const item = document.createElement("div");
+    item.className = "gallery-thumb";
+    item.classList.toggle("gallery-thumb--selected", index === state.selectedIndex);
+
+    const selectButton = document.createElement("button");
+    selectButton.type = "button";
+    selectButton.className = "gallery-thumb__select";
+    selectButton.setAttribute("aria-label", `Show result ${index + 1}`);
+    selectButton.setAttribute("aria-pressed", String(index === state.selectedIndex));
+    selectButton.addEventListener("click", () => selectGalleryItem(modelKey, index));
+
+    if (state.downloadExtension === "mp4") {
+      selectButton.textContent = String(index + 1);
+    } else {
+      const thumbImage = document.createElement("img");
+      thumbImage.alt = `Result ${index + 1}`;
+      thumbImage.decoding = "async";
+      thumbImage.src = url;
+      selectButton.appendChild(thumbImage);
+    }
+
+    const downloadItemButton = document.createElement("button");
+    downloadItemButton.type = "button";
+    downloadItemButton.className = "gallery-thumb__download";
+    downloadItemButton.title = `Download result ${index + 1}`;
+    downloadItemButton.setAttribute("aria-label", `Download result ${index + 1}`);
+    downloadItemButton.textContent = "↓";
+    downloadItemButton.addEventListener("click", () => {
+      downloadFile(url, getDownloadName(state, index));
+    });
+
+    item.appendChild(selectButton);
+    item.appendChild(downloadItemButton);
+    strip.appendChild(item);
+  });
+
+  return strip;
+}
+
+const updateStateWithImages = (modelKey, imageUrls, downloadExtension) => {
   const state = modelStates[modelKey];
   if (!state) return;
 
@@ -227,25 +375,37 @@ const updateStateWithImage = (modelKey, imageUrl, downloadExtension) => {
     state.downloadExtension = downloadExtension;
   }
 
-  if (!imageUrl) {
+  state.imageUrls = Array.isArray(imageUrls) ? imageUrls : [];
+  state.selectedIndex = 0;
+
+  if (!state.imageUrls.length) {
     state.imageUrl = null;
     state.aspect = { ...defaultPreviewAspect };
     applyStateToPreview(modelKey);
     return;
   }
 
+  selectGalleryItem(modelKey, 0);
+};
+
+const selectGalleryItem = (modelKey, index) => {
+  const state = modelStates[modelKey];
+  const imageUrl = state?.imageUrls[index];
+  if (!imageUrl) return;
+
+  state.selectedIndex = index;
   state.imageUrl = imageUrl;
   state.aspect = state.aspect || { ...defaultPreviewAspect };
-  state.aspect = state.aspect || { ...defaultPreviewAspect };
   applyStateToPreview(modelKey);
 
-  if (downloadExtension === "mp4") {
+  if (state.downloadExtension === "mp4") {
     // Skip image probing for video
     return;
   }
 
   const probe = new Image();
   probe.onload = () => {
+    if (state.imageUrl !== imageUrl) return;
     const width = normalizePositiveNumber(probe.naturalWidth);
     const height = normalizePositiveNumber(probe.naturalHeight);
     if (width && height) {
@@ -256,6 +416,7 @@ const updateStateWithImage = (modelKey, imageUrl, downloadExtension) => {
     applyStateToPreview(modelKey);
   };
   probe.onerror = () => {
+    if (state.imageUrl !== imageUrl) return;
     state.imageUrl = null;
     state.aspect = { ...defaultPreviewAspect };
     if (modelKey === activeModelKey) {
@@ -280,7 +441,22 @@ function createRangeValueSync(input) {
 
 import imageCompression from "https://cdn.jsdelivr.net/npm/browser-image-compression@2.0.2/+esm";
 
-function filesToBase64(filesInput, options = {}) {
+// Upload ids by File, so running the same form again doesn't send the images again
+const uploadedFiles = new WeakMap();
+
+async function uploadFile(file) {
+  const formData = new FormData();
+  formData.append("file", file, file.name || "image");
+  const response = await apiFetch("/api/uploads", { method: "POST", body: formData });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(describeApiError(result, `Failed to upload ${file.name || "image"}.`));
+  }
+  return result.upload.id;
+}
+
+// Compresses large images when asked, uploads them and resolves with their upload ids
+function uploadFiles(filesInput, options = {}) {
   const files = Array.isArray(filesInput) ? filesInput : Array.from(filesInput?.files ?? []);
   if (!files.length) return Promise.resolve([]);
   const { skipCompression = false, onProgress } = options;
@@ -290,6 +466,11 @@ function filesToBase64(filesInput, options = {}) {
 
   return Promise.all(
     files.map(async (file) => {
+      if (uploadedFiles.has(file)) {
+        processedCount++;
+        return uploadedFiles.get(file);
+      }
+
       let fileToProcess = file;
 
       // Check if file size is greater than 2MB
@@ -311,16 +492,12 @@ function filesToBase64(filesInput, options = {}) {
         }
       }
 
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-          processedCount++;
-          if (onProgress) onProgress({ status: "processed", count: processedCount, total: totalFiles });
-          resolve(reader.result);
-        };
-        reader.onerror = (err) => reject(err);
-        reader.readAsDataURL(fileToProcess);
-      });
+      if (onProgress) onProgress({ status: "uploading", file: file.name });
+      const uploadId = await uploadFile(fileToProcess);
+      uploadedFiles.set(file, uploadId);
+      processedCount++;
+      if (onProgress) onProgress({ status: "processed", count: processedCount, total: totalFiles });
+      return uploadId;
     }),
   );
 }
@@ -446,7 +623,8 @@ function normalizeImageValue(value, modelKey) {
   if (
     trimmed.startsWith("http://") ||
     trimmed.startsWith("https://") ||
-    trimmed.startsWith("data:")
+    trimmed.startsWith("data:") ||
+    trimmed.startsWith("/api/assets/")
   ) {
     return trimmed;
   }
@@ -463,40 +641,44 @@ function normalizeImageValue(value, modelKey) {
   return null;
 }
 
-function extractImageUrl(prediction, modelKey) {
-  if (!prediction) return null;
+const firstImageSource = (item, modelKey) => {
+  const sources = [item.image, item.url, item.uri, item.path];
+  for (const source of sources) {
+    const normalized = normalizeImageValue(source, modelKey);
+    if (normalized) return normalized;
+  }
+  return null;
+};
+
+function extractImageUrls(prediction, modelKey) {
+  if (!prediction) return [];
   const output = prediction.output ?? prediction.images ?? null;
 
   if (typeof output === "string") {
-    return normalizeImageValue(output, modelKey);
+    const normalized = normalizeImageValue(output, modelKey);
+    return normalized ? [normalized] : [];
   }
 
   if (Array.isArray(output)) {
+    const urls = [];
     for (const item of output) {
-      if (typeof item === "string") {
-        const normalized = normalizeImageValue(item, modelKey);
-        if (normalized) return normalized;
-      }
-
-      if (item && typeof item === "object") {
-        const sources = [item.image, item.url, item.uri, item.path];
-        for (const source of sources) {
-          const normalized = normalizeImageValue(source, modelKey);
-          if (normalized) return normalized;
-        }
-      }
+      const normalized =
+        typeof item === "string"
+          ? normalizeImageValue(item, modelKey)
+          : item && typeof item === "object"
+            ? firstImageSource(item, modelKey)
+            : null;
+      if (normalized) urls.push(normalized);
     }
+    return urls;
   }
 
   if (output && typeof output === "object") {
-    const sources = [output.image, output.url, output.uri, output.path];
-    for (const source of sources) {
-      const normalized = normalizeImageValue(source, modelKey);
-      if (normalized) return normalized;
-    }
+    const normalized = firstImageSource(output, modelKey);
+    return normalized ? [normalized] : [];
   }
 
-  return null;
+  return [];
 }
 
 function setActiveOutputTab(tabName) {
@@ -508,6 +690,9 @@ function setActiveOutputTab(tabName) {
   if (tabName === "preview") {
     outputPreview.classList.remove("hidden");
     outputJson.classList.add("hidden");
+  } else if (tabName === "json") {
+    outputPreview.classList.add("hidden");
+    outputJson.classList.remove("hidden");
   }
 }
 
@@ -519,6 +704,10 @@ function toggleRunning(isRunning, config, statusText = "Generating…") {
       loadingOverlay.classList.remove("hidden");
       if (loadingText) loadingText.textContent = statusText;
     }
+    if (cancelButton) {
+      cancelButton.classList.toggle("hidden", !currentRun);
+      cancelButton.disabled = Boolean(currentRun?.canceled);
+    }
 
     if (runButton && !runButton.disabled) {
       runButton.dataset.originalHtml = runButton.innerHTML;
@@ -526,6 +715,7 @@ function toggleRunning(isRunning, config, statusText = "Generating…") {
     }
   } else {
     if (loadingOverlay) loadingOverlay.classList.add("hidden");
+    if (cancelButton) cancelButton.classList.add("hidden");
     if (runButton) {
       runButton.innerHTML = runButton.dataset.originalHtml || "Run";
       runButton.disabled = false;
@@ -533,449 +723,1050 @@ function toggleRunning(isRunning, config, statusText = "Generating…") {
   }
 }
 
-function createNanoBananaConfig() {
-  const form = document.getElementById("nano-banana-form");
-  const promptField = document.getElementById("nano-banana-prompt");
-  const fileInput = document.getElementById("nano-banana-image-input");
-  const previewContainer = document.getElementById("nano-banana-image-preview");
-  const aspectSelect = document.getElementById("nano-banana-aspect-ratio");
-  const imageSizeSelect = document.getElementById("nano-banana-image-size");
-  const candidateCountInput = document.getElementById("nano-banana-candidate-count");
+const TERMINAL_STATUSES = ["succeeded", "failed", "canceled", "blocked"];
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
 
-  const defaults = {
-    prompt: "How engineers see the San Francisco Bridge",
-    aspect_ratio: "4:3",
-    image_size: "2K",
-    candidateCount: 1,
-  };
+// 1 -> "1st", 22 -> "22nd", 13 -> "13th"
+const ordinal = (number) => {
+  const tens = number % 100;
+  const suffix = tens >= 11 && tens <= 13 ? "th" : ["th", "st", "nd", "rd"][number % 10] || "th";
+  return `${number}${suffix}`;
+};
 
-  let matchInputAspect = null;
-  let selectedFiles = [];
+const describePredictionProgress = (prediction) => {
+  const status = prediction?.status || "processing";
+  if (status === "queued") {
+    return prediction.queue_position ? `${ordinal(prediction.queue_position)} in queue` : "Queued...";
+  }
+  const label = status === "starting" ? "Starting..." : "Generating...";
+  const progress = typeof prediction?.progress === "number"
+    ? ` ${Math.round(prediction.progress * 100)}%`
+    : "";
+  const lastLog = typeof prediction?.logs === "string"
+    ? prediction.logs.trim().split("\n").pop()?.replace(/^\S+Z\s+/, "")
+    : "";
+  return lastLog ? `${label}${progress}\n${lastLog}` : `${label}${progress}`;
+};
 
-  const getPreviewAspect = () => {
-    const aspectValue = aspectSelect.value;
-    const parsed = parseAspectRatioValue(aspectValue);
-    if (parsed) return parsed;
+// Resolves with the finished prediction pushed over /events. Rejects with `fallback: true`
+// when the stream can't be used so the caller can poll instead.
+function streamPrediction(predictionId, { onUpdate, deadline }) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/predictions/${encodeURIComponent(predictionId)}/events`);
+    let latest = null;
+    let consecutiveErrors = 0;
+
+    const finish = (callback, value) => {
+      clearTimeout(timeoutTimer);
+      source.close();
+      callback(value);
+    };
 
-    if (aspectValue === "match_input_image" && matchInputAspect) {
-      return matchInputAspect;
-    }
+    const timeoutTimer = setTimeout(() => {
+      finish(reject, new Error("Prediction timed out after 15 minutes."));
+    }, Math.max(0, deadline - Date.now()));
 
-    return { ...defaultPreviewAspect };
-  };
+    source.addEventListener("prediction", (event) => {
+      consecutiveErrors = 0;
+      latest = JSON.parse(event.data);
+      onUpdate?.(latest);
+      if (isTerminalStatus(latest.status)) {
+        finish(resolve, latest);
+      }
+    });
 
-  expectedAspectResolvers["nano-banana"] = () => getPreviewAspect();
+    source.addEventListener("error", (event) => {
+      // Server-sent `error` events carry a payload; connection errors don't.
+      if (event.data) {
+        const payload = JSON.parse(event.data);
+        finish(reject, Object.assign(new Error(payload.error || "Prediction stream failed."), { fallback: true }));
+        return;
+      }
+      consecutiveErrors += 1;
+      if (source.readyState === EventSource.CLOSED || consecutiveErrors >= 3) {
+        finish(reject, Object.assign(new Error("Prediction stream unavailable."), { fallback: true }));
+      }
+    });
+  });
+}
 
-  const applyPreviewAspect = () => {
-    if (activeModelKey !== "nano-banana") return;
-    if (modelStates["nano-banana"].imageUrl) return;
-    applyStateToPreview("nano-banana", { fallbackAspect: getPreviewAspect() });
-  };
+async function pollPrediction(prediction, { onUpdate, deadline }) {
+  let current = prediction;
 
-  const updateMatchInputAspectFromFile = () => {
-    matchInputAspect = null;
-    if (aspectSelect.value !== "match_input_image") {
-      applyPreviewAspect();
-      return;
+  while (!isTerminalStatus(current.status)) {
+    if (Date.now() > deadline) {
+      throw new Error("Prediction timed out after 15 minutes.");
     }
-    const firstFile = selectedFiles[0];
-    if (!firstFile) {
-      applyPreviewAspect();
-      return;
-    }
-    const objectUrl = URL.createObjectURL(firstFile);
-    const image = new Image();
-    image.onload = () => {
-      const width = normalizePositiveNumber(image.naturalWidth);
-      const height = normalizePositiveNumber(image.naturalHeight);
-      matchInputAspect =
-        width && height ? { width, height } : { ...defaultPreviewAspect };
-      URL.revokeObjectURL(objectUrl);
-      applyPreviewAspect();
-    };
-    image.onerror = () => {
-      matchInputAspect = null;
-      URL.revokeObjectURL(objectUrl);
-      applyPreviewAspect();
-    };
-    image.src = objectUrl;
-  };
 
-  aspectSelect.addEventListener("change", () => {
-    if (aspectSelect.value === "match_input_image") {
-      updateMatchInputAspectFromFile();
-    } else {
-      matchInputAspect = null;
-      applyPreviewAspect();
+    await new Promise((resolve) => setTimeout(resolve, 1000)); // Poll every 1 second
+
+    const pollResponse = await apiFetch(`/api/predictions/${current.id}`);
+    const pollResult = await pollResponse.json();
+
+    if (!pollResponse.ok) {
+      const message = pollResult?.error || "Failed to poll prediction status.";
+      throw new Error(message);
     }
-  });
 
-  fileInput.addEventListener("change", () => {
-    console.log("File input changed");
-    const newFiles = Array.from(fileInput.files || []);
-    if (newFiles.length > 0) {
-      selectedFiles = [...selectedFiles, ...newFiles];
-      fileInput.value = ""; // Clear input to allow re-selecting same file
-      updateMatchInputAspectFromFile();
-      renderFilePreviewList(selectedFiles, previewContainer, (indexToRemove) => {
-        selectedFiles = selectedFiles.filter((_, i) => i !== indexToRemove);
-        renderFilePreviewList(selectedFiles, previewContainer, (idx) => {
-          // Recursive callback handling is tricky here, better to just re-render with same logic
-          // But since we are inside the closure, we can just call the main render
-          // Actually, let's simplify: define a render function
-          updatePreview();
-        });
-        updateMatchInputAspectFromFile();
-      });
+    current = pollResult.prediction;
+    onUpdate?.(current);
+  }
+
+  return current;
+}
+
+async function waitForPrediction(prediction, { onUpdate, timeoutMs }) {
+  if (isTerminalStatus(prediction.status)) return prediction;
+
+  const deadline = Date.now() + timeoutMs;
+
+  if (typeof EventSource === "function") {
+    try {
+      return await streamPrediction(prediction.id, { onUpdate, deadline });
+    } catch (error) {
+      if (!error?.fallback) throw error;
+      console.warn("Falling back to polling:", error.message);
     }
+  }
+
+  return pollPrediction(prediction, { onUpdate, deadline });
+}
+
+async function requestCancel(predictionId) {
+  const response = await apiFetch(`/api/predictions/${encodeURIComponent(predictionId)}/cancel`, {
+    method: "POST",
   });
+  // 409 means it finished first; the watcher will pick up the final state
+  if (!response.ok && response.status !== 409) {
+    const result = await response.json().catch(() => null);
+    throw new Error(result?.error || "Failed to cancel prediction.");
+  }
+}
 
-  const updatePreview = () => {
-    renderFilePreviewList(selectedFiles, previewContainer, (indexToRemove) => {
-      selectedFiles = selectedFiles.filter((_, i) => i !== indexToRemove);
-      updatePreview();
-      updateMatchInputAspectFromFile();
-    });
-  };
+cancelButton?.addEventListener("click", async () => {
+  if (!currentRun || currentRun.canceled) return;
+  currentRun.canceled = true;
+  cancelButton.disabled = true;
+  if (loadingText) loadingText.textContent = "Canceling...";
+  if (!currentRun.predictionId) return; // handleSubmit cancels once the id is known
 
-  function resetFields() {
-    if (promptField) promptField.value = defaults.prompt;
-    if (aspectSelect) aspectSelect.value = defaults.aspect_ratio;
-    if (imageSizeSelect) imageSizeSelect.value = defaults.image_size;
-    if (candidateCountInput) candidateCountInput.value = defaults.candidateCount;
-    if (fileInput) fileInput.value = "";
-    selectedFiles = [];
-    matchInputAspect = null;
-    applyPreviewAspect();
-    updatePreview();
+  try {
+    await requestCancel(currentRun.predictionId);
+  } catch (error) {
+    console.error("Cancel failed", error);
+    showToast(error.message, "error");
   }
+});
 
-  async function gatherPayload(onProgress) {
-    const prompt = promptField.value;
-    const aspect_ratio = aspectSelect.value;
-    const image_size = imageSizeSelect.value;
-    const candidateCount = parseInt(candidateCountInput.value, 10);
-
-    const image_input = await filesToBase64(selectedFiles, {
-      onProgress: (progress) => {
-        if (onProgress) onProgress(progress);
-      }
-    });
+// History entries replace inline images with an "[omitted ...]" marker; those can't be re-sent.
+const isOmittedInput = (value) => typeof value === "string" && value.startsWith("[omitted ");
 
-    const payload = {
-      model_key: "nano-banana",
-      prompt,
-      aspect_ratio,
-      image_size,
-      candidateCount,
-    };
+const hasOmittedInputs = (input) =>
+  Object.values(input || {}).some((value) =>
+    Array.isArray(value) ? value.some(isOmittedInput) : isOmittedInput(value),
+  );
+
+const setFieldValue = (field, value) => {
+  if (!field || value === undefined || value === null) return;
+  if (field.type === "checkbox") {
+    field.checked = value === true;
+  } else {
+    field.value = String(value);
+  }
+};
 
-    if (image_input.length) {
-      payload.image_input = image_input;
+const TYPE_HINTS = { image: "file", "image[]": "file[]" };
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+// Reads a text/event-stream response body, calling onEvent(event, data) for each event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
     }
+  }
+}
 
-    return {
-      payload,
-      downloadExtension: "png",
-    };
+const REFINE_VARIANTS = 3;
+
+// Streams rewrites of the prompt into the panel under it, then lets the user pick one.
+// `negativeField` is the form's negative prompt control, filled with the suggestion if empty.
+async function refinePrompt(refineButton, promptField, { mode, panel, negativeField = null }) {
+  const prompt = promptField.value.trim();
+  if (!prompt) {
+    showToast("Provide a prompt before refining.", "error");
+    promptField.focus();
+    return;
   }
 
-  const refineButton = document.getElementById("nano-banana-refine-button");
+  const originalText = refineButton.textContent;
+  refineButton.disabled = true;
+  refineButton.textContent = "Refining…";
 
-  refineButton?.addEventListener("click", async () => {
-    const prompt = promptField.value.trim();
-    if (!prompt) {
-      showToast("Provide a prompt before refining.", "error");
-      promptField.focus();
-      return;
+  panel.innerHTML = "";
+  panel.classList.remove("hidden");
+  const streamText = document.createElement("p");
+  streamText.className = "refine-panel__stream";
+  panel.append(streamText);
+
+  const usePrompt = (text, negativePrompt) => {
+    promptField.value = text;
+    if (negativeField && negativePrompt && !negativeField.value.trim()) {
+      negativeField.value = negativePrompt;
     }
+    panel.classList.add("hidden");
+    panel.innerHTML = "";
+    showToast("Prompt refined.", "success");
+  };
 
-    const originalText = refineButton.textContent;
-    refineButton.disabled = true;
-    refineButton.textContent = "Refining…";
+  const showVariants = ({ variants, negative_prompt: negativePrompt }) => {
+    panel.innerHTML = "";
+    variants.forEach((variant, index) => {
+      const option = document.createElement("div");
+      option.className = "refine-panel__variant";
+      const text = document.createElement("p");
+      text.textContent = variant;
+      const useButton = document.createElement("button");
+      useButton.type = "button";
+      useButton.className = "field__action-button";
+      useButton.textContent = `Use ${index + 1}`;
+      useButton.addEventListener("click", () => usePrompt(variant, negativePrompt));
+      option.append(text, useButton);
+      panel.append(option);
+    });
+    if (negativePrompt) {
+      const negative = document.createElement("p");
+      negative.className = "refine-panel__negative";
+      negative.textContent = `Negative prompt: ${negativePrompt}`;
+      panel.append(negative);
+    }
+    const dismissButton = document.createElement("button");
+    dismissButton.type = "button";
+    dismissButton.className = "ghost-button";
+    dismissButton.textContent = "Keep my prompt";
+    dismissButton.addEventListener("click", () => {
+      panel.classList.add("hidden");
+      panel.innerHTML = "";
+    });
+    panel.append(dismissButton);
+  };
 
-    try {
-      const response = await fetch("/api/refine", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ prompt }),
-      });
+  try {
+    const response = await apiFetch("/api/refine", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        prompt,
+        mode,
+        variants: REFINE_VARIANTS,
+        stream: true,
+        ...(mode === "video" && negativeField ? { negative_prompt: true } : {}),
+      }),
+    });
 
-      const result = await response.json();
+    if (!response.ok) {
+      const result = await response.json().catch(() => null);
+      const message =
+        describeApiError(result, "") ||
+        result?.details?.error ||
+        "Unable to refine prompt right now.";
+      throw new Error(message);
+    }
 
-      if (!response.ok) {
-        const message =
-          result?.error ||
-          result?.details?.error ||
-          "Unable to refine prompt right now.";
-        throw new Error(message);
+    let result = null;
+    await readEventStream(response, (event, data) => {
+      if (event === "delta") {
+        streamText.textContent += data.text;
+        panel.scrollTop = panel.scrollHeight;
+      } else if (event === "done") {
+        result = data;
+      } else if (event === "error") {
+        throw new Error(data.error || "Refine stream failed.");
       }
+    });
 
-      const refinedPrompt = typeof result?.refined_prompt === "string"
-        ? result.refined_prompt.trim()
-        : "";
-
-      if (refinedPrompt) {
-        promptField.value = refinedPrompt;
-        showToast("Prompt refined.", "success");
-      } else {
-        showToast("Refine service returned no changes.", "error");
-      }
-    } catch (error) {
-      console.error("Prompt refinement failed", error);
-      showToast(
-        error instanceof Error ? error.message : "Failed to refine prompt.",
-        "error",
-      );
-    } finally {
-      refineButton.disabled = false;
-      refineButton.textContent = originalText;
+    if (!result?.variants?.length) {
+      throw new Error("Refine service returned no changes.");
     }
-  });
-
-  applyPreviewAspect();
-  renderFilePreviewList(fileInput, previewContainer);
+    if (result.variants.length === 1) {
+      usePrompt(result.variants[0], result.negative_prompt);
+    } else {
+      showVariants(result);
+    }
+  } catch (error) {
+    console.error("Prompt refinement failed", error);
+    panel.classList.add("hidden");
+    panel.innerHTML = "";
+    showToast(
+      error instanceof Error ? error.message : "Failed to refine prompt.",
+      "error",
+    );
+  } finally {
+    refineButton.disabled = false;
+    refineButton.textContent = originalText;
+  }
+}
 
-  return {
-    key: "nano-banana",
-    form,
-    promptField,
-    fileInput,
-    runButton: form.querySelector('[data-role="run"]'),
-    resetButton: form.querySelector('[data-role="reset"]'),
-    reset: resetFields,
-    gatherPayload,
-    getPreviewAspect,
-  };
+function createFieldLabel(name, field) {
+  const label = document.createElement("span");
+  label.className = "field__label";
+  label.append(`${name} `);
+  if (field.required) {
+    const required = document.createElement("span");
+    required.className = "required";
+    required.textContent = "*";
+    label.append(required, " ");
+  }
+  const typeHint = document.createElement("span");
+  typeHint.className = "type-hint";
+  typeHint.textContent = TYPE_HINTS[field.type] || field.type;
+  label.append(typeHint);
+  return label;
 }
 
-function createRemoveBgConfig() {
-  const form = document.getElementById("remove-bg-form");
-  const fileInput = document.getElementById("remove-bg-image-input");
-  const previewContainer = document.getElementById("remove-bg-image-preview");
-  const imageUrlInput = document.getElementById("remove-bg-image-url");
-  const contentModerationCheckbox = document.getElementById("remove-bg-content-moderation");
-  const preservePartialAlphaCheckbox = document.getElementById("remove-bg-preserve-partial-alpha");
+function createFieldHint(text) {
+  const hint = document.createElement("span");
+  hint.className = "field__hint";
+  hint.textContent = text;
+  return hint;
+}
 
-  const defaults = {
-    image_url: "",
-    content_moderation: false,
-    preserve_partial_alpha: true,
+// Longest side of the mask canvas; the server scales the mask to the image anyway
+const MASK_MAX_SIDE = 1024;
+
+// Paints an inpainting mask over the first image of another field (`ui.mask_painter`). Strokes
+// are drawn on a translucent canvas over the image; on submit they are exported as a white on
+// black PNG and uploaded. Nothing painted means no mask is sent.
+function createMaskPainter(model, name, field) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "field mask-painter hidden";
+  wrapper.append(createFieldLabel(name, field));
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "mask-painter__toolbar";
+  const brushButton = createActionButton("Brush");
+  const eraserButton = createActionButton("Eraser");
+  const invertButton = createActionButton("Invert");
+  const clearButton = createActionButton("Clear");
+  const sizeInput = document.createElement("input");
+  sizeInput.type = "range";
+  sizeInput.min = "4";
+  sizeInput.max = "120";
+  sizeInput.value = "40";
+  sizeInput.setAttribute("aria-label", "Brush size");
+  toolbar.append(brushButton, eraserButton, invertButton, clearButton, sizeInput);
+
+  const stage = document.createElement("div");
+  stage.className = "mask-painter__stage";
+  const image = document.createElement("img");
+  image.alt = "";
+  const canvas = document.createElement("canvas");
+  canvas.className = "mask-painter__canvas";
+  stage.append(image, canvas);
+  wrapper.append(toolbar, stage);
+  if (field.description) wrapper.append(createFieldHint(field.description));
+
+  const context = canvas.getContext("2d");
+  let sourceFile = null;
+  let objectUrl = null;
+  let erasing = false;
+  let lastPoint = null;
+  // Bumped on every change so an unchanged mask isn't uploaded twice
+  let version = 0;
+  let uploaded = null;
+
+  const setTool = (eraser) => {
+    erasing = eraser;
+    brushButton.classList.toggle("active", !eraser);
+    eraserButton.classList.toggle("active", eraser);
   };
+  setTool(false);
 
-  const getPreviewAspect = () => {
-    return { ...defaultPreviewAspect };
+  const clear = () => {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    version++;
   };
 
-  expectedAspectResolvers["remove-bg"] = () => getPreviewAspect();
+  const toCanvasPoint = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+    };
+  };
 
-  const applyPreviewAspect = () => {
-    if (activeModelKey !== "remove-bg") return;
-    if (modelStates["remove-bg"].imageUrl) return;
-    applyStateToPreview("remove-bg", { fallbackAspect: getPreviewAspect() });
+  const strokeTo = (point) => {
+    const rect = canvas.getBoundingClientRect();
+    context.globalCompositeOperation = erasing ? "destination-out" : "source-over";
+    context.strokeStyle = "#ff3b5c";
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    // The size slider is in screen pixels
+    context.lineWidth = Number(sizeInput.value) * (canvas.width / rect.width);
+    context.beginPath();
+    context.moveTo(lastPoint.x, lastPoint.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    lastPoint = point;
+    version++;
   };
 
-  fileInput.addEventListener("change", () => {
-    renderFilePreviewList(Array.from(fileInput.files || []), previewContainer);
+  canvas.addEventListener("pointerdown", (event) => {
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    lastPoint = toCanvasPoint(event);
+    strokeTo(lastPoint);
+  });
+  canvas.addEventListener("pointermove", (event) => {
+    if (lastPoint) strokeTo(toCanvasPoint(event));
+  });
+  const endStroke = () => {
+    lastPoint = null;
+  };
+  canvas.addEventListener("pointerup", endStroke);
+  canvas.addEventListener("pointercancel", endStroke);
+
+  brushButton.addEventListener("click", () => setTool(false));
+  eraserButton.addEventListener("click", () => setTool(true));
+  clearButton.addEventListener("click", clear);
+  invertButton.addEventListener("click", () => {
+    context.globalCompositeOperation = "xor";
+    context.fillStyle = "#ff3b5c";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    version++;
   });
 
-  function resetFields() {
-    fileInput.value = "";
-    imageUrlInput.value = defaults.image_url;
-    contentModerationCheckbox.checked = defaults.content_moderation;
-    preservePartialAlphaCheckbox.checked = defaults.preserve_partial_alpha;
-    applyPreviewAspect();
-    renderFilePreviewList([], previewContainer);
-  }
-
-  async function gatherPayload() {
-    const image_url = imageUrlInput.value.trim();
-    const content_moderation = contentModerationCheckbox.checked;
-    const preserve_partial_alpha = preservePartialAlphaCheckbox.checked;
-    const image_input = await filesToBase64(fileInput, { skipCompression: true });
+  const isPainted = () =>
+    context.getImageData(0, 0, canvas.width, canvas.height).data.some((value, index) => index % 4 === 3 && value > 0);
+
+  // White where painted, black elsewhere
+  const exportMask = () => {
+    const painted = document.createElement("canvas");
+    painted.width = canvas.width;
+    painted.height = canvas.height;
+    const paintedContext = painted.getContext("2d");
+    paintedContext.drawImage(canvas, 0, 0);
+    paintedContext.globalCompositeOperation = "source-in";
+    paintedContext.fillStyle = "#ffffff";
+    paintedContext.fillRect(0, 0, painted.width, painted.height);
+
+    const mask = document.createElement("canvas");
+    mask.width = canvas.width;
+    mask.height = canvas.height;
+    const maskContext = mask.getContext("2d");
+    maskContext.fillStyle = "#000000";
+    maskContext.fillRect(0, 0, mask.width, mask.height);
+    maskContext.drawImage(painted, 0, 0);
+    return new Promise((resolve) => mask.toBlob(resolve, "image/png"));
+  };
 
-    const payload = {
-      model_key: "remove-bg",
-      content_moderation,
-      preserve_partial_alpha,
-    };
+  return {
+    element: wrapper,
+    isImage: true,
+    isMask: true,
+    source: field.ui.mask_painter,
+    // Shows the painter over `file`, or hides it without one; a new image starts a new mask
+    setSource(file) {
+      if (file === sourceFile) return;
+      sourceFile = file;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      objectUrl = null;
+      wrapper.classList.toggle("hidden", !file);
+      if (!file) return;
+      objectUrl = URL.createObjectURL(file);
+      image.onload = () => {
+        const scale = Math.min(1, MASK_MAX_SIDE / Math.max(image.naturalWidth, image.naturalHeight));
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+        clear();
+      };
+      image.src = objectUrl;
+    },
+    async getValue(onProgress) {
+      if (!sourceFile || !isPainted()) return undefined;
+      if (uploaded?.version === version) return uploaded.id;
+      const current = version;
+      if (onProgress) onProgress({ status: "uploading", file: "mask" });
+      const blob = await exportMask();
+      const id = await uploadFile(new File([blob], "mask.png", { type: "image/png" }));
+      uploaded = { version: current, id };
+      return id;
+    },
+    // Masks can't be restored; they are painted again over the re-attached image
+    setValue: () => {},
+    reset: () => {
+      setTool(false);
+      clear();
+    },
+  };
+}
 
-    if (image_input.length) {
-      payload.image = image_input[0];
-    } else if (image_url) {
-      payload.image_url = image_url;
-    }
+// Builds one form field from its schema. Every control exposes the same small interface
+// so the form config can read, write and reset fields without knowing their type.
+function createSchemaField(model, name, field, { onChange, onRefine }) {
+  const id = `${model.key}-${name.replace(/_/g, "-")}`;
+  const ui = field.ui || {};
+  if (field.type === "image" && ui.mask_painter) return createMaskPainter(model, name, field);
+
+  const wrapper = document.createElement("label");
+  wrapper.className = "field";
+
+  if (field.type === "boolean") {
+    wrapper.classList.add("field--checkbox");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = id;
+    checkbox.name = name;
+    checkbox.addEventListener("change", onChange);
+    wrapper.append(checkbox, createFieldLabel(name, field));
+    if (field.description) wrapper.append(createFieldHint(field.description));
 
     return {
-      payload,
-      downloadExtension: "png",
+      element: wrapper,
+      getValue: () => checkbox.checked,
+      setValue: (value) => setFieldValue(checkbox, value),
+      reset: () => {
+        checkbox.checked = field.default === true;
+      },
     };
   }
 
-  applyPreviewAspect();
-  renderFilePreviewList(Array.from(fileInput.files || []), previewContainer);
+  if (field.type === "image" || field.type === "image[]") {
+    const multiple = field.type === "image[]";
+    let selectedFiles = [];
+
+    wrapper.append(createFieldLabel(name, field));
+
+    const dropzone = document.createElement("div");
+    dropzone.className = "dropzone";
+    const fileInput = document.createElement("input");
+    fileInput.id = id;
+    fileInput.type = "file";
+    fileInput.name = name;
+    fileInput.accept = "image/*";
+    fileInput.multiple = multiple;
+    const dropzoneText = document.createElement("span");
+    dropzoneText.textContent = ui.label || (multiple ? "Add multiple files" : "Upload an image");
+    dropzone.append(fileInput, dropzoneText);
+
+    const previewContainer = document.createElement("div");
+    previewContainer.className = "file-preview-list file-preview-list--empty";
+    previewContainer.id = `${id}-preview`;
+    previewContainer.setAttribute("aria-live", "polite");
+
+    wrapper.append(dropzone, previewContainer);
+
+    let urlInput = null;
+    if (ui.url_input) {
+      urlInput = document.createElement("input");
+      urlInput.type = "text";
+      urlInput.id = `${id}-url`;
+      urlInput.className = "field__control";
+      urlInput.placeholder = "https://...";
+      urlInput.setAttribute("aria-label", `${name} URL`);
+      wrapper.append(urlInput, createFieldHint("Or provide a URL to an image"));
+    }
+
+    if (field.description) wrapper.append(createFieldHint(field.description));
+
+    const updatePreview = () => {
+      renderFilePreviewList(selectedFiles, previewContainer, (indexToRemove) => {
+        selectedFiles = selectedFiles.filter((_, i) => i !== indexToRemove);
+        updatePreview();
+        onChange();
+      });
+    };
+
+    fileInput.addEventListener("change", () => {
+      const newFiles = Array.from(fileInput.files || []);
+      if (!newFiles.length) return;
+      fileInput.value = ""; // Clear input to allow re-selecting same file
+      selectedFiles = multiple ? [...selectedFiles, ...newFiles] : newFiles.slice(0, 1);
+      if (field.max_items && selectedFiles.length > field.max_items) {
+        selectedFiles = selectedFiles.slice(0, field.max_items);
+        showToast(`${name} accepts at most ${field.max_items} files.`, "error");
+      }
+      updatePreview();
+      onChange();
+    });
+
+    return {
+      element: wrapper,
+      isImage: true,
+      getFiles: () => selectedFiles,
+      async getValue(onProgress) {
+        const uploadIds = await uploadFiles(selectedFiles, {
+          skipCompression: !ui.compress,
+          onProgress,
+        });
+        if (multiple) return uploadIds;
+        return uploadIds[0] ?? (urlInput?.value.trim() || undefined);
+      },
+      // Only remote URLs can be restored; uploaded files have to be attached again
+      setValue: (value) => {
+        if (urlInput && typeof value === "string" && /^https?:\/\//.test(value)) {
+          urlInput.value = value;
+        }
+      },
+      reset: () => {
+        selectedFiles = [];
+        fileInput.value = "";
+        if (urlInput) urlInput.value = "";
+        updatePreview();
+      },
+    };
+  }
+
+  let control;
+  if (field.enum) {
+    control = document.createElement("select");
+    for (const option of field.enum) {
+      const optionElement = document.createElement("option");
+      optionElement.value = String(option);
+      optionElement.textContent = String(option);
+      control.append(optionElement);
+    }
+  } else if (ui.widget === "textarea") {
+    control = document.createElement("textarea");
+    control.classList.add("field__control--textarea");
+    control.rows = ui.rows || 3;
+  } else {
+    control = document.createElement("input");
+    control.type = field.type === "integer" ? "number" : "text";
+    if (field.min !== undefined) control.min = String(field.min);
+    if (field.max !== undefined) control.max = String(field.max);
+    if (ui.placeholder) control.placeholder = ui.placeholder;
+  }
+  control.id = id;
+  control.name = name;
+  control.classList.add("field__control");
+  control.required = Boolean(field.required);
+  control.addEventListener("change", onChange);
+
+  if (ui.refine) {
+    const header = document.createElement("div");
+    header.className = "field__header";
+    const actions = document.createElement("div");
+    actions.className = "field__actions";
+    const badge = document.createElement("span");
+    badge.className = "model-badge";
+    badge.title = "Refine Model";
+    badge.textContent = "google/gemini-3-pro";
+    const refineButton = document.createElement("button");
+    refineButton.type = "button";
+    refineButton.className = "field__action-button";
+    refineButton.id = `${model.key}-refine-button`;
+    refineButton.textContent = "Refine";
+    refineButton.addEventListener("click", () => onRefine(refineButton, control, refinePanel));
+    actions.append(badge, refineButton);
+    header.append(createFieldLabel(name, field), actions);
+    wrapper.append(header);
+  } else {
+    wrapper.append(createFieldLabel(name, field));
+  }
+
+  wrapper.append(control);
+  const refinePanel = document.createElement("div");
+  refinePanel.className = "refine-panel hidden";
+  refinePanel.setAttribute("aria-live", "polite");
+  if (ui.refine) wrapper.append(refinePanel);
+  const hint = ui.hint || field.description;
+  if (hint) wrapper.append(createFieldHint(hint));
 
   return {
-    key: "remove-bg",
-    form,
-    fileInput,
-    runButton: form.querySelector('[data-role="run"]'),
-    resetButton: form.querySelector('[data-role="reset"]'),
-    reset: resetFields,
-    gatherPayload,
+    element: wrapper,
+    control,
+    getValue() {
+      const value = control.value.trim();
+      if (!value) return undefined;
+      if (field.type !== "integer") return value;
+      const parsed = Number.parseInt(value, 10);
+      return Number.isNaN(parsed) ? undefined : parsed;
+    },
+    setValue: (value) => setFieldValue(control, value),
+    reset: () => {
+      control.value = field.default === undefined ? "" : String(field.default);
+    },
   };
 }
 
-function createVideoConfig() {
-  const form = document.getElementById("video-form");
-  const promptField = document.getElementById("video-prompt");
-  const imageInput = document.getElementById("video-image-input");
-  const imagePreview = document.getElementById("video-image-preview");
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const createActionButton = (text) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "field__action-button";
+  button.textContent = text;
+  return button;
+};
+
+// Saved prompts with {{variable}} placeholders. Picking one applies its preset inputs and adds
+// a box per variable; the prompt is filled in as the boxes are.
+function createTemplatePicker(model, { fields, onChange }) {
+  const promptControl = fields.prompt.control;
+  let templates = [];
+  let active = null;
+  let values = {};
+
+  const element = document.createElement("div");
+  element.className = "template-picker";
+  const row = document.createElement("div");
+  row.className = "template-picker__row";
+  const select = document.createElement("select");
+  select.className = "field__control template-picker__select";
+  select.setAttribute("aria-label", "Prompt template");
+  const saveButton = createActionButton("Save as template");
+  const deleteButton = createActionButton("Delete");
+  deleteButton.hidden = true;
+  const variablesBox = document.createElement("div");
+  variablesBox.className = "template-picker__variables";
+  row.append(select, saveButton, deleteButton);
+  element.append(row, variablesBox);
+
+  const renderOptions = () => {
+    select.innerHTML = "";
+    select.append(new Option(templates.length ? "Prompt templates..." : "No saved templates", ""));
+    templates.forEach((template) => select.append(new Option(template.name, template.id)));
+    select.value = active?.id ?? "";
+    deleteButton.hidden = !active;
+  };
+
+  const renderPrompt = () => {
+    promptControl.value = active.prompt.replace(
+      TEMPLATE_VARIABLE_PATTERN,
+      (placeholder, name) => values[name]?.trim() || placeholder,
+    );
+  };
+
+  const renderVariables = () => {
+    variablesBox.innerHTML = "";
+    for (const name of active?.variables ?? []) {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "field__control";
+      input.placeholder = name;
+      input.setAttribute("aria-label", `Template variable ${name}`);
+      input.addEventListener("input", () => {
+        values[name] = input.value;
+        renderPrompt();
+      });
+      variablesBox.append(input);
+    }
+  };
+
+  const use = (template) => {
+    active = template;
+    values = {};
+    deleteButton.hidden = !active;
+    renderVariables();
+    if (!active) return;
+    for (const [name, value] of Object.entries(active.params ?? {})) {
+      fields[name]?.setValue(value);
+    }
+    renderPrompt();
+    onChange();
+  };
+
+  async function refresh() {
+    try {
+      const response = await apiFetch(`/api/templates?model_key=${encodeURIComponent(model.key)}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.error || "Failed to load templates.");
+      }
+      templates = result.templates;
+      if (active && !templates.some((template) => template.id === active.id)) use(null);
+      renderOptions();
+    } catch (error) {
+      console.error("Template load failed", error);
+    }
+  }
+
+  select.addEventListener("change", () => {
+    use(templates.find((template) => template.id === select.value) ?? null);
+  });
+
+  // Saves the prompt as typed, placeholders included, with the other visible non-image inputs
+  saveButton.addEventListener("click", async () => {
+    const prompt = promptControl.value.trim();
+    if (!prompt) {
+      showToast("Write a prompt before saving it as a template.", "error");
+      return;
+    }
+    const name = window.prompt("Template name", active?.name ?? "");
+    if (!name?.trim()) return;
+
+    const params = Object.fromEntries(
+      Object.entries(fields)
+        .filter(([fieldName, control]) => fieldName !== "prompt" && !control.isImage)
+        .filter(([, control]) => !control.element.classList.contains("hidden"))
+        .map(([fieldName, control]) => [fieldName, control.getValue()])
+        .filter(([, value]) => !isEmptyValue(value)),
+    );
+    try {
+      const response = await apiFetch("/api/templates", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: name.trim(), model_key: model.key, prompt, params }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(describeApiError(result, "Failed to save template."));
+      }
+      showToast(`Saved template "${result.template.name}".`);
+      await refresh();
+    } catch (error) {
+      console.error("Template save failed", error);
+      showToast(error.message, "error");
+    }
+  });
+
+  deleteButton.addEventListener("click", async () => {
+    if (!active || !window.confirm(`Delete the template "${active.name}"?`)) return;
+    try {
+      const response = await apiFetch(`/api/templates/${encodeURIComponent(active.id)}`, { method: "DELETE" });
+      if (!response.ok) {
+        const result = await response.json().catch(() => null);
+        throw new Error(result?.error || "Failed to delete template.");
+      }
+      use(null);
+      await refresh();
+    } catch (error) {
+      console.error("Template delete failed", error);
+      showToast(error.message, "error");
+    }
+  });
+
+  renderOptions();
 
-  const lastFrameInput = document.getElementById("video-last-frame-input");
-  const lastFramePreview = document.getElementById("video-last-frame-preview");
+  return {
+    element,
+    refresh,
+    reset: () => use(null),
+    // First placeholder of the chosen template still left in the prompt, if any
+    findUnfilledVariable: (prompt) =>
+      active && typeof prompt === "string"
+        ? Array.from(prompt.matchAll(TEMPLATE_VARIABLE_PATTERN))[0]?.[1]
+        : undefined,
+  };
+}
 
-  const referenceImagesInput = document.getElementById("video-reference-images-input");
-  const referenceImagesPreview = document.getElementById("video-reference-images-preview");
+// Renders a model's form from the registry schema served by GET /api/models.
+function createSchemaFormConfig(model, container) {
+  const form = document.createElement("form");
+  form.id = `${model.key}-form`;
+  form.className = "form form--hidden";
+  form.dataset.model = model.key;
 
-  const aspectRatioSelect = document.getElementById("video-aspect-ratio");
-  const resolutionSelect = document.getElementById("video-resolution");
-  const durationSelect = document.getElementById("video-duration");
+  const fields = {};
+  let matchInputAspect = null;
 
-  const negativePromptField = document.getElementById("video-negative-prompt");
-  const generateAudioCheckbox = document.getElementById("video-generate-audio");
-  const seedInput = document.getElementById("video-seed");
+  const imageField = () => Object.values(fields).find((control) => control.isImage && !control.isMask);
+  const aspectField = Object.entries(model.inputs).find(([, field]) => field.ui?.preview_aspect)?.[0];
+  const dimensionFields = Object.fromEntries(
+    Object.entries(model.inputs)
+      .filter(([, field]) => field.ui?.preview_dimension)
+      .map(([name, field]) => [field.ui.preview_dimension, name]),
+  );
 
-  const defaults = {
-    prompt: "",
-    aspect_ratio: "16:9",
-    resolution: "1080p",
-    duration: "8",
-    generate_audio: true,
-    seed: "",
-    negative_prompt: "",
+  // A visible custom width/height pair wins over the aspect ratio select
+  const getCustomDimensions = () => {
+    const widthField = fields[dimensionFields.width];
+    const heightField = fields[dimensionFields.height];
+    if (!widthField || !heightField || widthField.element.classList.contains("hidden")) return null;
+    const width = normalizePositiveNumber(widthField.getValue());
+    const height = normalizePositiveNumber(heightField.getValue());
+    return width && height ? { width, height } : null;
   };
 
   const getPreviewAspect = () => {
-    const aspectValue = aspectRatioSelect.value;
+    const customDimensions = getCustomDimensions();
+    if (customDimensions) return customDimensions;
+
+    const aspectValue = aspectField ? fields[aspectField].control.value : null;
     const parsed = parseAspectRatioValue(aspectValue);
     if (parsed) return parsed;
+
+    if (aspectValue === "match_input_image" && matchInputAspect) {
+      return matchInputAspect;
+    }
+
     return { ...defaultPreviewAspect };
   };
 
-  expectedAspectResolvers["video"] = () => getPreviewAspect();
+  expectedAspectResolvers[model.key] = () => getPreviewAspect();
 
   const applyPreviewAspect = () => {
-    if (activeModelKey !== "video") return;
-    if (modelStates["video"].imageUrl) return;
-    applyStateToPreview("video", { fallbackAspect: getPreviewAspect() });
+    if (activeModelKey !== model.key) return;
+    if (modelStates[model.key].imageUrl) return;
+    applyStateToPreview(model.key, { fallbackAspect: getPreviewAspect() });
   };
 
-  aspectRatioSelect.addEventListener("change", () => {
-    applyPreviewAspect();
-  });
-
-  // File input handlers
-  imageInput.addEventListener("change", () => {
-    renderFilePreviewList(Array.from(imageInput.files || []), imagePreview);
-  });
+  const updateMatchInputAspectFromFile = () => {
+    matchInputAspect = null;
+    const firstFile = imageField()?.getFiles()[0];
+    if (!aspectField || fields[aspectField].control.value !== "match_input_image" || !firstFile) {
+      applyPreviewAspect();
+      return;
+    }
+    const objectUrl = URL.createObjectURL(firstFile);
+    const image = new Image();
+    image.onload = () => {
+      const width = normalizePositiveNumber(image.naturalWidth);
+      const height = normalizePositiveNumber(image.naturalHeight);
+      matchInputAspect =
+        width && height ? { width, height } : { ...defaultPreviewAspect };
+      URL.revokeObjectURL(objectUrl);
+      applyPreviewAspect();
+    };
+    image.onerror = () => {
+      matchInputAspect = null;
+      URL.revokeObjectURL(objectUrl);
+      applyPreviewAspect();
+    };
+    image.src = objectUrl;
+  };
 
-  lastFrameInput.addEventListener("change", () => {
-    renderFilePreviewList(Array.from(lastFrameInput.files || []), lastFramePreview);
-  });
+  const currentValues = () =>
+    Object.fromEntries(
+      Object.entries(fields)
+        .filter(([, control]) => !control.isImage)
+        .map(([name, control]) => [name, control.getValue()]),
+    );
+
+  // Fields with a `when` condition are only shown (and sent) while it holds
+  const updateConditionalFields = () => {
+    const values = currentValues();
+    for (const [name, field] of Object.entries(model.inputs)) {
+      if (!field.when) continue;
+      const visible = Object.entries(field.when).every(([key, expected]) => values[key] === expected);
+      fields[name].element.classList.toggle("hidden", !visible);
+    }
+  };
 
-  let selectedReferenceFiles = [];
-  referenceImagesInput.addEventListener("change", () => {
-    const newFiles = Array.from(referenceImagesInput.files || []);
-    if (newFiles.length > 0) {
-      selectedReferenceFiles = [...selectedReferenceFiles, ...newFiles];
-      referenceImagesInput.value = "";
-      updateReferencePreview();
+  const updateMaskPainters = () => {
+    for (const control of Object.values(fields)) {
+      if (control.isMask) control.setSource(fields[control.source]?.getFiles()[0] ?? null);
     }
-  });
+  };
 
-  const updateReferencePreview = () => {
-    renderFilePreviewList(selectedReferenceFiles, referenceImagesPreview, (indexToRemove) => {
-      selectedReferenceFiles = selectedReferenceFiles.filter((_, i) => i !== indexToRemove);
-      updateReferencePreview();
+  const onChange = () => {
+    updateConditionalFields();
+    updateMatchInputAspectFromFile();
+    updateMaskPainters();
+  };
+
+  // Image prompts are refined as edit instructions while reference images are attached
+  const onRefine = (refineButton, control, panel) => {
+    const refineMode = model.inputs.prompt?.ui?.refine === "video" ? "video" : "image";
+    const hasImages = Boolean(imageField()?.getFiles().length);
+    refinePrompt(refineButton, control, {
+      mode: refineMode === "image" && hasImages ? "edit" : refineMode,
+      panel,
+      negativeField: fields.negative_prompt?.control ?? null,
     });
   };
 
+  for (const [name, field] of Object.entries(model.inputs)) {
+    fields[name] = createSchemaField(model, name, field, { onChange, onRefine });
+    form.append(fields[name].element);
+  }
+
+  const templatePicker = model.inputs.prompt?.ui?.templates
+    ? createTemplatePicker(model, { fields, onChange })
+    : null;
+  if (templatePicker) form.insertBefore(templatePicker.element, fields.prompt.element);
+
+  const actions = document.createElement("div");
+  actions.className = "form__actions";
+  actions.innerHTML = `
+    <button type="button" class="ghost-button" data-role="reset">
+      Reset to default inputs
+    </button>
+    <button type="submit" class="primary-button" data-role="run">
+      Run <span class="keyboard-hint">(cmd+enter)</span>
+    </button>
+  `;
+  form.append(actions);
+  container.append(form);
+
   function resetFields() {
-    promptField.value = defaults.prompt;
-    aspectRatioSelect.value = defaults.aspect_ratio;
-    resolutionSelect.value = defaults.resolution;
-    durationSelect.value = defaults.duration;
-
-    imageInput.value = "";
-    lastFrameInput.value = "";
-    referenceImagesInput.value = "";
-    selectedReferenceFiles = [];
-
-    negativePromptField.value = defaults.negative_prompt;
-    generateAudioCheckbox.checked = defaults.generate_audio;
-    seedInput.value = defaults.seed;
-
-    renderFilePreviewList([], imagePreview);
-    renderFilePreviewList([], lastFramePreview);
-    updateReferencePreview();
+    templatePicker?.reset();
+    Object.values(fields).forEach((control) => control.reset());
+    matchInputAspect = null;
+    updateConditionalFields();
+    updateMaskPainters();
     applyPreviewAspect();
   }
 
-  async function gatherPayload() {
-    const prompt = promptField.value;
-    const aspect_ratio = aspectRatioSelect.value;
-    const resolution = resolutionSelect.value;
-    const duration = parseInt(durationSelect.value, 10);
-    const negative_prompt = negativePromptField.value;
-    const generate_audio = generateAudioCheckbox.checked;
-    const seed = seedInput.value ? parseInt(seedInput.value, 10) : null;
-
-    const image = await filesToBase64(imageInput, { skipCompression: true });
-    const last_frame = await filesToBase64(lastFrameInput, { skipCompression: true });
-    const reference_images = await filesToBase64(selectedReferenceFiles, { skipCompression: true }); // Keep as array of base64
-
-    const payload = {
-      model_key: "video",
-      prompt,
-      aspect_ratio,
-      resolution,
-      duration,
-      generate_audio,
-    };
-
-    if (image.length) payload.image = image[0];
-    if (last_frame.length) payload.last_frame = last_frame[0];
-    if (reference_images.length) payload.reference_images = reference_images;
-    if (negative_prompt) payload.negative_prompt = negative_prompt;
-    if (seed !== null && !isNaN(seed)) payload.seed = seed;
+  async function gatherPayload(onProgress) {
+    const payload = { model_key: model.key };
+    for (const [name, control] of Object.entries(fields)) {
+      if (control.element.classList.contains("hidden")) continue;
+      const value = await control.getValue(onProgress);
+      if (!isEmptyValue(value)) payload[name] = value;
+    }
 
     return {
       payload,
-      downloadExtension: "mp4", // Video always MP4
+      downloadExtension: model.output === "video" ? "mp4" : "png",
     };
   }
 
-  applyPreviewAspect();
+  const findMissingField = (payload) =>
+    Object.entries(model.inputs).find(([name, field]) => field.required && isEmptyValue(payload[name]))?.[0];
+
+  function applyInput(input = {}) {
+    resetFields();
+    for (const [name, control] of Object.entries(fields)) {
+      control.setValue(input[name]);
+    }
+    updateConditionalFields();
+    applyPreviewAspect();
+  }
 
   return {
-    key: "video",
+    key: model.key,
+    model,
     form,
+    promptField: fields.prompt?.control,
     runButton: form.querySelector('[data-role="run"]'),
     resetButton: form.querySelector('[data-role="reset"]'),
     reset: resetFields,
     gatherPayload,
+    findMissingField,
+    findUnfilledVariable: (payload) => templatePicker?.findUnfilledVariable(payload.prompt),
+    refreshTemplates: () => templatePicker?.refresh(),
+    applyInput,
     getPreviewAspect,
   };
 }
 
-const modelConfigs = {
-  "nano-banana": createNanoBananaConfig(),
-  "remove-bg": createRemoveBgConfig(),
-  "video": createVideoConfig(),
-};
+const modelSwitch = document.getElementById("model-switch");
+const modelForms = document.getElementById("model-forms");
+
+const modelConfigs = {};
 
 const refreshPreviewAspectForModel = (modelKey) => {
   const fallbackAspect = getExpectedAspectForModel(modelKey);
@@ -992,20 +1783,21 @@ function setActiveModel(modelKey) {
     config.onActivate?.();
   });
 
-  modelButtons.forEach((button) => {
+  modelSwitch.querySelectorAll("[data-model-button]").forEach((button) => {
     const isActive = button.getAttribute("data-model-button") === modelKey;
     button.classList.toggle("active", isActive);
     button.setAttribute("aria-pressed", String(isActive));
   });
 
   refreshPreviewAspectForModel(modelKey);
+  updateBatchHint();
+  renderQuota();
+  modelConfigs[modelKey].refreshTemplates();
 
   const modelInfoHeader = document.getElementById("model-info-header");
   if (modelInfoHeader) {
-    let modelName = "google/nano-banana-pro";
-    if (modelKey === "remove-bg") modelName = "briaai/bria-rmbg-2.0";
-    if (modelKey === "video") modelName = "google/veo-3.1";
-    modelInfoHeader.innerHTML = `<strong>Generation Model:</strong> ${modelName}`;
+    modelInfoHeader.innerHTML = "<strong>Generation Model:</strong> ";
+    modelInfoHeader.append(modelConfigs[modelKey].model.display_name);
   }
 }
 
@@ -1017,6 +1809,9 @@ async function handleSubmit(event, modelKey) {
   setActiveOutputTab("preview");
 
   const state = modelStates[modelKey];
+  const run = { modelKey, predictionId: null, canceled: false };
+  currentRun = run;
+  const session = sessionState.active?.model_key === modelKey ? sessionState.active : null;
 
   try {
     // Disable button immediately and show initial status
@@ -1025,17 +1820,24 @@ async function handleSubmit(event, modelKey) {
     const { payload, downloadExtension } = await config.gatherPayload((progress) => {
       if (progress.status === "compressing") {
         toggleRunning(true, config, `Compressing ${progress.file}...`);
+      } else if (progress.status === "uploading") {
+        toggleRunning(true, config, `Uploading ${progress.file}...`);
       } else if (progress.status === "processed") {
-        toggleRunning(true, config, `Processed ${progress.count}/${progress.total}`);
+        toggleRunning(true, config, `Uploaded ${progress.count}/${progress.total}`);
       }
     });
-    payload.prompt = (payload.prompt || "").trim();
-
-    if (modelKey !== "remove-bg" && !payload.prompt) {
-      showToast("Please provide a prompt before running the model.", "error");
+    const missingField = config.findMissingField(payload);
+    if (missingField) {
+      showToast(`Please provide ${missingField} before running the model.`, "error");
       toggleRunning(false, config); // Re-enable if validation fails
       return;
     }
+    const unfilledVariable = config.findUnfilledVariable(payload);
+    if (unfilledVariable) {
+      showToast(`Fill in the template variable {{${unfilledVariable}}} before running the model.`, "error");
+      toggleRunning(false, config);
+      return;
+    }
 
     state.downloadExtension =
       downloadExtension || state.downloadExtension || state.defaultDownloadExtension;
@@ -1043,6 +1845,11 @@ async function handleSubmit(event, modelKey) {
     resetModelState(modelKey, { preserveDownloadExtension: true });
     applyStateToPreview(modelKey, { fallbackAspect: getExpectedAspectForModel(modelKey) });
 
+    if (run.canceled) {
+      showToast("Prediction canceled.");
+      return;
+    }
+
     state.isLoading = true;
     applyStateToPreview(modelKey);
     toggleRunning(true, config, "Generating...");
@@ -1050,52 +1857,55 @@ async function handleSubmit(event, modelKey) {
     const startTime = Date.now();
     const TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes (Gemini can take longer)
 
-    const response = await fetch("/api/predictions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
-    });
+    // Inside an edit session the run becomes the session's next turn
+    const { model_key: _modelKey, ...turnInput } = payload;
+    const response = session
+      ? await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}/turns`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...turnInput, parent: sessionState.parent }),
+        })
+      : await apiFetch("/api/predictions", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(payload),
+        });
 
     let result = await response.json();
 
     if (!response.ok) {
-      const message = result?.error || "Failed to start prediction.";
+      const message = describeApiError(result, "Failed to start prediction.");
       throw new Error(message);
     }
 
-    let prediction = result.prediction;
-
-    // Poll for completion
-    while (
-      prediction.status !== "succeeded" &&
-      prediction.status !== "failed" &&
-      prediction.status !== "canceled"
-    ) {
-      if (Date.now() - startTime > TIMEOUT_MS) {
-        throw new Error("Prediction timed out after 15 minutes.");
-      }
-
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Poll every 1 second
-
-      const pollResponse = await fetch(`/api/predictions/${prediction.id}`);
-      const pollResult = await pollResponse.json();
-
-      if (!pollResponse.ok) {
-        const message = pollResult?.error || "Failed to poll prediction status.";
-        throw new Error(message);
-      }
-
-      prediction = pollResult.prediction;
+    run.predictionId = result.prediction.id;
+    if (run.canceled) {
+      await requestCancel(run.predictionId);
     }
+    toggleRunning(true, config, describePredictionProgress(result.prediction));
+
+    const prediction = await waitForPrediction(result.prediction, {
+      timeoutMs: TIMEOUT_MS - (Date.now() - startTime),
+      onUpdate: (update) => {
+        if (!isTerminalStatus(update.status)) {
+          toggleRunning(true, config, describePredictionProgress(update));
+        }
+      },
+    });
 
     if (prediction.status === "failed") {
       throw new Error(prediction.error || "The model failed to generate an image. Please try again.");
     }
 
+    if (prediction.status === "blocked") {
+      throw new Error(prediction.error || "The prompt was blocked by the model's safety filters.");
+    }
+
     if (prediction.status === "canceled") {
-      throw new Error("The prediction was canceled.");
+      showToast("Prediction canceled.");
+      return;
     }
 
     if (prediction.status !== "succeeded") {
@@ -1107,13 +1917,13 @@ async function handleSubmit(event, modelKey) {
     state.prediction = prediction;
     state.elapsedSeconds = elapsedSeconds;
 
-    const imageUrl = extractImageUrl(prediction, modelKey);
+    const imageUrls = extractImageUrls(prediction, modelKey);
 
-    if (!imageUrl) {
+    if (!imageUrls.length) {
       showToast("Prediction finished but no image URL returned.", "error");
     }
 
-    updateStateWithImage(modelKey, imageUrl, state.downloadExtension);
+    updateStateWithImages(modelKey, imageUrls, state.downloadExtension);
 
     if (modelKey === activeModelKey) {
       applyStateToPreview(modelKey);
@@ -1130,6 +1940,10 @@ async function handleSubmit(event, modelKey) {
       generatedTime.textContent = "—";
     }
   } finally {
+    if (currentRun === run) currentRun = null;
+    if (session && run.predictionId) openSession(session.id, { continueFrom: run.predictionId });
+    refreshHistoryIfOpen();
+    refreshQuota();
     state.isLoading = false;
     if (modelKey === activeModelKey) {
       applyStateToPreview(modelKey);
@@ -1138,6 +1952,1175 @@ async function handleSubmit(event, modelKey) {
   }
 }
 
+const quotaStatus = document.getElementById("quota-status");
+
+const QUOTA_LABELS = {
+  requests_per_minute: "requests this minute",
+  concurrent_jobs: "concurrent jobs",
+  daily_credits: "credits today",
+  monthly_credits: "credits this month",
+};
+
+let lastQuota = null;
+
+// Shows the tightest credit allowance for the active model; the tooltip lists every limit.
+function renderQuota() {
+  if (!quotaStatus) return;
+  const scopes = [
+    ["", lastQuota?.limits || {}],
+    [`${activeModelKey} `, lastQuota?.models?.[activeModelKey] || {}],
+  ];
+  const entries = scopes.flatMap(([prefix, limits]) =>
+    Object.entries(limits).map(([name, entry]) => ({ name, prefix, ...entry })),
+  );
+
+  quotaStatus.classList.toggle("hidden", !entries.length);
+  if (!entries.length) return;
+
+  const credits = entries.filter((entry) => entry.name.endsWith("_credits"));
+  const tightest = (credits.length ? credits : entries).reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  quotaStatus.textContent = `${tightest.remaining} ${tightest.prefix}${QUOTA_LABELS[tightest.name]} left`;
+  quotaStatus.classList.toggle("quota-status--low", tightest.remaining <= tightest.limit * 0.1);
+  quotaStatus.title = entries
+    .map((entry) => `${entry.prefix}${QUOTA_LABELS[entry.name]}: ${entry.remaining} of ${entry.limit} left`)
+    .join("\n");
+}
+
+async function refreshQuota() {
+  try {
+    const response = await apiFetch("/api/quota");
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load quota.");
+    }
+    lastQuota = result.quota;
+    renderQuota();
+  } catch (error) {
+    console.error("Quota load failed", error);
+  }
+}
+
+const historyButton = document.getElementById("history-button");
+const historyDrawer = document.getElementById("history-drawer");
+const historyCloseButton = document.getElementById("history-close-button");
+const historyFilters = document.getElementById("history-filters");
+const historyModelFilter = document.getElementById("history-model-filter");
+const historyStatusFilter = document.getElementById("history-status-filter");
+const historyFrom = document.getElementById("history-from");
+const historyTo = document.getElementById("history-to");
+const historyList = document.getElementById("history-list");
+const historyMoreButton = document.getElementById("history-more-button");
+
+const HISTORY_PAGE_SIZE = 20;
+const historyState = { items: [], offset: 0, hasMore: false, loading: false };
+
+const formatHistoryParams = (input) =>
+  Object.entries(input || {})
+    .filter(([key, value]) => key !== "prompt" && value !== "" && value !== null && !isOmittedInput(value))
+    .filter(([, value]) => !Array.isArray(value) || value.length)
+    .map(([key, value]) =>
+      Array.isArray(value)
+        ? `${key}: ${value.filter((item) => !isOmittedInput(item)).length || value.length} item(s)`
+        : `${key}: ${value}`,
+    );
+
+function renderHistoryItem(summary) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+  item.dataset.status = summary.status;
+
+  const thumb = document.createElement("div");
+  thumb.className = "history-item__thumb";
+  if (summary.thumbnail_url && summary.model_key !== "video") {
+    const image = document.createElement("img");
+    image.alt = "";
+    image.loading = "lazy";
+    image.decoding = "async";
+    image.src = summary.thumbnail_url;
+    thumb.appendChild(image);
+  } else {
+    thumb.textContent = summary.model_key === "video" ? "▶" : "—";
+  }
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const prompt = document.createElement("p");
+  prompt.className = "history-item__prompt";
+  prompt.textContent = summary.input?.prompt || "(no prompt)";
+  prompt.title = summary.input?.prompt || "";
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = [
+    summary.model_key,
+    summary.status === "queued" && summary.queue_position
+      ? `${ordinal(summary.queue_position)} in queue`
+      : summary.status,
+    typeof summary.elapsed_seconds === "number" ? `${summary.elapsed_seconds}s` : null,
+    new Date(summary.created_at).toLocaleString(),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const params = document.createElement("span");
+  params.className = "history-item__params";
+  params.textContent = formatHistoryParams(summary.input).join(" · ");
+
+  const actions = document.createElement("div");
+  actions.className = "history-item__actions";
+
+  const openButton = document.createElement("button");
+  openButton.type = "button";
+  openButton.className = "field__action-button";
+  openButton.textContent = "Open";
+  openButton.addEventListener("click", () => openHistoryItem(summary));
+
+  const rerunButton = document.createElement("button");
+  rerunButton.type = "button";
+  rerunButton.className = "field__action-button";
+  rerunButton.textContent = "Re-run";
+  rerunButton.disabled = !modelConfigs[summary.model_key];
+  rerunButton.addEventListener("click", () => rerunHistoryItem(summary));
+
+  actions.appendChild(openButton);
+  actions.appendChild(rerunButton);
+  body.appendChild(prompt);
+  body.appendChild(meta);
+  if (params.textContent) body.appendChild(params);
+  body.appendChild(actions);
+  item.appendChild(thumb);
+  item.appendChild(body);
+  return item;
+}
+
+function renderHistory() {
+  historyList.innerHTML = "";
+  if (!historyState.items.length) {
+    const empty = document.createElement("li");
+    empty.className = "history-empty";
+    empty.textContent = historyState.loading ? "Loading…" : "No generations match these filters.";
+    historyList.appendChild(empty);
+  } else {
+    historyState.items.forEach((summary) => historyList.appendChild(renderHistoryItem(summary)));
+  }
+  historyMoreButton.classList.toggle("hidden", !historyState.hasMore);
+  historyMoreButton.disabled = historyState.loading;
+}
+
+async function loadHistory({ append = false } = {}) {
+  if (historyState.loading) return;
+  historyState.loading = true;
+  if (!append) {
+    historyState.items = [];
+    historyState.offset = 0;
+  }
+  renderHistory();
+
+  const params = new URLSearchParams({
+    limit: String(HISTORY_PAGE_SIZE),
+    offset: String(historyState.offset),
+  });
+  if (historyModelFilter.value) params.set("model_key", historyModelFilter.value);
+  if (historyStatusFilter.value) params.set("status", historyStatusFilter.value);
+  if (historyFrom.value) params.set("from", historyFrom.value);
+  if (historyTo.value) params.set("to", historyTo.value);
+
+  try {
+    const response = await apiFetch(`/api/predictions?${params}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load history.");
+    }
+    historyState.items = [...historyState.items, ...result.predictions];
+    historyState.offset += result.predictions.length;
+    historyState.hasMore = Boolean(result.pagination?.has_more);
+  } catch (error) {
+    console.error("History load failed", error);
+    showToast(error.message, "error");
+  } finally {
+    historyState.loading = false;
+    renderHistory();
+  }
+}
+
+function setHistoryOpen(isOpen) {
+  historyDrawer.classList.toggle("hidden", !isOpen);
+  historyButton.setAttribute("aria-expanded", String(isOpen));
+  if (isOpen) {
+    if (!batchDrawer.classList.contains("hidden")) setBatchOpen(false);
+    if (!sessionDrawer.classList.contains("hidden")) setSessionOpen(false);
+    if (!pipelineDrawer.classList.contains("hidden")) setPipelineOpen(false);
+    loadHistory();
+  }
+}
+
+function refreshHistoryIfOpen() {
+  if (!historyDrawer.classList.contains("hidden")) loadHistory();
+}
+
+async function openHistoryItem(summary) {
+  const state = modelStates[summary.model_key];
+  if (!state) {
+    showToast(`Results for "${summary.model_key}" can't be previewed here.`, "error");
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/api/predictions/${encodeURIComponent(summary.id)}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load prediction.");
+    }
+
+    const prediction = result.prediction;
+    resetModelState(summary.model_key, { preserveDownloadExtension: false });
+    state.prediction = prediction;
+    state.elapsedSeconds = prediction.elapsed_seconds ?? null;
+    setActiveModel(summary.model_key);
+    updateStateWithImages(summary.model_key, extractImageUrls(prediction, summary.model_key));
+    applyStateToPreview(summary.model_key);
+    if (prediction.status !== "succeeded") {
+      setActiveOutputTab("json");
+    }
+  } catch (error) {
+    console.error("Failed to open history item", error);
+    showToast(error.message, "error");
+  }
+}
+
+function rerunHistoryItem(summary) {
+  const config = modelConfigs[summary.model_key];
+  if (!config?.applyInput) return;
+
+  setActiveModel(summary.model_key);
+  config.applyInput(summary.input || {});
+
+  // Inline images aren't kept in history, so let the user re-attach them first
+  if (hasOmittedInputs(summary.input)) {
+    showToast("Settings restored. Re-attach the input images, then run.");
+    return;
+  }
+  config.form.requestSubmit();
+}
+
+historyButton?.addEventListener("click", () => {
+  setHistoryOpen(historyDrawer.classList.contains("hidden"));
+});
+historyCloseButton?.addEventListener("click", () => setHistoryOpen(false));
+historyFilters?.addEventListener("change", () => loadHistory());
+historyFilters?.addEventListener("submit", (event) => event.preventDefault());
+historyMoreButton?.addEventListener("click", () => loadHistory({ append: true }));
+
+const batchButton = document.getElementById("batch-button");
+const batchDrawer = document.getElementById("batch-drawer");
+const batchCloseButton = document.getElementById("batch-close-button");
+const batchForm = document.getElementById("batch-form");
+const batchFile = document.getElementById("batch-file");
+const batchName = document.getElementById("batch-name");
+const batchHint = document.getElementById("batch-hint");
+const batchSubmitButton = document.getElementById("batch-submit-button");
+const batchList = document.getElementById("batch-list");
+
+const BATCH_POLL_INTERVAL_MS = 3000;
+let batchPollTimer = null;
+
+const isBatchActive = (batch) => batch.status === "queued" || batch.status === "running";
+
+function renderBatchItem(batch) {
+  const counts = batch.counts || {};
+  const finished = (counts.succeeded || 0) + (counts.failed || 0) + (counts.canceled || 0) + (counts.blocked || 0);
+
+  const item = document.createElement("li");
+  item.className = "history-item";
+  item.dataset.status = batch.status;
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const title = document.createElement("p");
+  title.className = "history-item__prompt";
+  title.textContent = batch.name || batch.id;
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = [batch.model_key, batch.status, new Date(batch.created_at).toLocaleString()].join(" · ");
+
+  const progress = document.createElement("div");
+  progress.className = "batch-progress";
+  const bar = document.createElement("div");
+  bar.className = "batch-progress__bar";
+  bar.style.width = `${counts.total ? Math.round((finished / counts.total) * 100) : 0}%`;
+  progress.appendChild(bar);
+
+  const summary = document.createElement("span");
+  summary.className = "history-item__params";
+  summary.textContent = [
+    `${finished}/${counts.total ?? 0} done`,
+    counts.succeeded ? `${counts.succeeded} succeeded` : null,
+    counts.failed ? `${counts.failed} failed` : null,
+    counts.canceled ? `${counts.canceled} canceled` : null,
+    counts.blocked ? `${counts.blocked} blocked` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const actions = document.createElement("div");
+  actions.className = "history-item__actions";
+
+  const downloadButton = document.createElement("button");
+  downloadButton.type = "button";
+  downloadButton.className = "field__action-button";
+  downloadButton.textContent = "Download ZIP";
+  downloadButton.disabled = isBatchActive(batch);
+  downloadButton.addEventListener("click", () =>
+    downloadFile(`/api/batches/${encodeURIComponent(batch.id)}/download`, `${batch.id}.zip`),
+  );
+  actions.appendChild(downloadButton);
+
+  if (isBatchActive(batch)) {
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "field__action-button";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", () => cancelBatch(batch, cancelButton));
+    actions.appendChild(cancelButton);
+  }
+
+  body.appendChild(title);
+  body.appendChild(meta);
+  body.appendChild(progress);
+  body.appendChild(summary);
+  body.appendChild(actions);
+  item.appendChild(body);
+  return item;
+}
+
+async function loadBatches() {
+  clearTimeout(batchPollTimer);
+  try {
+    const response = await apiFetch("/api/batches");
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load batches.");
+    }
+
+    batchList.innerHTML = "";
+    if (!result.batches.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No batches yet.";
+      batchList.appendChild(empty);
+    }
+    result.batches.forEach((batch) => batchList.appendChild(renderBatchItem(batch)));
+
+    // Keep progress fresh while the drawer is open and something is still running
+    if (!batchDrawer.classList.contains("hidden") && result.batches.some(isBatchActive)) {
+      batchPollTimer = setTimeout(loadBatches, BATCH_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error("Batch load failed", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function cancelBatch(batch, button) {
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/api/batches/${encodeURIComponent(batch.id)}/cancel`, { method: "POST" });
+    const result = await response.json();
+    if (!response.ok && response.status !== 409) {
+      throw new Error(result?.error || "Failed to cancel batch.");
+    }
+  } catch (error) {
+    console.error("Batch cancel failed", error);
+    showToast(error.message, "error");
+  }
+  loadBatches();
+}
+
+const updateBatchHint = () => {
+  const model = modelConfigs[activeModelKey]?.model;
+  batchHint.textContent = model
+    ? `Runs ${model.display_name} once per row of a CSV (with a header row) or JSONL file. Columns override the current form settings.`
+    : "";
+};
+
+function setBatchOpen(isOpen) {
+  batchDrawer.classList.toggle("hidden", !isOpen);
+  batchButton.setAttribute("aria-expanded", String(isOpen));
+  if (isOpen) {
+    setHistoryOpen(false);
+    if (!sessionDrawer.classList.contains("hidden")) setSessionOpen(false);
+    if (!pipelineDrawer.classList.contains("hidden")) setPipelineOpen(false);
+    updateBatchHint();
+    loadBatches();
+  } else {
+    clearTimeout(batchPollTimer);
+  }
+}
+
+batchForm?.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const file = batchFile.files?.[0];
+  const config = modelConfigs[activeModelKey];
+  if (!file || !config) return;
+
+  batchSubmitButton.disabled = true;
+  try {
+    // The open form supplies the shared parameters; prompts come from the file
+    const { payload } = await config.gatherPayload();
+    const { model_key: modelKey, prompt, ...params } = payload;
+
+    const response = await apiFetch("/api/batches", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model_key: modelKey,
+        format: /\.csv$/i.test(file.name) ? "csv" : "jsonl",
+        name: batchName.value || file.name,
+        data: await file.text(),
+        params,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(describeApiError(result, "Failed to start batch."));
+    }
+
+    batchForm.reset();
+    showToast(`Batch started with ${result.batch.items.length} item(s).`);
+    loadBatches();
+  } catch (error) {
+    console.error("Batch start failed", error);
+    showToast(error.message, "error");
+  } finally {
+    batchSubmitButton.disabled = false;
+  }
+});
+
+batchButton?.addEventListener("click", () => {
+  setBatchOpen(batchDrawer.classList.contains("hidden"));
+});
+batchCloseButton?.addEventListener("click", () => setBatchOpen(false));
+
+const sessionButton = document.getElementById("session-button");
+const sessionDrawer = document.getElementById("session-drawer");
+const sessionCloseButton = document.getElementById("session-close-button");
+const sessionNewButton = document.getElementById("session-new-button");
+const sessionList = document.getElementById("session-list");
+const sessionActive = document.getElementById("session-active");
+const sessionActiveTitle = document.getElementById("session-active-title");
+const sessionActiveHint = document.getElementById("session-active-hint");
+const sessionFreshButton = document.getElementById("session-fresh-button");
+const sessionLeaveButton = document.getElementById("session-leave-button");
+const sessionThread = document.getElementById("session-thread");
+
+// The open edit session. While it is open, runs of its model become its next turn and
+// continue from `parent` ({ id, output }), or start a new branch when that is null.
+const sessionState = { active: null, parent: null };
+
+const supportsSessions = (model) => model?.provider === "gemini" && model.output === "image";
+
+// "v3", or "v3.2" for the second image of a turn that made several
+const versionLabel = (turns, { id, output }) => {
+  const index = turns.findIndex((turn) => turn.id === id);
+  return turns[index]?.output.length > 1 ? `v${index + 1}.${output + 1}` : `v${index + 1}`;
+};
+
+function selectSessionVersion(turn, output) {
+  const session = sessionState.active;
+  sessionState.parent = { id: turn.id, output };
+  resetModelState(session.model_key, { preserveDownloadExtension: true });
+  updateStateWithImages(session.model_key, [turn.output[output]]);
+  applyStateToPreview(session.model_key);
+  renderSessionThread();
+}
+
+function renderSessionTurn(session, turn, index) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+  item.dataset.status = turn.status;
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const prompt = document.createElement("p");
+  prompt.className = "history-item__prompt";
+  prompt.textContent = turn.prompt || "(no prompt)";
+  prompt.title = turn.prompt || "";
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = [
+    `v${index + 1}`,
+    turn.parent ? `edits ${versionLabel(session.turns, turn.parent)}` : "new branch",
+    turn.status,
+    new Date(turn.created_at).toLocaleString(),
+  ].join(" · ");
+
+  body.appendChild(prompt);
+  body.appendChild(meta);
+  if (turn.error) {
+    const error = document.createElement("span");
+    error.className = "history-item__params";
+    error.textContent = turn.error;
+    body.appendChild(error);
+  }
+
+  if (turn.output.length) {
+    const versions = document.createElement("div");
+    versions.className = "session-versions";
+    turn.output.forEach((url, output) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "history-item__thumb session-version";
+      button.title = `Continue from ${versionLabel(session.turns, { id: turn.id, output })}`;
+      const isSelected = sessionState.parent?.id === turn.id && sessionState.parent.output === output;
+      button.classList.toggle("active", isSelected);
+      const image = document.createElement("img");
+      image.alt = "";
+      image.loading = "lazy";
+      image.src = url;
+      button.appendChild(image);
+      button.addEventListener("click", () => selectSessionVersion(turn, output));
+      versions.appendChild(button);
+    });
+    body.appendChild(versions);
+  }
+
+  item.appendChild(body);
+  return item;
+}
+
+function renderSessionThread() {
+  const session = sessionState.active;
+  sessionButton.textContent = session ? "Session (on)" : "Sessions";
+  sessionActive.classList.toggle("hidden", !session);
+  sessionThread.classList.toggle("hidden", !session);
+  sessionNewButton.classList.toggle("hidden", Boolean(session));
+  sessionList.classList.toggle("hidden", Boolean(session));
+  if (!session) return;
+
+  const label = modelConfigs[session.model_key]?.model.label || session.model_key;
+  sessionActiveTitle.textContent = session.title || "Untitled session";
+  sessionActiveHint.textContent = sessionState.parent
+    ? `${label} runs edit ${versionLabel(session.turns, sessionState.parent)}. Pick another version below to branch from it.`
+    : `The next ${label} run starts a new branch. Its result is kept as the first version.`;
+  sessionFreshButton.disabled = !sessionState.parent;
+
+  sessionThread.innerHTML = "";
+  if (!session.turns.length) {
+    const empty = document.createElement("li");
+    empty.className = "history-empty";
+    empty.textContent = "No versions yet.";
+    sessionThread.appendChild(empty);
+  }
+  session.turns.forEach((turn, index) => sessionThread.appendChild(renderSessionTurn(session, turn, index)));
+}
+
+// Loads the session and keeps editing the selected version, or `continueFrom` once it finished
+async function openSession(sessionId, { continueFrom = null } = {}) {
+  try {
+    const response = await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load session.");
+    }
+
+    const session = result.session;
+    const finished = session.turns.filter((turn) => turn.output.length > 0);
+    const selected = continueFrom
+      ? { id: continueFrom, output: 0 }
+      : sessionState.active?.id === session.id
+        ? sessionState.parent
+        : undefined;
+    sessionState.active = session;
+    if (selected === null) {
+      // A new branch was asked for
+      sessionState.parent = null;
+    } else if (selected && finished.some((turn) => turn.id === selected.id)) {
+      sessionState.parent = selected;
+    } else {
+      sessionState.parent = finished.length ? { id: finished.at(-1).id, output: 0 } : null;
+    }
+    if (!continueFrom) setActiveModel(session.model_key);
+    renderSessionThread();
+  } catch (error) {
+    console.error("Session load failed", error);
+    showToast(error.message, "error");
+  }
+}
+
+function leaveSession() {
+  sessionState.active = null;
+  sessionState.parent = null;
+  renderSessionThread();
+  loadSessions();
+}
+
+function renderSessionItem(session) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+
+  const thumb = document.createElement("div");
+  thumb.className = "history-item__thumb";
+  if (session.thumbnail_url) {
+    const image = document.createElement("img");
+    image.alt = "";
+    image.loading = "lazy";
+    image.src = session.thumbnail_url;
+    thumb.appendChild(image);
+  } else {
+    thumb.textContent = "—";
+  }
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const title = document.createElement("p");
+  title.className = "history-item__prompt";
+  title.textContent = session.title || "Untitled session";
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = [
+    session.model_key,
+    `${session.turn_count} version(s)`,
+    new Date(session.updated_at).toLocaleString(),
+  ].join(" · ");
+
+  const actions = document.createElement("div");
+  actions.className = "history-item__actions";
+  const openButton = createActionButton("Open");
+  openButton.addEventListener("click", () => openSession(session.id));
+  const deleteButton = createActionButton("Delete");
+  deleteButton.addEventListener("click", () => deleteSession(session, deleteButton));
+  actions.appendChild(openButton);
+  actions.appendChild(deleteButton);
+
+  body.appendChild(title);
+  body.appendChild(meta);
+  body.appendChild(actions);
+  item.appendChild(thumb);
+  item.appendChild(body);
+  return item;
+}
+
+async function loadSessions() {
+  try {
+    const response = await apiFetch("/api/sessions");
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load sessions.");
+    }
+
+    sessionList.innerHTML = "";
+    if (!result.sessions.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No sessions yet. Start one to edit an image over several prompts.";
+      sessionList.appendChild(empty);
+    }
+    result.sessions.forEach((session) => sessionList.appendChild(renderSessionItem(session)));
+  } catch (error) {
+    console.error("Session list failed", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function deleteSession(session, button) {
+  if (!window.confirm(`Delete the session "${session.title || "Untitled session"}" and all its versions?`)) return;
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}`, { method: "DELETE" });
+    if (!response.ok) {
+      const result = await response.json().catch(() => null);
+      throw new Error(result?.error || "Failed to delete session.");
+    }
+  } catch (error) {
+    console.error("Session delete failed", error);
+    showToast(error.message, "error");
+  }
+  loadSessions();
+}
+
+sessionNewButton?.addEventListener("click", async () => {
+  const model = supportsSessions(modelConfigs[activeModelKey]?.model)
+    ? modelConfigs[activeModelKey].model
+    : Object.values(modelConfigs).map((config) => config.model).find(supportsSessions);
+  if (!model) {
+    showToast("No model here supports edit sessions.", "error");
+    return;
+  }
+
+  sessionNewButton.disabled = true;
+  try {
+    const response = await apiFetch("/api/sessions", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model_key: model.key }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(describeApiError(result, "Failed to start session."));
+    }
+    await openSession(result.session.id);
+    showToast("Session started. Attach an image or describe one, then run.");
+  } catch (error) {
+    console.error("Session start failed", error);
+    showToast(error.message, "error");
+  } finally {
+    sessionNewButton.disabled = false;
+  }
+});
+
+function setSessionOpen(isOpen) {
+  sessionDrawer.classList.toggle("hidden", !isOpen);
+  sessionButton.setAttribute("aria-expanded", String(isOpen));
+  if (isOpen) {
+    setHistoryOpen(false);
+    setBatchOpen(false);
+    if (!pipelineDrawer.classList.contains("hidden")) setPipelineOpen(false);
+    if (sessionState.active) {
+      openSession(sessionState.active.id);
+    } else {
+      loadSessions();
+    }
+  }
+}
+
+sessionButton?.addEventListener("click", () => {
+  setSessionOpen(sessionDrawer.classList.contains("hidden"));
+});
+sessionCloseButton?.addEventListener("click", () => setSessionOpen(false));
+sessionLeaveButton?.addEventListener("click", leaveSession);
+sessionFreshButton?.addEventListener("click", () => {
+  sessionState.parent = null;
+  renderSessionThread();
+});
+
+const pipelineButton = document.getElementById("pipeline-button");
+const pipelineDrawer = document.getElementById("pipeline-drawer");
+const pipelineCloseButton = document.getElementById("pipeline-close-button");
+const pipelineNewButton = document.getElementById("pipeline-new-button");
+const pipelineList = document.getElementById("pipeline-list");
+const pipelineForm = document.getElementById("pipeline-form");
+const pipelineName = document.getElementById("pipeline-name");
+const pipelineSteps = document.getElementById("pipeline-steps");
+const pipelineAddStepButton = document.getElementById("pipeline-add-step-button");
+const pipelineSaveButton = document.getElementById("pipeline-save-button");
+const pipelineDiscardButton = document.getElementById("pipeline-discard-button");
+const pipelineRuns = document.getElementById("pipeline-runs");
+const pipelineRunsTitle = document.getElementById("pipeline-runs-title");
+const pipelineRunsBackButton = document.getElementById("pipeline-runs-back-button");
+const pipelineRunList = document.getElementById("pipeline-run-list");
+
+const PIPELINE_POLL_INTERVAL_MS = 3000;
+const PIPELINE_MAX_STEPS = 8;
+let pipelinePollTimer = null;
+
+// What the drawer shows: the saved pipelines, the builder (`editing` holds the pipeline being
+// built, with an id once saved) or the runs of `pipeline`.
+const pipelineState = { view: "list", editing: null, pipeline: null };
+
+const isImageInput = (field) => field.type === "image" || field.type === "image[]";
+
+const outputList = (output) => (Array.isArray(output) ? output : output ? [output] : []);
+
+function showPipelineView(view) {
+  pipelineState.view = view;
+  pipelineNewButton.classList.toggle("hidden", view !== "list");
+  pipelineList.classList.toggle("hidden", view !== "list");
+  pipelineForm.classList.toggle("hidden", view !== "edit");
+  pipelineRuns.classList.toggle("hidden", view !== "runs");
+  pipelineRunList.classList.toggle("hidden", view !== "runs");
+  if (view !== "runs") clearTimeout(pipelinePollTimer);
+}
+
+function createPipelineStepEditor(step, index) {
+  const steps = pipelineState.editing.steps;
+  const models = Object.values(modelConfigs).map((config) => config.model);
+  const model = modelConfigs[step.model_key]?.model;
+
+  const item = document.createElement("li");
+  item.className = "pipeline-step";
+
+  const header = document.createElement("div");
+  header.className = "pipeline-step__header";
+  const label = document.createElement("span");
+  label.className = "history-item__meta";
+  label.textContent = `Step ${index + 1}`;
+  const removeButton = createActionButton("Remove");
+  removeButton.disabled = steps.length === 1;
+  removeButton.addEventListener("click", () => {
+    steps.splice(index, 1);
+    // Links into or past the removed step no longer point where they did
+    steps.slice(index).forEach((later) => {
+      later.inputs_from = Object.fromEntries(
+        Object.entries(later.inputs_from)
+          .filter(([, source]) => source.step !== index)
+          .map(([name, source]) => [name, { ...source, step: source.step > index ? source.step - 1 : source.step }]),
+      );
+    });
+    renderPipelineSteps();
+  });
+  header.append(label, removeButton);
+
+  const modelSelect = document.createElement("select");
+  modelSelect.className = "field__control";
+  modelSelect.setAttribute("aria-label", `Step ${index + 1} model`);
+  models.forEach((candidate) => modelSelect.append(new Option(candidate.label, candidate.key)));
+  modelSelect.value = step.model_key;
+  modelSelect.addEventListener("change", () => {
+    // Inputs of one model rarely fit another; keep only the prompt
+    const prompt = step.input.prompt;
+    steps[index] = { model_key: modelSelect.value, input: prompt ? { prompt } : {}, inputs_from: {} };
+    renderPipelineSteps();
+  });
+  item.append(header, modelSelect);
+  if (!model) return item;
+
+  if (model.inputs.prompt) {
+    const prompt = document.createElement("textarea");
+    prompt.className = "field__control";
+    prompt.rows = 2;
+    prompt.placeholder = "Prompt";
+    prompt.setAttribute("aria-label", `Step ${index + 1} prompt`);
+    prompt.value = step.input.prompt ?? "";
+    prompt.addEventListener("input", () => {
+      if (prompt.value) step.input.prompt = prompt.value;
+      else delete step.input.prompt;
+    });
+    item.appendChild(prompt);
+  }
+
+  // Image inputs can take an earlier step's first image
+  const sources = steps
+    .slice(0, index)
+    .map((candidate, stepIndex) => ({ stepIndex, model: modelConfigs[candidate.model_key]?.model }))
+    .filter((source) => source.model?.output === "image");
+  Object.entries(model.inputs)
+    .filter(([name, field]) => isImageInput(field) && !field.ui?.mask_painter && !(name in step.input))
+    .forEach(([name, field]) => {
+      const link = document.createElement("select");
+      link.className = "field__control";
+      link.setAttribute("aria-label", `Step ${index + 1} ${name}`);
+      link.append(new Option(`${field.ui?.label || name}: not linked`, ""));
+      sources.forEach(({ stepIndex, model: sourceModel }) => {
+        link.append(new Option(`${name}: result of step ${stepIndex + 1} (${sourceModel.label})`, String(stepIndex)));
+      });
+      link.disabled = sources.length === 0;
+      link.value = step.inputs_from[name] ? String(step.inputs_from[name].step) : "";
+      link.addEventListener("change", () => {
+        if (link.value === "") delete step.inputs_from[name];
+        else step.inputs_from[name] = { step: Number(link.value), output: step.inputs_from[name]?.output ?? 0 };
+      });
+      item.appendChild(link);
+    });
+
+  // Everything else as JSON, e.g. {"aspect_ratio": "16:9"}
+  const settings = Object.fromEntries(Object.entries(step.input).filter(([name]) => name !== "prompt"));
+  const settingsInput = document.createElement("textarea");
+  settingsInput.className = "field__control pipeline-step__settings";
+  settingsInput.rows = 2;
+  settingsInput.placeholder = 'Other inputs as JSON, e.g. {"aspect_ratio": "16:9"}';
+  settingsInput.setAttribute("aria-label", `Step ${index + 1} other inputs`);
+  settingsInput.value = Object.keys(settings).length ? JSON.stringify(settings) : "";
+  settingsInput.addEventListener("change", () => {
+    let parsed = {};
+    try {
+      parsed = settingsInput.value.trim() ? JSON.parse(settingsInput.value) : {};
+    } catch {
+      showToast(`Step ${index + 1}: other inputs must be a JSON object.`, "error");
+      return;
+    }
+    const prompt = step.input.prompt;
+    step.input = { ...parsed, ...(prompt ? { prompt } : {}) };
+    renderPipelineSteps();
+  });
+  item.appendChild(settingsInput);
+  return item;
+}
+
+function renderPipelineSteps() {
+  const { steps } = pipelineState.editing;
+  pipelineSteps.innerHTML = "";
+  steps.forEach((step, index) => pipelineSteps.appendChild(createPipelineStepEditor(step, index)));
+  pipelineAddStepButton.disabled = steps.length >= PIPELINE_MAX_STEPS;
+}
+
+function editPipeline(pipeline) {
+  // Edited as a copy, so Cancel leaves the saved one alone
+  pipelineState.editing = pipeline
+    ? structuredClone(pipeline)
+    : { name: "", steps: [{ model_key: activeModelKey, input: {}, inputs_from: {} }] };
+  pipelineName.value = pipelineState.editing.name;
+  renderPipelineSteps();
+  showPipelineView("edit");
+}
+
+function renderPipelineItem(pipeline) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const title = document.createElement("p");
+  title.className = "history-item__prompt";
+  title.textContent = pipeline.name;
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = pipeline.steps
+    .map((step) => modelConfigs[step.model_key]?.model.label || step.model_key)
+    .join(" → ");
+
+  const actions = document.createElement("div");
+  actions.className = "history-item__actions";
+  const runButton = createActionButton("Run");
+  runButton.addEventListener("click", () => runPipeline(pipeline, runButton));
+  const runsButton = createActionButton("Runs");
+  runsButton.addEventListener("click", () => showPipelineRuns(pipeline));
+  const editButton = createActionButton("Edit");
+  editButton.addEventListener("click", () => editPipeline(pipeline));
+  const deleteButton = createActionButton("Delete");
+  deleteButton.addEventListener("click", () => deletePipeline(pipeline, deleteButton));
+  actions.append(runButton, runsButton, editButton, deleteButton);
+
+  body.append(title, meta, actions);
+  item.appendChild(body);
+  return item;
+}
+
+async function loadPipelines() {
+  try {
+    const response = await apiFetch("/api/pipelines");
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load pipelines.");
+    }
+
+    pipelineList.innerHTML = "";
+    if (!result.pipelines.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No pipelines yet. Chain models so each result feeds the next step.";
+      pipelineList.appendChild(empty);
+    }
+    result.pipelines.forEach((pipeline) => pipelineList.appendChild(renderPipelineItem(pipeline)));
+  } catch (error) {
+    console.error("Pipeline list failed", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function deletePipeline(pipeline, button) {
+  if (!window.confirm(`Delete the pipeline "${pipeline.name}"? Its runs are kept.`)) return;
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/api/pipelines/${encodeURIComponent(pipeline.id)}`, { method: "DELETE" });
+    if (!response.ok) {
+      const result = await response.json().catch(() => null);
+      throw new Error(result?.error || "Failed to delete pipeline.");
+    }
+  } catch (error) {
+    console.error("Pipeline delete failed", error);
+    showToast(error.message, "error");
+  }
+  loadPipelines();
+}
+
+async function runPipeline(pipeline, button) {
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/api/pipelines/${encodeURIComponent(pipeline.id)}/runs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(describeApiError(result, "Failed to start pipeline."));
+    }
+    showToast(`Pipeline "${pipeline.name}" started.`);
+    showPipelineRuns(pipeline);
+  } catch (error) {
+    console.error("Pipeline run failed", error);
+    showToast(error.message, "error");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function renderPipelineRun(run) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+  item.dataset.status = run.status;
+
+  const body = document.createElement("div");
+  body.className = "history-item__body";
+
+  const meta = document.createElement("span");
+  meta.className = "history-item__meta";
+  meta.textContent = [run.status, new Date(run.created_at).toLocaleString()].join(" · ");
+  body.appendChild(meta);
+
+  const steps = document.createElement("ol");
+  steps.className = "pipeline-run-steps";
+  run.steps.forEach((step) => {
+    const entry = document.createElement("li");
+    entry.className = "pipeline-run-step";
+    entry.dataset.status = step.status;
+
+    const label = document.createElement("span");
+    label.className = "history-item__params";
+    label.textContent = [modelConfigs[step.model_key]?.model.label || step.model_key, step.status, step.error]
+      .filter(Boolean)
+      .join(" · ");
+    entry.appendChild(label);
+
+    if (step.prediction_id && step.status === "succeeded") {
+      const openButton = createActionButton(outputList(step.output).length > 1 ? "Open results" : "Open result");
+      openButton.addEventListener("click", () =>
+        openHistoryItem({ id: step.prediction_id, model_key: step.model_key }),
+      );
+      entry.appendChild(openButton);
+    }
+    steps.appendChild(entry);
+  });
+  body.appendChild(steps);
+
+  if (run.status === "running") {
+    const actions = document.createElement("div");
+    actions.className = "history-item__actions";
+    const cancelButton = createActionButton("Cancel");
+    cancelButton.addEventListener("click", () => cancelPipelineRun(run, cancelButton));
+    actions.appendChild(cancelButton);
+    body.appendChild(actions);
+  }
+
+  item.appendChild(body);
+  return item;
+}
+
+async function loadPipelineRuns() {
+  clearTimeout(pipelinePollTimer);
+  const { pipeline } = pipelineState;
+  try {
+    const response = await apiFetch(`/api/pipelines/${encodeURIComponent(pipeline.id)}/runs`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load pipeline runs.");
+    }
+    if (pipelineState.view !== "runs" || pipelineState.pipeline !== pipeline) return;
+
+    pipelineRunList.innerHTML = "";
+    if (!result.runs.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No runs yet.";
+      pipelineRunList.appendChild(empty);
+    }
+    result.runs.forEach((run) => pipelineRunList.appendChild(renderPipelineRun(run)));
+
+    // Follow the steps while the drawer is open and a run is still going
+    if (!pipelineDrawer.classList.contains("hidden") && result.runs.some((run) => run.status === "running")) {
+      pipelinePollTimer = setTimeout(loadPipelineRuns, PIPELINE_POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error("Pipeline runs load failed", error);
+    showToast(error.message, "error");
+  }
+}
+
+function showPipelineRuns(pipeline) {
+  pipelineState.pipeline = pipeline;
+  pipelineRunsTitle.textContent = pipeline.name;
+  showPipelineView("runs");
+  loadPipelineRuns();
+}
+
+async function cancelPipelineRun(run, button) {
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/api/pipeline-runs/${encodeURIComponent(run.id)}/cancel`, { method: "POST" });
+    const result = await response.json();
+    if (!response.ok && response.status !== 409) {
+      throw new Error(result?.error || "Failed to cancel pipeline run.");
+    }
+  } catch (error) {
+    console.error("Pipeline cancel failed", error);
+    showToast(error.message, "error");
+  }
+  loadPipelineRuns();
+}
+
+pipelineForm?.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const { id, steps } = pipelineState.editing;
+
+  pipelineSaveButton.disabled = true;
+  try {
+    const response = await apiFetch(id ? `/api/pipelines/${encodeURIComponent(id)}` : "/api/pipelines", {
+      method: id ? "PATCH" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: pipelineName.value, steps }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(describeApiError(result, "Failed to save pipeline."));
+    }
+    showToast(`Pipeline "${result.pipeline.name}" saved.`);
+    pipelineState.editing = null;
+    showPipelineView("list");
+    loadPipelines();
+  } catch (error) {
+    console.error("Pipeline save failed", error);
+    showToast(error.message, "error");
+  } finally {
+    pipelineSaveButton.disabled = false;
+  }
+});
+
+function setPipelineOpen(isOpen) {
+  pipelineDrawer.classList.toggle("hidden", !isOpen);
+  pipelineButton.setAttribute("aria-expanded", String(isOpen));
+  if (isOpen) {
+    setHistoryOpen(false);
+    setBatchOpen(false);
+    setSessionOpen(false);
+    if (pipelineState.view === "runs") {
+      loadPipelineRuns();
+    } else if (pipelineState.view === "list") {
+      loadPipelines();
+    }
+  } else {
+    clearTimeout(pipelinePollTimer);
+  }
+}
+
+pipelineButton?.addEventListener("click", () => {
+  setPipelineOpen(pipelineDrawer.classList.contains("hidden"));
+});
+pipelineCloseButton?.addEventListener("click", () => setPipelineOpen(false));
+pipelineNewButton?.addEventListener("click", () => editPipeline(null));
+pipelineAddStepButton?.addEventListener("click", () => {
+  const { steps } = pipelineState.editing;
+  const previous = steps.at(-1);
+  steps.push({ model_key: previous?.model_key ?? activeModelKey, input: {}, inputs_from: {} });
+  renderPipelineSteps();
+});
+pipelineDiscardButton?.addEventListener("click", () => {
+  pipelineState.editing = null;
+  showPipelineView("list");
+  loadPipelines();
+});
+pipelineRunsBackButton?.addEventListener("click", () => {
+  showPipelineView("list");
+  loadPipelines();
+});
 
 function resetModelForm(modelKey, { silent = false } = {}) {
   const config = modelConfigs[modelKey];
@@ -1153,13 +3136,6 @@ function resetModelForm(modelKey, { silent = false } = {}) {
   }
 }
 
-modelButtons.forEach((button) => {
-  button.addEventListener("click", () => {
-    const modelKey = button.getAttribute("data-model-button");
-    setActiveModel(modelKey);
-  });
-});
-
 outputTabs.forEach((tab) => {
   tab.addEventListener("click", () => {
     const tabName = tab.getAttribute("data-output-tab");
@@ -1167,13 +3143,6 @@ outputTabs.forEach((tab) => {
   });
 });
 
-Object.entries(modelConfigs).forEach(([modelKey, config]) => {
-  config.form.addEventListener("submit", (event) => handleSubmit(event, modelKey));
-  config.resetButton?.addEventListener("click", () => resetModelForm(modelKey));
-});
-
-
-
 document.addEventListener("keydown", (event) => {
   const isCmdOrCtrl = event.metaKey || event.ctrlKey;
   if (isCmdOrCtrl && event.key.toLowerCase() === "enter") {
@@ -1183,13 +3152,63 @@ document.addEventListener("keydown", (event) => {
   }
 });
 
-try {
-  // resetModelForm("seedream", { silent: true }); // seedream not in config
-  resetModelForm("nano-banana", { silent: true });
-  setActiveModel(activeModelKey);
-  applyStateToPreview(activeModelKey);
-  console.log("App initialized successfully");
-} catch (error) {
-  console.error("App initialization failed:", error);
-  showToast("App initialization failed: " + error.message, "error");
+function renderModelButton(model) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "cta-switch__button";
+  button.dataset.modelButton = model.key;
+  const label = document.createElement("span");
+  label.textContent = model.label;
+  const description = document.createElement("small");
+  description.textContent = model.description;
+  button.append(label, description);
+  // Models the server can't run right now (missing configuration, provider down) stay visible but can't be picked
+  if (!model.available) {
+    button.disabled = true;
+    button.title = model.unavailable_reason || "This model is unavailable.";
+  }
+  button.addEventListener("click", () => setActiveModel(model.key));
+  return button;
+}
+
+// Builds the model switcher, forms and history filter from the server's model registry.
+async function loadModels() {
+  const response = await fetch("/api/models");
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result?.error || "Failed to load models.");
+  }
+
+  for (const model of result.models) {
+    const option = document.createElement("option");
+    option.value = model.key;
+    option.textContent = model.key;
+    historyModelFilter.append(option);
+
+    if (model.hidden) continue;
+
+    modelStates[model.key] = createInitialState(model.output === "video" ? "mp4" : "png");
+    const config = createSchemaFormConfig(model, modelForms);
+    modelConfigs[model.key] = config;
+    modelSwitch.append(renderModelButton(model));
+
+    config.form.addEventListener("submit", (event) => handleSubmit(event, model.key));
+    config.resetButton?.addEventListener("click", () => resetModelForm(model.key));
+    resetModelForm(model.key, { silent: true });
+  }
+
+  const runnable = result.models.filter((model) => modelConfigs[model.key] && model.available).map((model) => model.key);
+  if (runnable.includes(result.default_model_key)) return result.default_model_key;
+  return runnable[0] ?? (modelConfigs[result.default_model_key] ? result.default_model_key : Object.keys(modelConfigs)[0]);
 }
+
+loadModels()
+  .then((modelKey) => {
+    setActiveModel(modelKey);
+    applyStateToPreview(activeModelKey);
+    console.log("App initialized successfully");
+  })
+  .catch((error) => {
+    console.error("App initialization failed:", error);
+    showToast("App initialization failed: " + error.message, "error");
+  });
@@ -0,0 +1,96 @@
+const probeLabel = document.getElementById("diagnostics-probe");
+const refreshButton = document.getElementById("diagnostics-refresh");
+const providerCards = document.getElementById("diagnostics-providers");
+const table = document.getElementById("diagnostics-table");
+
+const PROVIDER_LABELS = { gemini: "Gemini", replicate: "Replicate" };
+
+const COLUMNS = [
+  ["key", "Model"],
+  ["provider", "Provider"],
+  ["resolved", "Version / model"],
+  ["configured", "Configured"],
+  ["reachable", "Reachable"],
+  ["reason", "Problem"],
+];
+
+// The API needs the session cookie; the login form lives on the playground page
+async function apiFetch(url) {
+  const response = await fetch(url);
+  if (response.status === 401) {
+    window.location.href = "/";
+    throw new Error("Not signed in.");
+  }
+  return response;
+}
+
+// true, false or null (not checked) as a labelled status cell
+function renderState(cell, value, labels) {
+  const state = value === true ? "ok" : value === false ? "down" : "unknown";
+  const badge = document.createElement("span");
+  badge.className = "diagnostics-state";
+  badge.dataset.state = state;
+  badge.textContent = labels[state];
+  cell.appendChild(badge);
+}
+
+function renderProviders(providers) {
+  providerCards.innerHTML = "";
+  Object.entries(providers).forEach(([provider, check]) => {
+    const card = document.createElement("div");
+    card.className = "usage-total";
+    const value = document.createElement("strong");
+    renderState(value, check?.reachable ?? null, { ok: "Reachable", down: "Unreachable", unknown: "Not checked" });
+    const label = document.createElement("span");
+    const details = check?.reachable ? `${check.latency_ms} ms` : check?.error ?? "Not configured";
+    label.textContent = `${PROVIDER_LABELS[provider] ?? provider} · ${details}`;
+    card.appendChild(value);
+    card.appendChild(label);
+    providerCards.appendChild(card);
+  });
+}
+
+function renderModels(models) {
+  table.innerHTML = "";
+  const header = table.createTHead().insertRow();
+  COLUMNS.forEach(([, label]) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    header.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  models.forEach((entry) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = `${entry.label} (${entry.key})`;
+    row.insertCell().textContent = PROVIDER_LABELS[entry.provider] ?? entry.provider;
+    row.insertCell().textContent = entry.version ?? entry.model ?? "—";
+    renderState(row.insertCell(), entry.configured, { ok: "Yes", down: "No", unknown: "—" });
+    renderState(row.insertCell(), entry.reachable, { ok: "Yes", down: "No", unknown: "—" });
+    row.insertCell().textContent = entry.reason ?? "";
+  });
+}
+
+async function loadDiagnostics({ refresh = false } = {}) {
+  refreshButton.disabled = true;
+  try {
+    const response = await apiFetch(`/api/admin/diagnostics${refresh ? "?refresh=true" : ""}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load diagnostics.");
+    }
+    probeLabel.textContent =
+      result.probe === "stub" ? "Provider probes are stubbed (PROVIDER_PROBE=stub)." : "Providers are probed live.";
+    renderProviders(result.providers);
+    renderModels(result.models);
+  } catch (error) {
+    console.error("Diagnostics load failed", error);
+    probeLabel.textContent = error.message;
+  } finally {
+    refreshButton.disabled = false;
+  }
+}
+
+refreshButton.addEventListener("click", () => loadDiagnostics({ refresh: true }));
+
+loadDiagnostics();
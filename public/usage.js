@@ -0,0 +1,136 @@
+const filters = document.getElementById("usage-filters");
+const fromInput = document.getElementById("usage-from");
+const toInput = document.getElementById("usage-to");
+const groupSelect = document.getElementById("usage-group");
+const modelSelect = document.getElementById("usage-model");
+const userInput = document.getElementById("usage-user");
+const csvLink = document.getElementById("usage-csv");
+const totals = document.getElementById("usage-totals");
+const table = document.getElementById("usage-table");
+
+const COLUMN_LABELS = {
+  day: "Day",
+  model_key: "Model",
+  user: "User",
+  count: "Runs",
+  succeeded: "Succeeded",
+  failed: "Failed",
+  canceled: "Canceled",
+  blocked: "Blocked",
+  outputs: "Outputs",
+  video_seconds: "Video seconds",
+  elapsed_seconds: "Compute seconds",
+  credits: "Credits",
+};
+
+const TOTAL_COLUMNS = ["count", "succeeded", "failed", "blocked", "outputs", "video_seconds", "elapsed_seconds", "credits"];
+
+// The API needs the session cookie; the login form lives on the playground page
+async function apiFetch(url) {
+  const response = await fetch(url);
+  if (response.status === 401) {
+    window.location.href = "/";
+    throw new Error("Not signed in.");
+  }
+  return response;
+}
+
+const buildQuery = (extra = {}) => {
+  const params = new URLSearchParams({ group_by: groupSelect.value, ...extra });
+  if (fromInput.value) params.set("from", fromInput.value);
+  if (toInput.value) params.set("to", toInput.value);
+  if (modelSelect.value) params.set("model_key", modelSelect.value);
+  if (userInput.value.trim()) params.set("user", userInput.value.trim());
+  return params;
+};
+
+function renderTotals(summary) {
+  totals.innerHTML = "";
+  TOTAL_COLUMNS.forEach((column) => {
+    const card = document.createElement("div");
+    card.className = "usage-total";
+    const value = document.createElement("strong");
+    value.textContent = summary?.[column] ?? 0;
+    const label = document.createElement("span");
+    label.textContent = COLUMN_LABELS[column];
+    card.appendChild(value);
+    card.appendChild(label);
+    totals.appendChild(card);
+  });
+}
+
+function renderTable(rows) {
+  table.innerHTML = "";
+  if (!rows.length) {
+    const row = table.insertRow();
+    const cell = row.insertCell();
+    cell.className = "history-empty";
+    cell.textContent = "No usage in this period.";
+    return;
+  }
+
+  const columns = Object.keys(rows[0]);
+  const header = table.createTHead().insertRow();
+  columns.forEach((column) => {
+    const cell = document.createElement("th");
+    cell.textContent = COLUMN_LABELS[column] ?? column;
+    header.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  rows.forEach((entry) => {
+    const row = body.insertRow();
+    columns.forEach((column) => {
+      row.insertCell().textContent = entry[column] ?? "";
+    });
+  });
+}
+
+async function loadUsage() {
+  csvLink.href = `/api/usage?${buildQuery({ format: "csv" })}`;
+  try {
+    const response = await apiFetch(`/api/usage?${buildQuery()}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.error || "Failed to load usage.");
+    }
+    renderTotals(result.totals);
+    renderTable(result.rows);
+  } catch (error) {
+    console.error("Usage load failed", error);
+    totals.textContent = error.message;
+  }
+}
+
+async function init() {
+  // Default to the last 7 days
+  const today = new Date();
+  toInput.value = today.toISOString().slice(0, 10);
+  fromInput.value = new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  try {
+    const [sessionResponse, modelsResponse] = await Promise.all([
+      apiFetch("/api/auth/session"),
+      fetch("/api/models"),
+    ]);
+    const session = await sessionResponse.json();
+    userInput.classList.toggle("hidden", session.user?.role !== "admin");
+
+    const { models = [] } = await modelsResponse.json();
+    [...models.map((model) => [model.key, model.label]), ["refine", "Refine"]].forEach(([key, label]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = label;
+      modelSelect.append(option);
+    });
+  } catch (error) {
+    console.error("Usage page setup failed", error);
+  }
+
+  loadUsage();
+}
+
+filters.addEventListener("change", loadUsage);
+filters.addEventListener("submit", (event) => event.preventDefault());
+
+init();
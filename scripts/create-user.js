@@ -0,0 +1,73 @@
+// Creates (or resets the password of) a playground user, optionally issuing an API key.
+//
+//   npm run create-user -- <username> [--password <password>] [--admin] [--api-key <name>]
+//
+// Without --password the password is prompted for on stdin.
+import path from "path";
+import readline from "readline/promises";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createStore } from "../lib/store.js";
+import { createApiKey, createUser } from "../lib/auth.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const parseArgs = (argv) => {
+  const options = { username: null, password: null, admin: false, apiKeyName: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--password") options.password = argv[++i];
+    else if (arg === "--admin") options.admin = true;
+    else if (arg === "--api-key") options.apiKeyName = argv[++i];
+    else if (!options.username) options.username = arg;
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.username) {
+    console.error("Usage: npm run create-user -- <username> [--password <password>] [--admin] [--api-key <name>]");
+    process.exit(1);
+  }
+
+  const driver = process.env.STORE_DRIVER || "file";
+  if (driver === "memory") {
+    console.error("STORE_DRIVER=memory does not persist users; use the file driver.");
+    process.exit(1);
+  }
+
+  let password = options.password;
+  if (!password) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question(`Password for ${options.username}: `);
+    rl.close();
+  }
+
+  const store = createStore({
+    driver,
+    dir: process.env.STORE_DIR || path.join(__dirname, "..", "data"),
+  });
+
+  const user = await createUser(store.collection("users"), {
+    username: options.username,
+    password,
+    role: options.admin ? "admin" : "user",
+  });
+  console.log(`Saved ${user.role} "${user.username}".`);
+
+  if (options.apiKeyName) {
+    const { key } = await createApiKey(store.collection("api_keys"), {
+      username: user.username,
+      name: options.apiKeyName,
+    });
+    console.log(`API key "${options.apiKeyName}" (shown once): ${key}`);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
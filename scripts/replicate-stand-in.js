@@ -0,0 +1,222 @@
+// Local stand-in for the parts of the Replicate API this server uses, so webhooks in both
+// directions can be exercised without a Replicate account:
+//
+//   npm run replicate-stand-in
+//   REPLICATE_API_BASE_URL=http://localhost:3999/v1 REPLICATE_API_TOKEN=stand-in \
+//     PUBLIC_BASE_URL=http://localhost:3000 npm start
+//
+// Predictions start straight away, succeed after STAND_IN_DURATION_MS with a generated PNG and
+// send signed webhooks along the way. A prompt containing "[fail]" makes the prediction fail,
+// one containing "[nsfw]" fails it the way models refuse sensitive content. With "[lost-create]"
+// the prediction is created but the create call answers 502, like a response lost on the way.
+// Text predictions (the prompt refiner, recognised by a system_instruction) stream a canned
+// rewrite in the format their instruction asks for.
+// POST /callbacks logs caller webhooks, verifying them when CALLBACK_SECRET matches the
+// server's WEBHOOK_SIGNING_SECRET.
+import express from "express";
+import { randomBytes } from "crypto";
+import { signWebhook, verifyWebhook } from "../lib/webhooks.js";
+
+const PORT = Number.parseInt(process.env.STAND_IN_PORT ?? "3999", 10);
+const DURATION_MS = Number.parseInt(process.env.STAND_IN_DURATION_MS ?? "3000", 10);
+const WEBHOOK_SECRET = process.env.STAND_IN_WEBHOOK_SECRET || `whsec_${randomBytes(24).toString("base64")}`;
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET;
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64",
+);
+
+const baseUrl = `http://localhost:${PORT}`;
+const predictions = new Map();
+
+const sendWebhook = async (prediction, event) => {
+  const { webhook, webhook_events_filter: filter } = prediction.options;
+  if (!webhook || (filter && !filter.includes(event))) return;
+
+  const id = `msg_${randomBytes(12).toString("hex")}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify(prediction.record);
+  try {
+    const response = await fetch(webhook, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "webhook-id": id,
+        "webhook-timestamp": timestamp,
+        "webhook-signature": signWebhook({ id, timestamp, body }, WEBHOOK_SECRET),
+      },
+      body,
+    });
+    console.log(`[${prediction.record.id}] ${event} webhook -> ${response.status}`);
+  } catch (error) {
+    console.error(`[${prediction.record.id}] ${event} webhook failed:`, error.message);
+  }
+};
+
+const isTextPrediction = (input) => typeof input.system_instruction === "string";
+
+const cannedText = (input) => {
+  const instruction = input.system_instruction;
+  const count = Number(instruction.match(/Write (\d+) distinct/)?.[1] ?? 1);
+  const variants = Array.from(
+    { length: count },
+    (_, index) => `${input.prompt}, rewrite ${index + 1} with richer detail and soft morning light`,
+  );
+  const negative = instruction.includes("NEGATIVE:") ? "\nNEGATIVE: blur, flicker, watermark" : "";
+  return `${variants.join("\n---\n")}${negative}`;
+};
+
+const finish = (prediction, patch) => {
+  const { record } = prediction;
+  if (["succeeded", "failed", "canceled"].includes(record.status)) return;
+  Object.assign(record, patch, {
+    completed_at: new Date().toISOString(),
+    metrics: { predict_time: (Date.now() - new Date(record.started_at).getTime()) / 1000 },
+  });
+  sendWebhook(prediction, "completed");
+};
+
+const createPrediction = (req, res) => {
+  const { input = {}, version = null, webhook, webhook_events_filter } = req.body ?? {};
+  const id = randomBytes(10).toString("hex");
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    model: req.params.owner ? `${req.params.owner}/${req.params.name}` : String(version).split(":")[0],
+    version,
+    input,
+    logs: "",
+    output: null,
+    error: null,
+    status: "starting",
+    created_at: now,
+    started_at: null,
+    completed_at: null,
+    urls: {
+      get: `${baseUrl}/v1/predictions/${id}`,
+      cancel: `${baseUrl}/v1/predictions/${id}/cancel`,
+      stream: `${baseUrl}/v1/predictions/${id}/stream`,
+    },
+  };
+  const prediction = { record, options: { webhook, webhook_events_filter } };
+  predictions.set(id, prediction);
+
+  setTimeout(() => {
+    // Canceled before it started
+    if (record.status !== "starting") return;
+    Object.assign(record, { status: "processing", started_at: new Date().toISOString(), logs: "  0%|          | 0/10" });
+    sendWebhook(prediction, "start");
+  }, 200);
+  setTimeout(() => {
+    if (record.status !== "processing") return;
+    record.logs += "\n 50%|█████     | 5/10";
+    sendWebhook(prediction, "logs");
+  }, DURATION_MS / 2);
+  setTimeout(() => {
+    if (String(input.prompt ?? "").includes("[fail]")) {
+      finish(prediction, { status: "failed", error: "Stand-in failure requested by the prompt." });
+    } else if (String(input.prompt ?? "").includes("[nsfw]")) {
+      finish(prediction, { status: "failed", error: "NSFW content detected. Try running it again, or try a different prompt." });
+    } else if (isTextPrediction(input)) {
+      finish(prediction, { status: "succeeded", output: cannedText(input).split(/(?<=\s)/) });
+    } else {
+      finish(prediction, { status: "succeeded", output: [`${baseUrl}/files/${id}.png`] });
+    }
+  }, DURATION_MS);
+
+  console.log(`[${id}] created (webhook: ${webhook ?? "none"})`);
+  if (String(input.prompt ?? "").includes("[lost-create]")) {
+    return res.status(502).json({ detail: "Stand-in lost the response to this create call." });
+  }
+  res.status(201).json(record);
+};
+
+const app = express();
+
+app.post("/callbacks", express.raw({ type: "*/*" }), (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+  const verified = CALLBACK_SECRET
+    ? verifyWebhook(
+        {
+          id: req.get("webhook-id"),
+          timestamp: req.get("webhook-timestamp"),
+          signature: req.get("webhook-signature"),
+          body,
+        },
+        CALLBACK_SECRET,
+      )
+    : "not checked";
+  console.log(`[callback] signature: ${verified}\n${body}`);
+  res.status(204).end();
+});
+
+// File inputs (uploads sent as Blobs) arrive here first; their content is not kept
+app.post("/v1/files", express.raw({ type: "*/*", limit: "100mb" }), (req, res) => {
+  const id = randomBytes(10).toString("hex");
+  console.log(`[file ${id}] received ${req.body?.length ?? 0} bytes`);
+  res.status(201).json({
+    id,
+    content_type: "application/octet-stream",
+    size: req.body?.length ?? 0,
+    created_at: new Date().toISOString(),
+    urls: { get: `${baseUrl}/v1/files/${id}` },
+  });
+});
+
+app.use(express.json({ limit: "20mb" }));
+
+app.get("/v1/account", (req, res) => res.json({ type: "user", username: "stand-in", name: "Stand-in" }));
+app.get("/v1/webhooks/default/secret", (req, res) => res.json({ key: WEBHOOK_SECRET }));
+app.post("/v1/predictions", createPrediction);
+app.post("/v1/models/:owner/:name/predictions", createPrediction);
+
+// Newest first, as Replicate lists them; one page holds everything here
+app.get("/v1/predictions", (req, res) =>
+  res.json({
+    next: null,
+    previous: null,
+    results: [...predictions.values()].map(({ record }) => record).reverse(),
+  }),
+);
+
+app.get("/v1/predictions/:id", (req, res) => {
+  const prediction = predictions.get(req.params.id);
+  if (!prediction) return res.status(404).json({ detail: "Not found." });
+  return res.json(prediction.record);
+});
+
+app.post("/v1/predictions/:id/cancel", (req, res) => {
+  const prediction = predictions.get(req.params.id);
+  if (!prediction) return res.status(404).json({ detail: "Not found." });
+  finish(prediction, { status: "canceled" });
+  return res.json(prediction.record);
+});
+
+// Streams the text output token by token, the way Replicate's stream URLs do
+app.get("/v1/predictions/:id/stream", async (req, res) => {
+  const prediction = predictions.get(req.params.id);
+  if (!prediction) return res.status(404).json({ detail: "Not found." });
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+
+  const { input } = prediction.record;
+  if (String(input.prompt ?? "").includes("[fail]")) {
+    res.write("event: error\ndata: Stand-in failure requested by the prompt.\n\n");
+    return res.end();
+  }
+  const tokens = isTextPrediction(input) ? cannedText(input).split(/(?<=\s)/) : [];
+  for (const token of tokens) {
+    if (res.destroyed) return;
+    res.write(`event: output\n${token.split("\n").map((line) => `data: ${line}`).join("\n")}\n\n`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  res.write("event: done\ndata: {}\n\n");
+  return res.end();
+});
+
+app.get("/files/:name", (req, res) => res.type("png").send(PNG));
+
+app.listen(PORT, () => {
+  console.log(`Replicate stand-in listening on ${baseUrl} (webhook secret ${WEBHOOK_SECRET})`);
+});
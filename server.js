@@ -4,9 +4,77 @@ import dotenv from "dotenv";
 import Replicate from "replicate";
 import { GoogleGenAI } from "@google/genai";
 import { fileURLToPath } from "url";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { EventEmitter, once } from "events";
+import { ZipArchive } from "archiver";
+import multer from "multer";
+import { createStore } from "./lib/store.js";
+import { createObservedCollection } from "./lib/prediction-events.js";
+import { createPredictionIndex } from "./lib/prediction-index.js";
+import { assetUrl, createAssetStore, parseAssetUrl, parseByteRange } from "./lib/assets.js";
+import { BATCH_FORMATS, createBatchId, createBatchRunner, parseBatchItems } from "./lib/batches.js";
+import { createWebhookGuard, createWebhookSender, verifyWebhook } from "./lib/webhooks.js";
+import { createProviderChecker, createStubProbes, diagnoseModel } from "./lib/diagnostics.js";
+import { createJobQueue } from "./lib/job-queue.js";
+import { LEASE_RENEW_MS, LEASE_TTL_MS, createLease, isHeldElsewhere } from "./lib/leases.js";
+import { createLogger } from "./lib/logger.js";
+import { METRICS_CONTENT_TYPE, createMetricsRegistry, registerProcessMetrics } from "./lib/metrics.js";
+import { createModerator, describeBlock, findGeminiBlock, findReplicateBlock, loadModerationConfig } from "./lib/moderation.js";
+import { createQuotaManager, loadQuotaConfig } from "./lib/quotas.js";
+import { isRetryableError, isUnsentError, loadFailoverModels, loadRetryConfig, withRetry } from "./lib/retry.js";
+import { USAGE_GROUPS, createUsageLog, summarizeUsage, toCsv } from "./lib/usage.js";
+import { buildOpenApiDocument } from "./lib/openapi.js";
+import { buildRefineInstruction, parseRefineOutput } from "./lib/refine.js";
+import { INPAINT_INSTRUCTION, closestAspectRatio, compositeMasked, measureImage } from "./lib/inpaint.js";
+import {
+  buildStepBody,
+  createPipelineId,
+  createPipelineRun,
+  createPipelineRunner,
+  validatePipeline,
+  validatePipelineOverrides,
+} from "./lib/pipelines.js";
+import { createTemplateId, renderTemplate, validateTemplate } from "./lib/templates.js";
+import {
+  SESSION_INPUTS,
+  buildSessionHistory,
+  createSessionId,
+  findTurnPath,
+  supportsSessions,
+  toSessionTurn,
+} from "./lib/sessions.js";
+import { UPLOAD_CONTENT_TYPES, createUploadStore, isUploadId, toPublicUpload } from "./lib/uploads.js";
+import {
+  buildModelInput,
+  createModelRegistry,
+  getModelAvailability,
+  getRefineAvailability,
+  REFINE_INPUTS,
+  toPublicModel,
+  validateInput,
+} from "./lib/models.js";
+import {
+  createApiKey,
+  createAuth,
+  createLoginThrottle,
+  createUser,
+  safeEqual,
+  toPublicApiKey,
+  toPublicUser,
+} from "./lib/auth.js";
 
 dotenv.config();
 
+// One JSON object per line; LOG_FORMAT=text and LOG_LEVEL are described in lib/logger.js
+const log = createLogger();
+
+// Every line about a prediction names it, its model and whose it is
+const predictionLog = (prediction) =>
+  log.child({ prediction_id: prediction.id, model_key: prediction.model_key, user: prediction.user });
+
+const requestLog = (req) => log.child({ method: req.method, path: req.path, user: req.user?.username });
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -15,62 +83,284 @@ const PORT = process.env.PORT || 3000;
 
 const DEFAULT_MODEL_KEY = (process.env.REPLICATE_DEFAULT_MODEL_KEY || "nano-banana").toLowerCase();
 const REFINE_MODEL_VERSION = process.env.REPLICATE_REFINE_MODEL_VERSION;
+const REFINE_MODEL = "google/gemini-3-pro";
 
+// REPLICATE_API_BASE_URL points the client at a stand-in API (see scripts/replicate-stand-in.js)
 const replicate = new Replicate({
   auth: process.env.REPLICATE_API_TOKEN,
+  baseUrl: process.env.REPLICATE_API_BASE_URL || undefined,
+});
+
+// With a public URL Replicate pushes status changes to POST /api/webhooks/replicate instead of
+// us having to poll for them.
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, "") || null;
+const REPLICATE_WEBHOOK_URL = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/api/webhooks/replicate` : null;
+
+let replicateWebhookSecret = null;
+
+// REPLICATE_WEBHOOK_SECRET avoids the lookup; otherwise the account's secret is fetched once.
+const getReplicateWebhookSecret = () => {
+  if (process.env.REPLICATE_WEBHOOK_SECRET) return Promise.resolve(process.env.REPLICATE_WEBHOOK_SECRET);
+  replicateWebhookSecret ??= replicate.webhooks.default.secret.get().then(
+    ({ key }) => key,
+    (error) => {
+      replicateWebhookSecret = null;
+      throw error;
+    },
+  );
+  return replicateWebhookSecret;
+};
+
+// Transient provider failures are retried with backoff; models listed in MODEL_FAILOVER then
+// move on to their failover routes (see lib/retry.js and lib/models.js)
+const RETRY_CONFIG = loadRetryConfig();
+const failoverModels = loadFailoverModels();
+
+// Callbacks to caller-supplied `webhook` URLs, signed when WEBHOOK_SIGNING_SECRET is set. They
+// never reach internal addresses unless their host is on WEBHOOK_ALLOWED_HOSTS, and need https
+// outside development.
+const webhookGuard = createWebhookGuard({
+  allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS ?? "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  requireHttps: process.env.NODE_ENV !== "development",
 });
+const webhookSender = createWebhookSender({ secret: process.env.WEBHOOK_SIGNING_SECRET, guard: webhookGuard });
 
 // Initialize GoogleGenAI only if API key is available
 let genAI = null;
 if (process.env.GEMINI_API_KEY) {
   genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
 } else {
-  console.warn("⚠️ GEMINI_API_KEY not set - nano-banana model will not work");
+  log.warn("GEMINI_API_KEY not set - nano-banana model will not work");
 }
 
-// In-memory store for async predictions
-const predictions = new Map();
+// Whether each provider answers, for /ready and the admin diagnostics. PROVIDER_PROBE=stub
+// reports them reachable without calling them, for local runs against stand-ins.
+const parsedProbeTtlSeconds = Number.parseFloat(process.env.PROVIDER_PROBE_TTL_SECONDS ?? "60");
+const providerChecker = createProviderChecker({
+  probes:
+    process.env.PROVIDER_PROBE === "stub"
+      ? createStubProbes()
+      : {
+          gemini: () => genAI.models.list({ config: { pageSize: 1 } }),
+          replicate: () => replicate.accounts.current(),
+        },
+  ttlMs: (Number.isFinite(parsedProbeTtlSeconds) && parsedProbeTtlSeconds >= 0 ? parsedProbeTtlSeconds : 60) * 1000,
+});
+
+const TERMINAL_STATUSES = new Set(["succeeded", "failed", "canceled", "blocked"]);
+
+// Predictions are persisted so results survive restarts and redeploys.
+// STORE_DRIVER picks the backend ("file" by default, or "memory").
+const STORE_DIR = process.env.STORE_DIR || path.join(__dirname, "data");
+const store = createStore({
+  driver: process.env.STORE_DRIVER || "file",
+  dir: STORE_DIR,
+});
+const predictions = createObservedCollection(store.collection("predictions"));
+// Quota checks and listings filter this instead of reading every stored prediction
+const predictionIndex = createPredictionIndex(predictions, { isActive: (status) => !TERMINAL_STATUSES.has(status) });
+// Gemini jobs and Replicate ones not created there yet run inside one process, which holds their
+// lease (see lib/leases.js)
+const isInProcess = (prediction) => prediction.provider === "gemini" || prediction.provider_prediction_id === null;
+// Ids of unfinished in-process predictions started here, whose leases this process renews
+const heldPredictions = new Set();
+const batches = store.collection("batches");
+const templates = store.collection("templates");
+const sessions = store.collection("sessions");
+const pipelines = store.collection("pipelines");
+const pipelineRuns = store.collection("pipeline_runs");
+
+// Generated files are copied here so outputs outlive Replicate's expiring URLs and Gemini's
+// base64 payloads stay out of prediction records. ASSET_STORE_DRIVER is "local" or "s3".
+const assets = createAssetStore({
+  driver: process.env.ASSET_STORE_DRIVER || "local",
+  records: store.collection("assets"),
+  dir: process.env.ASSET_DIR || path.join(STORE_DIR, "asset-files"),
+  bucket: process.env.ASSET_S3_BUCKET,
+  region: process.env.ASSET_S3_REGION,
+  endpoint: process.env.ASSET_S3_ENDPOINT,
+  accessKeyId: process.env.ASSET_S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.ASSET_S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.ASSET_S3_FORCE_PATH_STYLE === "true",
+  prefix: process.env.ASSET_S3_PREFIX,
+});
+
+// Hours an upload stays usable; predictions reference uploads by id, so keep it longer than a
+// batch takes to run. 0 keeps uploads until they are deleted.
+const parsedUploadRetentionHours = Number.parseFloat(process.env.UPLOAD_RETENTION_HOURS ?? "24");
+const uploads = createUploadStore({
+  records: store.collection("uploads"),
+  assets,
+  assetUrl,
+  retentionMs:
+    Number.isFinite(parsedUploadRetentionHours) && parsedUploadRetentionHours > 0
+      ? parsedUploadRetentionHours * 60 * 60 * 1000
+      : 0,
+});
+
+const parsedUploadMaxMb = Number.parseFloat(process.env.UPLOAD_MAX_MB ?? "20");
+const UPLOAD_MAX_BYTES =
+  (Number.isFinite(parsedUploadMaxMb) && parsedUploadMaxMb > 0 ? parsedUploadMaxMb : 20) * 1024 * 1024;
+
+// Uploads are held in memory only until they are written to the asset store
+const uploadParser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+}).single("file");
+
+// Per-user and per-key limits from the QUOTA_CONFIG file; without one nothing is limited, but
+// credits are still counted.
+const quotas = createQuotaManager({
+  config: loadQuotaConfig(process.env.QUOTA_CONFIG),
+  ledger: store.collection("quota_usage"),
+  async countActiveJobs(subject, modelKey) {
+    const active = await predictionIndex.active(
+      (prediction) =>
+        (!modelKey || prediction.model_key === modelKey) &&
+        quotas.subjectOf({ username: prediction.user, apiKeyId: prediction.api_key_id }) === subject,
+    );
+    return active.length;
+  },
+});
+
+// Usage entries are never swept, unlike the predictions they describe; they are stored per day
+const usageLog = createUsageLog(store);
 
-// Cleanup: remove predictions older than 1 hour, check every 5 mins
-setInterval(() => {
+// Hours to keep predictions before the sweep removes them; 0 keeps them forever.
+const parsedRetentionHours = Number.parseFloat(process.env.PREDICTION_RETENTION_HOURS ?? "24");
+const PREDICTION_RETENTION_MS =
+  Number.isFinite(parsedRetentionHours) && parsedRetentionHours > 0
+    ? parsedRetentionHours * 60 * 60 * 1000
+    : 0;
+
+// Cleanup: remove predictions past the retention window, check every 5 mins
+const sweepPredictions = async () => {
   try {
     const now = Date.now();
     let removed = 0;
-    for (const [id, pred] of predictions.entries()) {
-      const created = new Date(pred.created_at).getTime();
-      if (now - created > 60 * 60 * 1000) {
-        predictions.delete(id);
-        removed++;
+    // Edit sessions keep their turns until the session itself has been idle that long
+    const activeSessions = new Set();
+    for (const session of await sessions.list()) {
+      if (PREDICTION_RETENTION_MS > 0 && now - new Date(session.updated_at).getTime() > PREDICTION_RETENTION_MS) {
+        await sessions.delete(session.id);
+      } else {
+        activeSessions.add(session.id);
+      }
+    }
+    const records = await predictions.list();
+    if (PREDICTION_RETENTION_MS > 0) {
+      for (const pred of records) {
+        const created = new Date(pred.created_at).getTime();
+        if (now - created > PREDICTION_RETENTION_MS && !activeSessions.has(pred.session?.id)) {
+          await deletePredictionAssets(pred);
+          await predictions.delete(pred.id);
+          removed++;
+        }
+      }
+    }
+    const remaining = records.length - removed;
+    if (PREDICTION_RETENTION_MS > 0) {
+      // Finished batches and pipeline runs go with their predictions; their outputs are gone by now anyway
+      for (const batch of await batches.list()) {
+        const completed = batch.completed_at ? new Date(batch.completed_at).getTime() : NaN;
+        if (now - completed > PREDICTION_RETENTION_MS) {
+          await batches.delete(batch.id);
+        }
+      }
+      for (const run of await pipelineRuns.list()) {
+        const completed = run.completed_at ? new Date(run.completed_at).getTime() : NaN;
+        if (now - completed > PREDICTION_RETENTION_MS) {
+          await pipelineRuns.delete(run.id);
+        }
       }
     }
-    if (removed > 0 || predictions.size > 0) {
-      console.log(`[System] Cleanup: removed ${removed}. Active: ${predictions.size}. Heap: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+    const expiredUploads = await uploads.sweep();
+    if (removed > 0 || expiredUploads > 0) {
+      log.info("Cleanup removed expired records", { predictions: removed, uploads: expiredUploads, stored: remaining });
     }
   } catch (e) {
-    console.error("[System] Cleanup error:", e);
+    log.error("Cleanup failed", { error: e });
   }
-}, 5 * 60 * 1000);
+};
 
-const MODEL_CONFIG = {
-  seedream: {
-    envKey: "REPLICATE_SEEDREAM_VERSION",
-    version: process.env.REPLICATE_SEEDREAM_VERSION || process.env.REPLICATE_MODEL_VERSION,
-  },
-  "nano-banana": {
-    envKey: "REPLICATE_NANO_BANANA_VERSION",
-    version: "google/nano-banana-pro",
-  },
-  "remove-bg": {
-    envKey: "REPLICATE_REMOVE_BG_VERSION",
-    version: "cjwbw/rembg:fb8af171cfa1616ddcf1242c093f9c46bcada5ad4cf6f2fbe8b81b330ec5c003",
-  },
-  "video": {
-    model: "google/veo-3.1",
-  },
+setInterval(sweepPredictions, 5 * 60 * 1000);
+
+// The job queue lives in memory, so unfinished in-process predictions whose process stopped
+// renewing their lease were cut off by its shutdown. Ones another process still runs are left alone.
+const failInterruptedPredictions = async () => {
+  try {
+    const records = await predictions.list();
+    for (const pred of records) {
+      if (!isInProcess(pred) || TERMINAL_STATUSES.has(pred.status) || heldPredictions.has(pred.id)) continue;
+      let interrupted = false;
+      await predictions.update(pred.id, (current) => {
+        if (TERMINAL_STATUSES.has(current.status) || isHeldElsewhere(current.owner)) return null;
+        interrupted = true;
+        return {
+          status: "failed",
+          error: "Interrupted by a server restart before completion.",
+          completed_at: new Date().toISOString(),
+        };
+      });
+      // Its credits come back here, as its own process is gone
+      if (interrupted) settlePrediction(pred.id);
+    }
+  } catch (e) {
+    log.error("Failed to recover interrupted predictions", { error: e });
+  }
+};
+
+failInterruptedPredictions();
+setInterval(failInterruptedPredictions, LEASE_TTL_MS);
+
+const users = store.collection("users");
+const apiKeys = store.collection("api_keys");
+
+// A per-process secret signs out every user on restart and can't be shared between instances
+if (!process.env.SESSION_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set when NODE_ENV=production.");
+  }
+  log.warn("SESSION_SECRET not set - sessions will be invalidated on every restart");
+}
+
+const auth = createAuth({
+  users,
+  apiKeys,
+  sessionSecret: process.env.SESSION_SECRET,
+  sessionTtlHours: Number.parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7,
+  secureCookies: process.env.SESSION_COOKIE_SECURE === "true",
+  disabled: process.env.AUTH_DISABLED === "true",
+});
+
+if (auth.disabled) {
+  log.warn("AUTH_DISABLED=true - every /api route is open to anyone who can reach the server");
+}
+
+const loginThrottle = createLoginThrottle();
+
+// Lets a fresh deployment get its first administrator from the environment.
+const bootstrapAdmin = async () => {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return;
+  try {
+    if (!(await users.get(username.trim().toLowerCase()))) {
+      await createUser(users, { username, password, role: "admin" });
+      log.info("Created admin user from environment", { user: username });
+    }
+  } catch (e) {
+    log.error("Failed to create admin user", { user: username, error: e.message });
+  }
 };
 
-const DIMENSION_LIMITS = { min: 1024, max: 4096 };
-const MAX_IMAGES_LIMITS = { min: 1, max: 15 };
+bootstrapAdmin();
+
+// Which models exist and what they accept lives in lib/models.js
+const modelRegistry = createModelRegistry(process.env);
 
 const clampNumber = (value, min, max) => Math.min(max, Math.max(min, value));
 
@@ -159,7 +449,7 @@ const normalizeRunOutput = async (value) => {
       try {
         return await value.url();
       } catch (error) {
-        console.warn("Failed to resolve file output URL", error);
+        log.warn("Failed to resolve file output URL", { error });
       }
     }
 
@@ -193,450 +483,2874 @@ const collectTextSegments = (value, acc) => {
   }
 };
 
-app.use(express.json({ limit: "20mb" }));
-app.use(express.static(path.join(__dirname, "public")));
+// Inputs are kept for the history view, but inline images would bloat every record, so data URLs
+// are replaced with a short description.
+const sanitizeInput = (value) => {
+  if (typeof value === "string") {
+    const match = value.match(/^data:([^;,]+)?(?:;[^,]*)?,/);
+    if (!match) return value;
+    const approxBytes = Math.round(((value.length - match[0].length) * 3) / 4);
+    return `[omitted ${match[1] || "data"} data URL, ${Math.round(approxBytes / 1024)} KB]`;
+  }
+  if (Array.isArray(value)) return value.map(sanitizeInput);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, entry]) => entry !== undefined)
+        .map(([key, entry]) => [key, sanitizeInput(entry)]),
+    );
+  }
+  return value;
+};
 
-// Health check endpoint for Cloudflare and load balancers
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok", timestamp: new Date().toISOString() });
-});
+const collectOutputUrls = (output) => {
+  if (typeof output === "string") return [output];
+  if (Array.isArray(output)) return output.flatMap(collectOutputUrls);
+  if (output && typeof output === "object") {
+    const source = [output.url, output.uri, output.image, output.path].find(
+      (candidate) => typeof candidate === "string",
+    );
+    return source ? [source] : [];
+  }
+  return [];
+};
 
-app.post("/api/predictions", async (req, res) => {
-  try {
-    const body = req.body || {};
-    const rawModelKey = typeof body.model_key === "string" ? body.model_key : undefined;
-    const modelKey = (rawModelKey || DEFAULT_MODEL_KEY).toLowerCase();
+const isMediaUrl = (value) => /^(https?:|data:|\/api\/assets\/)/.test(value);
 
-    // Handle nano-banana with Gemini API (async processing)
-    if (modelKey === "nano-banana") {
-      const geminiKey = process.env.GEMINI_API_KEY;
-      if (!geminiKey) {
-        return res
-          .status(500)
-          .json({ error: "Missing GEMINI_API_KEY in environment." });
-      }
+const deletePredictionAssets = async (prediction) => {
+  for (const url of collectOutputUrls(prediction.output)) {
+    const assetId = parseAssetUrl(url);
+    if (assetId) await assets.delete(assetId);
+  }
+  for (const image of prediction.session?.images ?? []) await assets.delete(image.asset_id);
+};
 
-      const promptValue = typeof body.prompt === "string" ? body.prompt : "";
-      const trimmedPrompt = promptValue.trim();
+// Copies every media URL in a provider output into the asset store and swaps in our own URL.
+// A file that can't be copied keeps its provider URL rather than failing the prediction.
+const persistOutputAssets = async (output, meta) => {
+  if (typeof output === "string") {
+    if (!isMediaUrl(output) || parseAssetUrl(output)) return output;
+    try {
+      const asset = output.startsWith("data:")
+        ? await assets.saveDataUrl(output, meta)
+        : await assets.saveFromUrl(output, meta);
+      return assetUrl(asset.id);
+    } catch (error) {
+      log.error("Failed to store output asset", { prediction_id: meta.predictionId, user: meta.user, error: error.message });
+      return output;
+    }
+  }
+  if (Array.isArray(output)) {
+    // One file at a time keeps large video downloads from piling up in memory
+    const persisted = [];
+    for (const item of output) persisted.push(await persistOutputAssets(item, meta));
+    return persisted;
+  }
+  return output;
+};
 
-      if (!trimmedPrompt) {
-        return res.status(400).json({ error: 'Field "prompt" is required.' });
-      }
+// A prediction as the API returns it: without the credit reservation, the API key it was made
+// with, the caller's webhook URL or the lease of the process running it. Queue positions come
+// from the queue (see queuePositions).
+const toPublicPrediction = ({ quota: _quota, api_key_id: _apiKeyId, webhook: _webhook, owner: _owner, ...prediction }) =>
+  prediction.status === "queued" ? { ...prediction, queue_position: jobQueue.position(prediction.id) } : prediction;
+
+// Light record for listings: no logs or inline output, just enough to draw a history entry.
+const toPredictionSummary = (prediction) => {
+  const outputs = prediction.status === "succeeded"
+    ? collectOutputUrls(prediction.output).filter(isMediaUrl)
+    : [];
+  const thumbnail = outputs[0];
+  return {
+    id: prediction.id,
+    model_key: prediction.model_key,
+    provider: prediction.provider,
+    user: prediction.user,
+    status: prediction.status,
+    queue_position: prediction.status === "queued" ? jobQueue.position(prediction.id) : null,
+    input: prediction.input ?? null,
+    error: prediction.error ?? null,
+    output_count: outputs.length,
+    thumbnail_url: !thumbnail
+      ? null
+      : thumbnail.startsWith("data:")
+        ? `/api/predictions/${encodeURIComponent(prediction.id)}/outputs/0`
+        : thumbnail,
+    created_at: prediction.created_at,
+    completed_at: prediction.completed_at ?? null,
+    elapsed_seconds: prediction.elapsed_seconds ?? null,
+  };
+};
 
-      // Create prediction ID
-      const predictionId = `gemini-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      const createdAt = new Date().toISOString();
+// Accepts full ISO timestamps or plain dates; a plain `to` date covers that whole day.
+const parseDateFilter = (value, { endOfDay = false } = {}) => {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const trimmed = value.trim();
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+  const time = new Date(isPlainDate ? `${trimmed}T00:00:00.000Z` : trimmed).getTime();
+  if (!Number.isFinite(time)) return undefined;
+  return isPlainDate && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
 
-      // Initialize prediction in store
-      const prediction = {
-        id: predictionId,
-        status: "processing",
-        output: null,
-        created_at: createdAt,
-        completed_at: null,
-        elapsed_seconds: null,
-      };
+const HISTORY_PAGE_LIMITS = { min: 1, max: 100, default: 20 };
 
-      predictions.set(predictionId, prediction);
+// Replicate models report progress through tqdm bars in their logs, e.g. " 45%|████▌     | 9/20".
+const parseLogProgress = (logs) => {
+  if (typeof logs !== "string") return null;
+  const matches = [...logs.matchAll(/(\d{1,3})%\|/g)];
+  if (!matches.length) return null;
+  const percentage = Number.parseInt(matches[matches.length - 1][1], 10);
+  return Number.isFinite(percentage) ? clampNumber(percentage, 0, 100) / 100 : null;
+};
 
-      // Start async processing
-      // wrap in setImmediate to return response first
-      setImmediate(async () => {
-        let heartbeatInterval;
-        const startTime = Date.now();
-        try {
-          console.log(`[${predictionId}] Starting Processing. Heap: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-
-          // Heartbeat to track progress in logs
-          heartbeatInterval = setInterval(() => {
-            console.log(`[${predictionId}] Heartbeat... Heap: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-          }, 2000);
-
-          // Parse parameters
-          const aspectRatio = typeof body.aspect_ratio === "string" ? body.aspect_ratio : "4:3";
-          const imageSize = typeof body.image_size === "string" ? body.image_size : "1K";
-          const candidateCount = typeof body.candidateCount === "number" ? body.candidateCount : 1;
-
-          // Parse image input
-          const imageInput = Array.isArray(body.image_input)
-            ? body.image_input.filter((item) => typeof item === "string" && item.trim())
-            : [];
-
-          // Build contents
-          const parts = [{ text: trimmedPrompt }];
-
-          if (imageInput.length > 0) {
-            for (const imageData of imageInput) {
-              const match = imageData.match(/^data:image\/(\w+);base64,(.+)$/);
-              if (match) {
-                const [, mimeType, base64Data] = match;
-                parts.push({
-                  inlineData: {
-                    mimeType: `image/${mimeType}`,
-                    data: base64Data
-                  }
-                });
-              }
-            }
-          }
+// Replicate echoes the full input back, including data URLs, so only keep what we need to serve later.
+// Refusals come back from Replicate as failures and are stored as blocked.
+// `base` carries what Replicate doesn't know about: our model key, the owner and the sanitized input,
+// and our own id when the prediction failed over to Replicate from another provider. Fields of
+// `base` that Replicate has no say in, such as the queue position or session, are kept.
+const toStoredReplicatePrediction = (prediction, base, block = findReplicateBlock(prediction)) => ({
+  ...base,
+  id: base.id ?? prediction.id,
+  provider_prediction_id: prediction.id,
+  model_key: base.model_key ?? null,
+  provider: "replicate",
+  served_by: base.served_by ?? null,
+  retries: base.retries ?? 0,
+  failovers: base.failovers ?? [],
+  user: base.user ?? null,
+  input: base.input ?? null,
+  api_key_id: base.api_key_id ?? null,
+  quota: base.quota ?? null,
+  webhook: base.webhook ?? null,
+  webhook_delivery: base.webhook_delivery ?? null,
+  status: block ? "blocked" : prediction.status,
+  output: prediction.output ?? null,
+  error: block ? describeBlock(block) : prediction.error ?? null,
+  block,
+  logs: prediction.logs ?? null,
+  progress: prediction.status === "succeeded" ? 1 : parseLogProgress(prediction.logs),
+  metrics: prediction.metrics ?? null,
+  created_at: base.created_at ?? prediction.created_at,
+  started_at: prediction.started_at ?? null,
+  completed_at: prediction.completed_at ?? null,
+  elapsed_seconds:
+    typeof prediction.metrics?.predict_time === "number"
+      ? Number(prediction.metrics.predict_time.toFixed(2))
+      : null,
+});
 
-          const contents = [{ role: 'user', parts }];
+// AbortControllers for in-process Gemini jobs, keyed by prediction id
+const activeGeminiJobs = new Map();
+
+const parsedGeminiConcurrency = Number.parseInt(process.env.GEMINI_CONCURRENCY ?? "2", 10);
+const GEMINI_CONCURRENCY = Number.isNaN(parsedGeminiConcurrency) ? 2 : Math.max(1, parsedGeminiConcurrency);
+const parsedReplicateConcurrency = Number.parseInt(process.env.REPLICATE_CONCURRENCY ?? "8", 10);
+const REPLICATE_CONCURRENCY = Number.isNaN(parsedReplicateConcurrency) ? 8 : Math.max(1, parsedReplicateConcurrency);
+const parsedQueueMaxLength = Number.parseInt(process.env.QUEUE_MAX_LENGTH ?? "100", 10);
+const QUEUE_MAX_LENGTH = Number.isNaN(parsedQueueMaxLength) ? 100 : Math.max(0, parsedQueueMaxLength);
+
+// Every waiting job moves up whenever one ahead of it leaves, so positions aren't stored:
+// responses read them from the queue, and open event streams hear of changes here, by id
+const queuePositions = new EventEmitter();
+queuePositions.setMaxListeners(0);
+
+// Predictions wait here for a worker of their provider; waiting ones show their place in line
+const jobQueue = createJobQueue({
+  concurrency: { gemini: GEMINI_CONCURRENCY, replicate: REPLICATE_CONCURRENCY },
+  maxQueued: QUEUE_MAX_LENGTH,
+  logger: log,
+  onPositions: (changes) => {
+    for (const [predictionId, position] of changes) queuePositions.emit(predictionId, position);
+  },
+});
 
-          // Configure model
-          const config = {
-            responseModalities: ['IMAGE'],
-            imageConfig: {
-              imageSize: imageSize,
-              aspectRatio: aspectRatio,
-            },
-          };
+predictions.onChange((id, record) => {
+  if (!record || TERMINAL_STATUSES.has(record.status) || !isInProcess(record)) heldPredictions.delete(id);
+});
 
-          const response = await genAI.models.generateContentStream({
-            model: "gemini-3-pro-image-preview",
-            config: config,
-            contents: contents,
-          });
+// Renews the leases of predictions running here. One that has finished meanwhile was canceled by
+// another process (or failed by one that took it for interrupted): its job stops here as well.
+// Reading it through update also tells this process's subscribers, such as batches waiting on it.
+const renewPredictionLeases = async () => {
+  for (const predictionId of heldPredictions) {
+    try {
+      const current = await predictions.update(predictionId, (record) =>
+        TERMINAL_STATUSES.has(record.status) || !isInProcess(record) ? null : { owner: createLease() },
+      );
+      if (current && !TERMINAL_STATUSES.has(current.status)) continue;
+      heldPredictions.delete(predictionId);
+      jobQueue.remove(predictionId);
+      activeGeminiJobs.get(predictionId)?.abort();
+    } catch (error) {
+      log.error("Failed to renew prediction lease", { prediction_id: predictionId, error: error.message });
+    }
+  }
+};
 
-          // Extract image data from stream response
-          let imageUrls = [];
-          let textParts = [];
+setInterval(renewPredictionLeases, LEASE_RENEW_MS);
 
-          for await (const chunk of response) {
-            // AGGRESSIVE YIELD: 100ms pause to ensure event loop is free for polling requests
-            await new Promise((resolve) => setTimeout(resolve, 100));
+// Writes `patch` unless the prediction finished meanwhile, e.g. canceled by another process
+const updateUnfinished = (predictionId, patch) =>
+  predictions.update(predictionId, (current) => (TERMINAL_STATUSES.has(current.status) ? null : patch));
 
-            if (chunk.candidates && chunk.candidates[0].content && chunk.candidates[0].content.parts) {
-              for (const part of chunk.candidates[0].content.parts) {
-                if (part.inlineData) {
-                  const mimeType = part.inlineData.mimeType || "image/png";
-                  const data = part.inlineData.data;
-                  imageUrls.push(`data:${mimeType};base64,${data}`);
-                } else if (part.text) {
-                  textParts.push(part.text);
-                }
-              }
-            }
-          }
+// Served to Prometheus at GET /metrics
+const metrics = createMetricsRegistry();
+const predictionsTotal = metrics.counter("meepo_predictions_total", "Predictions that finished, by model and final status.", {
+  labels: ["model_key", "provider", "status"],
+});
+const providerLatency = metrics.histogram(
+  "meepo_provider_latency_seconds",
+  "Time from a worker taking a job until its provider finished it (refine calls use model_key \"refine\").",
+  { labels: ["provider", "model_key", "status"] },
+);
+const refineCallsTotal = metrics.counter("meepo_refine_calls_total", "Prompt refine calls, by outcome.", {
+  labels: ["status"],
+});
+metrics.gauge("meepo_queue_depth", "Predictions waiting for a worker.", {
+  labels: ["provider"],
+  collect: () => Object.entries(jobQueue.stats()).map(([provider, lane]) => [{ provider }, lane.queued]),
+});
+metrics.gauge("meepo_active_jobs", "Predictions a worker is running.", {
+  labels: ["provider"],
+  collect: () => Object.entries(jobQueue.stats()).map(([provider, lane]) => [{ provider }, lane.running]),
+});
+const moderationMatchesTotal = metrics.counter(
+  "meepo_moderation_matches_total",
+  "Inputs that matched a moderation rule, by rule and action (block or flag).",
+  { labels: ["model_key", "rule", "action"] },
+);
+registerProcessMetrics(metrics);
+
+// Rules from the MODERATION_CONFIG file, checked before credits are reserved; without one
+// nothing is checked here and only the providers' own filters apply.
+const moderator = createModerator({
+  ...loadModerationConfig(process.env.MODERATION_CONFIG),
+  logger: log,
+  onMatch: (match) => moderationMatchesTotal.inc(match),
+});
 
-          clearInterval(heartbeatInterval);
-          const elapsedSeconds = Number(((Date.now() - startTime) / 1000).toFixed(2));
-
-          // Determine final output
-          let finalOutput = null;
-          if (imageUrls.length > 0) {
-            finalOutput = imageUrls;
-          } else if (textParts.length > 0) {
-            finalOutput = textParts.join("\n");
-            console.log(`[${predictionId}] No images generated. Text output captured: ${finalOutput.substring(0, 100)}...`);
-          } else {
-            console.warn(`[${predictionId}] Warning: No images OR text found in response.`);
-          }
+// Canceled jobs say nothing about the provider and are left out
+const observeProviderLatency = (provider, modelKey, status, startTime) => {
+  if (status === "canceled") return;
+  providerLatency.observe({ provider, model_key: modelKey, status }, (Date.now() - startTime) / 1000);
+};
 
-          // Update prediction with success (or partial success if we got text)
-          const storedPrediction = predictions.get(predictionId);
-          if (storedPrediction) {
-            storedPrediction.status = "succeeded";
-            storedPrediction.output = finalOutput;
-            storedPrediction.completed_at = new Date().toISOString();
-            storedPrediction.elapsed_seconds = elapsedSeconds;
-            console.log(`[${predictionId}] Success. Output type: ${imageUrls.length > 0 ? 'image' : 'text'}. Elapsed: ${elapsedSeconds}s. Heap: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-          }
-        } catch (geminiError) {
-          if (heartbeatInterval) clearInterval(heartbeatInterval);
-
-          console.error(`[${predictionId}] Error:`, geminiError.message);
-          console.error(`[${predictionId}] Heap on error: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-
-          // Update prediction with error
-          const storedPrediction = predictions.get(predictionId);
-          if (storedPrediction) {
-            storedPrediction.status = "failed";
-            storedPrediction.error = geminiError instanceof Error ? geminiError.message : String(geminiError);
-            storedPrediction.completed_at = new Date().toISOString();
-            storedPrediction.elapsed_seconds = Number(((Date.now() - startTime) / 1000).toFixed(2));
-          }
-        }
-      });
+const canAccessPrediction = (user, prediction) =>
+  !prediction?.user || prediction.user === user.username || user.role === "admin";
 
-      // Return immediately with processing status
-      return res.status(201).json({ prediction });
-    }
+// Refreshes in flight, keyed by prediction id, so concurrent pollers share one download of the outputs
+const replicateRefreshes = new Map();
 
-    // Handle other models with Replicate API
-    const token = process.env.REPLICATE_API_TOKEN;
-    if (!token) {
-      return res
-        .status(500)
-        .json({ error: "Missing REPLICATE_API_TOKEN in environment." });
-    }
+// Only predictions already in the store are refreshed, so nobody can pull someone else's
+// prediction on the shared Replicate account into their history by its id.
+// `reported` is the prediction as delivered by a webhook; without it Replicate is asked.
+// Resolves with the stored record.
+const refreshReplicatePrediction = (storedPrediction, reported) => {
+  const predictionId = storedPrediction.id;
+  if (replicateRefreshes.has(predictionId)) return replicateRefreshes.get(predictionId);
 
-    const config = MODEL_CONFIG[modelKey];
+  const refresh = (async () => {
+    let prediction =
+      reported ?? (await replicate.predictions.get(storedPrediction.provider_prediction_id ?? predictionId));
 
-    if (!config) {
-      return res.status(400).json({
-        error: `Unsupported model key "${modelKey}".`,
+    if (prediction.status === "succeeded") {
+      const output = await persistOutputAssets(await normalizeRunOutput(prediction.output), {
+        predictionId,
+        user: storedPrediction.user ?? null,
       });
+      prediction = { ...prediction, output };
     }
 
-    const promptValue = typeof body.prompt === "string" ? body.prompt : "";
-    const trimmedPrompt = promptValue.trim();
-
-    if (modelKey !== "remove-bg" && !trimmedPrompt) {
-      return res.status(400).json({ error: 'Field "prompt" is required.' });
-    }
-
-    const imageInput = Array.isArray(body.image_input)
-      ? body.image_input.filter((item) => typeof item === "string" && item.trim())
-      : [];
-
-    let inputPayload = { prompt: trimmedPrompt };
-
-    if (modelKey === "seedream") {
-      const rawSize = typeof body.size === "string" ? body.size : "2K";
-      const trimmedSize = typeof rawSize === "string" ? rawSize.trim() : "";
-      const lowerSize = trimmedSize.toLowerCase();
-      const upperSize = trimmedSize.toUpperCase();
-      const size =
-        lowerSize === "custom"
-          ? "custom"
-          : ["1K", "2K", "4K"].includes(upperSize)
-            ? upperSize
-            : "2K";
-      const aspectRatio =
-        typeof body.aspect_ratio === "string" ? body.aspect_ratio : "match_input_image";
-      const sequential =
-        typeof body.sequential_image_generation === "string"
-          ? body.sequential_image_generation
-          : "disabled";
-      const parsedMaxImages = Number.parseInt(body.max_images, 10);
-      const maxImages = Number.isNaN(parsedMaxImages)
-        ? 1
-        : clampNumber(parsedMaxImages, MAX_IMAGES_LIMITS.min, MAX_IMAGES_LIMITS.max);
-
-      inputPayload = {
-        prompt: trimmedPrompt,
-        size,
-        aspect_ratio: aspectRatio,
-        sequential_image_generation: sequential,
-        max_images: maxImages,
-      };
-
-      if (size === "custom") {
-        const parsedWidth = Number.parseInt(body.width, 10);
-        const parsedHeight = Number.parseInt(body.height, 10);
+    // Applied to the record as it is by then; one that finished meanwhile (e.g. canceled) stays so
+    return predictions.update(predictionId, (current) =>
+      TERMINAL_STATUSES.has(current.status) ? null : toStoredReplicatePrediction(prediction, current),
+    );
+  })();
+
+  replicateRefreshes.set(predictionId, refresh);
+  refresh.then(
+    () => replicateRefreshes.delete(predictionId),
+    () => replicateRefreshes.delete(predictionId),
+  );
+  return refresh;
+};
 
-        if (!Number.isNaN(parsedWidth)) {
-          inputPayload.width = clampNumber(parsedWidth, DIMENSION_LIMITS.min, DIMENSION_LIMITS.max);
-        }
+// One Replicate poller per prediction, shared by every event stream watching it. When webhooks
+// are on it only backs them up in case a delivery gets lost.
+const REPLICATE_WATCH_INTERVAL_MS = REPLICATE_WEBHOOK_URL ? 30000 : 2000;
+const replicateWatchers = new Map();
+
+const watchReplicatePrediction = (predictionId) => {
+  if (replicateWatchers.has(predictionId)) return;
+
+  const poll = async () => {
+    let storedPrediction = null;
+    try {
+      if (predictions.subscriberCount(predictionId) === 0) return stop();
+      storedPrediction = await predictions.get(predictionId);
+      if (!storedPrediction || TERMINAL_STATUSES.has(storedPrediction.status)) return stop();
+      // Still waiting for a worker: there is nothing on Replicate to ask about yet
+      if (storedPrediction.provider_prediction_id === null) return;
+      await refreshReplicatePrediction(storedPrediction);
+    } catch (error) {
+      predictionLog(storedPrediction ?? { id: predictionId }).error("Failed to refresh Replicate prediction", {
+        error: error.message,
+      });
+    }
+  };
+
+  const timer = setInterval(poll, REPLICATE_WATCH_INTERVAL_MS);
+  const stop = () => {
+    clearInterval(timer);
+    replicateWatchers.delete(predictionId);
+  };
+  replicateWatchers.set(predictionId, stop);
+  poll();
+};
 
-        if (!Number.isNaN(parsedHeight)) {
-          inputPayload.height = clampNumber(
-            parsedHeight,
-            DIMENSION_LIMITS.min,
-            DIMENSION_LIMITS.max,
-          );
-        }
+// Registered ahead of express.json: the signature covers the raw body.
+app.post(
+  "/api/webhooks/replicate",
+  express.raw({ type: "application/json", limit: "20mb" }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ error: "Expected a JSON body." });
       }
-
-      if (imageInput.length > 0) {
-        inputPayload.image_input = imageInput;
+      const body = req.body.toString("utf8");
+      const secret = await getReplicateWebhookSecret();
+      const verified = verifyWebhook(
+        {
+          id: req.get("webhook-id"),
+          timestamp: req.get("webhook-timestamp"),
+          signature: req.get("webhook-signature"),
+          body,
+        },
+        secret,
+      );
+      if (!verified) {
+        return res.status(401).json({ error: "Invalid webhook signature." });
       }
-    } else if (modelKey === "remove-bg") {
-      const imageInput = body.image ? body.image : body.image_url;
-      const contentModeration = body.content_moderation === true;
-      const preservePartialAlpha = body.preserve_partial_alpha === true;
 
-      inputPayload = {
-        image: imageInput,
-        content_moderation: contentModeration,
-        preserve_partial_alpha: preservePartialAlpha,
-      };
-    } else if (modelKey === "video") {
-      const aspectRatio = typeof body.aspect_ratio === "string" ? body.aspect_ratio : "16:9";
-      const resolution = typeof body.resolution === "string" ? body.resolution : "1080p";
-      const duration = typeof body.duration === "number" ? body.duration : 8;
-      const generateAudio = body.generate_audio === true;
-
-      inputPayload = {
-        prompt: trimmedPrompt,
-        aspect_ratio: aspectRatio,
-        resolution: resolution,
-        duration: duration,
-        generate_audio: generateAudio,
-      };
-
-      if (body.image) inputPayload.image = body.image;
-      if (body.last_frame) inputPayload.last_frame = body.last_frame;
-      if (Array.isArray(body.reference_images) && body.reference_images.length > 0) {
-        inputPayload.reference_images = body.reference_images;
+      const reported = JSON.parse(body);
+      // Predictions that failed over to Replicate carry our id in the webhook URL
+      const predictionId = typeof req.query.prediction === "string" ? req.query.prediction : reported?.id;
+
+      // Let a poll already in flight land first so it can't overwrite a newer status
+      await replicateRefreshes.get(predictionId)?.catch(() => {});
+
+      const storedPrediction = typeof predictionId === "string" ? await predictions.get(predictionId) : null;
+      // Unknown, mismatched or already finished predictions are acknowledged so Replicate stops retrying
+      if (
+        !storedPrediction ||
+        (storedPrediction.provider_prediction_id ?? storedPrediction.id) !== reported.id ||
+        TERMINAL_STATUSES.has(storedPrediction.status)
+      ) {
+        return res.status(204).end();
       }
-      if (body.negative_prompt) inputPayload.negative_prompt = normalizeText(body.negative_prompt);
-      if (typeof body.seed === "number") inputPayload.seed = body.seed;
-    } else {
-      const aspectRatio = typeof body.aspect_ratio === "string" ? body.aspect_ratio : "4:3";
-      const resolution = typeof body.resolution === "string" ? body.resolution : "2K";
-      const outputFormat = typeof body.output_format === "string" ? body.output_format : "png";
-      const safetyFilterLevel = typeof body.safety_filter_level === "string" ? body.safety_filter_level : "block_only_high";
-
-      inputPayload = {
-        prompt: trimmedPrompt,
-        aspect_ratio: aspectRatio,
-        resolution: resolution,
-        output_format: outputFormat,
-        safety_filter_level: safetyFilterLevel,
-      };
 
-      if (imageInput.length > 0) {
-        inputPayload.image_input = imageInput;
-      }
+      await refreshReplicatePrediction(storedPrediction, reported);
+      return res.status(204).end();
+    } catch (error) {
+      requestLog(req).error("Unexpected error", { error });
+      return res.status(500).json({ error: "Unexpected server error." });
     }
+  },
+);
 
-    const predictionOptions = {
-      input: inputPayload,
-    };
+app.use(express.json({ limit: "20mb" }));
+app.use(express.static(path.join(__dirname, "public")));
+
+// Health check endpoint for Cloudflare and load balancers
+app.get("/health", (req, res) => {
+  res.status(200).json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+// Prometheus scrape endpoint. Open like /health unless METRICS_TOKEN is set, which scrapers then
+// send as a bearer token.
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeEqual(req.get("authorization") ?? "", `Bearer ${token}`)) {
+    return res.status(401).json({ error: "Invalid metrics token." });
+  }
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
 
-    if (config.version) {
-      predictionOptions.version = config.version;
-    } else if (config.model) {
-      predictionOptions.model = config.model;
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const clientKey = req.ip || "unknown";
+    if (loginThrottle.isBlocked(clientKey)) {
+      return res.status(429).json({ error: "Too many failed login attempts. Try again later." });
     }
 
-    const prediction = await replicate.predictions.create(predictionOptions);
+    const user = await auth.authenticatePassword(req.body?.username, req.body?.password);
+    if (!user) {
+      loginThrottle.recordFailure(clientKey);
+      return res.status(401).json({ error: "Invalid username or password." });
+    }
 
-    return res.status(201).json({ prediction });
+    loginThrottle.reset(clientKey);
+    auth.setSessionCookie(res, user);
+    return res.json({ user: toPublicUser(user) });
   } catch (error) {
-    if (error && typeof error === "object" && "status" in error) {
-      return res.status(error.status || 500).json({
-        error: error.message || "Replicate request failed.",
-        details: error.details,
-      });
-    }
-    console.error("[/api/predictions] unexpected error:", error);
-    return res.status(500).json({
-      error: "Unexpected server error.",
-      details: error instanceof Error ? error.message : String(error),
-    });
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
   }
 });
 
-app.get("/api/predictions/:id", async (req, res) => {
+app.post("/api/auth/logout", async (req, res) => {
   try {
-    const predictionId = req.params.id;
+    await auth.endSession(req, res);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
 
-    // Check if it's a Gemini prediction (in-memory)
-    if (predictionId.startsWith("gemini-")) {
-      const prediction = predictions.get(predictionId);
-      if (prediction) {
-        return res.json({ prediction });
-      } else {
-        return res.status(404).json({ error: "Prediction not found" });
-      }
-    }
+// The prompt refiner as diagnostics list it, next to the models
+const REFINE_TARGET = { key: "refine", label: "Refine", provider: "replicate", version: REFINE_MODEL_VERSION, model: REFINE_MODEL };
+
+// Every model and the prompt refiner: how they are configured and, for configured ones, whether
+// their provider answers. `refresh` probes again instead of using recent results.
+const diagnoseModels = async ({ refresh = false } = {}) => {
+  const entries = [
+    ...modelRegistry.list().map((model) => [model, getModelAvailability(model)]),
+    [REFINE_TARGET, getRefineAvailability()],
+  ];
+  const providers = [...new Set(entries.filter(([, configuration]) => configuration.available).map(([model]) => model.provider))];
+  const checks = Object.fromEntries(
+    await Promise.all(providers.map(async (provider) => [provider, await providerChecker.check(provider, { refresh })])),
+  );
+  return entries.map(([model, configuration]) => diagnoseModel(model, checks[model.provider] ?? null, configuration));
+};
 
-    // Otherwise, fetch from Replicate
-    const prediction = await replicate.predictions.get(predictionId);
+// Model keys (or "refine") that must be able to run for /ready to pass, "*" for all of them.
+// Without any, one model that can run is enough.
+const READY_REQUIRED_MODELS = (process.env.READY_REQUIRED_MODELS ?? "")
+  .split(",")
+  .map((key) => key.trim().toLowerCase())
+  .filter(Boolean);
+for (const key of READY_REQUIRED_MODELS) {
+  if (key !== "*" && key !== REFINE_TARGET.key && !modelRegistry.get(key)) {
+    throw new Error(`READY_REQUIRED_MODELS names unknown model key "${key}".`);
+  }
+}
 
-    if (prediction.status === "succeeded") {
-      const output = await normalizeRunOutput(prediction.output);
-      return res.json({
-        prediction: {
-          ...prediction,
-          output,
-        },
-      });
-    }
+// Unlike /health this fails (503) while a required model can't run, or no model at all can:
+// missing configuration or a provider that doesn't answer. Every other model that can't run
+// is still listed under `problems`.
+app.get("/ready", async (req, res) => {
+  try {
+    const entries = await diagnoseModels();
+    const required = READY_REQUIRED_MODELS.includes("*")
+      ? entries
+      : entries.filter((entry) => READY_REQUIRED_MODELS.includes(entry.key));
+    const ready = READY_REQUIRED_MODELS.length
+      ? required.every((entry) => entry.available)
+      : entries.some((entry) => entry.available && entry.key !== REFINE_TARGET.key);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "unavailable",
+      required: required.map((entry) => entry.key),
+      problems: entries.filter((entry) => !entry.available).map((entry) => ({ key: entry.key, reason: entry.reason })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// The model catalogue holds no secrets and the login screen may want it. Availability uses the
+// latest provider probe without waiting for a new one.
+app.get("/api/models", (req, res) => {
+  res.json({
+    default_model_key: DEFAULT_MODEL_KEY,
+    models: modelRegistry
+      .list()
+      .map((model) => toPublicModel(model, diagnoseModel(model, providerChecker.latest(model.provider)))),
+  });
+});
 
-    return res.json({ prediction });
+// Generated from the same schemas the routes validate with, so it is built once at startup
+const openApiDocument = buildOpenApiDocument({
+  models: modelRegistry.list(),
+  refineInputs: REFINE_INPUTS,
+});
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Everything below this line requires a session cookie or an API key
+app.use("/api", auth.requireAuth);
+
+app.get("/api/auth/session", (req, res) => {
+  res.json({ user: { username: req.user.username, role: req.user.role } });
+});
+
+app.get("/api/auth/api-keys", async (req, res) => {
+  try {
+    const records = await apiKeys.list();
+    const keys = records
+      .filter((record) => record.username === req.user.username)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(toPublicApiKey);
+    return res.json({ api_keys: keys });
   } catch (error) {
-    if (error && typeof error === "object" && "status" in error) {
-      return res.status(error.status || 500).json({
-        error: error.message || "Replicate request failed.",
-        details: error.details,
-      });
-    }
-    console.error(`[/api/predictions/${req.params.id}] unexpected error:`, error);
-    return res.status(500).json({
-      error: "Unexpected server error.",
-      details: error instanceof Error ? error.message : String(error),
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/auth/api-keys", async (req, res) => {
+  try {
+    const { key, record } = await createApiKey(apiKeys, {
+      username: req.user.username,
+      name: req.body?.name,
     });
+    // The raw key is only ever returned here
+    return res.status(201).json({ api_key: { ...toPublicApiKey(record), key } });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
   }
 });
 
-app.post("/api/refine", async (req, res) => {
+app.delete("/api/auth/api-keys/:id", async (req, res) => {
   try {
-    const token = process.env.REPLICATE_API_TOKEN;
-    if (!token) {
-      return res
-        .status(500)
-        .json({ error: "Missing REPLICATE_API_TOKEN in environment." });
+    const record = await apiKeys.get(req.params.id);
+    if (!record || record.username !== req.user.username) {
+      return res.status(404).json({ error: "API key not found" });
     }
+    await apiKeys.delete(record.id);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
 
-    if (!REFINE_MODEL_VERSION) {
-      return res.status(500).json({
-        error:
-          "Missing REPLICATE_REFINE_MODEL_VERSION in environment. Set it to the latest version id for openai/gpt-5-mini.",
-      });
+// Upload ids used in image inputs, as [field, id] pairs
+const listUploadReferences = (model, input) =>
+  Object.entries(model.inputs)
+    .filter(([name, field]) => input[name] !== undefined && (field.type === "image" || field.type === "image[]"))
+    .flatMap(([name, field]) =>
+      field.type === "image[]" ? input[name].map((value, index) => [`${name}[${index}]`, value]) : [[name, input[name]]],
+    )
+    .filter(([, value]) => isUploadId(value));
+
+// Validation errors for upload ids the user can't use: someone else's, expired or made up
+const checkUploadReferences = async (model, input, user) => {
+  const errors = [];
+  for (const [field, id] of listUploadReferences(model, input)) {
+    if (!(await uploads.find(id, user))) {
+      errors.push({ field, message: `Field "${field}" refers to an unknown or expired upload "${id}".` });
     }
+  }
+  return errors;
+};
 
-    const promptValue = typeof req.body?.prompt === "string" ? req.body.prompt : "";
-    const trimmedPrompt = promptValue.trim();
-
-    if (!trimmedPrompt) {
-      return res.status(400).json({ error: 'Field "prompt" is required.' });
+// Replaces upload ids with what the provider takes, built by `toValue(record, bytes)`. Stored
+// inputs keep the ids.
+const resolveUploadInputs = async (model, input, user, toValue) => {
+  const load = async (value) => {
+    if (!isUploadId(value)) return value;
+    const record = await uploads.find(value, user);
+    if (!record) throw new Error(`Upload "${value}" is no longer available.`);
+    return toValue(record, await uploads.read(record));
+  };
+
+  const resolved = { ...input };
+  for (const [name, field] of Object.entries(model.inputs)) {
+    if (resolved[name] === undefined) continue;
+    if (field.type === "image") resolved[name] = await load(resolved[name]);
+    if (field.type === "image[]") {
+      const values = [];
+      for (const value of resolved[name]) values.push(await load(value));
+      resolved[name] = values;
     }
+  }
+  return resolved;
+};
 
-    const refineInput = {
-      prompt: trimmedPrompt,
-      system_instruction: "You are an expert prompt engineer for text-to-image diffusion models. Refine prompts for clarity, vivid detail, and photo-realism while preserving the original intent. Respond with the improved prompt only.",
-      max_output_tokens: 65535,
-      thinking: "low",
+// The bytes and content type of a stored asset
+const readAsset = async (id) => {
+  const record = await assets.get(id);
+  if (!record) throw new Error(`Asset ${id} is no longer available.`);
+  const chunks = [];
+  for await (const chunk of await assets.open(id)) chunks.push(chunk);
+  return { data: Buffer.concat(chunks), mimeType: record.content_type };
+};
+
+// Queues a Gemini prediction to run in-process; the record is returned straight away and updated
+// as images stream in. `session` makes it a turn of an edit session: { id, parent, history },
+// where `history` is the conversation so far (see lib/sessions.js).
+const startGeminiPrediction = async (
+  model,
+  input,
+  user,
+  { webhook = null, apiKeyId = null, quota = null, session = null } = {},
+) => {
+  const predictionId = `gemini-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  const prediction = {
+    id: predictionId,
+    model_key: model.key,
+    provider: "gemini",
+    user,
+    input: sanitizeInput(input),
+    api_key_id: apiKeyId,
+    quota,
+    webhook,
+    webhook_delivery: null,
+    session: session ? { id: session.id, parent: session.parent } : null,
+    served_by: { provider: "gemini", model: model.model },
+    retries: 0,
+    failovers: [],
+    status: "queued",
+    queue_position: null,
+    output: null,
+    owner: createLease(),
+    created_at: new Date().toISOString(),
+    // Set once the request goes to Gemini; from then on a cancel no longer gives credits back
+    started_at: null,
+    completed_at: null,
+    elapsed_seconds: null,
+  };
+
+  heldPredictions.add(predictionId);
+  await predictions.set(prediction);
+  const jobLog = predictionLog(prediction);
+
+  // Registered before the job starts so a cancel right after creation still lands
+  const abortController = new AbortController();
+  activeGeminiJobs.set(predictionId, abortController);
+
+  // Runs once a Gemini worker is free
+  const run = async () => {
+    const savedAssetIds = [];
+    const startTime = Date.now();
+
+    const deleteAssets = async (assetIds) => {
+      for (const assetId of assetIds) {
+        await assets.delete(assetId).catch((error) => {
+          jobLog.error("Failed to delete asset", { asset_id: assetId, error: error.message });
+        });
+      }
     };
+    try {
+      abortController.signal.throwIfAborted();
+      const starting = await updateUnfinished(predictionId, { status: "starting" });
+      if (starting?.status !== "starting") return;
 
-    const startedAt = Date.now();
-    const chunks = [];
+      jobLog.info("Prediction started", { provider: "gemini" });
 
-    // Using google/gemini-3-pro
-    for await (const event of replicate.stream("google/gemini-3-pro", {
-      input: refineInput,
-    })) {
-      if (typeof event === "string") {
-        chunks.push(event);
-      } else if (event && typeof event === "object") {
-        const candidate =
-          typeof event.output === "string"
-            ? event.output
-            : typeof event.data === "string"
-              ? event.data
-              : typeof event.delta === "string"
-                ? event.delta
-                : "";
-        if (candidate) {
-          chunks.push(candidate);
+      const logLines = [];
+      const appendLog = (line, patch = {}) => {
+        logLines.push(`${new Date().toISOString()} ${line}`);
+        return updateUnfinished(predictionId, { ...patch, logs: logLines.join("\n") });
+      };
+
+      const { prompt, aspect_ratio: aspectRatio, image_size: imageSize, candidateCount } = input;
+      const { image_input: imageInput = [], mask } = await resolveUploadInputs(
+        model,
+        input,
+        user,
+        (record, bytes) => `data:${record.content_type};base64,${bytes.toString("base64")}`,
+      );
+
+      // Build contents
+      const parts = [{ text: prompt }];
+
+      for (const imageData of imageInput) {
+        const match = imageData.match(/^data:image\/(\w+);base64,(.+)$/);
+        if (match) {
+          const [, mimeType, base64Data] = match;
+          parts.push({
+            inlineData: {
+              mimeType: `image/${mimeType}`,
+              data: base64Data
+            }
+          });
         }
       }
-    }
 
-    const elapsedSeconds = Number(((Date.now() - startedAt) / 1000).toFixed(2));
-    const rawText = chunks.join("").replace(/\s+/g, " ").trim();
-    const refinedPrompt = rawText || trimmedPrompt;
+      const inputImageParts = parts.slice(1);
+
+      // Inpainting: the mask goes last with an instruction to edit only its white areas, and
+      // each result is composited back onto the first image through it
+      let inpaint = null;
+      if (mask) {
+        const original = parts[1]?.inlineData;
+        const maskMatch = mask.match(/^data:image\/(\w+);base64,(.+)$/);
+        if (original && maskMatch) {
+          inpaint = { original: Buffer.from(original.data, "base64"), mask: Buffer.from(maskMatch[2], "base64") };
+          parts[0].text = `${prompt}\n\n${INPAINT_INSTRUCTION}`;
+          parts.push({ inlineData: { mimeType: `image/${maskMatch[1]}`, data: maskMatch[2] } });
+        } else {
+          await appendLog("Mask ignored: it needs an inline first image and an inline mask");
+        }
+      }
 
-    return res.json({
-      refined_prompt: refinedPrompt,
-      elapsed_seconds: elapsedSeconds,
-      prediction: {
-        status: "succeeded",
-        output: chunks,
-      },
-    });
-  } catch (error) {
-    if (error && typeof error === "object" && "status" in error) {
-      return res.status(error.status || 500).json({
-        error: error.message || "Replicate request failed.",
-        details: error.details,
-      });
-    }
+      // Masked edits keep the shape of the image being edited
+      const outputAspectRatio = inpaint
+        ? closestAspectRatio(await measureImage(inpaint.original), model.inputs.aspect_ratio.enum)
+        : aspectRatio;
+
+      // Session turns keep their attached images so later turns can replay them
+      const sessionImages = [];
+      if (session) {
+        for (const part of inputImageParts) {
+          const asset = await assets.save(Buffer.from(part.inlineData.data, "base64"), {
+            contentType: part.inlineData.mimeType,
+            predictionId,
+            user,
+            source: "session",
+          });
+          savedAssetIds.push(asset.id);
+          sessionImages.push({ asset_id: asset.id, mime_type: part.inlineData.mimeType });
+        }
+      }
 
-    console.error("[/api/refine] unexpected error:", error);
+      const contents = [...(session?.history ?? []), { role: 'user', parts }];
+
+      // Configure model
+      const config = {
+        abortSignal: abortController.signal,
+        candidateCount: candidateCount,
+        responseModalities: ['IMAGE'],
+        imageConfig: {
+          imageSize: imageSize,
+          aspectRatio: outputAspectRatio,
+        },
+      };
+
+      abortController.signal.throwIfAborted();
+      await appendLog(
+        `Requesting ${candidateCount} x ${imageSize} ${outputAspectRatio} ${inpaint ? "masked edit(s)" : "image(s)"} from ${model.model}`,
+        { status: "processing", started_at: new Date().toISOString() },
+      );
+
+      // Transient failures start the request over; images from the cut-off attempt are dropped
+      let attemptAssetIds = [];
+      const { imageUrls, textParts, signatures, refusal } = await withRetry(
+        async () => {
+          attemptAssetIds = [];
+          const response = await genAI.models.generateContentStream({
+            model: model.model,
+            config: config,
+            contents: contents,
+          });
+
+          // Extract image data from stream response
+          const imageUrls = [];
+          const textParts = [];
+          // Thought signatures by output, sent back with the image when a session continues from it
+          const signatures = [];
+          let refusal = null;
+
+          for await (const chunk of response) {
+            abortController.signal.throwIfAborted();
+            refusal ??= findGeminiBlock(chunk);
+
+            // With candidateCount > 1 each candidate streams its own parts
+            for (const candidate of chunk.candidates ?? []) {
+              for (const part of candidate.content?.parts ?? []) {
+                if (part.inlineData) {
+                  let mimeType = part.inlineData.mimeType || "image/png";
+                  let image = Buffer.from(part.inlineData.data, "base64");
+                  if (inpaint) {
+                    image = await compositeMasked({ ...inpaint, generated: image });
+                    mimeType = "image/png";
+                  }
+                  const asset = await assets.save(image, {
+                    contentType: mimeType,
+                    predictionId,
+                    user,
+                  });
+                  savedAssetIds.push(asset.id);
+                  attemptAssetIds.push(asset.id);
+                  imageUrls.push(assetUrl(asset.id));
+                  signatures.push(part.thoughtSignature ?? null);
+                  await appendLog(`Received image ${imageUrls.length} of ${candidateCount} (${mimeType})`, {
+                    progress: Math.min(imageUrls.length / candidateCount, 0.99),
+                  });
+                } else if (part.text) {
+                  textParts.push(part.text);
+                  await appendLog("Received text response");
+                }
+              }
+            }
+          }
+          return { imageUrls, textParts, signatures, refusal };
+        },
+        {
+          config: RETRY_CONFIG,
+          signal: abortController.signal,
+          onRetry: async ({ attempt, error, delayMs }) => {
+            await deleteAssets(attemptAssetIds);
+            savedAssetIds.splice(savedAssetIds.length - attemptAssetIds.length);
+            await appendLog(`Attempt ${attempt} failed (${error.message}); retrying in ${delayMs}ms`, {
+              retries: attempt,
+              progress: null,
+            });
+          },
+        },
+      );
+
+      abortController.signal.throwIfAborted();
+      const elapsedSeconds = Number(((Date.now() - startTime) / 1000).toFixed(2));
+
+      // Without images Gemini refused: by a block reason, or by answering in text instead
+      if (imageUrls.length === 0) {
+        const text = textParts.join("\n").trim();
+        const block =
+          refusal ?? (text ? { source: "gemini", reason: "NO_IMAGE", categories: [], message: text.slice(0, 500) } : null);
+        if (!block) throw new Error("Gemini returned neither images nor a reason.");
+
+        await deleteAssets(savedAssetIds);
+        await updateUnfinished(predictionId, {
+          status: "blocked",
+          error: describeBlock(block),
+          block,
+          progress: null,
+          completed_at: new Date().toISOString(),
+          elapsed_seconds: elapsedSeconds,
+        });
+        observeProviderLatency("gemini", model.key, "blocked", startTime);
+        jobLog.warn("Prediction blocked", { reason: block.reason, categories: block.categories });
+        return;
+      }
+      if (refusal) {
+        await appendLog(`${candidateCount - imageUrls.length} of ${candidateCount} image(s) withheld: ${describeBlock(refusal)}`);
+      }
+
+      const storedPrediction = await updateUnfinished(predictionId, {
+        status: "succeeded",
+        output: imageUrls,
+        progress: 1,
+        completed_at: new Date().toISOString(),
+        elapsed_seconds: elapsedSeconds,
+        ...(session && { session: { ...prediction.session, images: sessionImages, signatures } }),
+      });
+      // Canceled from another process while the last images came in
+      if (storedPrediction?.status !== "succeeded") {
+        await deleteAssets(savedAssetIds);
+        jobLog.info("Prediction finished elsewhere; result dropped", { status: storedPrediction?.status ?? null });
+        return;
+      }
+      observeProviderLatency("gemini", model.key, "succeeded", startTime);
+      jobLog.info("Prediction succeeded", { images: imageUrls.length, elapsed_seconds: elapsedSeconds });
+    } catch (geminiError) {
+      // Images that arrived before the failure are never referenced by the prediction
+      await deleteAssets(savedAssetIds);
+
+      // The cancel route has already marked the prediction canceled
+      if (abortController.signal.aborted) {
+        jobLog.info("Prediction canceled", { elapsed_seconds: Number(((Date.now() - startTime) / 1000).toFixed(2)) });
+        return;
+      }
+
+      observeProviderLatency("gemini", model.key, "failed", startTime);
+      jobLog.error("Gemini request failed", { error: geminiError.message, attempts: geminiError.attempts });
+
+      // Another provider may still serve it under the same id. Session turns need the
+      // conversation, which only Gemini keeps.
+      if (!session && isRetryableError(geminiError)) {
+        try {
+          if (await failOverPrediction(model, input, predictionId, geminiError, { signal: abortController.signal })) return;
+        } catch (failoverError) {
+          jobLog.error("Failover failed", { error: failoverError.message });
+          geminiError = failoverError;
+        }
+      }
+
+      // Update prediction with error
+      try {
+        await updateUnfinished(predictionId, {
+          status: "failed",
+          error: geminiError instanceof Error ? geminiError.message : String(geminiError),
+          completed_at: new Date().toISOString(),
+          elapsed_seconds: Number(((Date.now() - startTime) / 1000).toFixed(2)),
+        });
+      } catch (storeError) {
+        jobLog.error("Failed to record error", { error: storeError });
+      }
+    } finally {
+      activeGeminiJobs.delete(predictionId);
+    }
+  };
+
+  const position = jobQueue.enqueue({ id: predictionId, user, provider: "gemini", run });
+  return position > 0 ? { ...prediction, queue_position: position } : { ...prediction, status: "starting" };
+};
+
+// The failover routes that can take this request, in order
+const failoverRoutes = (model, input) =>
+  failoverModels.has(model.key)
+    ? (model.failover ?? []).filter((route) => getModelAvailability(route).available && route.toInput(input) !== null)
+    : [];
+
+const describeTarget = (target) => ({ provider: "replicate", model: target.version ?? target.model ?? null });
+
+const toFailover = (servedBy, error) => ({
+  ...servedBy,
+  error: error instanceof Error ? error.message : String(error),
+  failed_at: new Date().toISOString(),
+});
+
+// Creates a prediction on Replicate for the model or one of its failover routes (`target`),
+// retrying transient failures. `predictionId` is our id when it differs from Replicate's, so
+// webhooks for it can be matched up.
+// Replicate predictions this process created or took over lately, so looking for a lost attempt
+// never takes another job's prediction
+const claimedReplicateIds = new Map();
+const LOST_ATTEMPT_WINDOW_MS = 10 * 60 * 1000;
+
+// The prediction a failed create call may have left on Replicate: the newest one created since
+// `since` for the same model with the same plain input values that no job here has claimed.
+const findLostReplicateAttempt = async (predictionOptions, since) => {
+  for (const [id, claimedAt] of claimedReplicateIds) {
+    if (Date.now() - claimedAt > LOST_ATTEMPT_WINDOW_MS) claimedReplicateIds.delete(id);
+  }
+  const plainInput = Object.entries(predictionOptions.input).filter(([, value]) =>
+    ["string", "number", "boolean"].includes(typeof value),
+  );
+  // Leaves a minute for the clocks here and at Replicate to disagree
+  const earliest = since - 60 * 1000;
+  const page = await replicate.predictions.list();
+  return (
+    page.results.find(
+      (candidate) =>
+        !claimedReplicateIds.has(candidate.id) &&
+        new Date(candidate.created_at).getTime() >= earliest &&
+        (predictionOptions.version
+          ? candidate.version === predictionOptions.version
+          : candidate.model === predictionOptions.model) &&
+        plainInput.every(([name, value]) => candidate.input?.[name] === value),
+    ) ?? null
+  );
+};
+
+const submitToReplicate = async (model, target, input, user, { predictionId = null, signal = null, onRetry = null } = {}) => {
+  // The client uploads Blob inputs to Replicate's file API and passes on the file URL
+  const predictionOptions = {
+    input: await resolveUploadInputs(model, input, user, (record, bytes) => new Blob([bytes], { type: record.content_type })),
+  };
+
+  if (target.version) {
+    predictionOptions.version = target.version;
+  } else if (target.model) {
+    predictionOptions.model = target.model;
+  }
+
+  if (REPLICATE_WEBHOOK_URL) {
+    predictionOptions.webhook = predictionId
+      ? `${REPLICATE_WEBHOOK_URL}?prediction=${encodeURIComponent(predictionId)}`
+      : REPLICATE_WEBHOOK_URL;
+    predictionOptions.webhook_events_filter = ["start", "logs", "completed"];
+  }
+
+  // Creating isn't idempotent: a timeout or 5xx may come after Replicate took the job. Failures
+  // that never reached it are simply tried again; after any other, the prediction an earlier
+  // attempt may have made is looked up and taken over rather than paying for a second one.
+  const since = Date.now();
+  let uncertain = false;
+  let lastError = null;
+  const findLost = async (error) => {
+    try {
+      return await findLostReplicateAttempt(predictionOptions, since);
+    } catch (lookupError) {
+      throw Object.assign(
+        new Error(`Replicate may have created the prediction, and looking for it failed: ${lookupError.message}`),
+        { retryable: false, cause: error },
+      );
+    }
+  };
+
+  let created;
+  try {
+    created = await withRetry(
+      async () => {
+        const lost = uncertain ? await findLost(lastError) : null;
+        if (lost) return lost;
+        try {
+          return await replicate.predictions.create(predictionOptions);
+        } catch (error) {
+          uncertain ||= !isUnsentError(error);
+          lastError = error;
+          throw error;
+        }
+      },
+      { config: RETRY_CONFIG, signal, onRetry },
+    );
+  } catch (error) {
+    if (!uncertain || error.retryable === false) throw error;
+    // The last attempt may have gone through as well; callers fail over only when it didn't
+    const lost = await findLost(error);
+    if (!lost) throw error;
+    if (signal?.aborted) {
+      await replicate.predictions.cancel(lost.id).catch(() => {});
+      throw error;
+    }
+    created = lost;
+  }
+  claimedReplicateIds.set(created.id, Date.now());
+  return created;
+};
+
+// Queues a Replicate prediction under our own id. Once a worker is free it is created on
+// Replicate (or a failover route), and the worker stays taken until the prediction finishes.
+const createReplicatePrediction = async (model, input, user, { webhook = null, apiKeyId = null, quota = null } = {}) => {
+  const predictionId = `replicate-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  const prediction = {
+    id: predictionId,
+    provider_prediction_id: null,
+    model_key: model.key,
+    provider: "replicate",
+    served_by: null,
+    retries: 0,
+    failovers: [],
+    user,
+    input: sanitizeInput(input),
+    api_key_id: apiKeyId,
+    quota,
+    webhook,
+    webhook_delivery: null,
+    status: "queued",
+    queue_position: null,
+    output: null,
+    error: null,
+    logs: null,
+    progress: null,
+    metrics: null,
+    owner: createLease(),
+    created_at: new Date().toISOString(),
+    started_at: null,
+    completed_at: null,
+    elapsed_seconds: null,
+  };
+
+  heldPredictions.add(predictionId);
+  await predictions.set(prediction);
+  const jobLog = predictionLog(prediction);
+
+  const run = async () => {
+    const startTime = Date.now();
+    const starting = await updateUnfinished(predictionId, { status: "starting" });
+    if (starting?.status !== "starting") return;
+
+    const targets = [{ model: model.model, version: model.version, toInput: (value) => value }, ...failoverRoutes(model, input)];
+    const failovers = [];
+    let retries = 0;
+    const onRetry = ({ attempt, error, delayMs }) => {
+      retries++;
+      jobLog.warn("Attempt failed, retrying", { attempt, error: error.message, delay_ms: delayMs });
+    };
+
+    let submitted = null;
+    let servedBy = null;
+    try {
+      for (const [index, target] of targets.entries()) {
+        try {
+          submitted = await submitToReplicate(model, target, target.toInput(input), user, { predictionId, onRetry });
+          servedBy = describeTarget(target);
+          break;
+        } catch (error) {
+          if (!isRetryableError(error) || index === targets.length - 1) throw error;
+          failovers.push(toFailover(describeTarget(target), error));
+          jobLog.warn("Failing over", { from: describeTarget(target).model, error: error.message });
+        }
+      }
+    } catch (error) {
+      observeProviderLatency("replicate", model.key, "failed", startTime);
+      jobLog.error("Failed to create on Replicate", { error: error.message, attempts: error.attempts });
+      await updateUnfinished(predictionId, {
+        status: "failed",
+        error: error instanceof Error ? error.message : String(error),
+        retries,
+        failovers,
+        completed_at: new Date().toISOString(),
+      });
+      return;
+    }
+
+    // Checked and written under the record's lock, so a cancel recorded while it was being
+    // created is never overwritten; the prediction is canceled on Replicate instead
+    const stored = await predictions.update(predictionId, (current) =>
+      TERMINAL_STATUSES.has(current.status)
+        ? null
+        : toStoredReplicatePrediction(submitted, { ...current, served_by: servedBy, retries, failovers }),
+    );
+    if (!stored || stored.provider_prediction_id !== submitted.id) {
+      await replicate.predictions.cancel(submitted.id).catch(() => {});
+      return;
+    }
+    jobLog.info("Prediction started", { provider: "replicate", served_by: servedBy.model });
+    const finished = await waitForTerminalPrediction(predictionId);
+    observeProviderLatency("replicate", model.key, finished.status, startTime);
+    jobLog.info(`Prediction ${finished.status}`, { elapsed_seconds: finished.elapsed_seconds });
+  };
+
+  const position = jobQueue.enqueue({ id: predictionId, user, provider: "replicate", run });
+  return position > 0 ? { ...prediction, queue_position: position } : { ...prediction, status: "starting" };
+};
+
+// Hands a prediction its provider gave up on to the model's failover routes, keeping our id.
+// Resolves with true once a route took it on, false when none could.
+const failOverPrediction = async (model, input, predictionId, failure, { signal = null } = {}) => {
+  const routes = failoverRoutes(model, input);
+  if (routes.length === 0) return false;
+
+  const stored = await predictions.get(predictionId);
+  if (!stored) return false;
+  const failovers = [...(stored.failovers ?? []), toFailover(stored.served_by, failure)];
+  let retries = stored.retries ?? 0;
+
+  for (const [index, route] of routes.entries()) {
+    predictionLog(stored).warn("Failing over", { to: describeTarget(route).model });
+    let prediction;
+    try {
+      prediction = await submitToReplicate(model, route, route.toInput(input), stored.user, {
+        predictionId,
+        signal,
+        onRetry: () => {
+          retries++;
+        },
+      });
+    } catch (error) {
+      if (signal?.aborted || !isRetryableError(error) || index === routes.length - 1) throw error;
+      failovers.push(toFailover(describeTarget(route), error));
+      continue;
+    }
+
+    // Canceled while it was being handed over: the cancel route already recorded it, and the
+    // check under the record's lock catches a cancel landing while it is written
+    const handedOver = signal?.aborted
+      ? null
+      : await predictions.update(predictionId, (current) =>
+          TERMINAL_STATUSES.has(current.status)
+            ? null
+            : toStoredReplicatePrediction(prediction, {
+                ...current,
+                served_by: describeTarget(route),
+                retries,
+                failovers,
+              }),
+        );
+    if (handedOver?.provider_prediction_id !== prediction.id) {
+      await replicate.predictions.cancel(prediction.id).catch(() => {});
+      return true;
+    }
+    // Whoever is waiting on the prediction now needs Replicate polled for it
+    watchReplicatePrediction(predictionId);
+    return true;
+  }
+  return false;
+};
+
+// `webhook` is the caller's URL to notify once the prediction finishes, `quota` the
+// reservation returned by quotas.reserve (refunded if the run fails or is blocked).
+const createPrediction = async (model, input, user, options = {}) => {
+  if (!jobQueue.hasRoom(model.provider)) {
+    throw Object.assign(new Error("Too many jobs are waiting. Try again shortly."), { status: 503 });
+  }
+
+  const prediction =
+    model.provider === "gemini"
+      ? await startGeminiPrediction(model, input, user, options)
+      : await createReplicatePrediction(model, input, user, options);
+
+  // The stored prediction counts towards concurrent jobs from here on, not its reservation
+  quotas.release(options.quota);
+  settlePrediction(prediction.id);
+
+  return prediction;
+};
+
+// Resolves with the stored prediction once it reaches a terminal status. Subscribing also
+// keeps the shared Replicate poller running for it.
+const waitForTerminalPrediction = (predictionId) =>
+  new Promise((resolve, reject) => {
+    const finish = (prediction) => {
+      unsubscribe();
+      resolve(prediction);
+    };
+    const unsubscribe = predictions.subscribe(predictionId, (prediction) => {
+      if (TERMINAL_STATUSES.has(prediction.status)) finish(prediction);
+    });
+    predictions.get(predictionId).then((prediction) => {
+      if (!prediction) {
+        unsubscribe();
+        reject(new Error(`Prediction ${predictionId} not found.`));
+      } else if (TERMINAL_STATUSES.has(prediction.status)) {
+        finish(prediction);
+      } else if (prediction.provider === "replicate") {
+        watchReplicatePrediction(predictionId);
+      }
+    }, (error) => {
+      unsubscribe();
+      reject(error);
+    });
+  });
+
+// Failed and blocked runs produced nothing, and runs canceled before their provider was called
+// cost nothing, so their credits are given back
+const isRefundable = (prediction) =>
+  (prediction.status === "failed" ||
+    prediction.status === "blocked" ||
+    (prediction.status === "canceled" && !prediction.provider_prediction_id && !prediction.started_at)) &&
+  prediction.quota?.credits > 0 &&
+  !prediction.quota.refunded_at;
+
+const needsSettling = (prediction) =>
+  !TERMINAL_STATUSES.has(prediction.status) ||
+  isRefundable(prediction) ||
+  (prediction.webhook && !prediction.webhook_delivery);
+
+// Waits for the prediction to finish, gives back the credits of a run that cost nothing, records
+// its usage and posts the result to the caller's webhook. Refunds and deliveries are recorded on
+// the prediction so neither happens twice.
+// Ids being settled here, so two callers never refund or deliver the same prediction twice
+const settlingPredictions = new Set();
+
+const settlePrediction = async (predictionId) => {
+  if (settlingPredictions.has(predictionId)) return;
+  settlingPredictions.add(predictionId);
+  try {
+    const prediction = await waitForTerminalPrediction(predictionId);
+
+    if (isRefundable(prediction)) {
+      await quotas.refund(prediction.quota);
+      await predictions.update(predictionId, {
+        quota: { ...prediction.quota, refunded_at: new Date().toISOString() },
+      });
+    }
+
+    const settled = await predictions.get(predictionId);
+    // Counted along with its usage entry, so a restart that resumes settling it doesn't count it again
+    if (!(await usageLog.has(settled))) {
+      predictionsTotal.inc({ model_key: settled.model_key, provider: settled.provider, status: settled.status });
+    }
+    await usageLog.recordPrediction(settled);
+
+    if (prediction.webhook && !prediction.webhook_delivery) {
+      const { webhook_delivery: _delivery, ...payload } = settled;
+      const delivery = await webhookSender.send(prediction.webhook, payload);
+      if (!delivery.delivered_at) {
+        predictionLog(settled).error("Webhook delivery failed", { attempts: delivery.attempts, error: delivery.error });
+      }
+      await predictions.update(predictionId, { webhook_delivery: delivery });
+    }
+  } catch (error) {
+    log.error("Failed to settle prediction", { prediction_id: predictionId, error: error.message });
+  } finally {
+    settlingPredictions.delete(predictionId);
+  }
+};
+
+// Refunds, usage entries and deliveries that were still due when the process last stopped.
+const resumeUnsettledPredictions = async () => {
+  try {
+    const records = await predictions.list();
+    for (const prediction of records) {
+      // Unfinished in-process ones are settled once failInterruptedPredictions gets to them
+      if (isInProcess(prediction) && !TERMINAL_STATUSES.has(prediction.status)) continue;
+      if (needsSettling(prediction) || !(await usageLog.has(prediction))) {
+        settlePrediction(prediction.id);
+      }
+    }
+  } catch (error) {
+    log.error("Failed to resume unsettled predictions", { error });
+  }
+};
+
+resumeUnsettledPredictions();
+
+// 400 with every problem found; `error` repeats the first one for simple clients.
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({ error: errors[0].message, errors });
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const callerOf = (user) => ({ username: user.username, apiKeyId: user.api_key_id ?? null });
+
+const sendQuotaRejection = (res, { status, error, quota }) => {
+  if (quota.type === "requests_per_minute" || quota.type === "concurrent_jobs") {
+    const retryAfter = quota.resets_at ? Math.ceil((new Date(quota.resets_at) - Date.now()) / 1000) : 30;
+    res.set("Retry-After", String(Math.max(1, retryAfter)));
+  }
+  return res.status(status).json({ error, quota });
+};
+
+const cancelPrediction = async (storedPrediction) => {
+  // Jobs still waiting for a worker never reach their provider
+  const dequeued = jobQueue.remove(storedPrediction.id);
+  // Replicate jobs being created are canceled there by their worker once they exist
+  if (storedPrediction.provider === "gemini" || dequeued || storedPrediction.provider_prediction_id === null) {
+    activeGeminiJobs.get(storedPrediction.id)?.abort();
+    if (dequeued) activeGeminiJobs.delete(storedPrediction.id);
+    const createdAt = new Date(storedPrediction.created_at).getTime();
+    // A worker may have created it on Replicate since it was read; that one is canceled there below
+    const updated = await predictions.update(storedPrediction.id, (current) =>
+      TERMINAL_STATUSES.has(current.status) || (current.provider === "replicate" && current.provider_prediction_id && !dequeued)
+        ? null
+        : {
+            status: "canceled",
+            completed_at: new Date().toISOString(),
+            elapsed_seconds: Number(((Date.now() - createdAt) / 1000).toFixed(2)),
+          },
+    );
+    if (!updated || TERMINAL_STATUSES.has(updated.status)) return updated;
+    storedPrediction = updated;
+  }
+
+  const canceled = await replicate.predictions.cancel(storedPrediction.provider_prediction_id ?? storedPrediction.id);
+  return predictions.update(storedPrediction.id, (current) =>
+    TERMINAL_STATUSES.has(current.status) ? null : toStoredReplicatePrediction(canceled, current),
+  );
+};
+
+const parsedBatchConcurrency = Number.parseInt(process.env.BATCH_CONCURRENCY ?? "2", 10);
+const BATCH_CONCURRENCY = Number.isNaN(parsedBatchConcurrency) ? 2 : Math.max(1, parsedBatchConcurrency);
+const parsedBatchMaxItems = Number.parseInt(process.env.BATCH_MAX_ITEMS ?? "500", 10);
+const BATCH_MAX_ITEMS = Number.isNaN(parsedBatchMaxItems) ? 500 : Math.max(1, parsedBatchMaxItems);
+
+const batchRunner = createBatchRunner({
+  batches,
+  concurrency: BATCH_CONCURRENCY,
+  logger: log,
+  async runItem({ batch, item, onPrediction }) {
+    if (!item.prediction_id) {
+      const model = modelRegistry.get(batch.model_key);
+      // Credits only: the runner already paces the batch
+      const admission = await quotas.reserve(
+        { username: batch.user, apiKeyId: batch.api_key_id ?? null },
+        model,
+        item.input,
+        { rate: false },
+      );
+      if (!admission.allowed) throw new Error(admission.error);
+
+      let prediction;
+      try {
+        prediction = await createPrediction(model, item.input, batch.user, {
+          apiKeyId: batch.api_key_id ?? null,
+          quota: admission.reservation,
+        });
+      } catch (error) {
+        await quotas.refund(admission.reservation);
+        throw error;
+      }
+      await onPrediction(prediction.id);
+    }
+    return waitForTerminalPrediction(item.prediction_id);
+  },
+  async cancelPrediction(predictionId) {
+    const storedPrediction = await predictions.get(predictionId);
+    if (storedPrediction && !TERMINAL_STATUSES.has(storedPrediction.status)) {
+      await cancelPrediction(storedPrediction);
+    }
+  },
+});
+
+// Batches of a process that stopped are picked up once their lease runs out
+const resumeBatches = () =>
+  batchRunner
+    .resume()
+    .then((count) => {
+      if (count > 0) log.info("Resumed unfinished batches", { count });
+    })
+    .catch((error) => log.error("Failed to resume batches", { error }));
+
+resumeBatches();
+setInterval(resumeBatches, LEASE_TTL_MS);
+
+// Item inputs are kept whole so a resumed batch can still run them, but never sent back in full.
+const toPublicBatch = ({ owner: _owner, ...batch }) => ({
+  ...batch,
+  params: sanitizeInput(batch.params),
+  items: batch.items.map((item) => ({ ...item, input: sanitizeInput(item.input) })),
+});
+
+const toBatchSummary = ({ items, owner: _owner, ...batch }) => ({ ...batch, params: sanitizeInput(batch.params) });
+
+// File name inside the ZIP for one output: item number, output number and the file's extension.
+const batchOutputFileName = (item, outputIndex, url) => {
+  const extension =
+    url.match(/^data:[a-z]+\/([a-z0-9]+)/i)?.[1] ??
+    url.match(/^[^?#]+\.([a-z0-9]{2,4})(?:[?#]|$)/i)?.[1] ??
+    "bin";
+  return `${String(item.index + 1).padStart(3, "0")}-${outputIndex + 1}.${extension.toLowerCase()}`;
+};
+
+const openOutputStream = async (url) => {
+  const assetId = parseAssetUrl(url);
+  if (assetId) {
+    return (await assets.get(assetId)) ? assets.open(assetId) : null;
+  }
+  if (url.startsWith("data:")) {
+    const [, data = ""] = url.split(",", 2);
+    return Buffer.from(data, "base64");
+  }
+  const response = await fetch(url);
+  return response.ok ? Readable.fromWeb(response.body) : null;
+};
+
+app.post("/api/predictions", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+    const modelKey = typeof body.model_key === "string" ? body.model_key : DEFAULT_MODEL_KEY;
+    const model = modelRegistry.get(modelKey);
+
+    if (!model) {
+      return sendValidationErrors(res, [{ field: "model_key", message: `Unsupported model key "${modelKey}".` }]);
+    }
+
+    const availability = getModelAvailability(model);
+    if (!availability.available) {
+      return res.status(500).json({ error: availability.reason });
+    }
+
+    const { input, errors } = buildModelInput(model, body, { allowedKeys: ["model_key", "webhook"] });
+    const webhook = body.webhook ?? null;
+    const webhookRefusal = webhook === null ? null : await webhookGuard.check(webhook);
+    if (webhookRefusal) {
+      errors.push({ field: "webhook", message: webhookRefusal });
+    }
+    errors.push(...(await checkUploadReferences(model, input, req.user.username)));
+    errors.push(...moderator.check(model, input, { user: req.user.username }));
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const caller = callerOf(req.user);
+    const admission = await quotas.reserve(caller, model, input);
+    if (!admission.allowed) {
+      return sendQuotaRejection(res, admission);
+    }
+
+    let prediction;
+    try {
+      prediction = await createPrediction(model, input, req.user.username, {
+        webhook,
+        apiKeyId: caller.apiKeyId,
+        quota: admission.reservation,
+      });
+    } catch (error) {
+      await quotas.refund(admission.reservation).catch((refundError) => {
+        requestLog(req).error("Failed to refund credits", { error: refundError.message });
+      });
+      throw error;
+    }
+
+    return res.status(201).json({ prediction: toPublicPrediction(prediction) });
+  } catch (error) {
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+app.get("/api/quota", async (req, res) => {
+  try {
+    const quota = await quotas.status(
+      callerOf(req.user),
+      modelRegistry.list().map((model) => model.key),
+    );
+    return res.json({ quota });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Usage report. group_by is a comma list of day, model and user ("none" lists raw entries);
+// format=csv downloads the same rows as CSV.
+app.get("/api/usage", async (req, res) => {
+  try {
+    const query = req.query;
+    const from = parseDateFilter(query.from);
+    const to = parseDateFilter(query.to, { endOfDay: true });
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'Fields "from" and "to" must be ISO dates.' });
+    }
+
+    const groupParam = typeof query.group_by === "string" ? query.group_by.trim().toLowerCase() : "day";
+    const groupBy = groupParam === "none" || !groupParam ? [] : groupParam.split(",").map((group) => group.trim());
+    const unknownGroup = groupBy.find((group) => !USAGE_GROUPS.includes(group));
+    if (unknownGroup) {
+      return res.status(400).json({
+        error: `Unknown group "${unknownGroup}". Expected a comma list of: ${USAGE_GROUPS.join(", ")}, or none.`,
+      });
+    }
+
+    // Same ?user= rules as the prediction history
+    const requestedUser = typeof query.user === "string" ? query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+
+    const entries = await usageLog.query({
+      from,
+      to,
+      user: userFilter,
+      modelKey: typeof query.model_key === "string" && query.model_key.trim() ? query.model_key.trim().toLowerCase() : null,
+    });
+    const rows = groupParam === "none" ? entries : summarizeUsage(entries, groupBy);
+    const [totals] = summarizeUsage(entries);
+
+    if (query.format === "csv") {
+      res.attachment(`usage-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type("text/csv");
+      return res.send(toCsv(rows));
+    }
+
+    return res.json({ group_by: groupBy, rows, totals });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Administrators only: each model's resolved version and model, what its configuration lacks
+// and whether its provider answers. ?refresh=true probes the providers again.
+app.get("/api/admin/diagnostics", auth.requireAdmin, async (req, res) => {
+  try {
+    const models = await diagnoseModels({ refresh: req.query.refresh === "true" });
+    const providers = [...new Set(models.map((entry) => entry.provider))];
+    return res.json({
+      probe: process.env.PROVIDER_PROBE === "stub" ? "stub" : "live",
+      providers: Object.fromEntries(providers.map((provider) => [provider, providerChecker.latest(provider)])),
+      models,
+    });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/predictions", async (req, res) => {
+  try {
+    const query = req.query;
+    const modelKey = typeof query.model_key === "string" ? query.model_key.trim().toLowerCase() : "";
+    const status = typeof query.status === "string" ? query.status.trim().toLowerCase() : "";
+    const from = parseDateFilter(query.from);
+    const to = parseDateFilter(query.to, { endOfDay: true });
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'Fields "from" and "to" must be ISO dates.' });
+    }
+
+    const parsedLimit = Number.parseInt(query.limit, 10);
+    const limit = Number.isNaN(parsedLimit)
+      ? HISTORY_PAGE_LIMITS.default
+      : clampNumber(parsedLimit, HISTORY_PAGE_LIMITS.min, HISTORY_PAGE_LIMITS.max);
+    const parsedOffset = Number.parseInt(query.offset, 10);
+    const offset = Number.isNaN(parsedOffset) ? 0 : Math.max(0, parsedOffset);
+
+    // Admins may look at someone else's history with ?user=, or everyone's with ?user=*
+    const requestedUser = typeof query.user === "string" ? query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+
+    const matching = await predictionIndex.find((prediction) => {
+      if (userFilter !== "*" && prediction.user !== userFilter) return false;
+      if (modelKey && prediction.model_key !== modelKey) return false;
+      if (status && prediction.status !== status) return false;
+      const created = new Date(prediction.created_at).getTime();
+      if (from !== null && created < from) return false;
+      if (to !== null && created > to) return false;
+      return true;
+    });
+    // Only the page itself is read from the store; a record swept meanwhile is left out
+    const page = await Promise.all(matching.slice(offset, offset + limit).map((entry) => predictions.get(entry.id)));
+
+    return res.json({
+      predictions: page.filter(Boolean).map(toPredictionSummary),
+      pagination: {
+        total: matching.length,
+        limit,
+        offset,
+        has_more: offset + limit < matching.length,
+      },
+    });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+// Serves a stored output file. Range requests are honored so browsers can seek in videos.
+app.get("/api/assets/:id", async (req, res) => {
+  try {
+    const asset = await assets.get(req.params.id);
+    // Assets share their owner with the prediction that produced them
+    if (!asset || !canAccessPrediction(req.user, asset)) {
+      return res.status(404).json({ error: "Asset not found" });
+    }
+
+    const range = parseByteRange(req.headers.range, asset.size);
+    if (range === false) {
+      res.set("Content-Range", `bytes */${asset.size}`);
+      return res.status(416).end();
+    }
+
+    res.set({
+      "Content-Type": asset.content_type,
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, max-age=31536000, immutable",
+    });
+    if (range) {
+      res.status(206).set({
+        "Content-Range": `bytes ${range.start}-${range.end}/${asset.size}`,
+        "Content-Length": String(range.end - range.start + 1),
+      });
+    } else {
+      res.set("Content-Length", String(asset.size));
+    }
+
+    const stream = await assets.open(asset.id, range ?? undefined);
+    await pipeline(stream, res);
+  } catch (error) {
+    if (res.headersSent) {
+      // Viewers closing a video mid-stream is routine, not an error
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        requestLog(req).error("Asset stream failed", { error: error.message });
+      }
+      return res.destroy();
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Stores one image sent as multipart/form-data in the `file` field. The returned id can stand in
+// for a data URL or http(s) URL in any image input.
+app.post("/api/uploads", async (req, res) => {
+  try {
+    try {
+      await new Promise((resolve, reject) => {
+        uploadParser(req, res, (error) => (error ? reject(error) : resolve()));
+      });
+    } catch (parseError) {
+      if (parseError instanceof multer.MulterError && parseError.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `Uploads can be at most ${UPLOAD_MAX_BYTES / 1024 / 1024} MB.` });
+      }
+      return sendValidationErrors(res, [{ field: parseError.field || "file", message: parseError.message }]);
+    }
+
+    const file = req.file;
+    if (!file) {
+      return sendValidationErrors(res, [
+        { field: "file", message: 'Field "file" is required (multipart/form-data).' },
+      ]);
+    }
+    if (!UPLOAD_CONTENT_TYPES.includes(file.mimetype)) {
+      return sendValidationErrors(res, [
+        { field: "file", message: `Field "file" must be one of: ${UPLOAD_CONTENT_TYPES.join(", ")}.` },
+      ]);
+    }
+
+    const upload = await uploads.save(file.buffer, {
+      contentType: file.mimetype,
+      filename: file.originalname || null,
+      user: req.user.username,
+    });
+    return res.status(201).json({ upload: toPublicUpload(upload) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/uploads/:id", async (req, res) => {
+  try {
+    const upload = await uploads.get(req.params.id);
+    if (!upload || !canAccessPrediction(req.user, upload)) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+    return res.json({ upload: toPublicUpload(upload) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.delete("/api/uploads/:id", async (req, res) => {
+  try {
+    const upload = await uploads.get(req.params.id);
+    if (!upload || !canAccessPrediction(req.user, upload)) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+    await uploads.delete(upload.id);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Serves one output of a stored prediction; inline data URLs are decoded so they can be used as <img> sources.
+app.get("/api/predictions/:id/outputs/:index", async (req, res) => {
+  try {
+    const prediction = await predictions.get(req.params.id);
+    if (!prediction || !canAccessPrediction(req.user, prediction)) {
+      return res.status(404).json({ error: "Prediction not found" });
+    }
+
+    const output = collectOutputUrls(prediction.output).filter(isMediaUrl)[
+      Number.parseInt(req.params.index, 10)
+    ];
+    if (!output) {
+      return res.status(404).json({ error: "Output not found" });
+    }
+
+    const match = output.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (!match) {
+      return res.redirect(output);
+    }
+
+    const [, mimeType = "application/octet-stream", isBase64, data] = match;
+    const buffer = isBase64 ? Buffer.from(data, "base64") : Buffer.from(decodeURIComponent(data));
+    res.set("Cache-Control", "private, max-age=86400");
+    return res.type(mimeType).send(buffer);
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+app.get("/api/predictions/:id", async (req, res) => {
+  try {
+    const predictionId = req.params.id;
+
+    const storedPrediction = await predictions.get(predictionId);
+
+    if (!storedPrediction || !canAccessPrediction(req.user, storedPrediction)) {
+      return res.status(404).json({ error: "Prediction not found" });
+    }
+
+    // Gemini predictions only ever live in our store. Finished Replicate predictions are served
+    // from the store, the rest are refreshed; ones still waiting for a worker have nothing on
+    // Replicate to ask about yet.
+    if (
+      storedPrediction.provider !== "replicate" ||
+      TERMINAL_STATUSES.has(storedPrediction.status) ||
+      storedPrediction.provider_prediction_id === null
+    ) {
+      return res.json({ prediction: toPublicPrediction(storedPrediction) });
+    }
+
+    const prediction = await refreshReplicatePrediction(storedPrediction);
+
+    return res.json({ prediction: toPublicPrediction(prediction) });
+  } catch (error) {
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+app.post("/api/predictions/:id/cancel", async (req, res) => {
+  try {
+    const predictionId = req.params.id;
+    const storedPrediction = await predictions.get(predictionId);
+
+    if (!storedPrediction || !canAccessPrediction(req.user, storedPrediction)) {
+      return res.status(404).json({ error: "Prediction not found" });
+    }
+
+    if (TERMINAL_STATUSES.has(storedPrediction.status)) {
+      return res.status(409).json({
+        error: `Prediction already ${storedPrediction.status}.`,
+        prediction: toPublicPrediction(storedPrediction),
+      });
+    }
+
+    const prediction = await cancelPrediction(storedPrediction);
+    return res.json({ prediction: toPublicPrediction(prediction) });
+  } catch (error) {
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+// Server-Sent Events stream of a prediction: one `prediction` event per change, then `done`.
+app.get("/api/predictions/:id/events", async (req, res) => {
+  const predictionId = req.params.id;
+  let unsubscribe = null;
+  let keepAlive = null;
+  let lastSent = null;
+
+  // A new place in the queue resends the last state, with the position read from the queue
+  const onPosition = (position) => {
+    if (position !== null && lastSent?.status === "queued") sendPrediction(lastSent);
+  };
+
+  const close = () => {
+    if (unsubscribe) unsubscribe();
+    if (keepAlive) clearInterval(keepAlive);
+    queuePositions.off(predictionId, onPosition);
+    unsubscribe = null;
+    keepAlive = null;
+  };
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendPrediction = (prediction) => {
+    lastSent = prediction;
+    send("prediction", toPublicPrediction(prediction));
+    if (TERMINAL_STATUSES.has(prediction.status)) {
+      send("done", { id: prediction.id, status: prediction.status });
+      close();
+      res.end();
+    }
+  };
+
+  // Subscribe before reading so a write landing mid-read isn't lost; it is held until the headers go out.
+  let streaming = false;
+  let pendingPrediction = null;
+  unsubscribe = predictions.subscribe(predictionId, (prediction) => {
+    if (streaming) sendPrediction(prediction);
+    else pendingPrediction = prediction;
+  });
+
+  try {
+    const prediction = pendingPrediction ?? (await predictions.get(predictionId));
+
+    if (!prediction || !canAccessPrediction(req.user, prediction)) {
+      close();
+      return res.status(404).json({ error: "Prediction not found" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Stops nginx-style proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    res.on("close", close);
+
+    streaming = true;
+
+    if (!TERMINAL_STATUSES.has(prediction.status)) {
+      keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+      queuePositions.on(predictionId, onPosition);
+      if (prediction.provider === "replicate") {
+        watchReplicatePrediction(predictionId);
+      }
+    }
+
+    sendPrediction(prediction);
+  } catch (error) {
+    close();
+    if (res.headersSent) {
+      send("error", { error: error instanceof Error ? error.message : String(error) });
+      return res.end();
+    }
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+app.post("/api/batches", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const modelKey = typeof body.model_key === "string" ? body.model_key : DEFAULT_MODEL_KEY;
+    const model = modelRegistry.get(modelKey);
+
+    if (!model) {
+      return sendValidationErrors(res, [{ field: "model_key", message: `Unsupported model key "${modelKey}".` }]);
+    }
+
+    const availability = getModelAvailability(model);
+    if (!availability.available) {
+      return res.status(500).json({ error: availability.reason });
+    }
+
+    const format = typeof body.format === "string" ? body.format.trim().toLowerCase() : "";
+    if (!BATCH_FORMATS.includes(format)) {
+      return sendValidationErrors(res, [
+        { field: "format", message: `Field "format" must be one of: ${BATCH_FORMATS.join(", ")}.` },
+      ]);
+    }
+
+    if (body.params !== undefined && (!body.params || typeof body.params !== "object" || Array.isArray(body.params))) {
+      return sendValidationErrors(res, [{ field: "params", message: 'Field "params" must be an object.' }]);
+    }
+    const params = body.params ?? {};
+
+    let rows;
+    try {
+      rows = parseBatchItems(body.data, format);
+    } catch (parseError) {
+      return sendValidationErrors(res, [{ field: "data", message: parseError.message }]);
+    }
+
+    if (rows.length === 0) {
+      return sendValidationErrors(res, [{ field: "data", message: "The batch file has no items." }]);
+    }
+    if (rows.length > BATCH_MAX_ITEMS) {
+      return sendValidationErrors(res, [
+        { field: "data", message: `A batch can hold at most ${BATCH_MAX_ITEMS} items.` },
+      ]);
+    }
+
+    // Every row is checked before anything runs, so a typo on row 150 doesn't waste the first 149
+    const items = [];
+    const errors = [];
+    for (const [index, row] of rows.entries()) {
+      const { input, errors: rowErrors } = buildModelInput(model, { ...params, ...row }, {
+        coerceStrings: format === "csv",
+      });
+      rowErrors.push(...(await checkUploadReferences(model, input, req.user.username)));
+      rowErrors.push(...moderator.check(model, input, { user: req.user.username }));
+      rowErrors.forEach(({ field, message, ...details }) =>
+        errors.push({ field: `items[${index}].${field}`, message: `Item ${index + 1}: ${message}`, ...details }),
+      );
+      items.push({ index, input, status: "queued", prediction_id: null, output: null, error: null });
+    }
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const batch = {
+      id: createBatchId(),
+      user: req.user.username,
+      api_key_id: req.user.api_key_id ?? null,
+      model_key: model.key,
+      name: typeof body.name === "string" && body.name.trim() ? body.name.trim() : null,
+      format,
+      params,
+      status: "queued",
+      items,
+      created_at: new Date().toISOString(),
+      completed_at: null,
+    };
+
+    await batchRunner.start(batch);
+
+    return res.status(201).json({ batch: toPublicBatch(batch) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({
+      error: "Unexpected server error.",
+      details: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
+
+app.get("/api/batches", async (req, res) => {
+  try {
+    // Same ?user= rules as the prediction history
+    const requestedUser = typeof req.query.user === "string" ? req.query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+
+    const records = await batches.list();
+    const visible = records
+      .filter((batch) => userFilter === "*" || batch.user === userFilter)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return res.json({ batches: visible.map(toBatchSummary) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/batches/:id", async (req, res) => {
+  try {
+    const batch = await batches.get(req.params.id);
+    if (!batch || !canAccessPrediction(req.user, batch)) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    return res.json({ batch: toPublicBatch(batch) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/batches/:id/cancel", async (req, res) => {
+  try {
+    const batch = await batches.get(req.params.id);
+    if (!batch || !canAccessPrediction(req.user, batch)) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    if (!(await batchRunner.cancel(batch.id))) {
+      return res.status(409).json({ error: `Batch already ${batch.status}.`, batch: toPublicBatch(batch) });
+    }
+    return res.json({ batch: toPublicBatch(await batches.get(batch.id)) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// ZIP with every output of the batch plus manifest.json describing each item.
+app.get("/api/batches/:id/download", async (req, res) => {
+  const batch = await batches.get(req.params.id).catch(() => null);
+  if (!batch || !canAccessPrediction(req.user, batch)) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  const archive = new ZipArchive({ zlib: { level: 1 } });
+  // The response has started by the time anything fails, so all that's left is to cut it off
+  let failure = null;
+  archive.on("warning", (warning) => requestLog(req).warn("ZIP warning", { batch_id: batch.id, error: warning.message }));
+  archive.on("error", (error) => {
+    failure ??= error;
+    res.destroy(error);
+  });
+
+  res.attachment(`${batch.id}.zip`);
+  archive.pipe(res);
+
+  try {
+    const manifestItems = [];
+    for (const item of batch.items) {
+      const files = [];
+      const urls = item.status === "succeeded" ? collectOutputUrls(item.output).filter(isMediaUrl) : [];
+      for (const [outputIndex, url] of urls.entries()) {
+        if (failure) throw failure;
+        const name = batchOutputFileName(item, outputIndex, url);
+        try {
+          const source = await openOutputStream(url);
+          if (!source) continue;
+          // A source failing halfway leaves the archive stuck on its entry, so the download ends
+          source.once("error", (error) => archive.emit("error", error));
+          // One entry at a time, so only one output is ever open
+          const added = once(archive, "entry");
+          archive.append(source, { name });
+          await added;
+          files.push(name);
+        } catch (error) {
+          requestLog(req).error("Failed to add output to ZIP", { batch_id: batch.id, file: name, error: error.message });
+        }
+      }
+      manifestItems.push({
+        index: item.index,
+        status: item.status,
+        prediction_id: item.prediction_id,
+        input: sanitizeInput(item.input),
+        error: item.error,
+        files,
+      });
+    }
+    if (failure) throw failure;
+
+    const manifest = {
+      id: batch.id,
+      name: batch.name,
+      model_key: batch.model_key,
+      params: sanitizeInput(batch.params),
+      status: batch.status,
+      counts: batch.counts,
+      created_at: batch.created_at,
+      completed_at: batch.completed_at,
+      items: manifestItems,
+    };
+    archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+    await archive.finalize();
+  } catch (error) {
+    requestLog(req).error("ZIP failed", { batch_id: batch.id, error: error.message });
+    archive.abort();
+    res.destroy(error);
+  }
+});
+
+// A step output handed on to a later step. Stored outputs become uploads of the run's owner, so
+// each provider gets them the way it takes any uploaded image.
+const toLinkedInput = async (url, { user, name }) => {
+  const assetId = parseAssetUrl(url);
+  if (!assetId) return url;
+  const { data, mimeType } = await readAsset(assetId);
+  const upload = await uploads.save(data, { contentType: mimeType, filename: name, user });
+  return upload.id;
+};
+
+const pipelineRunner = createPipelineRunner({
+  runs: pipelineRuns,
+  logger: log,
+  async runStep({ run, step, onPrediction }) {
+    if (!step.prediction_id) {
+      const model = modelRegistry.get(step.model_key);
+      const definition = run.definition[step.index];
+      const linked = {};
+      for (const [name, source] of Object.entries(definition.inputs_from)) {
+        const url = collectOutputUrls(run.steps[source.step].output)[source.output];
+        if (!url) throw new Error(`Step ${source.step + 1} has no output ${source.output + 1} to feed "${name}".`);
+        linked[name] = await toLinkedInput(url, { user: run.user, name: `${run.id}-step-${source.step + 1}` });
+      }
+
+      const { input, errors } = buildModelInput(
+        model,
+        buildStepBody(definition, model, { overrides: run.overrides[step.index], linked }),
+      );
+      errors.push(...(await checkUploadReferences(model, input, run.user)));
+      if (errors.length > 0) throw new Error(errors.map((error) => error.message).join(" "));
+
+      // Credits only, as for batch items
+      const admission = await quotas.reserve(
+        { username: run.user, apiKeyId: run.api_key_id ?? null },
+        model,
+        input,
+        { rate: false },
+      );
+      if (!admission.allowed) throw new Error(admission.error);
+
+      let prediction;
+      try {
+        prediction = await createPrediction(model, input, run.user, {
+          apiKeyId: run.api_key_id ?? null,
+          quota: admission.reservation,
+        });
+      } catch (error) {
+        await quotas.refund(admission.reservation);
+        throw error;
+      }
+      step.input = sanitizeInput(input);
+      await onPrediction(prediction.id);
+    }
+    return waitForTerminalPrediction(step.prediction_id);
+  },
+  async cancelPrediction(predictionId) {
+    const storedPrediction = await predictions.get(predictionId);
+    if (storedPrediction && !TERMINAL_STATUSES.has(storedPrediction.status)) {
+      await cancelPrediction(storedPrediction);
+    }
+  },
+});
+
+// Runs of a process that stopped are picked up once their lease runs out
+const resumePipelineRuns = () =>
+  pipelineRunner
+    .resume()
+    .then((count) => {
+      if (count > 0) log.info("Resumed unfinished pipeline runs", { count });
+    })
+    .catch((error) => log.error("Failed to resume pipeline runs", { error }));
+
+resumePipelineRuns();
+setInterval(resumePipelineRuns, LEASE_TTL_MS);
+
+// Runs keep their inputs whole so a resumed run can still use them, but never send them back in full.
+const toPublicPipelineRun = ({ owner: _owner, ...run }) => ({
+  ...run,
+  definition: run.definition.map((step) => ({ ...step, input: sanitizeInput(step.input) })),
+  overrides: sanitizeInput(run.overrides),
+});
+
+const PIPELINE_FIELDS = ["name", "description", "steps"];
+
+// Pipelines. Listing takes the same ?user= rules as the history.
+app.get("/api/pipelines", async (req, res) => {
+  try {
+    const requestedUser = typeof req.query.user === "string" ? req.query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+
+    const records = await pipelines.list();
+    const visible = records
+      .filter((pipeline) => userFilter === "*" || pipeline.user === userFilter)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return res.json({ pipelines: visible });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/pipelines", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+    const { pipeline, errors } = validatePipeline(body, modelRegistry);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const now = new Date().toISOString();
+    const record = await pipelines.set({
+      id: createPipelineId(),
+      user: req.user.username,
+      ...pipeline,
+      created_at: now,
+      updated_at: now,
+    });
+    return res.status(201).json({ pipeline: record });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/pipelines/:id", async (req, res) => {
+  try {
+    const pipeline = await pipelines.get(req.params.id);
+    if (!pipeline || !canAccessPrediction(req.user, pipeline)) {
+      return res.status(404).json({ error: "Pipeline not found" });
+    }
+    return res.json({ pipeline });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Partial update: fields left out keep their value, and the result is checked as a whole
+app.patch("/api/pipelines/:id", async (req, res) => {
+  try {
+    const existing = await pipelines.get(req.params.id);
+    if (!existing || !canAccessPrediction(req.user, existing)) {
+      return res.status(404).json({ error: "Pipeline not found" });
+    }
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+
+    const current = Object.fromEntries(
+      PIPELINE_FIELDS.filter((field) => existing[field] !== undefined).map((field) => [field, existing[field]]),
+    );
+    const { pipeline, errors } = validatePipeline({ ...current, ...body }, modelRegistry);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const record = await pipelines.set({
+      ...existing,
+      ...pipeline,
+      // An emptied description is dropped rather than left at its old value
+      description: pipeline.description,
+      updated_at: new Date().toISOString(),
+    });
+    return res.json({ pipeline: record });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Runs already started keep going and stay readable
+app.delete("/api/pipelines/:id", async (req, res) => {
+  try {
+    const pipeline = await pipelines.get(req.params.id);
+    if (!pipeline || !canAccessPrediction(req.user, pipeline)) {
+      return res.status(404).json({ error: "Pipeline not found" });
+    }
+    await pipelines.delete(pipeline.id);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Starts a run. `overrides` optionally changes inputs per step, e.g. [{ "prompt": "..." }].
+app.post("/api/pipelines/:id/runs", async (req, res) => {
+  try {
+    const pipeline = await pipelines.get(req.params.id);
+    if (!pipeline || !canAccessPrediction(req.user, pipeline)) {
+      return res.status(404).json({ error: "Pipeline not found" });
+    }
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+
+    const unavailable = pipeline.steps
+      .map((step) => getModelAvailability(modelRegistry.get(step.model_key)))
+      .find((availability) => !availability.available);
+    if (unavailable) {
+      return res.status(500).json({ error: unavailable.reason });
+    }
+
+    const { errors } = validateInput({}, body, { allowedKeys: ["overrides"] });
+    const { overrides, errors: overrideErrors } = validatePipelineOverrides(pipeline, body.overrides, modelRegistry);
+    errors.push(...overrideErrors);
+    for (const [index, step] of pipeline.steps.entries()) {
+      const model = modelRegistry.get(step.model_key);
+      const fixed = validateInput(model.inputs, buildStepBody(step, model, { overrides: overrides[index] })).input;
+      const stepErrors = [
+        ...(await checkUploadReferences(model, fixed, req.user.username)),
+        ...moderator.check(model, fixed, { user: req.user.username, pipeline_id: pipeline.id }),
+      ];
+      for (const { field, message, ...details } of stepErrors) {
+        errors.push({ field: `steps[${index}].input.${field}`, message, ...details });
+      }
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const run = createPipelineRun(pipeline, {
+      user: req.user.username,
+      apiKeyId: callerOf(req.user).apiKeyId,
+      overrides,
+    });
+    await pipelineRunner.start(run);
+    return res.status(201).json({ run: toPublicPipelineRun(run) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/pipelines/:id/runs", async (req, res) => {
+  try {
+    const pipeline = await pipelines.get(req.params.id);
+    if (!pipeline || !canAccessPrediction(req.user, pipeline)) {
+      return res.status(404).json({ error: "Pipeline not found" });
+    }
+    const records = await pipelineRuns.list();
+    const runs = records
+      .filter((run) => run.pipeline_id === pipeline.id && canAccessPrediction(req.user, run))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return res.json({ runs: runs.map(toPublicPipelineRun) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/pipeline-runs/:id", async (req, res) => {
+  try {
+    const run = await pipelineRuns.get(req.params.id);
+    if (!run || !canAccessPrediction(req.user, run)) {
+      return res.status(404).json({ error: "Pipeline run not found" });
+    }
+    return res.json({ run: toPublicPipelineRun(run) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/pipeline-runs/:id/cancel", async (req, res) => {
+  try {
+    const run = await pipelineRuns.get(req.params.id);
+    if (!run || !canAccessPrediction(req.user, run)) {
+      return res.status(404).json({ error: "Pipeline run not found" });
+    }
+    if (!(await pipelineRunner.cancel(run.id))) {
+      return res.status(409).json({ error: `Pipeline run already ${run.status}.`, run: toPublicPipelineRun(run) });
+    }
+    return res.json({ run: toPublicPipelineRun(await pipelineRuns.get(run.id)) });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+const TEMPLATE_FIELDS = ["name", "description", "model_key", "prompt", "params"];
+
+// Prompt templates. Listing takes ?model_key= and the same ?user= rules as the history.
+app.get("/api/templates", async (req, res) => {
+  try {
+    const requestedUser = typeof req.query.user === "string" ? req.query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+    const modelKey = typeof req.query.model_key === "string" ? req.query.model_key.trim().toLowerCase() : "";
+
+    const records = await templates.list();
+    const visible = records
+      .filter((template) => userFilter === "*" || template.user === userFilter)
+      .filter((template) => !modelKey || template.model_key === modelKey)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return res.json({ templates: visible });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/templates", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+    const { template, errors } = validateTemplate(body, modelRegistry);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const now = new Date().toISOString();
+    const record = await templates.set({
+      id: createTemplateId(),
+      user: req.user.username,
+      ...template,
+      created_at: now,
+      updated_at: now,
+    });
+    return res.status(201).json({ template: record });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/templates/:id", async (req, res) => {
+  try {
+    const template = await templates.get(req.params.id);
+    if (!template || !canAccessPrediction(req.user, template)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    return res.json({ template });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Partial update: fields left out keep their value, and the result is checked as a whole
+app.patch("/api/templates/:id", async (req, res) => {
+  try {
+    const existing = await templates.get(req.params.id);
+    if (!existing || !canAccessPrediction(req.user, existing)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+
+    const current = Object.fromEntries(
+      TEMPLATE_FIELDS.filter((field) => existing[field] !== undefined).map((field) => [field, existing[field]]),
+    );
+    const { template, errors } = validateTemplate({ ...current, ...body }, modelRegistry);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const record = await templates.set({
+      ...existing,
+      ...template,
+      // An emptied description is dropped rather than left at its old value
+      description: template.description,
+      updated_at: new Date().toISOString(),
+    });
+    return res.json({ template: record });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.delete("/api/templates/:id", async (req, res) => {
+  try {
+    const template = await templates.get(req.params.id);
+    if (!template || !canAccessPrediction(req.user, template)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    await templates.delete(template.id);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Fills in the variables and returns a body ready for POST /api/predictions
+app.post("/api/templates/:id/render", async (req, res) => {
+  try {
+    const template = await templates.get(req.params.id);
+    if (!template || !canAccessPrediction(req.user, template)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const variables = req.body?.variables ?? {};
+    if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+      return sendValidationErrors(res, [{ field: "variables", message: 'Field "variables" must be an object.' }]);
+    }
+    const { prompt, missing } = renderTemplate(template.prompt, variables);
+    if (missing.length > 0) {
+      return sendValidationErrors(
+        res,
+        missing.map((name) => ({ field: `variables.${name}`, message: `Variable "${name}" needs a value.` })),
+      );
+    }
+
+    return res.json({ input: { model_key: template.model_key, ...template.params, prompt } });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// The predictions that make up a session, oldest first
+const listSessionTurns = async (sessionId) => {
+  const entries = await predictionIndex.find((prediction) => prediction.session_id === sessionId);
+  const turns = await Promise.all(entries.reverse().map((entry) => predictions.get(entry.id)));
+  return turns.filter(Boolean);
+};
+
+// `turns` are the session's index entries, newest first; only the latest succeeded one is read
+const toSessionSummary = async (session, turns) => {
+  const latest = turns.find((turn) => turn.status === "succeeded");
+  const record = latest ? await predictions.get(latest.id) : null;
+  return {
+    ...session,
+    turn_count: turns.length,
+    thumbnail_url: Array.isArray(record?.output) ? (record.output[0] ?? null) : null,
+  };
+};
+
+// Edit sessions. Listing takes the same ?user= rules as the history.
+app.get("/api/sessions", async (req, res) => {
+  try {
+    const requestedUser = typeof req.query.user === "string" ? req.query.user.trim().toLowerCase() : "";
+    const userFilter =
+      req.user.role === "admin" && requestedUser ? requestedUser : req.user.username;
+
+    const [records, sessionTurns] = await Promise.all([
+      sessions.list(),
+      predictionIndex.find((prediction) => prediction.session_id !== null),
+    ]);
+    const turnsBySession = new Map();
+    for (const turn of sessionTurns) {
+      if (!turnsBySession.has(turn.session_id)) turnsBySession.set(turn.session_id, []);
+      turnsBySession.get(turn.session_id).push(turn);
+    }
+    const visible = await Promise.all(
+      records
+        .filter((session) => userFilter === "*" || session.user === userFilter)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+        .map((session) => toSessionSummary(session, turnsBySession.get(session.id) ?? [])),
+    );
+    return res.json({ sessions: visible });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/sessions", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+    const { input, errors } = validateInput(SESSION_INPUTS, { model_key: DEFAULT_MODEL_KEY, ...body });
+    const model = input.model_key ? modelRegistry.get(input.model_key) : null;
+    if (input.model_key && !model) {
+      errors.push({ field: "model_key", message: `Unsupported model key "${input.model_key}".` });
+    } else if (model && !supportsSessions(model)) {
+      errors.push({ field: "model_key", message: `Model "${model.key}" does not support edit sessions.` });
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const now = new Date().toISOString();
+    const session = await sessions.set({
+      id: createSessionId(),
+      user: req.user.username,
+      model_key: model.key,
+      title: input.title ?? null,
+      created_at: now,
+      updated_at: now,
+    });
+    return res.status(201).json({ session });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.get("/api/sessions/:id", async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id);
+    if (!session || !canAccessPrediction(req.user, session)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const turns = await listSessionTurns(session.id);
+    return res.json({ session: { ...session, turns: turns.map(toSessionTurn) } });
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Runs the next prompt of a session. `parent` ({ id, output }) picks the version to continue
+// from; without it the session continues from the first output of its latest finished turn,
+// and `parent: null` starts a new branch with no history.
+app.post("/api/sessions/:id/turns", async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id);
+    if (!session || !canAccessPrediction(req.user, session)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const body = req.body || {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      return sendValidationErrors(res, [{ field: "", message: "Request body must be a JSON object." }]);
+    }
+
+    const model = modelRegistry.get(session.model_key);
+    const availability = getModelAvailability(model);
+    if (!availability.available) {
+      return res.status(500).json({ error: availability.reason });
+    }
+
+    const { input, errors } = buildModelInput(model, body, { allowedKeys: ["parent"] });
+    errors.push(...(await checkUploadReferences(model, input, req.user.username)));
+    errors.push(...moderator.check(model, input, { user: req.user.username, session_id: session.id }));
+
+    const turns = await listSessionTurns(session.id);
+    const hasOutput = (turn, output) =>
+      turn.status === "succeeded" && Array.isArray(turn.output) && output < turn.output.length;
+    let parent = null;
+    if (body.parent === undefined) {
+      const latest = turns.filter((turn) => hasOutput(turn, 0)).at(-1);
+      parent = latest ? { id: latest.id, output: 0 } : null;
+    } else if (body.parent !== null) {
+      const { id, output = 0 } = typeof body.parent === "object" && !Array.isArray(body.parent) ? body.parent : {};
+      const turn = turns.find((candidate) => candidate.id === id);
+      if (typeof id !== "string" || !Number.isInteger(output) || output < 0) {
+        errors.push({
+          field: "parent",
+          message: 'Field "parent" must be null or an object with a turn "id" and an "output" index.',
+        });
+      } else if (!turn) {
+        errors.push({ field: "parent.id", message: `Turn "${id}" is not part of this session.` });
+      } else if (!hasOutput(turn, output)) {
+        errors.push({ field: "parent.output", message: `Turn "${id}" has no output ${output}.` });
+      } else {
+        parent = { id, output };
+      }
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    let history = [];
+    if (parent) {
+      try {
+        history = await buildSessionHistory(findTurnPath(turns, parent.id), parent.output, readAsset);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+      // Follow-ups keep the shape of the version they edit unless asked otherwise
+      if (body.aspect_ratio === undefined && model.inputs.aspect_ratio?.enum) {
+        const previous = Buffer.from(history.at(-1).parts[0].inlineData.data, "base64");
+        input.aspect_ratio = closestAspectRatio(await measureImage(previous), model.inputs.aspect_ratio.enum);
+      }
+    }
+
+    const caller = callerOf(req.user);
+    const admission = await quotas.reserve(caller, model, input);
+    if (!admission.allowed) {
+      return sendQuotaRejection(res, admission);
+    }
+
+    let prediction;
+    try {
+      prediction = await createPrediction(model, input, req.user.username, {
+        apiKeyId: caller.apiKeyId,
+        quota: admission.reservation,
+        session: { id: session.id, parent, history },
+      });
+    } catch (error) {
+      await quotas.refund(admission.reservation).catch((refundError) => {
+        requestLog(req).error("Failed to refund credits", { session_id: session.id, error: refundError.message });
+      });
+      throw error;
+    }
+
+    await sessions.update(session.id, {
+      updated_at: new Date().toISOString(),
+      ...(!session.title && { title: input.prompt.slice(0, 80) }),
+    });
+    return res.status(201).json({ prediction: toPublicPrediction(prediction) });
+  } catch (error) {
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+// Deletes the session with every turn, canceling any still running
+app.delete("/api/sessions/:id", async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id);
+    if (!session || !canAccessPrediction(req.user, session)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    for (const turn of await listSessionTurns(session.id)) {
+      if (!TERMINAL_STATUSES.has(turn.status)) await cancelPrediction(turn);
+      await deletePredictionAssets(turn);
+      await predictions.delete(turn.id);
+    }
+    await sessions.delete(session.id);
+    return res.status(204).end();
+  } catch (error) {
+    requestLog(req).error("Unexpected error", { error });
+    return res.status(500).json({ error: "Unexpected server error." });
+  }
+});
+
+app.post("/api/refine", async (req, res) => {
+  let startedAt = null;
+  const recordRefine = (status) => {
+    refineCallsTotal.inc({ status });
+    observeProviderLatency("replicate", "refine", status, startedAt);
+    return usageLog
+      .recordRefine({
+        user: req.user.username,
+        apiKeyId: req.user.api_key_id ?? null,
+        model: REFINE_MODEL,
+        status,
+        elapsedSeconds: Number(((Date.now() - startedAt) / 1000).toFixed(2)),
+        startedAt,
+      })
+      .catch((error) => requestLog(req).error("Failed to record refine usage", { error: error.message }));
+  };
+
+  try {
+    const availability = getRefineAvailability();
+    if (!availability.available) {
+      return res.status(500).json({ error: availability.reason });
+    }
+
+    const { input, errors } = validateInput(REFINE_INPUTS, req.body || {});
+    errors.push(...moderator.check({ key: "refine", inputs: REFINE_INPUTS }, input, { user: req.user.username }));
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const refineInput = {
+      prompt: input.prompt,
+      system_instruction: buildRefineInstruction({
+        mode: input.mode,
+        variants: input.variants,
+        negativePrompt: input.negative_prompt === true,
+      }),
+      max_output_tokens: 65535,
+      thinking: "low",
+    };
+
+    // Stops generating when the caller goes away, e.g. the UI closed the stream
+    const abortController = new AbortController();
+    res.on("close", () => abortController.abort());
+
+    if (input.stream) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+    }
+
+    startedAt = Date.now();
+    const chunks = [];
+
+    for await (const event of replicate.stream(REFINE_MODEL, {
+      input: refineInput,
+      signal: abortController.signal,
+    })) {
+      if (event?.event !== "output" || typeof event.data !== "string") continue;
+      chunks.push(event.data);
+      if (input.stream) sendEvent(res, "delta", { text: event.data });
+    }
+
+    const elapsedSeconds = Number(((Date.now() - startedAt) / 1000).toFixed(2));
+    const { variants, negative_prompt: negativePrompt } = parseRefineOutput(chunks.join(""));
+    if (variants.length === 0) variants.push(input.prompt);
+    await recordRefine("succeeded");
+
+    const result = {
+      mode: input.mode,
+      refined_prompt: variants[0],
+      variants,
+      negative_prompt: negativePrompt,
+      elapsed_seconds: elapsedSeconds,
+    };
+    if (input.stream) {
+      sendEvent(res, "done", result);
+      return res.end();
+    }
+    return res.json({ ...result, prediction: { status: "succeeded", output: chunks } });
+  } catch (error) {
+    if (startedAt !== null) await recordRefine(res.destroyed ? "canceled" : "failed");
+
+    if (res.headersSent) {
+      if (!res.destroyed) {
+        sendEvent(res, "error", { error: error instanceof Error ? error.message : String(error) });
+        res.end();
+      }
+      return;
+    }
+
+    if (error && typeof error === "object" && "status" in error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Replicate request failed.",
+        details: error.details,
+      });
+    }
+
+    requestLog(req).error("Unexpected error", { error });
     return res.status(500).json({
       error: "Unexpected server error.",
       details: error instanceof Error ? error.message : String(error),
@@ -644,10 +3358,25 @@ app.post("/api/refine", async (req, res) => {
   }
 });
 
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: "Not found" });
+});
+
 app.use((req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+app.use((error, req, res, next) => {
+  if (error?.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON." });
+  }
+  if (error?.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body is too large." });
+  }
+  requestLog(req).error("Unexpected error", { error });
+  return res.status(500).json({ error: "Unexpected server error." });
+});
+
 app.listen(PORT, () => {
-  console.log(`🚀 Nano Banana playground running at http://localhost:${PORT}`);
+  log.info("Nano Banana playground running", { url: `http://localhost:${PORT}` });
 });
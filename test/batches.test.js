@@ -0,0 +1,243 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createStore } from "../lib/store.js";
+import { createBatchRunner, parseBatchItems, parseCsv, summarizeBatchItems } from "../lib/batches.js";
+import { quietLogger, until } from "./helpers.js";
+
+const createBatch = (count, overrides = {}) => ({
+  id: `batch-${Math.random().toString(36).slice(2)}`,
+  user: "alice",
+  model_key: "image",
+  status: "queued",
+  items: Array.from({ length: count }, (_, index) => ({
+    index,
+    input: { prompt: `item ${index}` },
+    status: "queued",
+    prediction_id: null,
+    output: null,
+    error: null,
+  })),
+  created_at: new Date().toISOString(),
+  completed_at: null,
+  ...overrides,
+});
+
+// Predictions the runners wait on, finished by the test (or by a cancel) when it chooses to
+const createPredictions = () => {
+  const pending = new Map();
+  const canceled = [];
+  let created = 0;
+
+  const waitFor = (id) => {
+    if (!pending.has(id)) {
+      let resolve;
+      const promise = new Promise((done) => (resolve = done));
+      pending.set(id, { promise, resolve });
+    }
+    return pending.get(id).promise;
+  };
+
+  return {
+    pending,
+    canceled,
+    get created() {
+      return created;
+    },
+    async runItem({ item, onPrediction }) {
+      if (!item.prediction_id) {
+        created++;
+        await onPrediction(`pred-${item.index}`);
+      }
+      return waitFor(item.prediction_id);
+    },
+    async cancelPrediction(id) {
+      canceled.push(id);
+      waitFor(id);
+      pending.get(id).resolve({ status: "canceled" });
+    },
+    finish(id, prediction = { status: "succeeded", output: [`https://example.com/${id}.png`] }) {
+      waitFor(id);
+      pending.get(id).resolve(prediction);
+    },
+  };
+};
+
+const createRunner = (batches, predictions, options = {}) =>
+  createBatchRunner({
+    batches,
+    concurrency: 1,
+    runItem: predictions.runItem,
+    cancelPrediction: predictions.cancelPrediction,
+    logger: quietLogger,
+    ...options,
+  });
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, doubled quotes and line breaks", () => {
+    assert.deepEqual(parseCsv('prompt,seed\n"a cat, sitting",1\n"say ""hi""\nplease",2\n'), [
+      ["prompt", "seed"],
+      ["a cat, sitting", "1"],
+      ['say "hi"\nplease', "2"],
+    ]);
+  });
+
+  it("accepts CRLF line endings, skips blank rows and keeps a last row without a newline", () => {
+    assert.deepEqual(parseCsv("prompt\r\n\r\na\r\n ,\r\nb"), [["prompt"], ["a"], ["b"]]);
+  });
+});
+
+describe("parseBatchItems", () => {
+  it("turns CSV rows into inputs named by the header, leaving out empty cells", () => {
+    const text = "\uFEFF prompt , aspect_ratio\na cat,16:9\na dog,\n";
+    assert.deepEqual(parseBatchItems(text, "csv"), [{ prompt: "a cat", aspect_ratio: "16:9" }, { prompt: "a dog" }]);
+  });
+
+  it("refuses a CSV file without a header", () => {
+    assert.throws(() => parseBatchItems(",,\n", "csv"), /header row/);
+  });
+
+  it("reads JSONL objects, and bare strings as prompts", () => {
+    const text = '{"prompt":"a cat","seed":3}\n\n"a dog"\n';
+    assert.deepEqual(parseBatchItems(text, "jsonl"), [{ prompt: "a cat", seed: 3 }, { prompt: "a dog" }]);
+  });
+
+  it("names the JSONL line that is wrong", () => {
+    assert.throws(() => parseBatchItems('{"prompt":"ok"}\n{oops', "jsonl"), /Line 2 is not valid JSON/);
+    assert.throws(() => parseBatchItems('"ok"\n[1, 2]', "jsonl"), /Line 2 must be a JSON object or string/);
+  });
+
+  it("refuses empty files and unknown formats", () => {
+    assert.throws(() => parseBatchItems("  \n", "csv"), /empty/);
+    assert.throws(() => parseBatchItems("a", "xlsx"), /Unsupported batch format "xlsx"/);
+  });
+});
+
+describe("createBatchRunner", () => {
+  it("runs every item and completes the batch", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const runner = createRunner(batches, predictions);
+    const batch = createBatch(2);
+
+    await runner.start(batch);
+    await until(() => predictions.pending.has("pred-0"));
+    predictions.finish("pred-0");
+    await until(() => predictions.pending.has("pred-1"));
+    predictions.finish("pred-1", { status: "failed", error: "Provider error" });
+
+    const stored = await until(async () => {
+      const record = await batches.get(batch.id);
+      return record.status === "completed" && record;
+    });
+    assert.deepEqual(
+      stored.items.map((item) => [item.status, item.prediction_id]),
+      [
+        ["succeeded", "pred-0"],
+        ["failed", "pred-1"],
+      ],
+    );
+    assert.deepEqual(stored.counts, summarizeBatchItems(stored.items));
+    assert.equal(stored.counts.succeeded, 1);
+  });
+
+  it("cancels the running item and skips queued ones", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const runner = createRunner(batches, predictions);
+    const batch = createBatch(3);
+
+    await runner.start(batch);
+    await until(() => predictions.pending.has("pred-0"));
+    assert.equal(await runner.cancel(batch.id), true);
+
+    const stored = await until(async () => {
+      const record = await batches.get(batch.id);
+      return record.status === "canceled" && record;
+    });
+    assert.deepEqual(predictions.canceled, ["pred-0"]);
+    assert.equal(predictions.created, 1);
+    assert.deepEqual(
+      stored.items.map((item) => item.status),
+      ["canceled", "canceled", "canceled"],
+    );
+    assert.equal(await runner.cancel(batch.id), false);
+  });
+
+  it("cancels predictions of resumed items that are still waiting for a worker", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const runner = createRunner(batches, predictions);
+    const batch = createBatch(2, { status: "running" });
+    batch.items.forEach((item) => Object.assign(item, { status: "running", prediction_id: `pred-${item.index}` }));
+    await batches.set(batch);
+
+    assert.equal(await runner.resume(), 1);
+    await until(() => predictions.pending.has("pred-0"));
+    await runner.cancel(batch.id);
+
+    assert.deepEqual(predictions.canceled.sort(), ["pred-0", "pred-1"]);
+    assert.equal(predictions.created, 0);
+  });
+
+  it("takes over a cancel stored by another process at its next save", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const owner = createRunner(batches, predictions, { processId: "owner" });
+    const other = createRunner(batches, predictions, { processId: "other" });
+    const batch = createBatch(3);
+
+    await owner.start(batch);
+    await until(() => predictions.pending.has("pred-0"));
+    assert.equal(await other.cancel(batch.id), true);
+    assert.deepEqual(predictions.canceled, ["pred-0"]);
+
+    // The owner saves the canceled item without writing the batch back as running
+    await until(() => batch.status === "canceled");
+    const stored = await batches.get(batch.id);
+    assert.equal(stored.status, "canceled");
+    assert.deepEqual(
+      stored.items.map((item) => item.status),
+      ["canceled", "canceled", "canceled"],
+    );
+    assert.equal(predictions.created, 1);
+  });
+
+  it("leaves batches another live process holds and takes over ones whose lease ran out", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const runner = createRunner(batches, predictions, { processId: "me" });
+    const held = createBatch(1, { status: "running", owner: { id: "other", renewed_at: new Date().toISOString() } });
+    const abandoned = createBatch(1, {
+      status: "running",
+      owner: { id: "gone", renewed_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() },
+    });
+    await batches.set(held);
+    await batches.set(abandoned);
+
+    assert.equal(await runner.resume(), 1);
+
+    assert.equal((await batches.get(held.id)).owner.id, "other");
+    assert.equal((await batches.get(abandoned.id)).owner.id, "me");
+    await until(() => predictions.pending.has("pred-0"));
+    assert.equal(predictions.created, 1);
+    assert.equal(await runner.resume(), 0);
+  });
+
+  it("stops starting items once another process took the batch over", async () => {
+    const batches = createStore({ driver: "memory" }).collection("batches");
+    const predictions = createPredictions();
+    const runner = createRunner(batches, predictions, { processId: "me" });
+    const batch = createBatch(2);
+
+    await runner.start(batch);
+    await until(() => predictions.pending.has("pred-0"));
+    await batches.update(batch.id, { owner: { id: "other", renewed_at: new Date().toISOString() } });
+    predictions.finish("pred-0");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(predictions.created, 1);
+    const stored = await batches.get(batch.id);
+    assert.equal(stored.owner.id, "other");
+    assert.equal(stored.items[0].status, "running");
+  });
+});
@@ -0,0 +1,35 @@
+// Preloaded into the server under test (node --import): Gemini requests get a one-pixel PNG
+// after FAKE_GEMINI_DELAY_MS, or a 400 when the prompt contains "reject". Aborts are honored.
+
+const PNG =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+const DELAY_MS = Number(process.env.FAKE_GEMINI_DELAY_MS ?? 500);
+
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (url, options = {}) => {
+  if (!String(url?.url ?? url).includes("generativelanguage.googleapis.com")) return realFetch(url, options);
+
+  const body = JSON.parse(options.body);
+  const prompt = body.contents.at(-1).parts.find((part) => part.text)?.text ?? "";
+  if (prompt.includes("reject")) {
+    return new Response(JSON.stringify({ error: { code: 400, message: "Rejected by the fake.", status: "INVALID_ARGUMENT" } }), {
+      status: 400,
+      headers: { "content-type": "application/json" },
+    });
+  }
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, DELAY_MS);
+    options.signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(options.signal.reason);
+    });
+  });
+  const chunk = {
+    candidates: [
+      { index: 0, finishReason: "STOP", content: { role: "model", parts: [{ inlineData: { mimeType: "image/png", data: PNG } }] } },
+    ],
+  };
+  return new Response(`data: ${JSON.stringify(chunk)}\n\n`, { headers: { "content-type": "text/event-stream" } });
+};
@@ -0,0 +1,12 @@
+// Polls until `check` returns something truthy, for state saved in the background
+export const until = async (check, { timeoutMs = 2000, intervalMs = 5 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
+export const quietLogger = { info() {}, warn() {}, error() {} };
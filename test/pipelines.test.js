@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createStore } from "../lib/store.js";
+import { createPipelineRun, createPipelineRunner } from "../lib/pipelines.js";
+import { quietLogger, until } from "./helpers.js";
+
+const pipeline = {
+  id: "pipe-1",
+  name: "Shot then cutout",
+  steps: [
+    { model_key: "image", input: { prompt: "a shoe" }, inputs_from: {} },
+    { model_key: "remove-bg", input: {}, inputs_from: { image: { step: 0, output: 0 } } },
+  ],
+};
+
+// Step predictions the runners wait on; each resolves once finished or canceled
+const createSteps = () => {
+  const pending = new Map();
+  const canceled = [];
+
+  const waitFor = (id) => {
+    if (!pending.has(id)) {
+      let resolve;
+      const promise = new Promise((done) => (resolve = done));
+      pending.set(id, { promise, resolve });
+    }
+    return pending.get(id).promise;
+  };
+
+  return {
+    pending,
+    canceled,
+    async runStep({ step, onPrediction }) {
+      if (!step.prediction_id) await onPrediction(`pred-${step.index}`);
+      return waitFor(step.prediction_id);
+    },
+    async cancelPrediction(id) {
+      canceled.push(id);
+      waitFor(id);
+      pending.get(id).resolve({ status: "canceled" });
+    },
+    finish(id) {
+      waitFor(id);
+      pending.get(id).resolve({ status: "succeeded", output: [`https://example.com/${id}.png`] });
+    },
+  };
+};
+
+const createRunner = (runs, steps, processId) =>
+  createPipelineRunner({
+    runs,
+    runStep: steps.runStep,
+    cancelPrediction: steps.cancelPrediction,
+    processId,
+    logger: quietLogger,
+  });
+
+const storedRun = (runs, id, status) =>
+  until(async () => {
+    const record = await runs.get(id);
+    return record.status === status && record;
+  });
+
+describe("createPipelineRunner", () => {
+  it("runs the steps in order and ends with the last output", async () => {
+    const runs = createStore({ driver: "memory" }).collection("pipeline_runs");
+    const steps = createSteps();
+    const runner = createRunner(runs, steps, "me");
+    const run = createPipelineRun(pipeline, { user: "alice", overrides: [{}, {}] });
+
+    await runner.start(run);
+    await until(() => steps.pending.has("pred-0"));
+    steps.finish("pred-0");
+    await until(() => steps.pending.has("pred-1"));
+    steps.finish("pred-1");
+
+    const stored = await storedRun(runs, run.id, "succeeded");
+    assert.deepEqual(stored.output, ["https://example.com/pred-1.png"]);
+    assert.deepEqual(
+      stored.steps.map((step) => step.status),
+      ["succeeded", "succeeded"],
+    );
+  });
+
+  it("cancels the running step and marks the rest canceled", async () => {
+    const runs = createStore({ driver: "memory" }).collection("pipeline_runs");
+    const steps = createSteps();
+    const runner = createRunner(runs, steps, "me");
+    const run = createPipelineRun(pipeline, { user: "alice", overrides: [{}, {}] });
+
+    await runner.start(run);
+    await until(() => steps.pending.has("pred-0"));
+    assert.equal(await runner.cancel(run.id), true);
+
+    const stored = await storedRun(runs, run.id, "canceled");
+    assert.deepEqual(steps.canceled, ["pred-0"]);
+    assert.deepEqual(
+      stored.steps.map((step) => step.status),
+      ["canceled", "canceled"],
+    );
+    assert.equal(await runner.cancel(run.id), false);
+  });
+
+  it("never writes a run canceled by another process back as running", async () => {
+    const runs = createStore({ driver: "memory" }).collection("pipeline_runs");
+    const steps = createSteps();
+    const owner = createRunner(runs, steps, "owner");
+    const other = createRunner(runs, steps, "other");
+    const run = createPipelineRun(pipeline, { user: "alice", overrides: [{}, {}] });
+    // Every status the store holds after a write
+    const statuses = [];
+    const { set, update } = runs;
+    runs.set = async (record) => {
+      const saved = await set(record);
+      statuses.push(saved.status);
+      return saved;
+    };
+    runs.update = async (id, patch) => {
+      const saved = await update(id, patch);
+      statuses.push(saved?.status);
+      return saved;
+    };
+
+    await owner.start(run);
+    await until(() => steps.pending.has("pred-0"));
+    assert.equal(await other.cancel(run.id), true);
+    const canceledAt = statuses.length;
+
+    await until(() => run.status === "canceled");
+    assert.equal(steps.pending.has("pred-1"), false);
+    assert.deepEqual(steps.canceled, ["pred-0"]);
+    assert.ok(statuses.slice(canceledAt).every((status) => status === "canceled"));
+    assert.equal((await runs.get(run.id)).status, "canceled");
+  });
+
+  it("leaves runs another live process holds", async () => {
+    const runs = createStore({ driver: "memory" }).collection("pipeline_runs");
+    const steps = createSteps();
+    const runner = createRunner(runs, steps, "me");
+    const run = createPipelineRun(pipeline, { user: "alice", overrides: [{}, {}] });
+    await runs.set({ ...run, owner: { id: "other", renewed_at: new Date().toISOString() } });
+
+    assert.equal(await runner.resume(), 0);
+    assert.equal(steps.pending.size, 0);
+
+    await runs.update(run.id, { owner: { id: "other", renewed_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() } });
+    assert.equal(await runner.resume(), 1);
+    await until(() => steps.pending.has("pred-0"));
+    assert.equal((await runs.get(run.id)).owner.id, "me");
+  });
+});
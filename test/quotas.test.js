@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createStore } from "../lib/store.js";
+import { createQuotaManager, estimateCost } from "../lib/quotas.js";
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+
+const image = { key: "image", cost: { credits: 1, per: ["count"] } };
+const video = { key: "video", cost: { credits: 2 } };
+
+const alice = { username: "alice", apiKeyId: null };
+
+const createManager = (config, { activeJobs = () => 0 } = {}) =>
+  createQuotaManager({
+    config,
+    ledger: createStore({ driver: "memory" }).collection("quota_usage"),
+    countActiveJobs: async (subject, modelKey) => activeJobs(subject, modelKey),
+    now: () => NOW,
+  });
+
+const usedCredits = async (quotas) => (await quotas.status(alice)).limits.daily_credits.used;
+
+describe("estimateCost", () => {
+  it("scales the base credits by multipliers and per-unit inputs", () => {
+    const cost = { credits: 1, multipliers: { size: { "4K": 2 } }, per: ["count"] };
+    assert.equal(estimateCost(cost, { size: "4K", count: 3 }), 6);
+    assert.equal(estimateCost(cost, { size: "1K" }), 1);
+    assert.equal(estimateCost(null, { count: 3 }), 0);
+  });
+});
+
+describe("createQuotaManager", () => {
+  it("charges a reservation against the daily and monthly budgets", async () => {
+    const quotas = createManager({ defaults: { daily_credits: 10, monthly_credits: 100 } });
+
+    const admission = await quotas.reserve(alice, image, { count: 3 });
+
+    assert.equal(admission.allowed, true);
+    assert.equal(admission.reservation.credits, 3);
+    assert.equal(admission.reservation.subject, "user:alice");
+    const { limits } = await quotas.status(alice);
+    assert.equal(limits.daily_credits.used, 3);
+    assert.equal(limits.daily_credits.remaining, 7);
+    assert.equal(limits.monthly_credits.used, 3);
+  });
+
+  it("refuses a run its budget can't cover and records nothing", async () => {
+    const quotas = createManager({ defaults: { daily_credits: 4 } });
+    await quotas.reserve(alice, image, { count: 3 });
+
+    const admission = await quotas.reserve(alice, image, { count: 2 });
+
+    assert.equal(admission.allowed, false);
+    assert.equal(admission.status, 402);
+    assert.equal(admission.quota.type, "daily_credits");
+    assert.equal(await usedCredits(quotas), 3);
+  });
+
+  it("lets parallel reservations spend the budget only once", async () => {
+    const quotas = createManager({ defaults: { daily_credits: 5 } });
+
+    const admissions = await Promise.all(Array.from({ length: 8 }, () => quotas.reserve(alice, video, {})));
+
+    assert.equal(admissions.filter((admission) => admission.allowed).length, 2);
+    assert.equal(await usedCredits(quotas), 4);
+  });
+
+  it("gives refunded credits back", async () => {
+    const quotas = createManager({ defaults: { daily_credits: 10 } });
+    const { reservation } = await quotas.reserve(alice, video, {});
+
+    await quotas.refund(reservation);
+
+    assert.equal(await usedCredits(quotas), 0);
+  });
+
+  it("counts a reservation as a job until it is released", async () => {
+    const quotas = createManager({ defaults: { concurrent_jobs: 1 } });
+    const first = await quotas.reserve(alice, video, {});
+
+    const second = await quotas.reserve(alice, video, {});
+    assert.equal(second.allowed, false);
+    assert.equal(second.status, 429);
+    assert.equal(second.quota.type, "concurrent_jobs");
+
+    quotas.release(first.reservation);
+    assert.equal((await quotas.reserve(alice, video, {})).allowed, true);
+  });
+
+  it("stops counting a refunded reservation as a job", async () => {
+    const quotas = createManager({ defaults: { concurrent_jobs: 1 } });
+    const { reservation } = await quotas.reserve(alice, video, {});
+
+    await quotas.refund(reservation);
+
+    assert.equal((await quotas.reserve(alice, video, {})).allowed, true);
+  });
+
+  it("adds stored predictions still running to the job count", async () => {
+    const quotas = createManager(
+      { defaults: { concurrent_jobs: 2 }, models: { video: { concurrent_jobs: 1 } } },
+      { activeJobs: () => 1 },
+    );
+
+    const admission = await quotas.reserve(alice, video, {});
+
+    assert.equal(admission.allowed, false);
+    assert.equal(admission.quota.scope, "video");
+    assert.equal((await quotas.reserve(alice, image, {})).allowed, true);
+  });
+
+  it("counts an API key with its own limits apart from its owner", async () => {
+    const quotas = createManager({ defaults: { daily_credits: 2 }, api_keys: { key1: { daily_credits: 10 } } });
+    const withKey = { username: "alice", apiKeyId: "key1" };
+
+    await quotas.reserve(withKey, video, {});
+
+    assert.equal(quotas.subjectOf(withKey), "key:key1");
+    assert.equal((await quotas.status(withKey)).limits.daily_credits.used, 2);
+    assert.equal(await usedCredits(quotas), 0);
+  });
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  backoffDelay,
+  isRetryableError,
+  isUnsentError,
+  loadFailoverModels,
+  loadRetryConfig,
+  withRetry,
+} from "../lib/retry.js";
+
+const withCode = (code) => Object.assign(new Error(code), { code });
+const withStatus = (status) => Object.assign(new Error(`status ${status}`), { status });
+
+const NO_WAIT = { maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0 };
+
+describe("isRetryableError", () => {
+  it("retries rate limits and server errors but not rejected requests", () => {
+    assert.equal(isRetryableError(withStatus(429)), true);
+    assert.equal(isRetryableError(withStatus(503)), true);
+    assert.equal(isRetryableError({ response: { status: 502 } }), true);
+    assert.equal(isRetryableError(withStatus(400)), false);
+    assert.equal(isRetryableError(withStatus(404)), false);
+  });
+
+  it("retries dropped connections, also when they are the cause", () => {
+    assert.equal(isRetryableError(withCode("ECONNRESET")), true);
+    assert.equal(isRetryableError(new TypeError("fetch failed", { cause: withCode("UND_ERR_SOCKET") })), true);
+    assert.equal(isRetryableError(new Error("socket hang up")), true);
+    assert.equal(isRetryableError(new Error("Invalid prompt")), false);
+  });
+
+  it("never retries aborts or errors marked final", () => {
+    assert.equal(isRetryableError(new DOMException("Aborted", "AbortError")), false);
+    assert.equal(isRetryableError(Object.assign(withStatus(500), { retryable: false })), false);
+    assert.equal(isRetryableError(null), false);
+  });
+});
+
+describe("isUnsentError", () => {
+  it("accepts only failures that never reached the provider", () => {
+    assert.equal(isUnsentError(withCode("ECONNREFUSED")), true);
+    assert.equal(isUnsentError(new TypeError("fetch failed", { cause: withCode("ENOTFOUND") })), true);
+    assert.equal(isUnsentError(withStatus(429)), true);
+    assert.equal(isUnsentError(withStatus(500)), false);
+    assert.equal(isUnsentError(withCode("ECONNRESET")), false);
+  });
+});
+
+describe("backoffDelay", () => {
+  it("doubles per attempt up to the cap, jittered below it", () => {
+    const config = { baseDelayMs: 100, maxDelayMs: 500 };
+    assert.equal(backoffDelay(1, config, () => 1), 100);
+    assert.equal(backoffDelay(3, config, () => 1), 400);
+    assert.equal(backoffDelay(5, config, () => 1), 500);
+    assert.equal(backoffDelay(3, config, () => 0.5), 200);
+  });
+});
+
+describe("withRetry", () => {
+  it("tries again after transient failures and reports each retry", async () => {
+    const retries = [];
+    let calls = 0;
+
+    const result = await withRetry(
+      async (attempt) => {
+        calls++;
+        if (attempt < 3) throw withStatus(503);
+        return "done";
+      },
+      { config: NO_WAIT, onRetry: ({ attempt, error }) => retries.push([attempt, error.status]) },
+    );
+
+    assert.equal(result, "done");
+    assert.equal(calls, 3);
+    assert.deepEqual(retries, [
+      [1, 503],
+      [2, 503],
+    ]);
+  });
+
+  it("fails straight away on an error that isn't retryable", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw withStatus(400);
+        },
+        { config: NO_WAIT },
+      ),
+      (error) => error.status === 400 && error.attempts === 1,
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("gives up after maxAttempts with the last error", async () => {
+    await assert.rejects(
+      withRetry(
+        async (attempt) => {
+          throw withStatus(500 + attempt);
+        },
+        { config: NO_WAIT },
+      ),
+      (error) => error.status === 503 && error.attempts === 3,
+    );
+  });
+
+  it("stops waiting once the signal aborts", async () => {
+    const controller = new AbortController();
+    const reason = new Error("canceled");
+    const pending = withRetry(
+      async () => {
+        throw withStatus(503);
+      },
+      { config: { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000 }, signal: controller.signal },
+    );
+
+    setTimeout(() => controller.abort(reason), 10);
+
+    await assert.rejects(pending, (error) => error === reason);
+  });
+});
+
+describe("loadRetryConfig", () => {
+  it("reads the environment and falls back on invalid values", () => {
+    assert.deepEqual(loadRetryConfig({ RETRY_MAX_ATTEMPTS: "5", RETRY_BASE_DELAY_MS: "250" }), {
+      maxAttempts: 5,
+      baseDelayMs: 250,
+      maxDelayMs: 20000,
+    });
+    assert.equal(loadRetryConfig({ RETRY_MAX_ATTEMPTS: "0" }).maxAttempts, 1);
+    assert.equal(loadRetryConfig({ RETRY_BASE_DELAY_MS: "soon" }).baseDelayMs, 1000);
+  });
+});
+
+describe("loadFailoverModels", () => {
+  it("matches listed model keys, or every model for *", () => {
+    const listed = loadFailoverModels(" Video, seedream ");
+    assert.equal(listed.has("video"), true);
+    assert.equal(listed.has("seedream"), true);
+    assert.equal(listed.has("nano-banana"), false);
+    assert.equal(loadFailoverModels("*").has("nano-banana"), true);
+    assert.equal(loadFailoverModels("").has("video"), false);
+  });
+});
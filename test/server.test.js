@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { until } from "./helpers.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const fixture = (name) => path.join(root, "test", "fixtures", name);
+
+// Cancel and refund paths, end to end: one Gemini worker, so a second prediction waits in the queue
+describe("prediction cancel and refunds", () => {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const baseUrl = `http://localhost:${port}`;
+  let server;
+  let storeDir;
+
+  const api = async (method, pathname, body) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const createPrediction = async (prompt) => {
+    const { status, body } = await api("POST", "/api/predictions", { model_key: "nano-banana", prompt });
+    assert.equal(status, 201);
+    return body.prediction ?? body;
+  };
+
+  const getPrediction = async (id) => {
+    const { body } = await api("GET", `/api/predictions/${id}`);
+    return body.prediction ?? body;
+  };
+
+  const usedCredits = async () => (await api("GET", "/api/quota")).body.quota.limits.daily_credits.used;
+
+  // Usage entries are recorded once a prediction is settled, refund included
+  const usageEntry = (id) =>
+    until(
+      async () => (await api("GET", "/api/usage?group_by=none")).body.rows.find((entry) => entry.id === id),
+      { timeoutMs: 5000, intervalMs: 50 },
+    );
+
+  before(async () => {
+    storeDir = await mkdtemp(path.join(tmpdir(), "nano-banana-test-"));
+    server = spawn(process.execPath, ["--import", fixture("fake-gemini.js"), "server.js"], {
+      cwd: root,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        STORE_DRIVER: "memory",
+        STORE_DIR: storeDir,
+        AUTH_DISABLED: "true",
+        GEMINI_API_KEY: "test",
+        REPLICATE_API_TOKEN: "test",
+        PROVIDER_PROBE: "stub",
+        GEMINI_CONCURRENCY: "1",
+        QUOTA_CONFIG: fixture("quota.json"),
+        FAKE_GEMINI_DELAY_MS: "1500",
+        LOG_FORMAT: "json",
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    server.stdout.on("data", (chunk) => (output += chunk));
+    server.stderr.on("data", (chunk) => (output += chunk));
+    await Promise.race([
+      until(() => output.includes("playground running"), { timeoutMs: 15000, intervalMs: 50 }),
+      once(server, "exit").then(([code]) => {
+        throw new Error(`Server exited with ${code}:\n${output}`);
+      }),
+    ]);
+  });
+
+  after(async () => {
+    server?.kill();
+    if (server?.exitCode === null) await once(server, "exit");
+    await rm(storeDir, { recursive: true, force: true });
+  });
+
+  it("refunds a prediction canceled while it waits in the queue", async () => {
+    const running = await createPrediction("a red bicycle");
+    const queued = await createPrediction("a blue bicycle");
+    assert.equal(queued.status, "queued");
+    assert.equal(queued.queue_position, 1);
+    const used = await usedCredits();
+
+    const { status, body } = await api("POST", `/api/predictions/${queued.id}/cancel`);
+
+    assert.equal(status, 200);
+    assert.equal(body.prediction.status, "canceled");
+    assert.equal((await usageEntry(queued.id)).credits, 0);
+    assert.equal(await usedCredits(), used - 1);
+
+    // The one running carries on and keeps its credits
+    const finished = await until(async () => {
+      const prediction = await getPrediction(running.id);
+      return prediction.status === "succeeded" && prediction;
+    }, { timeoutMs: 5000, intervalMs: 50 });
+    assert.equal(finished.output.length, 1);
+    assert.equal((await usageEntry(running.id)).credits, 1);
+  });
+
+  it("keeps the credits of a prediction canceled after Gemini was called", async () => {
+    const prediction = await createPrediction("a green bicycle");
+    await until(async () => (await getPrediction(prediction.id)).status === "processing", {
+      timeoutMs: 5000,
+      intervalMs: 20,
+    });
+    const used = await usedCredits();
+
+    const { status, body } = await api("POST", `/api/predictions/${prediction.id}/cancel`);
+
+    assert.equal(status, 200);
+    assert.equal(body.prediction.status, "canceled");
+    assert.equal((await usageEntry(prediction.id)).credits, 1);
+    assert.equal(await usedCredits(), used);
+  });
+
+  it("refunds a prediction its provider rejected", async () => {
+    const used = await usedCredits();
+    const prediction = await createPrediction("reject this one");
+
+    const failed = await until(async () => {
+      const current = await getPrediction(prediction.id);
+      return current.status === "failed" && current;
+    }, { timeoutMs: 5000, intervalMs: 20 });
+
+    assert.match(failed.error, /Rejected by the fake/);
+    assert.equal((await usageEntry(prediction.id)).credits, 0);
+    assert.equal(await usedCredits(), used);
+  });
+
+  it("answers 409 for a prediction that already finished, and 404 for an unknown one", async () => {
+    const prediction = await createPrediction("reject this too");
+    await until(async () => (await getPrediction(prediction.id)).status === "failed", { timeoutMs: 5000, intervalMs: 20 });
+
+    const finished = await api("POST", `/api/predictions/${prediction.id}/cancel`);
+    assert.equal(finished.status, 409);
+    assert.equal(finished.body.prediction.status, "failed");
+
+    const unknown = await api("POST", "/api/predictions/gemini-missing/cancel");
+    assert.equal(unknown.status, 404);
+  });
+
+  it("returns predictions without their quota reservation or owner", async () => {
+    const prediction = await createPrediction("reject once more");
+    const stored = await getPrediction(prediction.id);
+
+    for (const field of ["quota", "api_key_id", "webhook", "owner"]) {
+      assert.equal(field in prediction, false, `POST response has ${field}`);
+      assert.equal(field in stored, false, `GET response has ${field}`);
+    }
+  });
+});
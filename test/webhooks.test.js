@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createWebhookGuard, signWebhook, verifyWebhook } from "../lib/webhooks.js";
+
+const SECRET = `whsec_${Buffer.from("test secret key").toString("base64")}`;
+
+const signed = (body, { timestamp = String(Math.floor(Date.now() / 1000)), secret = SECRET } = {}) => {
+  const id = "msg_1";
+  return { id, timestamp, body, signature: signWebhook({ id, timestamp, body }, secret) };
+};
+
+// Stands in for dns.lookup with a fixed table of host names
+const fakeLookup = (table) => async (hostname) => {
+  if (!table[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" });
+  return table[hostname].map((address) => ({ address, family: address.includes(":") ? 6 : 4 }));
+};
+
+const HOSTS = {
+  "hooks.example.com": ["93.184.216.34"],
+  "rebind.example.com": ["93.184.216.34", "10.0.0.5"],
+  "metadata.example.com": ["169.254.169.254"],
+  "v6.example.com": ["2606:4700::1111"],
+  "nat64.example.com": ["64:ff9b::a00:1"],
+};
+
+describe("signWebhook and verifyWebhook", () => {
+  it("accepts a delivery signed with the same secret", () => {
+    assert.match(signed("{}").signature, /^v1,/);
+    assert.equal(verifyWebhook(signed('{"id":"p1"}'), SECRET), true);
+  });
+
+  it("rejects a changed body or another secret", () => {
+    const delivery = signed('{"id":"p1"}');
+    assert.equal(verifyWebhook({ ...delivery, body: '{"id":"p2"}' }, SECRET), false);
+    const otherSecret = `whsec_${Buffer.from("another key").toString("base64")}`;
+    assert.equal(verifyWebhook(delivery, otherSecret), false);
+  });
+
+  it("rejects deliveries outside the timestamp tolerance", () => {
+    const old = signed("{}", { timestamp: String(Math.floor(Date.now() / 1000) - 600) });
+    assert.equal(verifyWebhook(old, SECRET), false);
+    assert.equal(verifyWebhook(old, SECRET, { toleranceSeconds: 900 }), true);
+  });
+
+  it("accepts any matching signature in a space-separated list", () => {
+    const delivery = signed("{}");
+    assert.equal(verifyWebhook({ ...delivery, signature: `v1,bm9wZQ== ${delivery.signature}` }, SECRET), true);
+  });
+
+  it("rejects deliveries missing a header or the secret", () => {
+    const delivery = signed("{}");
+    assert.equal(verifyWebhook({ ...delivery, signature: undefined }, SECRET), false);
+    assert.equal(verifyWebhook(delivery, ""), false);
+  });
+});
+
+describe("createWebhookGuard", () => {
+  const guard = createWebhookGuard({ lookup: fakeLookup(HOSTS) });
+
+  it("allows hosts that resolve to public addresses only", async () => {
+    assert.equal(await guard.check("https://hooks.example.com/notify"), null);
+    assert.equal(await guard.check("https://v6.example.com/notify"), null);
+  });
+
+  it("refuses hosts with any internal address", async () => {
+    assert.match(await guard.check("https://rebind.example.com/"), /private or local address/);
+    assert.match(await guard.check("http://metadata.example.com/"), /private or local address/);
+    assert.match(await guard.check("http://nat64.example.com/"), /private or local address/);
+  });
+
+  it("refuses internal address literals", async () => {
+    for (const url of ["http://127.0.0.1/", "http://[::1]/", "http://[::ffff:10.0.0.1]/", "http://[64:ff9b::7f00:1]/"]) {
+      assert.match(await guard.check(url), /private or local address/, url);
+    }
+  });
+
+  it("refuses URLs that aren't http(s), plain http when https is required, and unknown hosts", async () => {
+    assert.equal(await guard.check("ftp://hooks.example.com/"), 'Field "webhook" must be an http(s) URL.');
+    const httpsOnly = createWebhookGuard({ requireHttps: true, lookup: fakeLookup(HOSTS) });
+    assert.equal(await httpsOnly.check("http://hooks.example.com/"), 'Field "webhook" must be an https URL.');
+    assert.match(await guard.check("https://missing.example.com/"), /could not be resolved \(ENOTFOUND\)/);
+  });
+
+  it("allows only listed hosts when there is a list, internal ones included", async () => {
+    const listed = createWebhookGuard({
+      allowedHosts: ["*.internal.test", "hooks.example.com"],
+      lookup: fakeLookup({ "ci.internal.test": ["10.1.2.3"] }),
+    });
+    assert.equal(await listed.check("http://ci.internal.test/hook"), null);
+    assert.equal(await listed.check("https://hooks.example.com/"), null);
+    assert.match(await listed.check("https://v6.example.com/"), /not on the allowed list/);
+  });
+
+  it("connects only to addresses it checked", async () => {
+    const lookup = (hostname, options) =>
+      new Promise((resolve, reject) => {
+        guard.connectLookup(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+      });
+
+    assert.deepEqual(await lookup("hooks.example.com", {}), ["93.184.216.34", 4]);
+    assert.deepEqual(await lookup("rebind.example.com", {}).catch((error) => error.code), "EWEBHOOKBLOCKED");
+    const [addresses] = await lookup("v6.example.com", { all: true });
+    assert.deepEqual(addresses, [{ address: "2606:4700::1111", family: 6 }]);
+  });
+});